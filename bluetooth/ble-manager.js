@@ -19,6 +19,7 @@ import {
   CONFIG,
   BLE_ERROR
 } from "./constants.js";
+import { ErrorCode, createError } from "../crypto/errors.js";
 
 /**
  * BLE Manager for Lifeline Mesh
@@ -33,6 +34,7 @@ export class BLEManager {
 
     // Callbacks
     this.onMessageReceived = null;
+    this.onBroadcastReceived = null; // (broadcast) => void, falls back to onMessageReceived
     this.onConnectionChange = null;
     this.onError = null;
 
@@ -85,7 +87,7 @@ export class BLEManager {
    */
   async scan() {
     if (!BLEManager.isSupported()) {
-      throw new Error(BLE_ERROR.NOT_SUPPORTED);
+      throw createError(BLE_ERROR.NOT_SUPPORTED);
     }
 
     try {
@@ -103,10 +105,10 @@ export class BLEManager {
       return this.device;
     } catch (error) {
       if (error.name === "NotFoundError") {
-        throw new Error(BLE_ERROR.DEVICE_NOT_FOUND);
+        throw createError(BLE_ERROR.DEVICE_NOT_FOUND);
       }
       if (error.name === "SecurityError") {
-        throw new Error(BLE_ERROR.PERMISSION_DENIED);
+        throw createError(BLE_ERROR.PERMISSION_DENIED);
       }
       throw error;
     }
@@ -119,7 +121,7 @@ export class BLEManager {
    */
   async connect(device = this.device) {
     if (!device) {
-      throw new Error("No device to connect to. Call scan() first.");
+      throw createError(BLE_ERROR.DEVICE_NOT_FOUND, "no device to connect to, call scan() first");
     }
 
     try {
@@ -155,7 +157,7 @@ export class BLEManager {
       console.log("[BLE] Connected to", device.name || device.id);
     } catch (error) {
       console.error("[BLE] Connection failed:", error);
-      throw new Error(BLE_ERROR.CONNECTION_FAILED);
+      throw createError(BLE_ERROR.CONNECTION_FAILED, error.message);
     }
   }
 
@@ -174,9 +176,59 @@ export class BLEManager {
    * @param {Object} message - Lifeline Mesh encrypted message object
    * @returns {Promise<void>}
    */
-  async sendMessage(message) {
+  sendMessage(message) {
+    return this._sendPackets(MSG_TYPE.DIRECT, message);
+  }
+
+  /**
+   * Send a broadcast alert to connected peer
+   * @param {Object} broadcast - Signed broadcast object (dmesh-broadcast)
+   * @returns {Promise<void>}
+   */
+  sendBroadcast(broadcast) {
+    if (!broadcast || broadcast.kind !== "dmesh-broadcast") {
+      return Promise.reject(createError(ErrorCode.INVALID_MESSAGE_FORMAT, "not a broadcast message"));
+    }
+    return this._sendPackets(MSG_TYPE.BROADCAST, broadcast);
+  }
+
+  /**
+   * Send identity to connected peer
+   * @param {Object} identity - Public identity object
+   * @returns {Promise<void>}
+   */
+  async sendIdentity(identity) {
     if (!this.isConnected || !this.txCharacteristic) {
-      throw new Error(BLE_ERROR.DISCONNECTED);
+      throw createError(BLE_ERROR.DISCONNECTED);
+    }
+
+    const jsonStr = JSON.stringify(identity);
+    const identityBytes = new TextEncoder().encode(jsonStr);
+
+    const header = new Uint8Array([
+      MSG_TYPE.IDENTITY,
+      0, // Single chunk
+      1, // Total: 1
+      0 // Reserved
+    ]);
+
+    const packet = new Uint8Array(header.length + identityBytes.length);
+    packet.set(header, 0);
+    packet.set(identityBytes, header.length);
+
+    await this.txCharacteristic.writeValue(packet);
+    console.log("[BLE] Identity sent");
+  }
+
+  // ============ Private Methods ============
+
+  /**
+   * Serialize, chunk and write an object with the given message type
+   * @private
+   */
+  async _sendPackets(msgType, message) {
+    if (!this.isConnected || !this.txCharacteristic) {
+      throw createError(BLE_ERROR.DISCONNECTED);
     }
 
     try {
@@ -186,7 +238,7 @@ export class BLEManager {
 
       // Check size
       if (messageBytes.length > 150 * 1024) {
-        throw new Error("Message too large (max 150KB)");
+        throw createError(ErrorCode.CONTENT_TOO_LARGE, "max 150KB");
       }
 
       // Chunk the message
@@ -197,7 +249,7 @@ export class BLEManager {
       // Send each chunk
       for (let i = 0; i < chunks.length; i++) {
         const header = new Uint8Array([
-          MSG_TYPE.DIRECT,
+          msgType,
           i, // Chunk index
           chunks.length, // Total chunks
           0 // Reserved
@@ -218,40 +270,10 @@ export class BLEManager {
       console.log("[BLE] Message sent successfully");
     } catch (error) {
       console.error("[BLE] Send failed:", error);
-      throw new Error(BLE_ERROR.SEND_FAILED);
+      throw createError(BLE_ERROR.SEND_FAILED, error.message);
     }
   }
 
-  /**
-   * Send identity to connected peer
-   * @param {Object} identity - Public identity object
-   * @returns {Promise<void>}
-   */
-  async sendIdentity(identity) {
-    if (!this.isConnected || !this.txCharacteristic) {
-      throw new Error(BLE_ERROR.DISCONNECTED);
-    }
-
-    const jsonStr = JSON.stringify(identity);
-    const identityBytes = new TextEncoder().encode(jsonStr);
-
-    const header = new Uint8Array([
-      MSG_TYPE.IDENTITY,
-      0, // Single chunk
-      1, // Total: 1
-      0 // Reserved
-    ]);
-
-    const packet = new Uint8Array(header.length + identityBytes.length);
-    packet.set(header, 0);
-    packet.set(identityBytes, header.length);
-
-    await this.txCharacteristic.writeValue(packet);
-    console.log("[BLE] Identity sent");
-  }
-
-  // ============ Private Methods ============
-
   /**
    * Handle incoming data from characteristic
    * @private
@@ -301,6 +323,17 @@ export class BLEManager {
 
         console.log("[BLE] Message reassembled, type:", msgType);
 
+        // Broadcast alerts: signature and exp are checked by the receiver (verifyBroadcast)
+        if (msgType === MSG_TYPE.BROADCAST) {
+          if (message.kind !== "dmesh-broadcast") {
+            throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "unexpected payload for broadcast packet");
+          }
+          if (this.onBroadcastReceived) {
+            this.onBroadcastReceived(message);
+            return;
+          }
+        }
+
         // Dispatch to callback
         if (this.onMessageReceived) {
           this.onMessageReceived(message, msgType);
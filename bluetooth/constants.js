@@ -5,6 +5,8 @@
  * message exchange over Bluetooth Low Energy.
  */
 
+import { ErrorCode } from "../crypto/errors.js";
+
 // Lifeline Mesh Service UUID (randomly generated, unique to this project)
 export const SERVICE_UUID = "a1b2c3d4-e5f6-7890-abcd-ef1234567890";
 
@@ -56,13 +58,13 @@ export const CONFIG = {
   CHUNK_DELAY_MS: 50
 };
 
-// Error codes
+// Error codes (LifelineMeshError codes, see crypto/errors.js)
 export const BLE_ERROR = {
-  NOT_SUPPORTED: "BLE_NOT_SUPPORTED",
-  PERMISSION_DENIED: "BLE_PERMISSION_DENIED",
-  DEVICE_NOT_FOUND: "BLE_DEVICE_NOT_FOUND",
-  CONNECTION_FAILED: "BLE_CONNECTION_FAILED",
-  DISCONNECTED: "BLE_DISCONNECTED",
-  SEND_FAILED: "BLE_SEND_FAILED",
-  RECEIVE_FAILED: "BLE_RECEIVE_FAILED"
+  NOT_SUPPORTED: ErrorCode.BLE_NOT_SUPPORTED,
+  PERMISSION_DENIED: ErrorCode.BLE_PERMISSION_DENIED,
+  DEVICE_NOT_FOUND: ErrorCode.BLE_DEVICE_NOT_FOUND,
+  CONNECTION_FAILED: ErrorCode.BLE_CONNECTION_FAILED,
+  DISCONNECTED: ErrorCode.BLE_DISCONNECTED,
+  SEND_FAILED: ErrorCode.BLE_SEND_FAILED,
+  RECEIVE_FAILED: ErrorCode.BLE_RECEIVE_FAILED
 };
@@ -0,0 +1,525 @@
+/**
+ * Lifeline Mesh - Payload Compression
+ *
+ * Minimal raw DEFLATE (RFC 1951) in pure JS, no dependencies:
+ * - deflateRaw: LZ77 + one fixed or dynamic Huffman block (whichever is smaller)
+ * - inflateRaw: full decoder (stored, fixed and dynamic blocks) with an output limit
+ *
+ * Output is interoperable with zlib's raw deflate (windowBits -15).
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64; // Hash chain candidates checked per position
+const HASH_BITS = 15;
+const HASH_SIZE = 1 << HASH_BITS;
+
+const MAX_CODE_BITS = 15;
+const MAX_CL_BITS = 7;
+const END_OF_BLOCK = 256;
+
+// Length codes 257..285
+const LBASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LEXT = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+// Distance codes 0..29
+const DBASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DEXT = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+// Order of code length code lengths in a dynamic block header
+const CL_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Code lengths of the fixed Huffman block (BTYPE=01)
+ * @returns {{lit: Uint8Array, dist: Uint8Array}}
+ */
+function fixedLengths() {
+  const lit = new Uint8Array(288);
+  lit.fill(8, 0, 144);
+  lit.fill(9, 144, 256);
+  lit.fill(7, 256, 280);
+  lit.fill(8, 280, 288);
+  const dist = new Uint8Array(30).fill(5);
+  return { lit, dist };
+}
+
+// ============================================================================
+// Inflate
+// ============================================================================
+
+/**
+ * Build a canonical Huffman decoding table from code lengths
+ * @param {Uint8Array} lengths - Code length per symbol (0 = unused)
+ * @returns {{count: Uint16Array, symbol: Uint16Array}}
+ */
+function buildDecoder(lengths) {
+  const count = new Uint16Array(MAX_CODE_BITS + 1);
+  for (const len of lengths) count[len]++;
+  count[0] = 0;
+
+  const offsets = new Uint16Array(MAX_CODE_BITS + 1);
+  for (let len = 1; len <= MAX_CODE_BITS; len++) {
+    offsets[len] = offsets[len - 1] + count[len - 1];
+  }
+
+  const symbol = new Uint16Array(lengths.length);
+  for (let s = 0; s < lengths.length; s++) {
+    if (lengths[s]) symbol[offsets[lengths[s]]++] = s;
+  }
+  return { count, symbol };
+}
+
+/**
+ * Decompress raw DEFLATE data
+ *
+ * @param {Uint8Array} data - Compressed bytes
+ * @param {number} [maxLength] - Maximum decompressed size (compression bomb guard)
+ * @returns {Uint8Array} - Decompressed bytes
+ */
+export function inflateRaw(data, maxLength = Infinity) {
+  let pos = 0;
+  let bitBuf = 0;
+  let bitCnt = 0;
+
+  let out = new Uint8Array(Math.min(Math.max(data.length * 4, 1024), maxLength));
+  let outLen = 0;
+
+  const bits = (n) => {
+    while (bitCnt < n) {
+      if (pos >= data.length) throw new Error("Compressed data truncated");
+      bitBuf |= data[pos++] << bitCnt;
+      bitCnt += 8;
+    }
+    const value = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCnt -= n;
+    return value;
+  };
+
+  const decodeSymbol = (table) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len <= MAX_CODE_BITS; len++) {
+      code |= bits(1);
+      const count = table.count[len];
+      if (code - first < count) return table.symbol[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error("Invalid Huffman code");
+  };
+
+  const push = (byte) => {
+    if (outLen >= maxLength) throw new Error("Decompressed size limit exceeded");
+    if (outLen === out.length) {
+      const grown = new Uint8Array(Math.min(out.length * 2, maxLength));
+      grown.set(out);
+      out = grown;
+    }
+    out[outLen++] = byte;
+  };
+
+  const readDynamicTables = () => {
+    const hlit = bits(5) + 257;
+    const hdist = bits(5) + 1;
+    const hclen = bits(4) + 4;
+    if (hlit > 286 || hdist > 30) throw new Error("Invalid dynamic block header");
+
+    const clLengths = new Uint8Array(19);
+    for (let i = 0; i < hclen; i++) clLengths[CL_ORDER[i]] = bits(3);
+    const clTable = buildDecoder(clLengths);
+
+    const lengths = new Uint8Array(hlit + hdist);
+    for (let i = 0; i < lengths.length;) {
+      const sym = decodeSymbol(clTable);
+      if (sym < 16) {
+        lengths[i++] = sym;
+        continue;
+      }
+      let value = 0;
+      let repeat;
+      if (sym === 16) {
+        if (i === 0) throw new Error("Invalid code lengths");
+        value = lengths[i - 1];
+        repeat = 3 + bits(2);
+      } else if (sym === 17) {
+        repeat = 3 + bits(3);
+      } else {
+        repeat = 11 + bits(7);
+      }
+      if (i + repeat > lengths.length) throw new Error("Invalid code lengths");
+      lengths.fill(value, i, i + repeat);
+      i += repeat;
+    }
+
+    return {
+      lit: buildDecoder(lengths.subarray(0, hlit)),
+      dist: buildDecoder(lengths.subarray(hlit))
+    };
+  };
+
+  let final;
+  do {
+    final = bits(1);
+    const type = bits(2);
+
+    if (type === 0) {
+      // Stored block: skip to byte boundary
+      bitBuf = 0;
+      bitCnt = 0;
+      if (pos + 4 > data.length) throw new Error("Compressed data truncated");
+      const len = data[pos] | (data[pos + 1] << 8);
+      const nlen = data[pos + 2] | (data[pos + 3] << 8);
+      pos += 4;
+      if (len !== (~nlen & 0xffff)) throw new Error("Invalid stored block");
+      if (pos + len > data.length) throw new Error("Compressed data truncated");
+      for (let i = 0; i < len; i++) push(data[pos++]);
+    } else if (type === 1 || type === 2) {
+      let tables;
+      if (type === 1) {
+        const fixed = fixedLengths();
+        tables = { lit: buildDecoder(fixed.lit), dist: buildDecoder(fixed.dist) };
+      } else {
+        tables = readDynamicTables();
+      }
+
+      for (;;) {
+        const sym = decodeSymbol(tables.lit);
+        if (sym < 256) {
+          push(sym);
+        } else if (sym === END_OF_BLOCK) {
+          break;
+        } else {
+          const li = sym - 257;
+          if (li >= LBASE.length) throw new Error("Invalid length code");
+          const len = LBASE[li] + bits(LEXT[li]);
+          const ds = decodeSymbol(tables.dist);
+          if (ds >= DBASE.length) throw new Error("Invalid distance code");
+          const dist = DBASE[ds] + bits(DEXT[ds]);
+          if (dist > outLen) throw new Error("Invalid distance");
+          for (let i = 0; i < len; i++) push(out[outLen - dist]);
+        }
+      }
+    } else {
+      throw new Error("Invalid block type");
+    }
+  } while (!final);
+
+  return out.slice(0, outLen);
+}
+
+// ============================================================================
+// Deflate
+// ============================================================================
+
+/**
+ * LZ77 tokenization with hash chains
+ * @param {Uint8Array} data - Input bytes
+ * @returns {{values: number[], dists: number[]}} - dist 0: literal byte, otherwise match length
+ */
+function tokenize(data) {
+  const head = new Int32Array(HASH_SIZE).fill(-1);
+  const prev = new Int32Array(data.length);
+  const values = [];
+  const dists = [];
+
+  const hash = (i) => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & (HASH_SIZE - 1);
+  const insert = (i) => {
+    if (i + MIN_MATCH <= data.length) {
+      const h = hash(i);
+      prev[i] = head[h];
+      head[h] = i;
+    }
+  };
+
+  let i = 0;
+  while (i < data.length) {
+    let bestLen = 0;
+    let bestDist = 0;
+
+    if (i + MIN_MATCH <= data.length) {
+      const maxLen = Math.min(MAX_MATCH, data.length - i);
+      let candidate = head[hash(i)];
+      let chain = MAX_CHAIN;
+      while (candidate >= 0 && i - candidate <= WINDOW_SIZE && chain-- > 0) {
+        let len = 0;
+        while (len < maxLen && data[candidate + len] === data[i + len]) len++;
+        if (len > bestLen) {
+          bestLen = len;
+          bestDist = i - candidate;
+          if (len === maxLen) break;
+        }
+        candidate = prev[candidate];
+      }
+    }
+
+    if (bestLen >= MIN_MATCH) {
+      values.push(bestLen);
+      dists.push(bestDist);
+      for (let k = 0; k < bestLen; k++) insert(i + k);
+      i += bestLen;
+    } else {
+      values.push(data[i]);
+      dists.push(0);
+      insert(i);
+      i++;
+    }
+  }
+
+  return { values, dists };
+}
+
+/**
+ * Find the length or distance code for a value
+ * @param {number[]} base - LBASE or DBASE
+ * @param {number} value - Match length or distance
+ * @returns {number}
+ */
+function baseIndex(base, value) {
+  let i = 0;
+  while (i < base.length - 1 && base[i + 1] <= value) i++;
+  return i;
+}
+
+/**
+ * Compute Huffman code lengths limited to maxBits
+ * Frequencies are flattened until the tree fits.
+ * @param {Uint32Array} freqs - Symbol frequencies (at least two non-zero)
+ * @param {number} maxBits - Maximum code length
+ * @returns {Uint8Array}
+ */
+function huffmanLengths(freqs, maxBits) {
+  let weights = Array.from(freqs);
+  for (;;) {
+    const lengths = new Uint8Array(weights.length);
+    const queue = [];
+    weights.forEach((w, sym) => {
+      if (w > 0) queue.push({ w, sym });
+    });
+    queue.sort((a, b) => a.w - b.w);
+
+    while (queue.length > 1) {
+      const left = queue.shift();
+      const right = queue.shift();
+      const node = { w: left.w + right.w, left, right };
+      let k = 0;
+      while (k < queue.length && queue[k].w <= node.w) k++;
+      queue.splice(k, 0, node);
+    }
+
+    let tooLong = false;
+    const walk = (node, depth) => {
+      if (node.left) {
+        walk(node.left, depth + 1);
+        walk(node.right, depth + 1);
+      } else {
+        lengths[node.sym] = depth;
+        if (depth > maxBits) tooLong = true;
+      }
+    };
+    walk(queue[0], 0);
+
+    if (!tooLong) return lengths;
+    weights = weights.map(w => (w > 0 ? (w >> 1) | 1 : 0));
+  }
+}
+
+/**
+ * Make sure a Huffman tree has at least two symbols (complete code)
+ * @param {Uint32Array} freqs - Symbol frequencies (modified in place)
+ */
+function ensureTwoSymbols(freqs) {
+  let used = freqs.reduce((n, f) => n + (f > 0 ? 1 : 0), 0);
+  for (let s = 0; used < 2; s++) {
+    if (freqs[s] === 0) {
+      freqs[s] = 1;
+      used++;
+    }
+  }
+}
+
+/**
+ * Assign canonical Huffman codes from code lengths
+ * @param {Uint8Array} lengths - Code lengths
+ * @returns {Uint16Array}
+ */
+function canonicalCodes(lengths) {
+  const blCount = new Uint16Array(MAX_CODE_BITS + 1);
+  for (const len of lengths) if (len) blCount[len]++;
+
+  const nextCode = new Uint16Array(MAX_CODE_BITS + 1);
+  let code = 0;
+  for (let len = 1; len <= MAX_CODE_BITS; len++) {
+    code = (code + blCount[len - 1]) << 1;
+    nextCode[len] = code;
+  }
+
+  const codes = new Uint16Array(lengths.length);
+  for (let s = 0; s < lengths.length; s++) {
+    if (lengths[s]) codes[s] = nextCode[lengths[s]]++;
+  }
+  return codes;
+}
+
+/**
+ * LSB-first bit writer
+ */
+function createBitWriter() {
+  const bytes = [];
+  let buf = 0;
+  let cnt = 0;
+
+  const write = (value, n) => {
+    buf |= value << cnt;
+    cnt += n;
+    while (cnt >= 8) {
+      bytes.push(buf & 0xff);
+      buf >>>= 8;
+      cnt -= 8;
+    }
+  };
+
+  // Huffman codes are packed starting with the most significant bit
+  const writeCode = (code, len) => {
+    let reversed = 0;
+    for (let i = 0; i < len; i++) reversed = (reversed << 1) | ((code >> i) & 1);
+    write(reversed, len);
+  };
+
+  const finish = () => {
+    if (cnt > 0) bytes.push(buf & 0xff);
+    return Uint8Array.from(bytes);
+  };
+
+  return { write, writeCode, finish };
+}
+
+/**
+ * Write LZ77 tokens with the given literal/length and distance codes
+ */
+function writeTokens(w, tokens, lit, dist) {
+  const { values, dists } = tokens;
+  for (let i = 0; i < values.length; i++) {
+    if (dists[i] === 0) {
+      w.writeCode(lit.codes[values[i]], lit.lengths[values[i]]);
+      continue;
+    }
+    const li = baseIndex(LBASE, values[i]);
+    w.writeCode(lit.codes[257 + li], lit.lengths[257 + li]);
+    w.write(values[i] - LBASE[li], LEXT[li]);
+    const di = baseIndex(DBASE, dists[i]);
+    w.writeCode(dist.codes[di], dist.lengths[di]);
+    w.write(dists[i] - DBASE[di], DEXT[di]);
+  }
+  w.writeCode(lit.codes[END_OF_BLOCK], lit.lengths[END_OF_BLOCK]);
+}
+
+/**
+ * Encode tokens as a single fixed Huffman block
+ */
+function fixedBlock(tokens) {
+  const fixed = fixedLengths();
+  const w = createBitWriter();
+  w.write(1, 1); // BFINAL
+  w.write(1, 2); // BTYPE=01
+  writeTokens(w, tokens,
+    { lengths: fixed.lit, codes: canonicalCodes(fixed.lit) },
+    { lengths: fixed.dist, codes: canonicalCodes(fixed.dist) });
+  return w.finish();
+}
+
+/**
+ * Encode tokens as a single dynamic Huffman block
+ */
+function dynamicBlock(tokens) {
+  const litFreq = new Uint32Array(286);
+  const distFreq = new Uint32Array(30);
+  const { values, dists } = tokens;
+  for (let i = 0; i < values.length; i++) {
+    if (dists[i] === 0) {
+      litFreq[values[i]]++;
+    } else {
+      litFreq[257 + baseIndex(LBASE, values[i])]++;
+      distFreq[baseIndex(DBASE, dists[i])]++;
+    }
+  }
+  litFreq[END_OF_BLOCK] = 1;
+  ensureTwoSymbols(litFreq);
+  ensureTwoSymbols(distFreq);
+
+  const litLengths = huffmanLengths(litFreq, MAX_CODE_BITS);
+  const distLengths = huffmanLengths(distFreq, MAX_CODE_BITS);
+
+  let hlit = 286;
+  while (hlit > 257 && litLengths[hlit - 1] === 0) hlit--;
+  let hdist = 30;
+  while (hdist > 1 && distLengths[hdist - 1] === 0) hdist--;
+
+  // Run-length encode the code lengths (symbols 16, 17, 18)
+  const all = [...litLengths.subarray(0, hlit), ...distLengths.subarray(0, hdist)];
+  const clTokens = []; // [symbol, extraBits, extraValue]
+  for (let i = 0; i < all.length;) {
+    const len = all[i];
+    let run = 1;
+    while (i + run < all.length && all[i + run] === len) run++;
+
+    if (len === 0 && run >= 3) {
+      const r = Math.min(run, 138);
+      clTokens.push(r >= 11 ? [18, 7, r - 11] : [17, 3, r - 3]);
+      i += r;
+    } else if (len !== 0 && run >= 4) {
+      const r = Math.min(run - 1, 6);
+      clTokens.push([len, 0, 0], [16, 2, r - 3]);
+      i += 1 + r;
+    } else {
+      clTokens.push([len, 0, 0]);
+      i++;
+    }
+  }
+
+  const clFreq = new Uint32Array(19);
+  for (const [sym] of clTokens) clFreq[sym]++;
+  ensureTwoSymbols(clFreq);
+  const clLengths = huffmanLengths(clFreq, MAX_CL_BITS);
+  const clCodes = canonicalCodes(clLengths);
+
+  let hclen = 19;
+  while (hclen > 4 && clLengths[CL_ORDER[hclen - 1]] === 0) hclen--;
+
+  const w = createBitWriter();
+  w.write(1, 1); // BFINAL
+  w.write(2, 2); // BTYPE=10
+  w.write(hlit - 257, 5);
+  w.write(hdist - 1, 5);
+  w.write(hclen - 4, 4);
+  for (let i = 0; i < hclen; i++) w.write(clLengths[CL_ORDER[i]], 3);
+  for (const [sym, extraBits, extra] of clTokens) {
+    w.writeCode(clCodes[sym], clLengths[sym]);
+    if (extraBits) w.write(extra, extraBits);
+  }
+
+  writeTokens(w, tokens,
+    { lengths: litLengths, codes: canonicalCodes(litLengths) },
+    { lengths: distLengths, codes: canonicalCodes(distLengths) });
+  return w.finish();
+}
+
+/**
+ * Compress bytes with raw DEFLATE
+ *
+ * @param {Uint8Array} data - Input bytes
+ * @returns {Uint8Array} - Compressed bytes (a single fixed or dynamic block)
+ */
+export function deflateRaw(data) {
+  const tokens = tokenize(data);
+  const fixed = fixedBlock(tokens);
+  const dynamic = dynamicBlock(tokens);
+  return dynamic.length < fixed.length ? dynamic : fixed;
+}
@@ -7,13 +7,85 @@
  * Dependencies: TweetNaCl, TweetNaCl-util
  */
 
+import { deflateRaw, inflateRaw } from "./compress.js";
+import { encodeShards, decodeShards, MAX_SHARDS } from "./fec.js";
+import { validatePayload, buildAck, REVISION_TYPES } from "./payload.js";
+import { ErrorCode, createError } from "./errors.js";
+
 // ============================================================================
 // Constants
 // ============================================================================
 
 export const DOMAIN = "DMESH_MSG_V1";
+export const DOMAIN_MULTI = "DMESH_MUL_V1";
+export const DOMAIN_KEYROTATE = "DMESH_ROT_V1";
+export const DOMAIN_BROADCAST = "DMESH_BCAST_V1";
+export const DOMAIN_SEALED = "DMESH_SEAL_V1";
+export const DOMAIN_IDENTITY = "DMESH_ID_V2";
+export const DOMAIN_REVOKE = "DMESH_REVOKE_V1";
+export const DOMAIN_CHUNK_MANIFEST = "DMESH_CHUNK_V1";
+export const DOMAIN_TAGGED = "DMESH_TAG_V1";
+export const DOMAIN_RECIPIENT_TAG = "DMESH_RTAG_V2";
 export const MAX_BYTES = 150 * 1024; // 150 KB
 
+// Multi-recipient messages (one ciphertext, per-recipient wrapped key)
+export const MAX_RECIPIENTS = 32;
+
+// Encrypted message kinds accepted by decryptMessage
+export const MESSAGE_KINDS = ["dmesh-msg", "dmesh-msg-multi", "dmesh-msg-sealed"];
+
+// Sealed sender (v1.2): plaintext = senderSignPK || senderBoxPK || signature || payload
+export const SEALED_HEADER_LENGTH = 32 + 32 + 64;
+
+// Recipient tags (v1.2): dmesh-msg may carry a rotating tag instead of recipientBoxPK
+export const RECIPIENT_TAG_BYTES = 16;
+export const RECIPIENT_TAG_EPOCH_MS = 24 * 60 * 60 * 1000; // Tags rotate daily (epoch of the signed ts)
+
+// Peer-to-peer anti-entropy exchange (see sync.js)
+export const SYNC_KIND = "dmesh-sync";
+
+// Message kinds accepted by the transports (group messages: see group.js)
+export const TRANSPORT_KINDS = [...MESSAGE_KINDS, "dmesh-group-msg", "dmesh-broadcast", SYNC_KIND];
+
+// Safety numbers (v1.2): iterated SHA-512 over both full public keys
+export const DOMAIN_SAFETY = "DMESH_SN_V2";
+export const SAFETY_NUMBER_VERSION = 2;
+export const SAFETY_NUMBER_ITERATIONS = 5200;
+export const VERIFY_KIND = "dmesh-verify"; // Verification QR payload
+
+// Identity objects exchanged alongside messages (contact cards, key rotations,
+// introductions, revocation certificates)
+export const IDENTITY_KINDS = ["dmesh-id", "dmesh-keyrotate", "dmesh-intro", "dmesh-revoke"];
+
+// Revocation certificates (v1.2)
+export const REVOCATION_REASONS = ["unspecified", "compromised", "lost", "superseded"];
+
+// Self-signed identities (dmesh-id v2)
+export const IDENTITY_VERSION = 2;
+export const DEFAULT_IDENTITY_TTL_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+export const MAX_IDENTITY_NAME_BYTES = 256;
+export const MAX_IDENTITY_META_BYTES = 1024;
+
+// Binary wire format (v1.2): first byte never collides with JSON ("{" / whitespace)
+export const BINARY_MAGIC = 0xdb;
+export const BINARY_VERSION = 1;
+export const BINARY_KIND_CODES = {
+  "dmesh-msg": 0x01,
+  "dmesh-msg-multi": 0x02
+};
+const BINARY_FLAG_EXP = 0x01;
+const BINARY_FLAG_TAG = 0x02; // dmesh-msg: recipient field is a recipientTag
+
+// Payload framing (v1.2): legacy payloads start with "{", framed ones with a flags byte
+export const PAYLOAD_FLAG_DEFLATE = 0x01;
+export const PAYLOAD_FLAG_PADDED = 0x02;
+const PAYLOAD_FLAGS_KNOWN = PAYLOAD_FLAG_DEFLATE | PAYLOAD_FLAG_PADDED;
+
+// Length-hiding padding: framed plaintext is padded up to the next bucket size
+// (multiples of the largest bucket beyond it)
+export const PADDING_BUCKETS = [256, 1024, 4096, 16384, 65536];
+export const MAX_DECOMPRESSED_BYTES = 256 * 1024; // Compression bomb guard
+
 // v1.0 (legacy): Strict timestamp skew
 export const MAX_SKEW_MS = 10 * 60 * 1000; // 10 minutes
 
@@ -28,6 +100,23 @@ export const SMS_MAX_CHUNK_SIZE = 1200;
 export const LORA_MAX_CHUNK_SIZE = 200;
 export const BLE_MAX_CHUNK_SIZE = 512;
 
+// Erasure-coded chunks (v1.2): any k of n chunks rebuild the message
+export const CHUNK_KIND = "dmesh-chunk";
+export const FEC_CHUNK_KIND = "dmesh-chunk-fec";
+export const CHUNK_KINDS = [CHUNK_KIND, FEC_CHUNK_KIND];
+export const MAX_FEC_CHUNKS = MAX_SHARDS;
+
+// Signed chunk manifests (v1.2): per-chunk hashes, checked as chunks arrive
+export const CHUNK_MANIFEST_KIND = "dmesh-chunk-manifest";
+export const CHUNK_HASH_BYTES = 16; // Truncated SHA-512 of the chunk data
+
+// Compact binary chunk frames (v1.2) for LoRa-sized MTUs
+export const CHUNK_FRAME_MAGIC = 0xdc; // Never "{" / whitespace / BINARY_MAGIC
+export const CHUNK_FRAME_VERSION = 1;
+export const CHUNK_FRAME_MSGID_BYTES = 8; // Truncated msgId; the full one is re-derived on reassembly
+export const COMPACT_CHUNK_THRESHOLD = 256; // chunkMessage picks compact frames at or below this size
+const CHUNK_FRAME_FLAG_FEC = 0x01;
+
 // Legacy alias
 export const REPLAY_RETENTION_MS = SEEN_RETENTION_MS;
 
@@ -79,6 +168,48 @@ export function u64beFromNumber(ts) {
   return b;
 }
 
+// ============================================================================
+// Runtime Context (clock and randomness)
+// ============================================================================
+
+/**
+ * Clock and randomness source
+ *
+ * Functions that read the time or generate keys, nonces or IDs accept a
+ * context as their optional last argument. Missing fields fall back to
+ * Date.now() and nacl.randomBytes, so passing nothing keeps the usual
+ * behaviour; simulations and the test-vector generator pass a fixed clock
+ * and a seeded byte source to run deterministically.
+ *
+ * @typedef {object} Context
+ * @property {function(): number} [now] - Current time (Unix milliseconds)
+ * @property {function(number): Uint8Array} [randomBytes] - Returns n random bytes
+ */
+
+/**
+ * Current time from a context
+ * @param {Context} [ctx]
+ * @returns {number} - Unix milliseconds
+ */
+export function ctxNow(ctx) {
+  return ctx?.now ? ctx.now() : Date.now();
+}
+
+/**
+ * Random bytes from a context
+ * @param {number} n - Number of bytes
+ * @param {object} nacl - TweetNaCl instance
+ * @param {Context} [ctx]
+ * @returns {Uint8Array}
+ */
+export function ctxRandomBytes(n, nacl, ctx) {
+  const bytes = ctx?.randomBytes ? ctx.randomBytes(n) : nacl.randomBytes(n);
+  if (!(bytes instanceof Uint8Array) || bytes.length !== n) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "context randomBytes returned wrong length");
+  }
+  return bytes;
+}
+
 // ============================================================================
 // Fingerprint
 // ============================================================================
@@ -111,6 +242,126 @@ export function messageIdFromCiphertext(ciphertext, nacl) {
   return h.slice(0, 32); // First 32 bytes (SHA-256 equivalent)
 }
 
+// ============================================================================
+// Recipient Tags (v1.2)
+// ============================================================================
+
+/**
+ * Derive the rotating recipient tag between a sender and a recipient
+ *
+ * tag = SHA-512(DOMAIN_RECIPIENT_TAG || shared || recipientBoxPK || epoch_u32be)[0..16]
+ * with shared = nacl.box.before(peerBoxPK, boxSK) over the two long-term box
+ * keys and epoch = floor(ts / RECIPIENT_TAG_EPOCH_MS).
+ *
+ * The sender passes its own secret key and the recipient's public key; the
+ * recipient passes its secret key and the message's senderBoxPK. Both get the
+ * same shared secret, so both get the same tag. Public keys alone are not
+ * enough: a relay cannot compute the tags of a known recipient, nor link one
+ * day's tag to the next.
+ *
+ * @param {object} params
+ * @param {Uint8Array} params.boxSK - Own X25519 secret key (sender's or recipient's)
+ * @param {Uint8Array} params.peerBoxPK - The other party's X25519 public key
+ * @param {Uint8Array} params.recipientBoxPK - Recipient's X25519 public key
+ * @param {number} ts - Message timestamp (Unix milliseconds)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array} - 16-byte tag
+ */
+export function deriveRecipientTag({ boxSK, peerBoxPK, recipientBoxPK }, ts, nacl, naclUtil) {
+  const shared = nacl.box.before(peerBoxPK, boxSK);
+  return tagFromShared(shared, recipientBoxPK, Math.floor(ts / RECIPIENT_TAG_EPOCH_MS), nacl, naclUtil);
+}
+
+/**
+ * Hash a shared secret into the tag of one epoch
+ * @param {Uint8Array} shared - nacl.box.before output
+ * @param {Uint8Array} recipientBoxPK
+ * @param {number} epoch
+ * @param {object} nacl
+ * @param {object} naclUtil
+ * @returns {Uint8Array}
+ */
+function tagFromShared(shared, recipientBoxPK, epoch, nacl, naclUtil) {
+  const h = nacl.hash(concatU8([naclUtil.decodeUTF8(DOMAIN_RECIPIENT_TAG), shared, recipientBoxPK, u32be(epoch)]));
+  return h.slice(0, RECIPIENT_TAG_BYTES);
+}
+
+/**
+ * All tags known senders may use for a recipient, for messages up to maxAgeMs old
+ *
+ * A peer hands this set to relays (RelayPeer.tags) so they can pick out its
+ * tagged messages without learning its box key. Tags depend on the sender,
+ * so only senders listed here (normally the contact list) are covered; a
+ * tagged message from a stranger is not picked out for the peer.
+ *
+ * @param {object} params
+ * @param {Uint8Array} params.recipientBoxPK - Recipient's X25519 public key
+ * @param {Uint8Array} params.recipientBoxSK - Recipient's X25519 secret key
+ * @param {Uint8Array[]} params.senderBoxPKs - Box keys of the senders to cover
+ * @param {number} [params.maxAgeMs] - Oldest message timestamp covered (defaults to SEEN_RETENTION_MS)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Set<string>} - Tags (base64)
+ */
+export function recipientTagsFor({ recipientBoxPK, recipientBoxSK, senderBoxPKs, maxAgeMs = SEEN_RETENTION_MS }, nacl, naclUtil, ctx) {
+  const now = ctxNow(ctx);
+  const tags = new Set();
+  const first = Math.floor((now - maxAgeMs) / RECIPIENT_TAG_EPOCH_MS);
+  const last = Math.floor((now + MAX_SKEW_MS) / RECIPIENT_TAG_EPOCH_MS);
+  for (const senderBoxPK of senderBoxPKs) {
+    const shared = nacl.box.before(senderBoxPK, recipientBoxSK);
+    for (let epoch = first; epoch <= last; epoch++) {
+      tags.add(naclUtil.encodeBase64(tagFromShared(shared, recipientBoxPK, epoch, nacl, naclUtil)));
+    }
+  }
+  return tags;
+}
+
+/**
+ * Check whether a message is addressed to a box key, without decrypting it
+ *
+ * Understands recipientBoxPK and recipientTag (dmesh-msg), the recipient
+ * list (dmesh-msg-multi) and sealed envelopes. A recipientTag can only be
+ * matched with the secret key; without it tagged messages return false.
+ * decryptMessage still does the full verification.
+ *
+ * @param {object} message - Encrypted message object
+ * @param {Uint8Array} recipientBoxPK - Own X25519 public key
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Uint8Array} [recipientBoxSK] - Own X25519 secret key (needed for tagged messages)
+ * @returns {boolean}
+ */
+export function isAddressedTo(message, recipientBoxPK, nacl, naclUtil, recipientBoxSK) {
+  if (!message || message.v !== 1) return false;
+  const boxPKB64 = naclUtil.encodeBase64(recipientBoxPK);
+  switch (message.kind) {
+    case "dmesh-msg":
+      if (message.recipientTag !== undefined) {
+        const ts = Number(message.ts);
+        if (!recipientBoxSK || !Number.isSafeInteger(ts)) return false;
+        let senderBoxPK;
+        try {
+          senderBoxPK = naclUtil.decodeBase64(message.senderBoxPK);
+        } catch {
+          return false;
+        }
+        if (senderBoxPK.length !== nacl.box.publicKeyLength) return false;
+        const tag = deriveRecipientTag({ boxSK: recipientBoxSK, peerBoxPK: senderBoxPK, recipientBoxPK }, ts, nacl, naclUtil);
+        return naclUtil.encodeBase64(tag) === message.recipientTag;
+      }
+      return message.recipientBoxPK === boxPKB64;
+    case "dmesh-msg-sealed":
+      return message.recipientBoxPK === boxPKB64;
+    case "dmesh-msg-multi":
+      return Array.isArray(message.recipients) && message.recipients.some(r => r?.boxPK === boxPKB64);
+    default:
+      return false;
+  }
+}
+
 // ============================================================================
 // Expiration Validation (v1.1 DTN)
 // ============================================================================
@@ -122,10 +373,11 @@ export function messageIdFromCiphertext(ciphertext, nacl) {
  * @param {object} message - Message object with ts and optional exp
  * @param {object} [options] - Validation options
  * @param {boolean} [options.strictMode=false] - Use v1.0 strict timestamp validation
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
  * @returns {boolean} - True if message is valid
  */
-export function isMessageValid(message, options = {}) {
-  const now = Date.now();
+export function isMessageValid(message, options = {}, ctx) {
+  const now = ctxNow(ctx);
 
   // v1.0 strict mode (legacy)
   if (options.strictMode) {
@@ -152,13 +404,15 @@ export function calculateExpiration(ts, ttlMs = DEFAULT_TTL_MS) {
 }
 
 // ============================================================================
-// Safety Numbers (v1.1)
+// Safety Numbers (v1.1, v2 numbers: v1.2)
 // ============================================================================
 
 /**
  * Generate a human-readable safety number from fingerprints
  * Used for out-of-band verification of contact identity
  *
+ * Legacy (v1): only 32 bits, use generateSafetyNumberV2 for verification.
+ *
  * @param {Uint8Array} fp1 - First fingerprint (16 bytes)
  * @param {Uint8Array} fp2 - Second fingerprint (16 bytes)
  * @returns {string} - 8-digit safety number (e.g., "1234-5678")
@@ -187,6 +441,331 @@ export function generateSafetyNumber(fp1, fp2) {
   return `${padded.slice(0, 4)}-${padded.slice(4)}`;
 }
 
+/**
+ * 30-digit half of a v2 safety number for one identity
+ * @param {{signPK: Uint8Array, boxPK: Uint8Array}} keys - Public keys
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {string}
+ */
+function safetyNumberHalf({ signPK, boxPK }, nacl, naclUtil) {
+  const keys = concatU8([signPK, boxPK]);
+  let hash = nacl.hash(concatU8([naclUtil.decodeUTF8(DOMAIN_SAFETY), keys]));
+  for (let i = 0; i < SAFETY_NUMBER_ITERATIONS; i++) {
+    hash = nacl.hash(concatU8([hash, keys]));
+  }
+
+  // 6 groups of 5 digits, each from 5 bytes (uint40 mod 100000)
+  let digits = "";
+  for (let i = 0; i < 30; i += 5) {
+    let n = 0;
+    for (let j = 0; j < 5; j++) {
+      n = n * 256 + hash[i + j];
+    }
+    digits += (n % 100000).toString().padStart(5, "0");
+  }
+  return digits;
+}
+
+/**
+ * Generate a 60-digit safety number (v2) covering both full public keys
+ *
+ * Each party's keys (signPK || boxPK) are hashed with SHA-512
+ * SAFETY_NUMBER_ITERATIONS times into 30 digits; the two halves are
+ * concatenated in sorted order, so both parties see the same number.
+ *
+ * @param {{signPK: Uint8Array, boxPK: Uint8Array}} localKeys - Own public keys
+ * @param {{signPK: Uint8Array, boxPK: Uint8Array}} remoteKeys - Contact's public keys
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {string} - 12 groups of 5 digits separated by spaces
+ */
+export function generateSafetyNumberV2(localKeys, remoteKeys, nacl, naclUtil) {
+  const halves = [
+    safetyNumberHalf(localKeys, nacl, naclUtil),
+    safetyNumberHalf(remoteKeys, nacl, naclUtil)
+  ].sort();
+  return (halves[0] + halves[1]).match(/\d{5}/g).join(" ");
+}
+
+/**
+ * Create a verification code to show as QR to a contact
+ *
+ * The contact scans it and compares it against its own view of both keys
+ * (checkVerificationCode); a match marks us verified on their side.
+ *
+ * @param {object} params
+ * @param {{signPK: Uint8Array, boxPK: Uint8Array}} params.localKeys - Own public keys
+ * @param {{signPK: Uint8Array, boxPK: Uint8Array}} params.remoteKeys - Contact's public keys as stored locally
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {{v: number, kind: string, version: number, fp: string, peerFp: string, safetyNumber: string}}
+ */
+export function createVerificationCode({ localKeys, remoteKeys }, nacl, naclUtil) {
+  return {
+    v: 1,
+    kind: VERIFY_KIND,
+    version: SAFETY_NUMBER_VERSION,
+    fp: naclUtil.encodeBase64(fingerprintFromSignPK(localKeys.signPK, nacl)),
+    peerFp: naclUtil.encodeBase64(fingerprintFromSignPK(remoteKeys.signPK, nacl)),
+    safetyNumber: generateSafetyNumberV2(localKeys, remoteKeys, nacl, naclUtil)
+  };
+}
+
+/**
+ * Check a scanned verification code against our view of both keys
+ *
+ * @param {object} params
+ * @param {object} params.code - Scanned verification code (dmesh-verify)
+ * @param {{signPK: Uint8Array, boxPK: Uint8Array}} params.localKeys - Own public keys
+ * @param {{signPK: Uint8Array, boxPK: Uint8Array}} params.remoteKeys - Stored keys of the contact that showed the code
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {true}
+ */
+export function checkVerificationCode({ code, localKeys, remoteKeys }, nacl, naclUtil) {
+  if (!code || code.v !== 1 || code.kind !== VERIFY_KIND) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "Invalid verification code");
+  }
+  if (code.version !== SAFETY_NUMBER_VERSION) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "Unsupported safety number version");
+  }
+  if (code.peerFp !== naclUtil.encodeBase64(fingerprintFromSignPK(localKeys.signPK, nacl))) {
+    throw createError(ErrorCode.SAFETY_NUMBER_MISMATCH, "Verification code is for another identity");
+  }
+  if (code.fp !== naclUtil.encodeBase64(fingerprintFromSignPK(remoteKeys.signPK, nacl))) {
+    throw createError(ErrorCode.SAFETY_NUMBER_MISMATCH, "Verification code is from another contact");
+  }
+  if (code.safetyNumber !== generateSafetyNumberV2(localKeys, remoteKeys, nacl, naclUtil)) {
+    throw createError(ErrorCode.SAFETY_NUMBER_MISMATCH);
+  }
+  return true;
+}
+
+// ============================================================================
+// Binary Wire Format (v1.2)
+// ============================================================================
+
+/**
+ * Read an 8-byte big-endian timestamp
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Byte offset
+ * @returns {number}
+ */
+function readU64be(bytes, offset) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset + offset, 8);
+  return dv.getUint32(0, false) * 4294967296 + dv.getUint32(4, false);
+}
+
+/**
+ * Check whether bytes start with the binary wire format magic
+ * @param {Uint8Array} bytes - Received bytes
+ * @returns {boolean}
+ */
+export function isBinaryMessage(bytes) {
+  return bytes instanceof Uint8Array && bytes.length > 0 && bytes[0] === BINARY_MAGIC;
+}
+
+/**
+ * Encode a message into the compact binary wire format
+ *
+ * Layout:
+ *   magic (1) | version (1) | kind (1) | flags (1) | ts_u64be (8) | [exp_u64be (8)]
+ *   dmesh-msg:       senderSignPK (32) | senderBoxPK (32) | recipientBoxPK (32) |
+ *                    ephPK (32) | nonce (24) | signature (64)
+ *                    (flag 0x02: recipientTag (16) instead of recipientBoxPK)
+ *   dmesh-msg-multi: senderSignPK (32) | senderBoxPK (32) | ephPK (32) | nonce (24) |
+ *                    signature (64) | count (1) | count x (boxPK (32) | key (48))
+ *   ct_len_u32be (4) | ciphertext (variable)
+ *
+ * msgId is not transmitted; it is re-derived from the ciphertext.
+ *
+ * @param {object} message - Message object (dmesh-msg or dmesh-msg-multi)
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function encodeMessageBinary(message, naclUtil) {
+  if (!message || message.v !== 1 || !BINARY_KIND_CODES[message.kind]) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT);
+  }
+  const kindCode = BINARY_KIND_CODES[message.kind];
+
+  const hasExp = message.exp !== undefined;
+  const hasTag = message.kind === "dmesh-msg" && message.recipientTag !== undefined;
+  const flags = (hasExp ? BINARY_FLAG_EXP : 0) | (hasTag ? BINARY_FLAG_TAG : 0);
+  const parts = [
+    new Uint8Array([BINARY_MAGIC, BINARY_VERSION, kindCode, flags]),
+    u64beFromNumber(message.ts)
+  ];
+  if (hasExp) parts.push(u64beFromNumber(message.exp));
+
+  parts.push(naclUtil.decodeBase64(message.senderSignPK));
+  parts.push(naclUtil.decodeBase64(message.senderBoxPK));
+  if (message.kind === "dmesh-msg") {
+    parts.push(naclUtil.decodeBase64(hasTag ? message.recipientTag : message.recipientBoxPK));
+  }
+  parts.push(naclUtil.decodeBase64(message.ephPK));
+  parts.push(naclUtil.decodeBase64(message.nonce));
+  parts.push(naclUtil.decodeBase64(message.signature));
+
+  if (message.kind === "dmesh-msg-multi") {
+    if (message.recipients.length > MAX_RECIPIENTS) {
+      throw createError(ErrorCode.INVALID_RECIPIENTS, `too many recipients (max ${MAX_RECIPIENTS})`);
+    }
+    parts.push(new Uint8Array([message.recipients.length]));
+    for (const r of message.recipients) {
+      parts.push(naclUtil.decodeBase64(r.boxPK));
+      parts.push(naclUtil.decodeBase64(r.key));
+    }
+  }
+
+  const ciphertext = naclUtil.decodeBase64(message.ciphertext);
+  parts.push(u32be(ciphertext.length));
+  parts.push(ciphertext);
+
+  return concatU8(parts);
+}
+
+/**
+ * Decode a message from the binary wire format
+ *
+ * Field lengths are fixed, so a truncated or padded input is rejected here;
+ * keys and signatures are still verified by decryptMessage.
+ *
+ * @param {Uint8Array} bytes - Binary message
+ * @param {object|null} nacl - TweetNaCl instance (null: msgId is not derived)
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {object} - Message object (dmesh-msg or dmesh-msg-multi)
+ */
+export function decodeMessageBinary(bytes, nacl, naclUtil) {
+  if (!isBinaryMessage(bytes) || bytes.length < 12) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "not a binary message");
+  }
+  if (bytes[1] !== BINARY_VERSION) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, `unsupported binary version ${bytes[1]}`);
+  }
+  const kind = Object.keys(BINARY_KIND_CODES).find(k => BINARY_KIND_CODES[k] === bytes[2]);
+  if (!kind) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "unknown binary message kind");
+  }
+  const hasExp = (bytes[3] & BINARY_FLAG_EXP) !== 0;
+  const hasTag = kind === "dmesh-msg" && (bytes[3] & BINARY_FLAG_TAG) !== 0;
+
+  let offset = 4;
+  const take = (n) => {
+    if (offset + n > bytes.length) {
+      throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "binary message truncated");
+    }
+    const out = bytes.slice(offset, offset + n);
+    offset += n;
+    return out;
+  };
+  const takeB64 = (n) => naclUtil.encodeBase64(take(n));
+
+  const ts = readU64be(take(8), 0);
+  const exp = hasExp ? readU64be(take(8), 0) : undefined;
+
+  const senderSignPK = takeB64(32);
+  const senderBoxPK = takeB64(32);
+  const recipientBoxPK = kind === "dmesh-msg" && !hasTag ? takeB64(32) : undefined;
+  const recipientTag = hasTag ? takeB64(RECIPIENT_TAG_BYTES) : undefined;
+  const ephPK = takeB64(32);
+  const nonce = takeB64(24);
+  const signature = takeB64(64);
+
+  let recipients;
+  if (kind === "dmesh-msg-multi") {
+    const count = take(1)[0];
+    if (count === 0 || count > MAX_RECIPIENTS) {
+      throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "recipient count invalid");
+    }
+    recipients = [];
+    for (let i = 0; i < count; i++) {
+      recipients.push({ boxPK: takeB64(32), key: takeB64(48) });
+    }
+  }
+
+  const ctLen = new DataView(take(4).buffer).getUint32(0, false);
+  const ciphertext = take(ctLen);
+  if (offset !== bytes.length) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "trailing bytes in binary message");
+  }
+
+  // Rebuild in the same field order as the JSON encoders
+  const message = { v: 1, kind };
+  if (nacl) message.msgId = naclUtil.encodeBase64(messageIdFromCiphertext(ciphertext, nacl));
+  message.ts = ts;
+  if (hasExp) message.exp = exp;
+  message.senderSignPK = senderSignPK;
+  message.senderBoxPK = senderBoxPK;
+  if (recipientBoxPK) message.recipientBoxPK = recipientBoxPK;
+  if (recipientTag) message.recipientTag = recipientTag;
+  message.ephPK = ephPK;
+  message.nonce = nonce;
+  if (recipients) message.recipients = recipients;
+  message.ciphertext = naclUtil.encodeBase64(ciphertext);
+  message.signature = signature;
+  return message;
+}
+
+/**
+ * Parse a JSON wire object
+ * @param {string} text
+ * @returns {object}
+ */
+function parseWireJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw createError(ErrorCode.JSON_PARSE_FAILED, "wire data");
+  }
+}
+
+/**
+ * Parse received transport data in either wire format
+ *
+ * - Uint8Array starting with BINARY_MAGIC: binary message
+ * - Uint8Array starting with CHUNK_FRAME_MAGIC: compact chunk frame
+ * - Uint8Array otherwise: UTF-8 JSON
+ * - String starting with "{": JSON
+ * - Other strings: base64-encoded binary message or chunk frame (QR, clipboard, SMS)
+ *
+ * @param {string|Uint8Array} data - Received data
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {object} - Parsed object (message, chunk or identity)
+ */
+export function parseWireData(data, nacl, naclUtil) {
+  if (data instanceof Uint8Array) {
+    if (isBinaryMessage(data)) {
+      return decodeMessageBinary(data, nacl, naclUtil);
+    }
+    if (isChunkFrame(data)) {
+      return decodeChunkFrame(data, naclUtil);
+    }
+    return parseWireJson(naclUtil.encodeUTF8(data));
+  }
+
+  const text = String(data).trim();
+  if (text.startsWith("{")) {
+    return parseWireJson(text);
+  }
+
+  let bytes;
+  try {
+    bytes = naclUtil.decodeBase64(text);
+  } catch {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "Unrecognized message format");
+  }
+  if (isChunkFrame(bytes)) {
+    return decodeChunkFrame(bytes, naclUtil);
+  }
+  if (!isBinaryMessage(bytes)) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "Unrecognized message format");
+  }
+  return decodeMessageBinary(bytes, nacl, naclUtil);
+}
+
 // ============================================================================
 // Chunking (v1.1)
 // ============================================================================
@@ -194,23 +773,74 @@ export function generateSafetyNumber(fp1, fp2) {
 /**
  * Split a message into chunks for constrained transports
  *
- * @param {object} msgJson - Complete message object (dmesh-msg)
+ * With options.parity, the message is split into k data chunks plus
+ * `parity` Reed-Solomon chunks (dmesh-chunk-fec); any k of them rebuild it.
+ * With options.signer, a signed dmesh-chunk-manifest is prepended so that
+ * receivers can reject forged chunks on arrival (see createChunkManifest).
+ *
+ * At or below COMPACT_CHUNK_THRESHOLD the chunks are compact binary frames
+ * (Uint8Array, see encodeChunkFrame) unless options.framing is "json".
+ *
+ * @param {object} msgJson - Complete message object (dmesh-msg or dmesh-msg-multi)
  * @param {number} maxChunkSize - Maximum chunk size in bytes
  * @param {object} nacl - TweetNaCl instance
  * @param {object} naclUtil - TweetNaCl-util instance
- * @returns {object[]} - Array of chunk objects (dmesh-chunk)
+ * @param {object} [options]
+ * @param {string} [options.format] - "json" (default) or "binary" wire format inside the chunks
+ * @param {number} [options.parity] - Extra erasure-coded chunks (0 / omitted: plain dmesh-chunk)
+ * @param {{signPK: Uint8Array, signSK: Uint8Array}} [options.signer] - Key signing the chunk manifest (the message sender's; JSON framing only)
+ * @param {string} [options.framing] - "json" or "compact" (default: by maxChunkSize)
+ * @returns {Array<object|Uint8Array>} - Chunk objects (dmesh-chunk or dmesh-chunk-fec, after the manifest if signed) or compact frames
  */
-export function chunkMessage(msgJson, maxChunkSize, nacl, naclUtil) {
-  const msgBytes = naclUtil.decodeUTF8(JSON.stringify(msgJson));
+export function chunkMessage(msgJson, maxChunkSize, nacl, naclUtil, options = {}) {
+  const msgBytes = options.format === "binary"
+    ? encodeMessageBinary(msgJson, naclUtil)
+    : naclUtil.decodeUTF8(JSON.stringify(msgJson));
   const ciphertext = naclUtil.decodeBase64(msgJson.ciphertext);
   const msgId = messageIdFromCiphertext(ciphertext, nacl);
   const msgIdB64 = naclUtil.encodeBase64(msgId);
 
-  const dataSize = maxChunkSize - CHUNK_OVERHEAD;
+  const parity = options.parity ?? 0;
+  if (!Number.isSafeInteger(parity) || parity < 0) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "parity");
+  }
+
+  const framing = options.framing ?? (maxChunkSize <= COMPACT_CHUNK_THRESHOLD ? "compact" : "json");
+  if (framing !== "json" && framing !== "compact") {
+    throw createError(ErrorCode.INVALID_PARAMETER, "framing");
+  }
+  const dataSize = framing === "compact"
+    ? maxChunkSize - compactChunkOverhead(msgBytes.length, parity > 0)
+    : maxChunkSize - CHUNK_OVERHEAD;
   if (dataSize <= 0) {
-    throw new Error("Max chunk size too small");
+    throw createError(ErrorCode.INVALID_PARAMETER, "Max chunk size too small");
+  }
+
+  const chunks = parity > 0
+    ? chunkMessageFec(msgBytes, msgIdB64, dataSize, parity, naclUtil)
+    : chunkMessagePlain(msgBytes, msgIdB64, dataSize, naclUtil);
+
+  if (framing === "compact") {
+    if (options.signer) {
+      throw createError(ErrorCode.INVALID_PARAMETER, "chunk manifests need JSON framing");
+    }
+    return chunks.map(c => encodeChunkFrame(c, naclUtil));
+  }
+  if (options.signer) {
+    return [createChunkManifest(chunks, options.signer, nacl, naclUtil), ...chunks];
   }
+  return chunks;
+}
 
+/**
+ * Split message bytes into consecutive chunks
+ * @param {Uint8Array} msgBytes
+ * @param {string} msgIdB64
+ * @param {number} dataSize - Maximum data bytes per chunk
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {object[]} - Array of dmesh-chunk objects
+ */
+function chunkMessagePlain(msgBytes, msgIdB64, dataSize, naclUtil) {
   const chunks = [];
   const total = Math.ceil(msgBytes.length / dataSize);
 
@@ -221,7 +851,7 @@ export function chunkMessage(msgJson, maxChunkSize, nacl, naclUtil) {
 
     chunks.push({
       v: 1,
-      kind: "dmesh-chunk",
+      kind: CHUNK_KIND,
       msgId: msgIdB64,
       seq: i,
       total,
@@ -233,69 +863,516 @@ export function chunkMessage(msgJson, maxChunkSize, nacl, naclUtil) {
 }
 
 /**
- * Reassemble chunks into original message
- *
- * @param {object[]} chunks - Array of chunk objects (dmesh-chunk)
+ * Split message bytes into k equally sized data chunks plus parity chunks
+ * @param {Uint8Array} msgBytes
+ * @param {string} msgIdB64
+ * @param {number} dataSize - Maximum data bytes per chunk
+ * @param {number} parity - Number of parity chunks
  * @param {object} naclUtil - TweetNaCl-util instance
- * @returns {object} - Reassembled message object (dmesh-msg)
+ * @returns {object[]} - Array of dmesh-chunk-fec objects
  */
-export function reassembleChunks(chunks, naclUtil) {
-  if (!chunks || chunks.length === 0) {
-    throw new Error("No chunks provided");
+function chunkMessageFec(msgBytes, msgIdB64, dataSize, parity, naclUtil) {
+  const k = Math.max(1, Math.ceil(msgBytes.length / dataSize));
+  const total = k + parity;
+  if (total > MAX_FEC_CHUNKS) {
+    throw createError(ErrorCode.INVALID_PARAMETER, `at most ${MAX_FEC_CHUNKS} chunks with parity`);
   }
 
-  // Validate all chunks have same kind
-  if (!chunks.every(c => c.kind === "dmesh-chunk")) {
-    throw new Error("Invalid chunk kind");
+  // Equal shard sizes; the last data shard is zero-padded (size trims it)
+  const shardSize = Math.ceil(msgBytes.length / k);
+  const padded = new Uint8Array(shardSize * k);
+  padded.set(msgBytes);
+  const dataShards = [];
+  for (let i = 0; i < k; i++) {
+    dataShards.push(padded.subarray(i * shardSize, (i + 1) * shardSize));
   }
 
-  // Sort by sequence
-  const sorted = [...chunks].sort((a, b) => a.seq - b.seq);
-
-  // Verify completeness
-  const expectedTotal = sorted[0].total;
-  if (sorted.length !== expectedTotal) {
-    throw new Error(`Incomplete chunks: have ${sorted.length}, need ${expectedTotal}`);
-  }
+  return encodeShards(dataShards, parity).map((shard, seq) => ({
+    v: 1,
+    kind: FEC_CHUNK_KIND,
+    msgId: msgIdB64,
+    seq,
+    total,
+    k,
+    size: msgBytes.length,
+    data: naclUtil.encodeBase64(shard)
+  }));
+}
 
-  // Verify sequence numbers are consecutive
-  for (let i = 0; i < sorted.length; i++) {
-    if (sorted[i].seq !== i) {
-      throw new Error(`Missing chunk sequence ${i}`);
-    }
-  }
+/**
+ * @param {number} n - Non-negative integer
+ * @returns {number[]} - Unsigned LEB128 bytes
+ */
+function varintBytes(n) {
+  const out = [];
+  do {
+    let byte = n % 128;
+    n = Math.floor(n / 128);
+    if (n > 0) byte |= 0x80;
+    out.push(byte);
+  } while (n > 0);
+  return out;
+}
 
-  // Verify all msgId match
-  const msgId = sorted[0].msgId;
-  if (!sorted.every(c => c.msgId === msgId)) {
-    throw new Error("Message ID mismatch across chunks");
-  }
+/**
+ * Header bytes of a compact frame for a message of the given length
+ * (upper bound: seq, total and k never exceed the chunk count)
+ * @param {number} length - Message length in bytes
+ * @param {boolean} fec - Erasure-coded chunks (k and size in the header)
+ * @returns {number}
+ */
+function compactChunkOverhead(length, fec) {
+  const bound = varintBytes(Math.max(length, fec ? MAX_FEC_CHUNKS : 1)).length;
+  return 2 + CHUNK_FRAME_MSGID_BYTES + (fec ? 4 : 2) * bound;
+}
 
-  // Reassemble
-  const dataArrays = sorted.map(c => naclUtil.decodeBase64(c.data));
-  const totalLength = dataArrays.reduce((sum, arr) => sum + arr.length, 0);
-  const msgBytes = new Uint8Array(totalLength);
+/**
+ * Check whether bytes are a compact chunk frame
+ * @param {Uint8Array} bytes
+ * @returns {boolean}
+ */
+export function isChunkFrame(bytes) {
+  return bytes instanceof Uint8Array && bytes.length > 0 && bytes[0] === CHUNK_FRAME_MAGIC;
+}
 
-  let offset = 0;
-  for (const arr of dataArrays) {
-    msgBytes.set(arr, offset);
-    offset += arr.length;
+/**
+ * Encode a chunk as a compact binary frame
+ *
+ * Layout:
+ *   magic (1) | version << 4 | flags (1) | msgId prefix (8) |
+ *   seq varint | total varint | [k varint | size varint] | data (raw)
+ *
+ * Varints are unsigned LEB128; flag 0x01 marks dmesh-chunk-fec.
+ *
+ * @param {object} chunk - dmesh-chunk or dmesh-chunk-fec
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function encodeChunkFrame(chunk, naclUtil) {
+  const fec = chunk.kind === FEC_CHUNK_KIND;
+  const msgIdPrefix = naclUtil.decodeBase64(chunk.msgId).slice(0, CHUNK_FRAME_MSGID_BYTES);
+  if (msgIdPrefix.length !== CHUNK_FRAME_MSGID_BYTES) {
+    throw createError(ErrorCode.CHUNK_INVALID, "msgId too short");
   }
-
-  const msgText = naclUtil.encodeUTF8(msgBytes);
-  return JSON.parse(msgText);
+  const header = [
+    CHUNK_FRAME_MAGIC,
+    (CHUNK_FRAME_VERSION << 4) | (fec ? CHUNK_FRAME_FLAG_FEC : 0),
+    ...msgIdPrefix,
+    ...varintBytes(chunk.seq),
+    ...varintBytes(chunk.total),
+    ...(fec ? [...varintBytes(chunk.k), ...varintBytes(chunk.size)] : [])
+  ];
+  return concatU8([Uint8Array.from(header), naclUtil.decodeBase64(chunk.data)]);
 }
 
-// ============================================================================
-// Signature Construction
-// ============================================================================
-
 /**
- * Build SignBytes for signature generation/verification
+ * Decode a compact binary frame into a chunk object
  *
- * SignBytes = concat([
- *   DOMAIN (12 bytes),
- *   senderSignPK (32 bytes),
+ * The chunk's msgId is the base64 of the 8-byte prefix and `truncated` is
+ * set; reassembleChunks then checks the prefix against the msgId re-derived
+ * from the ciphertext.
+ *
+ * @param {Uint8Array} bytes - Compact chunk frame
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {object} - dmesh-chunk or dmesh-chunk-fec with truncated: true
+ */
+export function decodeChunkFrame(bytes, naclUtil) {
+  if (!isChunkFrame(bytes) || bytes.length < 2 + CHUNK_FRAME_MSGID_BYTES) {
+    throw createError(ErrorCode.CHUNK_INVALID, "not a chunk frame");
+  }
+  if (bytes[1] >> 4 !== CHUNK_FRAME_VERSION) {
+    throw createError(ErrorCode.CHUNK_INVALID, `unsupported chunk frame version ${bytes[1] >> 4}`);
+  }
+  const flags = bytes[1] & 0x0f;
+  if (flags & ~CHUNK_FRAME_FLAG_FEC) {
+    throw createError(ErrorCode.CHUNK_INVALID, "unknown chunk frame flags");
+  }
+  const fec = (flags & CHUNK_FRAME_FLAG_FEC) !== 0;
+
+  let offset = 2 + CHUNK_FRAME_MSGID_BYTES;
+  const readVarint = () => {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      if (offset >= bytes.length) break;
+      const byte = bytes[offset++];
+      value += (byte & 0x7f) * 2 ** (7 * i);
+      if ((byte & 0x80) === 0) return value;
+    }
+    throw createError(ErrorCode.CHUNK_INVALID, "chunk frame header truncated");
+  };
+
+  const chunk = {
+    v: 1,
+    kind: fec ? FEC_CHUNK_KIND : CHUNK_KIND,
+    msgId: naclUtil.encodeBase64(bytes.slice(2, 2 + CHUNK_FRAME_MSGID_BYTES)),
+    seq: readVarint(),
+    total: readVarint()
+  };
+  if (fec) {
+    chunk.k = readVarint();
+    chunk.size = readVarint();
+  }
+  chunk.data = naclUtil.encodeBase64(bytes.slice(offset));
+  chunk.truncated = true;
+  return chunk;
+}
+
+/**
+ * Number of chunks needed to rebuild a message (k for FEC chunks, else total)
+ * @param {object} chunk - dmesh-chunk or dmesh-chunk-fec
+ * @returns {number}
+ */
+export function chunksNeeded(chunk) {
+  return chunk.kind === FEC_CHUNK_KIND ? chunk.k : chunk.total;
+}
+
+/**
+ * Reassemble chunks into original message
+ *
+ * dmesh-chunk needs every chunk; dmesh-chunk-fec needs any k distinct chunks
+ * (duplicates and extra chunks are ignored). A dmesh-chunk-manifest among
+ * the chunks is verified and every chunk is checked against it; for
+ * dmesh-msg / dmesh-msg-multi it must be signed by the message sender.
+ *
+ * With nacl, the msgId is re-derived from the reassembled ciphertext and must
+ * match the chunks' msgId (required when a manifest is present, and for
+ * compact frames, which only carry a msgId prefix).
+ *
+ * @param {Array<object|Uint8Array>} chunks - Chunk objects or compact frames (all dmesh-chunk or all dmesh-chunk-fec), optionally with their manifest
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {object} [nacl] - TweetNaCl instance
+ * @returns {object} - Reassembled message object (dmesh-msg or dmesh-msg-multi)
+ */
+export function reassembleChunks(chunks, naclUtil, nacl) {
+  const decoded = (chunks || []).map(c => (c instanceof Uint8Array ? decodeChunkFrame(c, naclUtil) : c));
+  const manifests = decoded.filter(c => c.kind === CHUNK_MANIFEST_KIND);
+  const dataChunks = decoded.filter(c => c.kind !== CHUNK_MANIFEST_KIND);
+  if (dataChunks.length === 0) {
+    throw createError(ErrorCode.CHUNK_INVALID, "no chunks provided");
+  }
+  if (manifests.length > 1) {
+    throw createError(ErrorCode.CHUNK_INVALID, "more than one manifest");
+  }
+
+  // Validate all chunks have same kind
+  const kind = dataChunks[0].kind;
+  if (!CHUNK_KINDS.includes(kind) || !dataChunks.every(c => c.kind === kind)) {
+    throw createError(ErrorCode.CHUNK_INVALID, "chunk kind");
+  }
+
+  // Verify all msgId match
+  const msgId = dataChunks[0].msgId;
+  if (!dataChunks.every(c => c.msgId === msgId)) {
+    throw createError(ErrorCode.MSGID_MISMATCH, "across chunks");
+  }
+
+  const truncated = dataChunks.some(c => c.truncated);
+  if (truncated && !nacl) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "nacl required for compact chunk frames");
+  }
+
+  let manifest = null;
+  if (manifests.length === 1) {
+    if (!nacl) {
+      throw createError(ErrorCode.INVALID_PARAMETER, "nacl required to verify chunk manifest");
+    }
+    manifest = verifyChunkManifest(manifests[0], nacl, naclUtil);
+    if (manifest.msgId !== msgId) {
+      throw createError(ErrorCode.MSGID_MISMATCH, "chunk manifest");
+    }
+    const forged = dataChunks.find(c => !isChunkAuthentic(c, manifest, nacl, naclUtil));
+    if (forged) {
+      throw createError(ErrorCode.CHUNK_INVALID, `chunk ${forged.seq} does not match manifest`);
+    }
+  }
+
+  const msgBytes = kind === FEC_CHUNK_KIND
+    ? reassembleFecChunks(dataChunks, naclUtil)
+    : reassemblePlainChunks(dataChunks, naclUtil);
+
+  const message = parseReassembled(msgBytes, msgId, nacl, naclUtil);
+
+  if (nacl) {
+    let derivedBytes;
+    try {
+      derivedBytes = messageIdFromCiphertext(naclUtil.decodeBase64(message.ciphertext), nacl);
+    } catch {
+      throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "reassembled ciphertext");
+    }
+    const derived = naclUtil.encodeBase64(derivedBytes);
+    const expected = truncated ? naclUtil.encodeBase64(derivedBytes.slice(0, CHUNK_FRAME_MSGID_BYTES)) : derived;
+    if (expected !== msgId || message.msgId !== derived) {
+      throw createError(ErrorCode.MSGID_MISMATCH, "reassembled message");
+    }
+  }
+  if (manifest && message.senderSignPK !== undefined && message.senderSignPK !== manifest.signPK) {
+    throw createError(ErrorCode.CHUNK_INVALID, "manifest not signed by message sender");
+  }
+  return message;
+}
+
+/**
+ * @param {Uint8Array} msgBytes - Reassembled message bytes (JSON or binary wire format)
+ * @param {string} msgId - msgId carried by the chunks
+ * @param {object|undefined} nacl - TweetNaCl instance (binary: derive msgId from the ciphertext)
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {object}
+ */
+function parseReassembled(msgBytes, msgId, nacl, naclUtil) {
+  // Binary wire format: without nacl the msgId is taken from the chunks (checked by decryptMessage)
+  if (isBinaryMessage(msgBytes)) {
+    return nacl
+      ? decodeMessageBinary(msgBytes, nacl, naclUtil)
+      : { ...decodeMessageBinary(msgBytes, null, naclUtil), msgId };
+  }
+
+  try {
+    return JSON.parse(naclUtil.encodeUTF8(msgBytes));
+  } catch {
+    throw createError(ErrorCode.JSON_PARSE_FAILED, "reassembled message");
+  }
+}
+
+/**
+ * @param {object[]} chunks - dmesh-chunk objects of one message
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array} - Message bytes
+ */
+function reassemblePlainChunks(chunks, naclUtil) {
+  // Sort by sequence
+  const sorted = [...chunks].sort((a, b) => a.seq - b.seq);
+
+  // Verify completeness
+  const expectedTotal = sorted[0].total;
+  if (sorted.length !== expectedTotal) {
+    throw createError(ErrorCode.CHUNK_INCOMPLETE, `have ${sorted.length}, need ${expectedTotal}`);
+  }
+
+  // Verify sequence numbers are consecutive
+  for (let i = 0; i < sorted.length; i++) {
+    if (sorted[i].seq !== i) {
+      throw createError(ErrorCode.CHUNK_INCOMPLETE, `missing chunk sequence ${i}`);
+    }
+  }
+
+  // Reassemble
+  return concatU8(sorted.map(c => naclUtil.decodeBase64(c.data)));
+}
+
+/**
+ * @param {object[]} chunks - dmesh-chunk-fec objects of one message
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array} - Message bytes
+ */
+function reassembleFecChunks(chunks, naclUtil) {
+  const { k, total, size } = chunks[0];
+  if (!Number.isSafeInteger(k) || !Number.isSafeInteger(total) || !Number.isSafeInteger(size) ||
+      k < 1 || total < k || total > MAX_FEC_CHUNKS || size < 0) {
+    throw createError(ErrorCode.CHUNK_INVALID, "chunk parameters");
+  }
+  if (!chunks.every(c => c.k === k && c.total === total && c.size === size)) {
+    throw createError(ErrorCode.CHUNK_INVALID, "chunk parameters differ");
+  }
+
+  const shards = new Map();
+  let shardSize = null;
+  for (const c of chunks) {
+    if (!Number.isSafeInteger(c.seq) || c.seq < 0 || c.seq >= total) {
+      throw createError(ErrorCode.CHUNK_INVALID, `chunk sequence ${c.seq}`);
+    }
+    const shard = naclUtil.decodeBase64(c.data);
+    shardSize ??= shard.length;
+    if (shard.length !== shardSize || shardSize * k < size) {
+      throw createError(ErrorCode.CHUNK_INVALID, "chunk length");
+    }
+    shards.set(c.seq, shard);
+  }
+  if (shards.size < k) {
+    throw createError(ErrorCode.CHUNK_INCOMPLETE, `have ${shards.size}, need ${k}`);
+  }
+
+  return concatU8(decodeShards(shards, k)).subarray(0, size);
+}
+
+// ============================================================================
+// Chunk Manifests (v1.2)
+// ============================================================================
+
+/**
+ * Hash of one chunk's data as listed in a manifest
+ * @param {object} chunk - dmesh-chunk or dmesh-chunk-fec
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {string} - Base64 of the first CHUNK_HASH_BYTES of SHA-512(data)
+ */
+export function chunkHash(chunk, nacl, naclUtil) {
+  return naclUtil.encodeBase64(nacl.hash(naclUtil.decodeBase64(chunk.data)).slice(0, CHUNK_HASH_BYTES));
+}
+
+/**
+ * Build SignBytes for chunk manifests
+ *
+ * SignBytes = concat([
+ *   DOMAIN_CHUNK_MANIFEST (14 bytes),
+ *   msgId (32 bytes),
+ *   total_u32be (4 bytes),
+ *   k_u32be (4 bytes, 0 for dmesh-chunk),
+ *   size_u32be (4 bytes, 0 for dmesh-chunk),
+ *   hashes (total * CHUNK_HASH_BYTES bytes, in seq order)
+ * ])
+ *
+ * @param {object} params
+ * @param {string} params.msgId - Base64 message ID
+ * @param {number} params.total - Number of chunks
+ * @param {number} [params.k] - Chunks needed (dmesh-chunk-fec)
+ * @param {number} [params.size] - Message length (dmesh-chunk-fec)
+ * @param {string[]} params.hashes - Base64 chunk hashes
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function buildChunkManifestSignBytes({ msgId, total, k, size, hashes }, naclUtil) {
+  return concatU8([
+    naclUtil.decodeUTF8(DOMAIN_CHUNK_MANIFEST),
+    naclUtil.decodeBase64(msgId),
+    u32be(total),
+    u32be(k ?? 0),
+    u32be(size ?? 0),
+    ...hashes.map(h => naclUtil.decodeBase64(h))
+  ]);
+}
+
+/**
+ * Create a signed manifest of per-chunk hashes for one chunk set
+ *
+ * The manifest is sent alongside the chunks (chunkMessage does this with
+ * options.signer). Receivers holding it drop forged chunks on arrival
+ * instead of failing the whole message at reassembly.
+ *
+ * @param {object[]} chunks - All chunks of one message (dmesh-chunk or dmesh-chunk-fec)
+ * @param {object} signer
+ * @param {Uint8Array} signer.signPK - Ed25519 public key (the message sender's)
+ * @param {Uint8Array} signer.signSK - Ed25519 secret key
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {object} - dmesh-chunk-manifest
+ */
+export function createChunkManifest(chunks, { signPK, signSK }, nacl, naclUtil) {
+  if (!chunks || chunks.length === 0 || chunks.length !== chunks[0].total) {
+    throw createError(ErrorCode.CHUNK_INCOMPLETE, "manifest needs every chunk");
+  }
+  const { kind, msgId, total } = chunks[0];
+  const sorted = [...chunks].sort((a, b) => a.seq - b.seq);
+  if (!sorted.every((c, i) => c.seq === i && c.kind === kind && c.msgId === msgId)) {
+    throw createError(ErrorCode.CHUNK_INVALID, "chunk set");
+  }
+
+  const fec = kind === FEC_CHUNK_KIND;
+  const { k, size } = chunks[0];
+  const hashes = sorted.map(c => chunkHash(c, nacl, naclUtil));
+  const signBytes = buildChunkManifestSignBytes({ msgId, total, k: fec ? k : 0, size: fec ? size : 0, hashes }, naclUtil);
+
+  const manifest = { v: 1, kind: CHUNK_MANIFEST_KIND, msgId, chunkKind: kind, total };
+  if (fec) {
+    manifest.k = k;
+    manifest.size = size;
+  }
+  manifest.hashes = hashes;
+  manifest.signPK = naclUtil.encodeBase64(signPK);
+  manifest.signature = naclUtil.encodeBase64(nacl.sign.detached(signBytes, signSK));
+  return manifest;
+}
+
+/**
+ * Verify a chunk manifest's structure and signature
+ *
+ * The signature only proves who listed the hashes; reassembleChunks ties it
+ * to the message sender once the message is rebuilt.
+ *
+ * @param {object} manifest - dmesh-chunk-manifest
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {{msgId: string, chunkKind: string, total: number, k?: number, size?: number, hashes: string[], signPK: string}}
+ */
+export function verifyChunkManifest(manifest, nacl, naclUtil) {
+  if (!manifest || manifest.v !== 1 || manifest.kind !== CHUNK_MANIFEST_KIND) {
+    throw createError(ErrorCode.CHUNK_INVALID, "not a chunk manifest");
+  }
+  const { msgId, chunkKind, total, k, size, hashes } = manifest;
+  const fec = chunkKind === FEC_CHUNK_KIND;
+  if (!CHUNK_KINDS.includes(chunkKind) || !Number.isSafeInteger(total) || total < 1 || total > 0xffffffff) {
+    throw createError(ErrorCode.CHUNK_INVALID, "manifest chunk kind or total");
+  }
+  if (fec && (!Number.isSafeInteger(k) || !Number.isSafeInteger(size) || k < 1 || k > total ||
+      total > MAX_FEC_CHUNKS || size < 0 || size > 0xffffffff)) {
+    throw createError(ErrorCode.CHUNK_INVALID, "manifest k or size");
+  }
+  if (!Array.isArray(hashes) || hashes.length !== total) {
+    throw createError(ErrorCode.CHUNK_INVALID, "manifest hash count");
+  }
+
+  let signPK, signature;
+  try {
+    if (naclUtil.decodeBase64(msgId).length !== 32 ||
+        !hashes.every(h => naclUtil.decodeBase64(h).length === CHUNK_HASH_BYTES)) {
+      throw new Error("length");
+    }
+    signPK = naclUtil.decodeBase64(manifest.signPK);
+    signature = naclUtil.decodeBase64(manifest.signature);
+  } catch {
+    throw createError(ErrorCode.CHUNK_INVALID, "manifest encoding");
+  }
+  if (signPK.length !== 32 || signature.length !== 64) {
+    throw createError(ErrorCode.INVALID_KEY_LENGTH, "manifest signPK or signature");
+  }
+
+  const signBytes = buildChunkManifestSignBytes({ msgId, total, k: fec ? k : 0, size: fec ? size : 0, hashes }, naclUtil);
+  if (!nacl.sign.detached.verify(signBytes, signature, signPK)) {
+    throw createError(ErrorCode.SIGNATURE_INVALID, "chunk manifest");
+  }
+
+  const verified = { msgId, chunkKind, total, hashes, signPK: manifest.signPK };
+  if (fec) {
+    verified.k = k;
+    verified.size = size;
+  }
+  return verified;
+}
+
+/**
+ * Check one chunk against a verified manifest
+ * @param {object} chunk - dmesh-chunk or dmesh-chunk-fec
+ * @param {object} manifest - Result of verifyChunkManifest
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {boolean} - false if the chunk is not the one the manifest lists at its seq
+ */
+export function isChunkAuthentic(chunk, manifest, nacl, naclUtil) {
+  if (!chunk || chunk.kind !== manifest.chunkKind || chunk.msgId !== manifest.msgId || chunk.total !== manifest.total) {
+    return false;
+  }
+  if (manifest.chunkKind === FEC_CHUNK_KIND && (chunk.k !== manifest.k || chunk.size !== manifest.size)) {
+    return false;
+  }
+  if (!Number.isSafeInteger(chunk.seq) || chunk.seq < 0 || chunk.seq >= manifest.total) {
+    return false;
+  }
+  try {
+    return chunkHash(chunk, nacl, naclUtil) === manifest.hashes[chunk.seq];
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// Signature Construction
+// ============================================================================
+
+/**
+ * Build SignBytes for signature generation/verification
+ *
+ * SignBytes = concat([
+ *   DOMAIN (12 bytes),
+ *   senderSignPK (32 bytes),
  *   senderBoxPK (32 bytes),
  *   recipientBoxPK (32 bytes),
  *   ephPK (32 bytes),
@@ -306,308 +1383,1767 @@ export function reassembleChunks(chunks, naclUtil) {
  * ])
  *
  * @param {object} params
- * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
- * @param {Uint8Array} params.senderBoxPK - Sender's X25519 public key
- * @param {Uint8Array} params.recipientBoxPK - Recipient's X25519 public key
- * @param {Uint8Array} params.ephPK - Ephemeral X25519 public key
- * @param {Uint8Array} params.nonce - 24-byte nonce
- * @param {number} params.ts - Timestamp (Unix milliseconds)
- * @param {Uint8Array} params.ciphertext - Encrypted payload
+ * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
+ * @param {Uint8Array} params.senderBoxPK - Sender's X25519 public key
+ * @param {Uint8Array} params.recipientBoxPK - Recipient's X25519 public key
+ * @param {Uint8Array} params.ephPK - Ephemeral X25519 public key
+ * @param {Uint8Array} params.nonce - 24-byte nonce
+ * @param {number} params.ts - Timestamp (Unix milliseconds)
+ * @param {Uint8Array} params.ciphertext - Encrypted payload
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function buildSignBytes({ senderSignPK, senderBoxPK, recipientBoxPK, ephPK, nonce, ts, ciphertext }, naclUtil) {
+  const DOMAIN_BYTES = naclUtil.decodeUTF8(DOMAIN);
+  return concatU8([
+    DOMAIN_BYTES,
+    senderSignPK,
+    senderBoxPK,
+    recipientBoxPK,
+    ephPK,
+    nonce,
+    u64beFromNumber(ts),
+    u32be(ciphertext.length),
+    ciphertext
+  ]);
+}
+
+/**
+ * Build SignBytes for tagged single-recipient messages (dmesh-msg with recipientTag)
+ *
+ * SignBytes = concat([
+ *   DOMAIN_TAGGED (12 bytes),
+ *   senderSignPK (32 bytes),
+ *   senderBoxPK (32 bytes),
+ *   recipientTag (16 bytes),
+ *   ephPK (32 bytes),
+ *   nonce (24 bytes),
+ *   ts_u64be (8 bytes),
+ *   ct_len_u32be (4 bytes),
+ *   ciphertext (variable)
+ * ])
+ *
+ * The tag stands in for recipientBoxPK, so relays can still verify the
+ * signature; the recipient checks that the tag is its own for ts.
+ *
+ * @param {object} params
+ * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
+ * @param {Uint8Array} params.senderBoxPK - Sender's X25519 public key
+ * @param {Uint8Array} params.recipientTag - Recipient tag (see deriveRecipientTag)
+ * @param {Uint8Array} params.ephPK - Ephemeral X25519 public key
+ * @param {Uint8Array} params.nonce - 24-byte nonce
+ * @param {number} params.ts - Timestamp (Unix milliseconds)
+ * @param {Uint8Array} params.ciphertext - Encrypted payload
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function buildTaggedSignBytes({ senderSignPK, senderBoxPK, recipientTag, ephPK, nonce, ts, ciphertext }, naclUtil) {
+  return concatU8([
+    naclUtil.decodeUTF8(DOMAIN_TAGGED),
+    senderSignPK,
+    senderBoxPK,
+    recipientTag,
+    ephPK,
+    nonce,
+    u64beFromNumber(ts),
+    u32be(ciphertext.length),
+    ciphertext
+  ]);
+}
+
+/**
+ * Build SignBytes for multi-recipient messages (dmesh-msg-multi)
+ *
+ * SignBytes = concat([
+ *   DOMAIN_MULTI (12 bytes),
+ *   senderSignPK (32 bytes),
+ *   senderBoxPK (32 bytes),
+ *   ephPK (32 bytes),
+ *   nonce (24 bytes),
+ *   ts_u64be (8 bytes),
+ *   count_u32be (4 bytes),
+ *   for each recipient: boxPK (32 bytes) || wrappedKey (48 bytes),
+ *   ct_len_u32be (4 bytes),
+ *   ciphertext (variable)
+ * ])
+ *
+ * Every recipient entry is covered, so no recipient can be added, removed
+ * or redirected without invalidating the signature.
+ *
+ * @param {object} params
+ * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
+ * @param {Uint8Array} params.senderBoxPK - Sender's X25519 public key
+ * @param {Uint8Array} params.ephPK - Ephemeral X25519 public key
+ * @param {Uint8Array} params.nonce - 24-byte nonce
+ * @param {number} params.ts - Timestamp (Unix milliseconds)
+ * @param {{boxPK: Uint8Array, key: Uint8Array}[]} params.recipients - Recipient entries
+ * @param {Uint8Array} params.ciphertext - Encrypted payload
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function buildMultiSignBytes({ senderSignPK, senderBoxPK, ephPK, nonce, ts, recipients, ciphertext }, naclUtil) {
+  const parts = [
+    naclUtil.decodeUTF8(DOMAIN_MULTI),
+    senderSignPK,
+    senderBoxPK,
+    ephPK,
+    nonce,
+    u64beFromNumber(ts),
+    u32be(recipients.length)
+  ];
+  for (const r of recipients) {
+    parts.push(r.boxPK, r.key);
+  }
+  parts.push(u32be(ciphertext.length), ciphertext);
+  return concatU8(parts);
+}
+
+/**
+ * Build SignBytes for sealed-sender messages (dmesh-msg-sealed)
+ *
+ * SignBytes = concat([
+ *   DOMAIN_SEALED (13 bytes),
+ *   senderSignPK (32 bytes),
+ *   senderBoxPK (32 bytes),
+ *   recipientBoxPK (32 bytes),
+ *   ephPK (32 bytes),
+ *   nonce (24 bytes),
+ *   ts_u64be (8 bytes),
+ *   payload_len_u32be (4 bytes),
+ *   payload (variable, framed payload bytes)
+ * ])
+ *
+ * The signature travels inside the ciphertext, so it covers the payload
+ * rather than the ciphertext. recipientBoxPK, ephPK and nonce bind it to
+ * this envelope: a recipient cannot re-seal it to someone else.
+ *
+ * @param {object} params
+ * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
+ * @param {Uint8Array} params.senderBoxPK - Sender's X25519 public key
+ * @param {Uint8Array} params.recipientBoxPK - Recipient's X25519 public key
+ * @param {Uint8Array} params.ephPK - Ephemeral X25519 public key
+ * @param {Uint8Array} params.nonce - 24-byte nonce
+ * @param {number} params.ts - Timestamp (Unix milliseconds)
+ * @param {Uint8Array} params.payloadBytes - Framed payload bytes
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function buildSealedSignBytes({ senderSignPK, senderBoxPK, recipientBoxPK, ephPK, nonce, ts, payloadBytes }, naclUtil) {
+  return concatU8([
+    naclUtil.decodeUTF8(DOMAIN_SEALED),
+    senderSignPK,
+    senderBoxPK,
+    recipientBoxPK,
+    ephPK,
+    nonce,
+    u64beFromNumber(ts),
+    u32be(payloadBytes.length),
+    payloadBytes
+  ]);
+}
+
+// ============================================================================
+// Key Generation
+// ============================================================================
+
+/**
+ * Generate Ed25519 signing key pair
+ * @param {object} nacl - TweetNaCl instance
+ * @param {Context} [ctx] - Randomness (defaults to nacl.randomBytes)
+ * @returns {{publicKey: Uint8Array, secretKey: Uint8Array}}
+ */
+export function generateSignKeyPair(nacl, ctx) {
+  return nacl.sign.keyPair.fromSeed(ctxRandomBytes(nacl.sign.seedLength, nacl, ctx));
+}
+
+/**
+ * Generate X25519 box (encryption) key pair
+ * @param {object} nacl - TweetNaCl instance
+ * @param {Context} [ctx] - Randomness (defaults to nacl.randomBytes)
+ * @returns {{publicKey: Uint8Array, secretKey: Uint8Array}}
+ */
+export function generateBoxKeyPair(nacl, ctx) {
+  return nacl.box.keyPair.fromSecretKey(ctxRandomBytes(nacl.box.secretKeyLength, nacl, ctx));
+}
+
+// ============================================================================
+// Payload Framing (v1.2)
+// ============================================================================
+
+/**
+ * Padded length for a framed plaintext of the given size
+ * @param {number} length - Framed plaintext length including the 0x80 marker
+ * @param {number[]} [buckets] - Bucket sizes, ascending (defaults to PADDING_BUCKETS)
+ * @returns {number}
+ */
+export function paddedLength(length, buckets = PADDING_BUCKETS) {
+  for (const size of buckets) {
+    if (length <= size) return size;
+  }
+  const largest = buckets[buckets.length - 1];
+  return Math.ceil(length / largest) * largest;
+}
+
+/**
+ * Serialize a payload for encryption
+ *
+ * Without options the bytes are the legacy JSON payload. Otherwise a flags
+ * byte is prepended: the JSON may be deflated, then padded to a size bucket
+ * (ISO/IEC 7816-4: 0x80 followed by zeros). The flags byte lives inside the
+ * ciphertext, which is signed, so it cannot be stripped or downgraded.
+ * Compression is skipped when it does not make the payload smaller.
+ *
+ * @param {object} payload - Payload object
+ * @param {object} options
+ * @param {boolean} [options.compress] - Deflate the payload
+ * @param {boolean|number[]} [options.pad] - Pad to PADDING_BUCKETS (true) or to custom bucket sizes
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function encodePayloadBytes(payload, options, naclUtil) {
+  const json = naclUtil.decodeUTF8(JSON.stringify(payload));
+  let flags = 0;
+  let body = json;
+
+  if (options.compress) {
+    const deflated = deflateRaw(json);
+    if (deflated.length + 1 < json.length) {
+      flags |= PAYLOAD_FLAG_DEFLATE;
+      body = deflated;
+    }
+  }
+
+  if (options.pad) {
+    const buckets = Array.isArray(options.pad) ? options.pad : PADDING_BUCKETS;
+    if (buckets.length === 0 || !buckets.every((b, i) => Number.isInteger(b) && b > 0 && (i === 0 || b > buckets[i - 1]))) {
+      throw createError(ErrorCode.INVALID_PARAMETER, "padding buckets must be ascending positive integers");
+    }
+    flags |= PAYLOAD_FLAG_PADDED;
+    const framed = new Uint8Array(paddedLength(1 + body.length + 1, buckets));
+    framed[0] = flags;
+    framed.set(body, 1);
+    framed[1 + body.length] = 0x80;
+    return framed;
+  }
+
+  if (flags === 0) {
+    return json;
+  }
+  return concatU8([new Uint8Array([flags]), body]);
+}
+
+/**
+ * Parse decrypted payload bytes (legacy JSON or framed)
+ *
+ * @param {Uint8Array} plaintext - Decrypted bytes
+ * @param {object} options
+ * @param {number} [options.maxDecompressedBytes] - Decompressed size limit (defaults to MAX_DECOMPRESSED_BYTES)
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {{payload: object, text: string}}
+ */
+export function decodePayloadBytes(plaintext, options, naclUtil) {
+  let body = plaintext;
+
+  // Legacy payloads are JSON objects and always start with "{"
+  if (plaintext.length > 0 && plaintext[0] !== 0x7b) {
+    const flags = plaintext[0];
+    if (flags & ~PAYLOAD_FLAGS_KNOWN) {
+      throw createError(ErrorCode.INVALID_PAYLOAD, "unknown payload flags");
+    }
+    body = plaintext.subarray(1);
+    if (flags & PAYLOAD_FLAG_PADDED) {
+      let end = body.length - 1;
+      while (end >= 0 && body[end] === 0) end--;
+      if (end < 0 || body[end] !== 0x80) {
+        throw createError(ErrorCode.INVALID_PAYLOAD, "padding");
+      }
+      body = body.subarray(0, end);
+    }
+    if (flags & PAYLOAD_FLAG_DEFLATE) {
+      try {
+        body = inflateRaw(body, options.maxDecompressedBytes ?? MAX_DECOMPRESSED_BYTES);
+      } catch (e) {
+        throw createError(ErrorCode.DECOMPRESSION_FAILED, e.message);
+      }
+    }
+  }
+
+  const text = naclUtil.encodeUTF8(body);
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    throw createError(ErrorCode.JSON_PARSE_FAILED, "payload");
+  }
+  return { payload, text };
+}
+
+// ============================================================================
+// Encryption
+// ============================================================================
+
+/**
+ * Encrypt and sign a message
+ *
+ * @param {object} params
+ * @param {string} params.content - Message content
+ * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
+ * @param {Uint8Array} params.senderSignSK - Sender's Ed25519 secret key
+ * @param {Uint8Array} params.senderBoxPK - Sender's X25519 public key
+ * @param {Uint8Array} params.senderBoxSK - Sender's X25519 secret key
+ * @param {Uint8Array} params.recipientBoxPK - Recipient's X25519 public key
+ * @param {number} [params.ts] - Timestamp (defaults to Date.now())
+ * @param {number} [params.ttlMs] - Time to live in ms (v1.1, defaults to DEFAULT_TTL_MS)
+ * @param {string} [params.type] - Message type (v1.1: text, im_safe, need_help, etc.)
+ * @param {object} [params.payloadExtra] - Additional payload fields (v1.1: location, urgency, etc.)
+ * @param {boolean} [params.compress] - Deflate the payload before encryption (v1.2)
+ * @param {boolean|number[]} [params.pad] - Pad the payload to size buckets (v1.2, true: PADDING_BUCKETS)
+ * @param {boolean} [params.tagRecipient] - Send a rotating recipientTag instead of recipientBoxPK (v1.2, needs senderBoxSK)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock and randomness (defaults to Date.now() / nacl.randomBytes)
+ * @returns {object} - Encrypted message object with msgId and exp (v1.1)
+ */
+export function encryptMessage({ content, senderSignPK, senderSignSK, senderBoxPK, senderBoxSK, recipientBoxPK, ts, ttlMs, type, payloadExtra, compress, pad, tagRecipient }, nacl, naclUtil, ctx) {
+  const timestamp = ts ?? ctxNow(ctx);
+  const expiration = calculateExpiration(timestamp, ttlMs);
+
+  // Check content size
+  const contentBlob = new Blob([content]);
+  if (contentBlob.size > MAX_BYTES) {
+    throw createError(ErrorCode.CONTENT_TOO_LARGE, `max ${MAX_BYTES} bytes`);
+  }
+
+  // Recipient tags are keyed on the sender's box secret key
+  if (tagRecipient && !(senderBoxSK instanceof Uint8Array && senderBoxSK.length === nacl.box.secretKeyLength)) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "tagRecipient requires senderBoxSK");
+  }
+
+  // Generate ephemeral key pair
+  const eph = generateBoxKeyPair(nacl, ctx);
+  const nonce = ctxRandomBytes(nacl.box.nonceLength, nacl, ctx);
+
+  // Construct payload (v1.1 with optional type and extra fields)
+  const payload = validatePayload({
+    v: 1,
+    ts: timestamp,
+    type: type || "text",
+    content,
+    ...payloadExtra
+  });
+  const payloadBytes = encodePayloadBytes(payload, { compress, pad }, naclUtil);
+
+  // Encrypt with ephemeral key
+  const shared = nacl.box.before(recipientBoxPK, eph.secretKey);
+  const ciphertext = nacl.box.after(payloadBytes, nonce, shared);
+
+  if (!ciphertext) {
+    throw createError(ErrorCode.ENCRYPTION_FAILED);
+  }
+
+  // Generate message ID from ciphertext (v1.1)
+  const msgId = messageIdFromCiphertext(ciphertext, nacl);
+
+  // Build signature bytes (v1.2: a recipient tag replaces the box key)
+  const recipientTag = tagRecipient
+    ? deriveRecipientTag({ boxSK: senderBoxSK, peerBoxPK: recipientBoxPK, recipientBoxPK }, timestamp, nacl, naclUtil)
+    : null;
+  const signFields = {
+    senderSignPK,
+    senderBoxPK,
+    ephPK: eph.publicKey,
+    nonce,
+    ts: timestamp,
+    ciphertext
+  };
+  const signBytes = recipientTag
+    ? buildTaggedSignBytes({ ...signFields, recipientTag }, naclUtil)
+    : buildSignBytes({ ...signFields, recipientBoxPK }, naclUtil);
+
+  // Sign
+  const signature = nacl.sign.detached(signBytes, senderSignSK);
+
+  // Return message object (v1.1 with msgId and exp)
+  return {
+    v: 1,
+    kind: "dmesh-msg",
+    msgId: naclUtil.encodeBase64(msgId),
+    ts: timestamp,
+    exp: expiration,
+    senderSignPK: naclUtil.encodeBase64(senderSignPK),
+    senderBoxPK: naclUtil.encodeBase64(senderBoxPK),
+    ...(recipientTag
+      ? { recipientTag: naclUtil.encodeBase64(recipientTag) }
+      : { recipientBoxPK: naclUtil.encodeBase64(recipientBoxPK) }),
+    ephPK: naclUtil.encodeBase64(eph.publicKey),
+    nonce: naclUtil.encodeBase64(nonce),
+    ciphertext: naclUtil.encodeBase64(ciphertext),
+    signature: naclUtil.encodeBase64(signature)
+  };
+}
+
+/**
+ * Encrypt and sign one message for several recipients (dmesh-msg-multi)
+ *
+ * The payload is encrypted once with a random content key (secretbox).
+ * The content key is then wrapped for each recipient with an ephemeral
+ * X25519 box, so the ciphertext size does not grow with the recipient count.
+ *
+ * @param {object} params
+ * @param {string} params.content - Message content
+ * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
+ * @param {Uint8Array} params.senderSignSK - Sender's Ed25519 secret key
+ * @param {Uint8Array} params.senderBoxPK - Sender's X25519 public key
+ * @param {Uint8Array[]} params.recipientBoxPKs - Recipients' X25519 public keys
+ * @param {number} [params.ts] - Timestamp (defaults to Date.now())
+ * @param {number} [params.ttlMs] - Time to live in ms (defaults to DEFAULT_TTL_MS)
+ * @param {string} [params.type] - Message type (text, im_safe, need_help, etc.)
+ * @param {object} [params.payloadExtra] - Additional payload fields
+ * @param {boolean} [params.compress] - Deflate the payload before encryption (v1.2)
+ * @param {boolean|number[]} [params.pad] - Pad the payload to size buckets (v1.2, true: PADDING_BUCKETS)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock and randomness (defaults to Date.now() / nacl.randomBytes)
+ * @returns {object} - Encrypted message object (dmesh-msg-multi)
+ */
+export function encryptMessageMulti({ content, senderSignPK, senderSignSK, senderBoxPK, recipientBoxPKs, ts, ttlMs, type, payloadExtra, compress, pad }, nacl, naclUtil, ctx) {
+  const timestamp = ts ?? ctxNow(ctx);
+  const expiration = calculateExpiration(timestamp, ttlMs);
+
+  if (!Array.isArray(recipientBoxPKs) || recipientBoxPKs.length === 0) {
+    throw createError(ErrorCode.INVALID_RECIPIENTS, "at least one recipient required");
+  }
+  if (recipientBoxPKs.length > MAX_RECIPIENTS) {
+    throw createError(ErrorCode.INVALID_RECIPIENTS, `too many recipients (max ${MAX_RECIPIENTS})`);
+  }
+  const recipientSet = new Set(recipientBoxPKs.map(pk => naclUtil.encodeBase64(pk)));
+  if (recipientSet.size !== recipientBoxPKs.length) {
+    throw createError(ErrorCode.INVALID_RECIPIENTS, "duplicate recipient");
+  }
+
+  // Check content size
+  const contentBlob = new Blob([content]);
+  if (contentBlob.size > MAX_BYTES) {
+    throw createError(ErrorCode.CONTENT_TOO_LARGE, `max ${MAX_BYTES} bytes`);
+  }
+
+  // Ephemeral key pair, nonce and content key
+  const eph = generateBoxKeyPair(nacl, ctx);
+  const nonce = ctxRandomBytes(nacl.box.nonceLength, nacl, ctx);
+  const contentKey = ctxRandomBytes(nacl.secretbox.keyLength, nacl, ctx);
+
+  const payload = validatePayload({
+    v: 1,
+    ts: timestamp,
+    type: type || "text",
+    content,
+    ...payloadExtra
+  });
+  const payloadBytes = encodePayloadBytes(payload, { compress, pad }, naclUtil);
+
+  // Encrypt payload once with the content key
+  const ciphertext = nacl.secretbox(payloadBytes, nonce, contentKey);
+  if (!ciphertext) {
+    throw createError(ErrorCode.ENCRYPTION_FAILED);
+  }
+
+  // Wrap the content key for each recipient. Every recipient has a distinct
+  // shared key, so the message nonce can be reused for the wraps.
+  const recipients = recipientBoxPKs.map(boxPK => {
+    const shared = nacl.box.before(boxPK, eph.secretKey);
+    return { boxPK, key: nacl.box.after(contentKey, nonce, shared) };
+  });
+
+  const msgId = messageIdFromCiphertext(ciphertext, nacl);
+
+  const signBytes = buildMultiSignBytes({
+    senderSignPK,
+    senderBoxPK,
+    ephPK: eph.publicKey,
+    nonce,
+    ts: timestamp,
+    recipients,
+    ciphertext
+  }, naclUtil);
+
+  const signature = nacl.sign.detached(signBytes, senderSignSK);
+
+  return {
+    v: 1,
+    kind: "dmesh-msg-multi",
+    msgId: naclUtil.encodeBase64(msgId),
+    ts: timestamp,
+    exp: expiration,
+    senderSignPK: naclUtil.encodeBase64(senderSignPK),
+    senderBoxPK: naclUtil.encodeBase64(senderBoxPK),
+    ephPK: naclUtil.encodeBase64(eph.publicKey),
+    nonce: naclUtil.encodeBase64(nonce),
+    recipients: recipients.map(r => ({
+      boxPK: naclUtil.encodeBase64(r.boxPK),
+      key: naclUtil.encodeBase64(r.key)
+    })),
+    ciphertext: naclUtil.encodeBase64(ciphertext),
+    signature: naclUtil.encodeBase64(signature)
+  };
+}
+
+/**
+ * Encrypt a message with the sender's identity sealed inside (dmesh-msg-sealed)
+ *
+ * Relays only see the recipient, an ephemeral key and the ciphertext.
+ * senderSignPK, senderBoxPK and the signature are prepended to the payload
+ * before encryption.
+ *
+ * @param {object} params - Same as encryptMessage
+ * @param {string} params.content - Message content
+ * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
+ * @param {Uint8Array} params.senderSignSK - Sender's Ed25519 secret key
+ * @param {Uint8Array} params.senderBoxPK - Sender's X25519 public key
+ * @param {Uint8Array} params.recipientBoxPK - Recipient's X25519 public key
+ * @param {number} [params.ts] - Timestamp (defaults to Date.now())
+ * @param {number} [params.ttlMs] - Time to live in ms (defaults to DEFAULT_TTL_MS)
+ * @param {string} [params.type] - Message type (text, im_safe, need_help, etc.)
+ * @param {object} [params.payloadExtra] - Additional payload fields
+ * @param {boolean} [params.compress] - Deflate the payload before encryption
+ * @param {boolean|number[]} [params.pad] - Pad the payload to size buckets (true: PADDING_BUCKETS)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock and randomness (defaults to Date.now() / nacl.randomBytes)
+ * @returns {object} - Encrypted message object (dmesh-msg-sealed)
+ */
+export function encryptSealedMessage({ content, senderSignPK, senderSignSK, senderBoxPK, recipientBoxPK, ts, ttlMs, type, payloadExtra, compress, pad }, nacl, naclUtil, ctx) {
+  const timestamp = ts ?? ctxNow(ctx);
+  const expiration = calculateExpiration(timestamp, ttlMs);
+
+  // Check content size
+  const contentBlob = new Blob([content]);
+  if (contentBlob.size > MAX_BYTES) {
+    throw createError(ErrorCode.CONTENT_TOO_LARGE, `max ${MAX_BYTES} bytes`);
+  }
+
+  const eph = generateBoxKeyPair(nacl, ctx);
+  const nonce = ctxRandomBytes(nacl.box.nonceLength, nacl, ctx);
+
+  const payload = validatePayload({
+    v: 1,
+    ts: timestamp,
+    type: type || "text",
+    content,
+    ...payloadExtra
+  });
+  const payloadBytes = encodePayloadBytes(payload, { compress, pad }, naclUtil);
+
+  const signBytes = buildSealedSignBytes({
+    senderSignPK,
+    senderBoxPK,
+    recipientBoxPK,
+    ephPK: eph.publicKey,
+    nonce,
+    ts: timestamp,
+    payloadBytes
+  }, naclUtil);
+  const signature = nacl.sign.detached(signBytes, senderSignSK);
+
+  const plaintext = concatU8([senderSignPK, senderBoxPK, signature, payloadBytes]);
+  const shared = nacl.box.before(recipientBoxPK, eph.secretKey);
+  const ciphertext = nacl.box.after(plaintext, nonce, shared);
+  if (!ciphertext) {
+    throw createError(ErrorCode.ENCRYPTION_FAILED);
+  }
+
+  return {
+    v: 1,
+    kind: "dmesh-msg-sealed",
+    msgId: naclUtil.encodeBase64(messageIdFromCiphertext(ciphertext, nacl)),
+    ts: timestamp,
+    exp: expiration,
+    recipientBoxPK: naclUtil.encodeBase64(recipientBoxPK),
+    ephPK: naclUtil.encodeBase64(eph.publicKey),
+    nonce: naclUtil.encodeBase64(nonce),
+    ciphertext: naclUtil.encodeBase64(ciphertext)
+  };
+}
+
+// ============================================================================
+// Decryption
+// ============================================================================
+
+/**
+ * Reject messages that are expired (v1.1) or outside the skew window (v1.0)
+ * @param {object} message - Encrypted message object
+ * @param {object} options - Decryption options
+ * @param {Context} [ctx] - Clock
+ */
+function checkMessageTimestamp(message, options, ctx) {
+  const ts = Number(message.ts);
+  if (!Number.isFinite(ts)) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "ts invalid");
+
+  // v1.1: Expiration-based validation (delay-tolerant)
+  // v1.0: Strict timestamp skew check (legacy, use options.strictMode)
+  if (!isMessageValid(message, options, ctx)) {
+    if (options.strictMode) {
+      throw createError(ErrorCode.TIMESTAMP_SKEW);
+    } else {
+      throw createError(ErrorCode.MESSAGE_EXPIRED);
+    }
+  }
+  return ts;
+}
+
+/**
+ * Key consistency check for known senders
+ * @param {object} message - Encrypted message object
+ * @param {Uint8Array|null} expectedSenderSignPK
+ * @param {Uint8Array|null} expectedSenderBoxPK
+ * @param {object} naclUtil - TweetNaCl-util instance
+ */
+function checkExpectedSender(message, expectedSenderSignPK, expectedSenderBoxPK, naclUtil) {
+  if (expectedSenderSignPK !== null && expectedSenderSignPK !== undefined) {
+    if (naclUtil.encodeBase64(expectedSenderSignPK) !== message.senderSignPK) {
+      throw createError(ErrorCode.SENDER_KEY_MISMATCH, "Sender signing key mismatch");
+    }
+  }
+  if (expectedSenderBoxPK !== null && expectedSenderBoxPK !== undefined) {
+    if (naclUtil.encodeBase64(expectedSenderBoxPK) !== message.senderBoxPK) {
+      throw createError(ErrorCode.SENDER_KEY_MISMATCH, "Sender box key mismatch");
+    }
+  }
+}
+
+/**
+ * Parse decrypted plaintext into the decryptMessage result
+ * @param {Uint8Array} plaintext - Decrypted payload bytes
+ * @param {object} meta - senderSignPK, senderBoxPK, senderFp, ts, msgId
+ * @param {object} options - Decryption options
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {object}
+ */
+function buildDecryptResult(plaintext, { senderSignPK, senderBoxPK, senderFp, ts, msgId }, options, naclUtil) {
+  const decoded = decodePayloadBytes(plaintext, options, naclUtil);
+  const payload = validatePayload(decoded.payload);
+
+  return {
+    content: payload.content ?? decoded.text,
+    senderSignPK,
+    senderBoxPK,
+    senderFp,
+    ts,
+    msgId,
+    type: payload.type,
+    payload
+  };
+}
+
+/**
+ * Refuse messages signed by a revoked key the check does not allow (see store.getRevocationCheck)
+ * @param {Function|undefined} revocationCheck - Function(senderFp, ts) => boolean (true if allowed)
+ * @param {Uint8Array} senderFp - Sender fingerprint
+ * @param {number} ts - Signed message timestamp
+ * @param {object} naclUtil - TweetNaCl-util instance
+ */
+function checkRevocation(revocationCheck, senderFp, ts, naclUtil) {
+  if (revocationCheck && !revocationCheck(naclUtil.encodeBase64(senderFp), ts)) {
+    throw createError(ErrorCode.SENDER_REVOKED);
+  }
+}
+
+/**
+ * Verify and decrypt a message
+ *
+ * Accepts single-recipient (dmesh-msg), multi-recipient (dmesh-msg-multi)
+ * and sealed-sender (dmesh-msg-sealed) messages.
+ *
+ * @param {object} params
+ * @param {object} params.message - Encrypted message object
+ * @param {Uint8Array} params.recipientBoxPK - Recipient's X25519 public key
+ * @param {Uint8Array} params.recipientBoxSK - Recipient's X25519 secret key
+ * @param {Uint8Array|null} [params.expectedSenderSignPK] - Expected sender's Ed25519 public key (null for TOFU)
+ * @param {Uint8Array|null} [params.expectedSenderBoxPK] - Expected sender's X25519 box key (null for TOFU)
+ * @param {Function} [params.replayCheck] - Function(msgId, senderFp) => boolean (true if allowed)
+ * @param {Function} [params.revocationCheck] - Function(senderFp, ts) => boolean (true if allowed), see store.getRevocationCheck
+ * @param {object} [params.options] - Additional options
+ * @param {boolean} [params.options.strictMode=false] - Use v1.0 strict timestamp validation
+ * @param {number} [params.options.maxDecompressedBytes] - Decompressed payload limit (v1.2)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {{content: string, senderSignPK: Uint8Array, senderBoxPK: Uint8Array, senderFp: Uint8Array, ts: number, msgId: string, type: string, payload: object}}
+ */
+export function decryptMessage(params, nacl, naclUtil, ctx) {
+  const { message } = params;
+  if (message && message.v === 1 && message.kind === "dmesh-msg-multi") {
+    return decryptMultiMessage(params, nacl, naclUtil, ctx);
+  }
+  if (message && message.v === 1 && message.kind === "dmesh-msg-sealed") {
+    return decryptSealedMessage(params, nacl, naclUtil, ctx);
+  }
+  return decryptSingleMessage(params, nacl, naclUtil, ctx);
+}
+
+/**
+ * Verify and decrypt a single-recipient message (dmesh-msg)
+ * @param {object} params - See decryptMessage
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx]
+ * @returns {object} - See decryptMessage
+ */
+function decryptSingleMessage({ message, recipientBoxPK, recipientBoxSK, expectedSenderSignPK, expectedSenderBoxPK, replayCheck, revocationCheck, options = {} }, nacl, naclUtil, ctx) {
+  // Validate message format
+  if (!message || message.v !== 1 || message.kind !== "dmesh-msg") {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT);
+  }
+
+  // v1.2: either recipientBoxPK or a rotating recipientTag
+  const tagged = message.recipientTag !== undefined;
+  if (tagged && message.recipientBoxPK !== undefined) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "both recipientBoxPK and recipientTag");
+  }
+
+  // Decode base64 fields
+  let senderSignPK, senderBoxPK, recipientBoxPKMsg, recipientTag, ephPK, nonce, ciphertext, signature;
+  try {
+    senderSignPK = naclUtil.decodeBase64(message.senderSignPK);
+    senderBoxPK = naclUtil.decodeBase64(message.senderBoxPK);
+    if (tagged) {
+      recipientTag = naclUtil.decodeBase64(message.recipientTag);
+    } else {
+      recipientBoxPKMsg = naclUtil.decodeBase64(message.recipientBoxPK);
+    }
+    ephPK = naclUtil.decodeBase64(message.ephPK);
+    nonce = naclUtil.decodeBase64(message.nonce);
+    ciphertext = naclUtil.decodeBase64(message.ciphertext);
+    signature = naclUtil.decodeBase64(message.signature);
+  } catch {
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
+  }
+
+  // Validate lengths
+  if (senderSignPK.length !== nacl.sign.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "senderSignPK length invalid");
+  if (senderBoxPK.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "senderBoxPK length invalid");
+  if (tagged && recipientTag.length !== RECIPIENT_TAG_BYTES) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "recipientTag length invalid");
+  if (!tagged && recipientBoxPKMsg.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "recipientBoxPK length invalid");
+  if (ephPK.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "ephPK length invalid");
+  if (nonce.length !== nacl.box.nonceLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "nonce length invalid");
+  if (signature.length !== nacl.sign.signatureLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "signature length invalid");
+
+  const ts = checkMessageTimestamp(message, options, ctx);
+
+  // Compute or verify message ID (v1.1)
+  const computedMsgId = messageIdFromCiphertext(ciphertext, nacl);
+  const msgIdB64 = naclUtil.encodeBase64(computedMsgId);
+
+  // If message has msgId, verify it matches
+  if (message.msgId && message.msgId !== msgIdB64) {
+    throw createError(ErrorCode.MSGID_MISMATCH);
+  }
+
+  // Recipient binding check (tagged: our tag for the signed ts)
+  const recipientMatches = tagged
+    ? naclUtil.encodeBase64(deriveRecipientTag({ boxSK: recipientBoxSK, peerBoxPK: senderBoxPK, recipientBoxPK }, ts, nacl, naclUtil)) === message.recipientTag
+    : naclUtil.encodeBase64(recipientBoxPK) === message.recipientBoxPK;
+  if (!recipientMatches) {
+    throw createError(ErrorCode.RECIPIENT_MISMATCH);
+  }
+
+  // Sender fingerprint
+  const senderFp = fingerprintFromSignPK(senderSignPK, nacl);
+
+  // Key consistency check (if known sender)
+  checkExpectedSender(message, expectedSenderSignPK, expectedSenderBoxPK, naclUtil);
+
+  // Signature verification
+  const signFields = { senderSignPK, senderBoxPK, ephPK, nonce, ts, ciphertext };
+  const signBytes = tagged
+    ? buildTaggedSignBytes({ ...signFields, recipientTag }, naclUtil)
+    : buildSignBytes({ ...signFields, recipientBoxPK: recipientBoxPKMsg }, naclUtil);
+
+  const verified = nacl.sign.detached.verify(signBytes, signature, senderSignPK);
+  if (!verified) {
+    throw createError(ErrorCode.SIGNATURE_INVALID);
+  }
+
+  checkRevocation(revocationCheck, senderFp, ts, naclUtil);
+
+  // Replay check (optional) - v1.1 uses msgId + senderFp
+  if (replayCheck) {
+    const senderFpB64 = naclUtil.encodeBase64(senderFp);
+    const allowed = replayCheck(msgIdB64, senderFpB64);
+    if (!allowed) {
+      throw createError(ErrorCode.REPLAY_DETECTED);
+    }
+  }
+
+  // Decrypt
+  const shared = nacl.box.before(ephPK, recipientBoxSK);
+  const plaintext = nacl.box.open.after(ciphertext, nonce, shared);
+  if (!plaintext) {
+    throw createError(ErrorCode.DECRYPTION_FAILED);
+  }
+
+  // Return extended result (v1.1)
+  return buildDecryptResult(plaintext, {
+    senderSignPK,
+    senderBoxPK,
+    senderFp,
+    ts,
+    msgId: msgIdB64
+  }, options, naclUtil);
+}
+
+/**
+ * Verify and decrypt a multi-recipient message (dmesh-msg-multi)
+ * @param {object} params - See decryptMessage
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx]
+ * @returns {object} - See decryptMessage
+ */
+function decryptMultiMessage({ message, recipientBoxPK, recipientBoxSK, expectedSenderSignPK, expectedSenderBoxPK, replayCheck, revocationCheck, options = {} }, nacl, naclUtil, ctx) {
+  if (!Array.isArray(message.recipients) || message.recipients.length === 0 ||
+      message.recipients.length > MAX_RECIPIENTS) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT);
+  }
+
+  // Decode base64 fields
+  let senderSignPK, senderBoxPK, ephPK, nonce, ciphertext, signature, recipients;
+  try {
+    senderSignPK = naclUtil.decodeBase64(message.senderSignPK);
+    senderBoxPK = naclUtil.decodeBase64(message.senderBoxPK);
+    ephPK = naclUtil.decodeBase64(message.ephPK);
+    nonce = naclUtil.decodeBase64(message.nonce);
+    ciphertext = naclUtil.decodeBase64(message.ciphertext);
+    signature = naclUtil.decodeBase64(message.signature);
+    recipients = message.recipients.map(r => ({
+      boxPK: naclUtil.decodeBase64(r.boxPK),
+      key: naclUtil.decodeBase64(r.key)
+    }));
+  } catch {
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
+  }
+
+  // Validate lengths
+  const wrappedKeyLength = nacl.secretbox.keyLength + nacl.box.overheadLength;
+  if (senderSignPK.length !== nacl.sign.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "senderSignPK length invalid");
+  if (senderBoxPK.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "senderBoxPK length invalid");
+  if (ephPK.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "ephPK length invalid");
+  if (nonce.length !== nacl.box.nonceLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "nonce length invalid");
+  if (signature.length !== nacl.sign.signatureLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "signature length invalid");
+  for (const r of recipients) {
+    if (r.boxPK.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "recipientBoxPK length invalid");
+    if (r.key.length !== wrappedKeyLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "wrapped key length invalid");
+  }
+
+  const ts = checkMessageTimestamp(message, options, ctx);
+
+  const computedMsgId = messageIdFromCiphertext(ciphertext, nacl);
+  const msgIdB64 = naclUtil.encodeBase64(computedMsgId);
+  if (message.msgId && message.msgId !== msgIdB64) {
+    throw createError(ErrorCode.MSGID_MISMATCH);
+  }
+
+  // Recipient binding check: our key must be one of the signed entries
+  const myBoxPKB64 = naclUtil.encodeBase64(recipientBoxPK);
+  const entryIndex = message.recipients.findIndex(r => r.boxPK === myBoxPKB64);
+  if (entryIndex < 0) {
+    throw createError(ErrorCode.RECIPIENT_MISMATCH);
+  }
+
+  const senderFp = fingerprintFromSignPK(senderSignPK, nacl);
+
+  checkExpectedSender(message, expectedSenderSignPK, expectedSenderBoxPK, naclUtil);
+
+  // Signature verification (covers every recipient entry)
+  const signBytes = buildMultiSignBytes({
+    senderSignPK,
+    senderBoxPK,
+    ephPK,
+    nonce,
+    ts,
+    recipients,
+    ciphertext
+  }, naclUtil);
+
+  const verified = nacl.sign.detached.verify(signBytes, signature, senderSignPK);
+  if (!verified) {
+    throw createError(ErrorCode.SIGNATURE_INVALID);
+  }
+
+  checkRevocation(revocationCheck, senderFp, ts, naclUtil);
+
+  if (replayCheck) {
+    const senderFpB64 = naclUtil.encodeBase64(senderFp);
+    const allowed = replayCheck(msgIdB64, senderFpB64);
+    if (!allowed) {
+      throw createError(ErrorCode.REPLAY_DETECTED);
+    }
+  }
+
+  // Unwrap our content key, then decrypt the shared ciphertext
+  const shared = nacl.box.before(ephPK, recipientBoxSK);
+  const contentKey = nacl.box.open.after(recipients[entryIndex].key, nonce, shared);
+  if (!contentKey) {
+    throw createError(ErrorCode.DECRYPTION_FAILED);
+  }
+  const plaintext = nacl.secretbox.open(ciphertext, nonce, contentKey);
+  if (!plaintext) {
+    throw createError(ErrorCode.DECRYPTION_FAILED);
+  }
+
+  return buildDecryptResult(plaintext, {
+    senderSignPK,
+    senderBoxPK,
+    senderFp,
+    ts,
+    msgId: msgIdB64
+  }, options, naclUtil);
+}
+
+/**
+ * Decrypt and verify a sealed-sender message (dmesh-msg-sealed)
+ *
+ * The sender is only known after opening the box, so expected sender keys,
+ * the signature and the replay check are applied to the inner identity.
+ *
+ * @param {object} params - See decryptMessage
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx]
+ * @returns {object} - See decryptMessage
+ */
+function decryptSealedMessage({ message, recipientBoxPK, recipientBoxSK, expectedSenderSignPK, expectedSenderBoxPK, replayCheck, revocationCheck, options = {} }, nacl, naclUtil, ctx) {
+  let recipientBoxPKMsg, ephPK, nonce, ciphertext;
+  try {
+    recipientBoxPKMsg = naclUtil.decodeBase64(message.recipientBoxPK);
+    ephPK = naclUtil.decodeBase64(message.ephPK);
+    nonce = naclUtil.decodeBase64(message.nonce);
+    ciphertext = naclUtil.decodeBase64(message.ciphertext);
+  } catch {
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
+  }
+
+  if (recipientBoxPKMsg.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "recipientBoxPK length invalid");
+  if (ephPK.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "ephPK length invalid");
+  if (nonce.length !== nacl.box.nonceLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "nonce length invalid");
+
+  const ts = checkMessageTimestamp(message, options, ctx);
+
+  const msgIdB64 = naclUtil.encodeBase64(messageIdFromCiphertext(ciphertext, nacl));
+  if (message.msgId && message.msgId !== msgIdB64) {
+    throw createError(ErrorCode.MSGID_MISMATCH);
+  }
+
+  if (naclUtil.encodeBase64(recipientBoxPK) !== message.recipientBoxPK) {
+    throw createError(ErrorCode.RECIPIENT_MISMATCH);
+  }
+
+  // Open the envelope to learn the sender
+  const shared = nacl.box.before(ephPK, recipientBoxSK);
+  const plaintext = nacl.box.open.after(ciphertext, nonce, shared);
+  if (!plaintext) {
+    throw createError(ErrorCode.DECRYPTION_FAILED);
+  }
+  if (plaintext.length <= SEALED_HEADER_LENGTH) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT);
+  }
+
+  const senderSignPK = plaintext.slice(0, 32);
+  const senderBoxPK = plaintext.slice(32, 64);
+  const signature = plaintext.slice(64, SEALED_HEADER_LENGTH);
+  const payloadBytes = plaintext.subarray(SEALED_HEADER_LENGTH);
+
+  checkExpectedSender({
+    senderSignPK: naclUtil.encodeBase64(senderSignPK),
+    senderBoxPK: naclUtil.encodeBase64(senderBoxPK)
+  }, expectedSenderSignPK, expectedSenderBoxPK, naclUtil);
+
+  const signBytes = buildSealedSignBytes({
+    senderSignPK,
+    senderBoxPK,
+    recipientBoxPK: recipientBoxPKMsg,
+    ephPK,
+    nonce,
+    ts,
+    payloadBytes
+  }, naclUtil);
+  if (!nacl.sign.detached.verify(signBytes, signature, senderSignPK)) {
+    throw createError(ErrorCode.SIGNATURE_INVALID);
+  }
+
+  // Revocation and replay checks with the inner sender fingerprint
+  const senderFp = fingerprintFromSignPK(senderSignPK, nacl);
+  checkRevocation(revocationCheck, senderFp, ts, naclUtil);
+  if (replayCheck && !replayCheck(msgIdB64, naclUtil.encodeBase64(senderFp))) {
+    throw createError(ErrorCode.REPLAY_DETECTED);
+  }
+
+  return buildDecryptResult(payloadBytes, {
+    senderSignPK,
+    senderBoxPK,
+    senderFp,
+    ts,
+    msgId: msgIdB64
+  }, options, naclUtil);
+}
+
+// ============================================================================
+// Public Identity
+// ============================================================================
+
+/**
+ * Build SignBytes for self-signed identities (dmesh-id v2)
+ *
+ * SignBytes = concat([
+ *   DOMAIN_IDENTITY (11 bytes),
+ *   signPK (32 bytes),
+ *   boxPK (32 bytes),
+ *   iat_u64be (8 bytes),
+ *   exp_u64be (8 bytes),
+ *   name_len_u32be (4 bytes),
+ *   name (variable, UTF-8),
+ *   meta_len_u32be (4 bytes),
+ *   meta (variable, UTF-8 JSON; empty if absent)
+ * ])
+ *
+ * @param {object} params
+ * @param {Uint8Array} params.signPK - Ed25519 public key
+ * @param {Uint8Array} params.boxPK - X25519 public key
+ * @param {string} params.name - Display name
+ * @param {number} params.iat - Issued at (Unix milliseconds)
+ * @param {number} params.exp - Expiration (Unix milliseconds)
+ * @param {object} [params.meta] - Optional metadata
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function buildIdentitySignBytes({ signPK, boxPK, name, iat, exp, meta }, naclUtil) {
+  const nameBytes = naclUtil.decodeUTF8(name);
+  const metaBytes = meta === undefined ? new Uint8Array(0) : naclUtil.decodeUTF8(JSON.stringify(meta));
+  return concatU8([
+    naclUtil.decodeUTF8(DOMAIN_IDENTITY),
+    signPK,
+    boxPK,
+    u64beFromNumber(iat),
+    u64beFromNumber(exp),
+    u32be(nameBytes.length),
+    nameBytes,
+    u32be(metaBytes.length),
+    metaBytes
+  ]);
+}
+
+/**
+ * Check identity name and metadata limits
+ * @param {any} name
+ * @param {any} meta
+ * @param {object} naclUtil
+ */
+function checkIdentityFields(name, meta, naclUtil) {
+  if (typeof name !== "string" || naclUtil.decodeUTF8(name).length > MAX_IDENTITY_NAME_BYTES) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Invalid identity name");
+  }
+  if (meta !== undefined) {
+    if (!meta || typeof meta !== "object" || Array.isArray(meta) ||
+        naclUtil.decodeUTF8(JSON.stringify(meta)).length > MAX_IDENTITY_META_BYTES) {
+      throw createError(ErrorCode.INVALID_PARAMETER, "Invalid identity metadata");
+    }
+  }
+}
+
+/**
+ * Create a public identity object
+ *
+ * With signSK, the identity is self-signed (v2) with issued/expiry
+ * timestamps, so a pasted or scanned identity cannot have its boxPK or name
+ * swapped. Without signSK, a legacy unsigned v1 identity is returned.
+ *
+ * @param {object} params
+ * @param {string} params.name - Display name
+ * @param {Uint8Array} params.signPK - Ed25519 public key
+ * @param {Uint8Array} params.boxPK - X25519 public key
+ * @param {Uint8Array} [params.signSK] - Ed25519 secret key (signs a v2 identity)
+ * @param {number} [params.ts] - Issued at (defaults to Date.now())
+ * @param {number} [params.ttlMs] - Validity in ms (defaults to DEFAULT_IDENTITY_TTL_MS)
+ * @param {object} [params.meta] - Optional metadata (e.g. {role: "shelter"}), signed
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {object} - Public identity object
+ */
+export function createPublicIdentity({ name, signPK, boxPK, signSK, ts, ttlMs = DEFAULT_IDENTITY_TTL_MS, meta }, nacl, naclUtil, ctx) {
+  const fp = fingerprintFromSignPK(signPK, nacl);
+  if (!signSK) {
+    return {
+      v: 1,
+      kind: "dmesh-id",
+      name,
+      fp: naclUtil.encodeBase64(fp),
+      signPK: naclUtil.encodeBase64(signPK),
+      boxPK: naclUtil.encodeBase64(boxPK)
+    };
+  }
+
+  checkIdentityFields(name, meta, naclUtil);
+  const iat = ts ?? ctxNow(ctx);
+  const exp = iat + ttlMs;
+  const signBytes = buildIdentitySignBytes({ signPK, boxPK, name, iat, exp, meta }, naclUtil);
+
+  const identity = {
+    v: IDENTITY_VERSION,
+    kind: "dmesh-id",
+    name,
+    fp: naclUtil.encodeBase64(fp),
+    signPK: naclUtil.encodeBase64(signPK),
+    boxPK: naclUtil.encodeBase64(boxPK),
+    iat,
+    exp
+  };
+  if (meta !== undefined) {
+    identity.meta = meta;
+  }
+  identity.sig = naclUtil.encodeBase64(nacl.sign.detached(signBytes, signSK));
+  return identity;
+}
+
+/**
+ * Verify a public identity before storing it as a contact
+ *
+ * v2 identities must carry a valid self-signature and be within their
+ * validity period. Legacy v1 identities are only checked for key lengths and
+ * fingerprint, and are rejected with requireSigned.
+ *
+ * @param {object} params
+ * @param {object} params.identity - Public identity object (dmesh-id)
+ * @param {boolean} [params.requireSigned=false] - Reject unsigned v1 identities
+ * @param {number} [params.now] - Current time (defaults to Date.now())
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {{fp: string, name: string, signPK: string, boxPK: string, signed: boolean, iat?: number, exp?: number, meta?: object}}
+ */
+export function verifyPublicIdentity({ identity, requireSigned = false, now }, nacl, naclUtil, ctx) {
+  if (!identity || identity.kind !== "dmesh-id" || (identity.v !== 1 && identity.v !== IDENTITY_VERSION)) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "Invalid identity format");
+  }
+
+  let signPK, boxPK;
+  try {
+    signPK = naclUtil.decodeBase64(identity.signPK);
+    boxPK = naclUtil.decodeBase64(identity.boxPK);
+  } catch {
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
+  }
+  if (signPK.length !== nacl.sign.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "signPK length invalid");
+  if (boxPK.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "boxPK length invalid");
+
+  const fp = naclUtil.encodeBase64(fingerprintFromSignPK(signPK, nacl));
+  if (identity.fp !== undefined && identity.fp !== fp) {
+    throw createError(ErrorCode.FINGERPRINT_MISMATCH);
+  }
+
+  const result = {
+    fp,
+    name: identity.name,
+    signPK: identity.signPK,
+    boxPK: identity.boxPK,
+    signed: false
+  };
+
+  if (identity.v === 1) {
+    if (requireSigned) throw createError(ErrorCode.IDENTITY_UNSIGNED);
+    return result;
+  }
+
+  checkIdentityFields(identity.name, identity.meta, naclUtil);
+  const iat = Number(identity.iat);
+  const exp = Number(identity.exp);
+  if (!Number.isSafeInteger(iat) || iat < 0) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "iat invalid");
+  if (!Number.isSafeInteger(exp) || exp < iat) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "exp invalid");
+
+  let sig;
+  try {
+    sig = naclUtil.decodeBase64(identity.sig);
+  } catch {
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
+  }
+  if (sig.length !== nacl.sign.signatureLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "sig length invalid");
+
+  const signBytes = buildIdentitySignBytes({ signPK, boxPK, name: identity.name, iat, exp, meta: identity.meta }, naclUtil);
+  if (!nacl.sign.detached.verify(signBytes, sig, signPK)) {
+    throw createError(ErrorCode.SIGNATURE_INVALID, "Invalid identity signature");
+  }
+
+  const currentTime = now ?? ctxNow(ctx);
+  if (currentTime > exp) {
+    throw createError(ErrorCode.IDENTITY_EXPIRED);
+  }
+  if (iat > currentTime + MAX_SKEW_MS) {
+    throw createError(ErrorCode.TIMESTAMP_SKEW, "Identity issued in the future");
+  }
+
+  return {
+    ...result,
+    signed: true,
+    iat,
+    exp,
+    ...(identity.meta !== undefined && { meta: identity.meta })
+  };
+}
+
+// ============================================================================
+// Key Rotation
+// ============================================================================
+
+/**
+ * Build SignBytes for key rotation announcements
+ *
+ * SignBytes = concat([
+ *   DOMAIN_KEYROTATE (12 bytes),
+ *   oldSignPK (32 bytes),
+ *   newSignPK (32 bytes),
+ *   newBoxPK (32 bytes),
+ *   ts_u64be (8 bytes)
+ * ])
+ *
+ * @param {object} params
+ * @param {Uint8Array} params.oldSignPK - Previous Ed25519 public key
+ * @param {Uint8Array} params.newSignPK - New Ed25519 public key
+ * @param {Uint8Array} params.newBoxPK - New X25519 public key
+ * @param {number} params.ts - Timestamp (Unix milliseconds)
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function buildKeyRotateSignBytes({ oldSignPK, newSignPK, newBoxPK, ts }, naclUtil) {
+  return concatU8([
+    naclUtil.decodeUTF8(DOMAIN_KEYROTATE),
+    oldSignPK,
+    newSignPK,
+    newBoxPK,
+    u64beFromNumber(ts)
+  ]);
+}
+
+/**
+ * Create a key rotation announcement signed by both the old and new keys
+ *
+ * @param {object} params
+ * @param {string} [params.name] - Display name
+ * @param {Uint8Array} params.oldSignPK - Previous Ed25519 public key
+ * @param {Uint8Array} params.oldSignSK - Previous Ed25519 secret key
+ * @param {Uint8Array} params.newSignPK - New Ed25519 public key
+ * @param {Uint8Array} params.newSignSK - New Ed25519 secret key
+ * @param {Uint8Array} params.newBoxPK - New X25519 public key
+ * @param {number} [params.ts] - Timestamp (defaults to Date.now())
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {object} - Key rotation object (dmesh-keyrotate)
+ */
+export function createKeyRotation({ name, oldSignPK, oldSignSK, newSignPK, newSignSK, newBoxPK, ts }, nacl, naclUtil, ctx) {
+  const timestamp = ts ?? ctxNow(ctx);
+  const signBytes = buildKeyRotateSignBytes({ oldSignPK, newSignPK, newBoxPK, ts: timestamp }, naclUtil);
+
+  return {
+    v: 1,
+    kind: "dmesh-keyrotate",
+    name,
+    ts: timestamp,
+    oldFp: naclUtil.encodeBase64(fingerprintFromSignPK(oldSignPK, nacl)),
+    oldSignPK: naclUtil.encodeBase64(oldSignPK),
+    newFp: naclUtil.encodeBase64(fingerprintFromSignPK(newSignPK, nacl)),
+    newSignPK: naclUtil.encodeBase64(newSignPK),
+    newBoxPK: naclUtil.encodeBase64(newBoxPK),
+    oldSignature: naclUtil.encodeBase64(nacl.sign.detached(signBytes, oldSignSK)),
+    newSignature: naclUtil.encodeBase64(nacl.sign.detached(signBytes, newSignSK))
+  };
+}
+
+/**
+ * Verify a key rotation announcement
+ * Both signatures must be valid and fingerprints must match the keys.
+ *
+ * @param {object} rotation - Key rotation object (dmesh-keyrotate)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {{oldFp: string, oldSignPK: string, newFp: string, newSignPK: string, newBoxPK: string, ts: number}}
+ */
+export function verifyKeyRotation(rotation, nacl, naclUtil) {
+  if (!rotation || rotation.v !== 1 || rotation.kind !== "dmesh-keyrotate") {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "Invalid key rotation format");
+  }
+
+  let oldSignPK, newSignPK, newBoxPK, oldSignature, newSignature;
+  try {
+    oldSignPK = naclUtil.decodeBase64(rotation.oldSignPK);
+    newSignPK = naclUtil.decodeBase64(rotation.newSignPK);
+    newBoxPK = naclUtil.decodeBase64(rotation.newBoxPK);
+    oldSignature = naclUtil.decodeBase64(rotation.oldSignature);
+    newSignature = naclUtil.decodeBase64(rotation.newSignature);
+  } catch {
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
+  }
+
+  if (oldSignPK.length !== nacl.sign.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "oldSignPK length invalid");
+  if (newSignPK.length !== nacl.sign.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "newSignPK length invalid");
+  if (newBoxPK.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "newBoxPK length invalid");
+  if (oldSignature.length !== nacl.sign.signatureLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "oldSignature length invalid");
+  if (newSignature.length !== nacl.sign.signatureLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "newSignature length invalid");
+
+  const ts = Number(rotation.ts);
+  if (!Number.isFinite(ts)) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "ts invalid");
+
+  const oldFp = naclUtil.encodeBase64(fingerprintFromSignPK(oldSignPK, nacl));
+  const newFp = naclUtil.encodeBase64(fingerprintFromSignPK(newSignPK, nacl));
+  if (rotation.oldFp !== oldFp || rotation.newFp !== newFp) {
+    throw createError(ErrorCode.FINGERPRINT_MISMATCH);
+  }
+  if (oldFp === newFp) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Key rotation must change the signing key");
+  }
+
+  const signBytes = buildKeyRotateSignBytes({ oldSignPK, newSignPK, newBoxPK, ts }, naclUtil);
+  if (!nacl.sign.detached.verify(signBytes, oldSignature, oldSignPK)) {
+    throw createError(ErrorCode.SIGNATURE_INVALID, "Invalid old key signature");
+  }
+  if (!nacl.sign.detached.verify(signBytes, newSignature, newSignPK)) {
+    throw createError(ErrorCode.SIGNATURE_INVALID, "Invalid new key signature");
+  }
+
+  return {
+    oldFp,
+    oldSignPK: rotation.oldSignPK,
+    newFp,
+    newSignPK: rotation.newSignPK,
+    newBoxPK: rotation.newBoxPK,
+    ts
+  };
+}
+
+// ============================================================================
+// Revocation Certificates (v1.2)
+// ============================================================================
+
+/**
+ * Build SignBytes for revocation certificates
+ *
+ * SignBytes = concat([
+ *   DOMAIN_REVOKE (15 bytes),
+ *   signPK (32 bytes),
+ *   boxPK (32 bytes),
+ *   createdAt_u64be (8 bytes),
+ *   revokedAt_u64be (8 bytes, 0 if not set),
+ *   reason_len_u32be (4 bytes),
+ *   reason (variable, UTF-8)
+ * ])
+ *
+ * @param {object} params
+ * @param {Uint8Array} params.signPK - Revoked Ed25519 public key
+ * @param {Uint8Array} params.boxPK - Revoked X25519 public key
+ * @param {number} params.createdAt - Signing time (Unix milliseconds)
+ * @param {number|null} params.revokedAt - Effective revocation time, null if unknown at signing
+ * @param {string} params.reason - One of REVOCATION_REASONS
  * @param {object} naclUtil - TweetNaCl-util instance
  * @returns {Uint8Array}
  */
-export function buildSignBytes({ senderSignPK, senderBoxPK, recipientBoxPK, ephPK, nonce, ts, ciphertext }, naclUtil) {
-  const DOMAIN_BYTES = naclUtil.decodeUTF8(DOMAIN);
+export function buildRevocationSignBytes({ signPK, boxPK, createdAt, revokedAt, reason }, naclUtil) {
+  const reasonBytes = naclUtil.decodeUTF8(reason);
   return concatU8([
-    DOMAIN_BYTES,
-    senderSignPK,
-    senderBoxPK,
-    recipientBoxPK,
-    ephPK,
-    nonce,
-    u64beFromNumber(ts),
-    u32be(ciphertext.length),
-    ciphertext
+    naclUtil.decodeUTF8(DOMAIN_REVOKE),
+    signPK,
+    boxPK,
+    u64beFromNumber(createdAt),
+    u64beFromNumber(revokedAt ?? 0),
+    u32be(reasonBytes.length),
+    reasonBytes
   ]);
 }
 
-// ============================================================================
-// Key Generation
-// ============================================================================
-
 /**
- * Generate Ed25519 signing key pair
+ * Create a revocation certificate for own keys
+ *
+ * Meant to be generated together with the keys and exported (printed, kept
+ * on another device), so the keys can be revoked after the phone is lost.
+ * A pre-generated certificate has no revokedAt; receivers then treat the
+ * time they first see it as the revocation time.
+ *
+ * @param {object} params
+ * @param {Uint8Array} params.signPK - Ed25519 public key to revoke
+ * @param {Uint8Array} params.signSK - Ed25519 secret key
+ * @param {Uint8Array} params.boxPK - X25519 public key to revoke
+ * @param {number} [params.ts] - Signing time (defaults to Date.now())
+ * @param {number} [params.revokedAt] - Effective revocation time (e.g. when the phone was lost)
+ * @param {string} [params.reason="unspecified"] - One of REVOCATION_REASONS
  * @param {object} nacl - TweetNaCl instance
- * @returns {{publicKey: Uint8Array, secretKey: Uint8Array}}
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {object} - Revocation certificate (dmesh-revoke)
  */
-export function generateSignKeyPair(nacl) {
-  return nacl.sign.keyPair();
+export function createRevocationCertificate({ signPK, signSK, boxPK, ts, revokedAt, reason = "unspecified" }, nacl, naclUtil, ctx) {
+  if (!REVOCATION_REASONS.includes(reason)) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Invalid revocation reason");
+  }
+  const createdAt = ts ?? ctxNow(ctx);
+  const signBytes = buildRevocationSignBytes({ signPK, boxPK, createdAt, revokedAt, reason }, naclUtil);
+
+  const cert = {
+    v: 1,
+    kind: "dmesh-revoke",
+    fp: naclUtil.encodeBase64(fingerprintFromSignPK(signPK, nacl)),
+    signPK: naclUtil.encodeBase64(signPK),
+    boxPK: naclUtil.encodeBase64(boxPK),
+    createdAt,
+    reason
+  };
+  if (revokedAt !== undefined && revokedAt !== null) {
+    cert.revokedAt = revokedAt;
+  }
+  cert.signature = naclUtil.encodeBase64(nacl.sign.detached(signBytes, signSK));
+  return cert;
 }
 
 /**
- * Generate X25519 box (encryption) key pair
+ * Verify a revocation certificate
+ *
+ * @param {object} cert - Revocation certificate (dmesh-revoke)
  * @param {object} nacl - TweetNaCl instance
- * @returns {{publicKey: Uint8Array, secretKey: Uint8Array}}
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {{fp: string, signPK: string, boxPK: string, createdAt: number, revokedAt: number|null, reason: string}}
  */
-export function generateBoxKeyPair(nacl) {
-  return nacl.box.keyPair();
+export function verifyRevocationCertificate(cert, nacl, naclUtil) {
+  if (!cert || cert.v !== 1 || cert.kind !== "dmesh-revoke") {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "Invalid revocation format");
+  }
+  if (!REVOCATION_REASONS.includes(cert.reason)) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Invalid revocation reason");
+  }
+
+  let signPK, boxPK, signature;
+  try {
+    signPK = naclUtil.decodeBase64(cert.signPK);
+    boxPK = naclUtil.decodeBase64(cert.boxPK);
+    signature = naclUtil.decodeBase64(cert.signature);
+  } catch {
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
+  }
+  if (signPK.length !== nacl.sign.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "signPK length invalid");
+  if (boxPK.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "boxPK length invalid");
+  if (signature.length !== nacl.sign.signatureLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "signature length invalid");
+
+  const createdAt = Number(cert.createdAt);
+  if (!Number.isSafeInteger(createdAt) || createdAt < 0) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "createdAt invalid");
+  const revokedAt = cert.revokedAt === undefined ? null : Number(cert.revokedAt);
+  if (revokedAt !== null && (!Number.isSafeInteger(revokedAt) || revokedAt <= 0)) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "revokedAt invalid");
+  }
+
+  const fp = naclUtil.encodeBase64(fingerprintFromSignPK(signPK, nacl));
+  if (cert.fp !== fp) {
+    throw createError(ErrorCode.FINGERPRINT_MISMATCH);
+  }
+
+  const signBytes = buildRevocationSignBytes({ signPK, boxPK, createdAt, revokedAt, reason: cert.reason }, naclUtil);
+  if (!nacl.sign.detached.verify(signBytes, signature, signPK)) {
+    throw createError(ErrorCode.SIGNATURE_INVALID);
+  }
+
+  return {
+    fp,
+    signPK: cert.signPK,
+    boxPK: cert.boxPK,
+    createdAt,
+    revokedAt,
+    reason: cert.reason
+  };
 }
 
 // ============================================================================
-// Encryption
+// Broadcast Alerts (v1.2)
 // ============================================================================
 
 /**
- * Encrypt and sign a message
+ * Build SignBytes for broadcast alerts
+ *
+ * SignBytes = concat([
+ *   DOMAIN_BROADCAST (14 bytes),
+ *   senderSignPK (32 bytes),
+ *   ts_u64be (8 bytes),
+ *   exp_u64be (8 bytes),
+ *   payload_len_u32be (4 bytes),
+ *   payload (variable, UTF-8 JSON)
+ * ])
  *
  * @param {object} params
- * @param {string} params.content - Message content
+ * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
+ * @param {number} params.ts - Timestamp (Unix milliseconds)
+ * @param {number} params.exp - Expiration (Unix milliseconds)
+ * @param {Uint8Array} params.payloadBytes - UTF-8 payload bytes
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function buildBroadcastSignBytes({ senderSignPK, ts, exp, payloadBytes }, naclUtil) {
+  return concatU8([
+    naclUtil.decodeUTF8(DOMAIN_BROADCAST),
+    senderSignPK,
+    u64beFromNumber(ts),
+    u64beFromNumber(exp),
+    u32be(payloadBytes.length),
+    payloadBytes
+  ]);
+}
+
+/**
+ * Create a signed cleartext broadcast alert (dmesh-broadcast)
+ *
+ * Broadcasts are readable by anyone and authenticated by the sender's
+ * signature. Unlike dmesh-msg, exp is signed so relays cannot extend it.
+ *
+ * @param {object} params
+ * @param {string} params.content - Alert text
  * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
  * @param {Uint8Array} params.senderSignSK - Sender's Ed25519 secret key
- * @param {Uint8Array} params.senderBoxPK - Sender's X25519 public key
- * @param {Uint8Array} params.senderBoxSK - Sender's X25519 secret key
- * @param {Uint8Array} params.recipientBoxPK - Recipient's X25519 public key
  * @param {number} [params.ts] - Timestamp (defaults to Date.now())
- * @param {number} [params.ttlMs] - Time to live in ms (v1.1, defaults to DEFAULT_TTL_MS)
- * @param {string} [params.type] - Message type (v1.1: text, im_safe, need_help, etc.)
- * @param {object} [params.payloadExtra] - Additional payload fields (v1.1: location, urgency, etc.)
+ * @param {number} [params.ttlMs] - Time to live in ms (defaults to DEFAULT_TTL_MS)
+ * @param {string} [params.type] - Alert type (evacuation_order, shelter_info, supplies, etc.)
+ * @param {object} [params.payloadExtra] - Additional payload fields (location, resources, etc.)
  * @param {object} nacl - TweetNaCl instance
  * @param {object} naclUtil - TweetNaCl-util instance
- * @returns {object} - Encrypted message object with msgId and exp (v1.1)
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {object} - Broadcast object (dmesh-broadcast)
  */
-export function encryptMessage({ content, senderSignPK, senderSignSK, senderBoxPK, senderBoxSK: _senderBoxSK, recipientBoxPK, ts, ttlMs, type, payloadExtra }, nacl, naclUtil) {
-  const timestamp = ts ?? Date.now();
+export function signBroadcast({ content, senderSignPK, senderSignSK, ts, ttlMs, type, payloadExtra }, nacl, naclUtil, ctx) {
+  const timestamp = ts ?? ctxNow(ctx);
   const expiration = calculateExpiration(timestamp, ttlMs);
 
-  // Check content size
-  const contentBlob = new Blob([content]);
-  if (contentBlob.size > MAX_BYTES) {
-    throw new Error(`Content too large (max ${MAX_BYTES} bytes)`);
-  }
-
-  // Generate ephemeral key pair
-  const eph = nacl.box.keyPair();
-  const nonce = nacl.randomBytes(nacl.box.nonceLength);
-
-  // Construct payload (v1.1 with optional type and extra fields)
-  const payload = {
+  const payloadJson = JSON.stringify(validatePayload({
     v: 1,
     ts: timestamp,
     type: type || "text",
     content,
     ...payloadExtra
-  };
-  const payloadBytes = naclUtil.decodeUTF8(JSON.stringify(payload));
-
-  // Encrypt with ephemeral key
-  const shared = nacl.box.before(recipientBoxPK, eph.secretKey);
-  const ciphertext = nacl.box.after(payloadBytes, nonce, shared);
-
-  if (!ciphertext) {
-    throw new Error("Encryption failed");
+  }));
+  const payloadBytes = naclUtil.decodeUTF8(payloadJson);
+  if (payloadBytes.length > MAX_BYTES) {
+    throw createError(ErrorCode.CONTENT_TOO_LARGE, `max ${MAX_BYTES} bytes`);
   }
 
-  // Generate message ID from ciphertext (v1.1)
-  const msgId = messageIdFromCiphertext(ciphertext, nacl);
-
-  // Build signature bytes
-  const signBytes = buildSignBytes({
-    senderSignPK,
-    senderBoxPK,
-    recipientBoxPK,
-    ephPK: eph.publicKey,
-    nonce,
-    ts: timestamp,
-    ciphertext
-  }, naclUtil);
-
-  // Sign
+  const signBytes = buildBroadcastSignBytes({ senderSignPK, ts: timestamp, exp: expiration, payloadBytes }, naclUtil);
   const signature = nacl.sign.detached(signBytes, senderSignSK);
 
-  // Return message object (v1.1 with msgId and exp)
   return {
     v: 1,
-    kind: "dmesh-msg",
-    msgId: naclUtil.encodeBase64(msgId),
+    kind: "dmesh-broadcast",
+    msgId: naclUtil.encodeBase64(messageIdFromCiphertext(payloadBytes, nacl)),
     ts: timestamp,
     exp: expiration,
     senderSignPK: naclUtil.encodeBase64(senderSignPK),
-    senderBoxPK: naclUtil.encodeBase64(senderBoxPK),
-    recipientBoxPK: naclUtil.encodeBase64(recipientBoxPK),
-    ephPK: naclUtil.encodeBase64(eph.publicKey),
-    nonce: naclUtil.encodeBase64(nonce),
-    ciphertext: naclUtil.encodeBase64(ciphertext),
+    payload: payloadJson,
     signature: naclUtil.encodeBase64(signature)
   };
 }
 
-// ============================================================================
-// Decryption
-// ============================================================================
-
 /**
- * Verify and decrypt a message
+ * Verify a broadcast alert
  *
  * @param {object} params
- * @param {object} params.message - Encrypted message object
- * @param {Uint8Array} params.recipientBoxPK - Recipient's X25519 public key
- * @param {Uint8Array} params.recipientBoxSK - Recipient's X25519 secret key
- * @param {Uint8Array|null} [params.expectedSenderSignPK] - Expected sender's Ed25519 public key (null for TOFU)
- * @param {Uint8Array|null} [params.expectedSenderBoxPK] - Expected sender's X25519 box key (null for TOFU)
+ * @param {object} params.message - Broadcast object (dmesh-broadcast)
+ * @param {Uint8Array|null} [params.expectedSenderSignPK] - Required sender (e.g. a trusted authority)
  * @param {Function} [params.replayCheck] - Function(msgId, senderFp) => boolean (true if allowed)
- * @param {object} [params.options] - Additional options
- * @param {boolean} [params.options.strictMode=false] - Use v1.0 strict timestamp validation
+ * @param {Function} [params.revocationCheck] - Function(senderFp, ts) => boolean (true if allowed)
+ * @param {object} [params.options] - Additional options (strictMode)
  * @param {object} nacl - TweetNaCl instance
  * @param {object} naclUtil - TweetNaCl-util instance
- * @returns {{content: string, senderSignPK: Uint8Array, senderBoxPK: Uint8Array, senderFp: Uint8Array, ts: number, msgId: string, type: string, payload: object}}
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {{content: string, senderSignPK: Uint8Array, senderFp: Uint8Array, ts: number, exp: number, msgId: string, type: string, payload: object}}
  */
-export function decryptMessage({ message, recipientBoxPK, recipientBoxSK, expectedSenderSignPK, expectedSenderBoxPK, replayCheck, options = {} }, nacl, naclUtil) {
-  // Validate message format
-  if (!message || message.v !== 1 || message.kind !== "dmesh-msg") {
-    throw new Error("Invalid message format");
+export function verifyBroadcast({ message, expectedSenderSignPK, replayCheck, revocationCheck, options = {} }, nacl, naclUtil, ctx) {
+  if (!message || message.v !== 1 || message.kind !== "dmesh-broadcast" || typeof message.payload !== "string") {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT);
   }
 
-  // Decode base64 fields
-  let senderSignPK, senderBoxPK, recipientBoxPKMsg, ephPK, nonce, ciphertext, signature;
+  let senderSignPK, signature;
   try {
     senderSignPK = naclUtil.decodeBase64(message.senderSignPK);
-    senderBoxPK = naclUtil.decodeBase64(message.senderBoxPK);
-    recipientBoxPKMsg = naclUtil.decodeBase64(message.recipientBoxPK);
-    ephPK = naclUtil.decodeBase64(message.ephPK);
-    nonce = naclUtil.decodeBase64(message.nonce);
-    ciphertext = naclUtil.decodeBase64(message.ciphertext);
     signature = naclUtil.decodeBase64(message.signature);
   } catch {
-    throw new Error("Base64 decode failed");
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
   }
+  if (senderSignPK.length !== nacl.sign.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "senderSignPK length invalid");
+  if (signature.length !== nacl.sign.signatureLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "signature length invalid");
 
-  // Validate lengths
-  if (senderSignPK.length !== nacl.sign.publicKeyLength) throw new Error("senderSignPK length invalid");
-  if (senderBoxPK.length !== nacl.box.publicKeyLength) throw new Error("senderBoxPK length invalid");
-  if (recipientBoxPKMsg.length !== nacl.box.publicKeyLength) throw new Error("recipientBoxPK length invalid");
-  if (ephPK.length !== nacl.box.publicKeyLength) throw new Error("ephPK length invalid");
-  if (nonce.length !== nacl.box.nonceLength) throw new Error("nonce length invalid");
-  if (signature.length !== nacl.sign.signatureLength) throw new Error("signature length invalid");
-
-  const ts = Number(message.ts);
-  if (!Number.isFinite(ts)) throw new Error("ts invalid");
+  const exp = Number(message.exp);
+  if (!Number.isFinite(exp) || exp < Number(message.ts)) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "exp invalid");
+  const ts = checkMessageTimestamp(message, options, ctx);
 
-  // v1.1: Expiration-based validation (delay-tolerant)
-  // v1.0: Strict timestamp skew check (legacy, use options.strictMode)
-  if (!isMessageValid(message, options)) {
-    if (options.strictMode) {
-      throw new Error("Timestamp skew too large");
-    } else {
-      throw new Error("Message expired");
-    }
+  if (expectedSenderSignPK && naclUtil.encodeBase64(expectedSenderSignPK) !== message.senderSignPK) {
+    throw createError(ErrorCode.SENDER_KEY_MISMATCH, "Sender signing key mismatch");
   }
 
-  // Compute or verify message ID (v1.1)
-  const computedMsgId = messageIdFromCiphertext(ciphertext, nacl);
-  const msgIdB64 = naclUtil.encodeBase64(computedMsgId);
-
-  // If message has msgId, verify it matches
+  const payloadBytes = naclUtil.decodeUTF8(message.payload);
+  const msgIdB64 = naclUtil.encodeBase64(messageIdFromCiphertext(payloadBytes, nacl));
   if (message.msgId && message.msgId !== msgIdB64) {
-    throw new Error("Message ID mismatch");
+    throw createError(ErrorCode.MSGID_MISMATCH);
   }
 
-  // Recipient binding check
-  if (naclUtil.encodeBase64(recipientBoxPK) !== message.recipientBoxPK) {
-    throw new Error("Not intended for this recipient");
+  const signBytes = buildBroadcastSignBytes({ senderSignPK, ts, exp, payloadBytes }, naclUtil);
+  if (!nacl.sign.detached.verify(signBytes, signature, senderSignPK)) {
+    throw createError(ErrorCode.SIGNATURE_INVALID);
   }
 
-  // Sender fingerprint
   const senderFp = fingerprintFromSignPK(senderSignPK, nacl);
-
-  // Key consistency check (if known sender)
-  if (expectedSenderSignPK !== null && expectedSenderSignPK !== undefined) {
-    if (naclUtil.encodeBase64(expectedSenderSignPK) !== message.senderSignPK) {
-      throw new Error("Sender signing key mismatch");
-    }
-  }
-  if (expectedSenderBoxPK !== null && expectedSenderBoxPK !== undefined) {
-    if (naclUtil.encodeBase64(expectedSenderBoxPK) !== message.senderBoxPK) {
-      throw new Error("Sender box key mismatch");
-    }
-  }
-
-  // Signature verification
-  const signBytes = buildSignBytes({
-    senderSignPK,
-    senderBoxPK,
-    recipientBoxPK: recipientBoxPKMsg,
-    ephPK,
-    nonce,
-    ts,
-    ciphertext
-  }, naclUtil);
-
-  const verified = nacl.sign.detached.verify(signBytes, signature, senderSignPK);
-  if (!verified) {
-    throw new Error("Invalid signature");
-  }
-
-  // Replay check (optional) - v1.1 uses msgId + senderFp
-  if (replayCheck) {
-    const senderFpB64 = naclUtil.encodeBase64(senderFp);
-    const allowed = replayCheck(msgIdB64, senderFpB64);
-    if (!allowed) {
-      throw new Error("Replay detected");
-    }
+  checkRevocation(revocationCheck, senderFp, ts, naclUtil);
+  if (replayCheck && !replayCheck(msgIdB64, naclUtil.encodeBase64(senderFp))) {
+    throw createError(ErrorCode.REPLAY_DETECTED);
   }
 
-  // Decrypt
-  const shared = nacl.box.before(ephPK, recipientBoxSK);
-  const plaintext = nacl.box.open.after(ciphertext, nonce, shared);
-  if (!plaintext) {
-    throw new Error("Decryption failed");
-  }
-
-  const text = naclUtil.encodeUTF8(plaintext);
-
-  // Parse payload
   let payload;
   try {
-    payload = JSON.parse(text);
+    payload = JSON.parse(message.payload);
   } catch {
-    throw new Error("Payload JSON parse failed");
+    throw createError(ErrorCode.JSON_PARSE_FAILED, "payload");
   }
+  payload = validatePayload(payload);
 
-  // Return extended result (v1.1)
   return {
-    content: payload.content ?? text,
+    content: payload.content ?? "",
     senderSignPK,
-    senderBoxPK,
     senderFp,
     ts,
+    exp,
     msgId: msgIdB64,
-    type: payload.type || "text",
+    type: payload.type,
     payload
   };
 }
 
 // ============================================================================
-// Public Identity
+// Delivery Acknowledgments (v1.2)
 // ============================================================================
 
 /**
- * Create a public identity object
+ * Create a signed delivery ack for a decrypted message
+ *
+ * The ack is a regular dmesh-msg (payload type "ack", refMsgId) encrypted
+ * back to the original sender's box key and signed by the recipient.
+ * Acks are never acknowledged themselves.
+ *
  * @param {object} params
- * @param {string} params.name - Display name
- * @param {Uint8Array} params.signPK - Ed25519 public key
- * @param {Uint8Array} params.boxPK - X25519 public key
+ * @param {object} params.decrypted - Result of decryptMessage for the message being acknowledged
+ * @param {Uint8Array} params.senderSignPK - Ack sender's (original recipient's) Ed25519 public key
+ * @param {Uint8Array} params.senderSignSK - Ack sender's Ed25519 secret key
+ * @param {Uint8Array} params.senderBoxPK - Ack sender's X25519 public key (the original recipientBoxPK)
+ * @param {Uint8Array} params.senderBoxSK - Ack sender's X25519 secret key
+ * @param {string} [params.content] - Optional note ("Help is on the way")
+ * @param {number} [params.ts] - Timestamp (defaults to Date.now())
  * @param {object} nacl - TweetNaCl instance
  * @param {object} naclUtil - TweetNaCl-util instance
- * @returns {object} - Public identity object
+ * @param {Context} [ctx] - Clock and randomness (defaults to Date.now() / nacl.randomBytes)
+ * @returns {object} - Encrypted ack message (dmesh-msg)
  */
-export function createPublicIdentity({ name, signPK, boxPK }, nacl, naclUtil) {
-  const fp = fingerprintFromSignPK(signPK, nacl);
+export function createDeliveryAck({ decrypted, senderSignPK, senderSignSK, senderBoxPK, senderBoxSK, content, ts }, nacl, naclUtil, ctx) {
+  if (!decrypted || !decrypted.msgId || !decrypted.senderBoxPK) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Decrypted message required");
+  }
+  if (decrypted.type === "ack") {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Acks are not acknowledged");
+  }
+
+  return encryptMessage({
+    ...buildAck({ refMsgId: decrypted.msgId, content }),
+    senderSignPK,
+    senderSignSK,
+    senderBoxPK,
+    senderBoxSK,
+    recipientBoxPK: decrypted.senderBoxPK,
+    ts
+  }, nacl, naclUtil, ctx);
+}
+
+/**
+ * Check a decrypted ack against the message it acknowledges
+ *
+ * The ack must reference the original msgId and come from a box key the
+ * original message was addressed to. Tagged messages do not carry
+ * recipientBoxPK, so the sender passes the key it encrypted to. Callers must
+ * also check the ack's senderFp against the intended recipient's contact (see
+ * store.applyDeliveryAck): the box key alone is not proof of identity.
+ *
+ * @param {object} params
+ * @param {object} params.ack - Result of decryptMessage for the ack
+ * @param {object} params.originalMessage - Original encrypted message (dmesh-msg or dmesh-msg-multi)
+ * @param {string} [params.recipientBoxPK] - Box key a tagged original was encrypted to (base64)
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {{refMsgId: string, recipientBoxPK: string, ts: number}}
+ */
+export function verifyDeliveryAck({ ack, originalMessage, recipientBoxPK }, naclUtil) {
+  if (!ack || ack.type !== "ack" || !ack.payload || !ack.senderBoxPK) {
+    throw createError(ErrorCode.INVALID_PAYLOAD, "Not an ack");
+  }
+  if (ack.payload.refMsgId !== originalMessage.msgId) {
+    throw createError(ErrorCode.ACK_MISMATCH, "Ack refers to another message");
+  }
+
+  const ackBoxPK = naclUtil.encodeBase64(ack.senderBoxPK);
+  const addressed = originalMessage.kind === "dmesh-msg-multi"
+    ? originalMessage.recipients.map(r => r.boxPK)
+    : [originalMessage.recipientBoxPK ?? recipientBoxPK];
+  if (!addressed.includes(ackBoxPK)) {
+    throw createError(ErrorCode.ACK_MISMATCH, "Ack not from original recipient");
+  }
+
+  return { refMsgId: ack.payload.refMsgId, recipientBoxPK: ackBoxPK, ts: ack.ts };
+}
+
+// ============================================================================
+// Message Revisions (v1.2)
+// ============================================================================
+
+/**
+ * @param {Uint8Array|string} a
+ * @param {Uint8Array|string} b
+ * @returns {boolean}
+ */
+function sameFingerprint(a, b) {
+  if (typeof a === "string" || typeof b === "string") {
+    return a === b;
+  }
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * Check a decrypted retract / correct payload against the message it revises
+ *
+ * Revisions are regular signed messages (payload type "retract" or
+ * "correct", refMsgId). Only the original sender may revise a message:
+ * the revision's senderFp must equal the original's. Revisions cannot be
+ * revised themselves and must not predate the original.
+ *
+ * @param {object} params
+ * @param {object} params.revision - Result of decryptMessage for the retract / correct message
+ * @param {object} params.original - Result of decryptMessage (or inbox entry) for the revised message
+ * @returns {{type: string, refMsgId: string, msgId: string, ts: number, content: string, payload: object}}
+ */
+export function verifyRevision({ revision, original }) {
+  if (!revision || !REVISION_TYPES.includes(revision.type) || !revision.payload || !revision.senderFp) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Not a revision");
+  }
+  if (!original || revision.payload.refMsgId !== original.msgId) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Revision refers to another message");
+  }
+  if (REVISION_TYPES.includes(original.type)) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Revisions cannot be revised");
+  }
+  if (!original.senderFp || !sameFingerprint(revision.senderFp, original.senderFp)) {
+    throw createError(ErrorCode.SENDER_KEY_MISMATCH, "Revision not from original sender");
+  }
+  if (revision.ts < original.ts) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Revision predates original");
+  }
+
   return {
-    v: 1,
-    kind: "dmesh-id",
-    name,
-    fp: naclUtil.encodeBase64(fp),
-    signPK: naclUtil.encodeBase64(signPK),
-    boxPK: naclUtil.encodeBase64(boxPK)
+    type: revision.type,
+    refMsgId: revision.payload.refMsgId,
+    msgId: revision.msgId,
+    ts: revision.ts,
+    content: revision.content,
+    payload: revision.payload
   };
 }
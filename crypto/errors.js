@@ -19,58 +19,239 @@ export const ErrorCategory = {
 export const ErrorCode = {
   // Crypto errors
   DECRYPTION_FAILED: "DECRYPTION_FAILED",
+  ENCRYPTION_FAILED: "ENCRYPTION_FAILED",
   SIGNATURE_INVALID: "SIGNATURE_INVALID",
   KEY_GENERATION_FAILED: "KEY_GENERATION_FAILED",
 
   // Validation errors
   CONTENT_TOO_LARGE: "CONTENT_TOO_LARGE",
   TIMESTAMP_SKEW: "TIMESTAMP_SKEW",
+  MESSAGE_EXPIRED: "MESSAGE_EXPIRED",
   RECIPIENT_MISMATCH: "RECIPIENT_MISMATCH",
+  INVALID_RECIPIENTS: "INVALID_RECIPIENTS",
   SENDER_KEY_MISMATCH: "SENDER_KEY_MISMATCH",
   INVALID_KEY_LENGTH: "INVALID_KEY_LENGTH",
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  INVALID_PARAMETER: "INVALID_PARAMETER",
 
   // Format errors
   INVALID_MESSAGE_FORMAT: "INVALID_MESSAGE_FORMAT",
   BASE64_DECODE_FAILED: "BASE64_DECODE_FAILED",
   JSON_PARSE_FAILED: "JSON_PARSE_FAILED",
+  DECOMPRESSION_FAILED: "DECOMPRESSION_FAILED",
+  CHUNK_INVALID: "CHUNK_INVALID",
+  CHUNK_INCOMPLETE: "CHUNK_INCOMPLETE",
 
   // Security errors
   REPLAY_DETECTED: "REPLAY_DETECTED",
-  UNKNOWN_SENDER: "UNKNOWN_SENDER"
+  UNKNOWN_SENDER: "UNKNOWN_SENDER",
+  MSGID_MISMATCH: "MSGID_MISMATCH",
+  SENDER_REVOKED: "SENDER_REVOKED",
+  FINGERPRINT_MISMATCH: "FINGERPRINT_MISMATCH",
+  SAFETY_NUMBER_MISMATCH: "SAFETY_NUMBER_MISMATCH",
+  ACK_MISMATCH: "ACK_MISMATCH",
+
+  // Identity errors
+  IDENTITY_UNSIGNED: "IDENTITY_UNSIGNED",
+  IDENTITY_EXPIRED: "IDENTITY_EXPIRED",
+  IDENTITY_OUTDATED: "IDENTITY_OUTDATED",
+
+  // Web-of-trust errors
+  INTRODUCER_UNKNOWN: "INTRODUCER_UNKNOWN",
+  INTRODUCTION_EXPIRED: "INTRODUCTION_EXPIRED",
+
+  // Group and session errors
+  GROUP_UNKNOWN: "GROUP_UNKNOWN",
+  GROUP_ADMIN_MISMATCH: "GROUP_ADMIN_MISMATCH",
+  GROUP_EPOCH_UNKNOWN: "GROUP_EPOCH_UNKNOWN",
+  GROUP_EPOCH_CLOSED: "GROUP_EPOCH_CLOSED",
+  GROUP_NOT_MEMBER: "GROUP_NOT_MEMBER",
+  GROUP_SENDER_KEY_UNKNOWN: "GROUP_SENDER_KEY_UNKNOWN",
+  RATCHET_SESSION_MISSING: "RATCHET_SESSION_MISSING",
+  RATCHET_SKIP_LIMIT: "RATCHET_SKIP_LIMIT",
+
+  // Key backup errors
+  PASSWORD_REQUIRED: "PASSWORD_REQUIRED",
+  KEYS_MISSING: "KEYS_MISSING",
+  BACKUP_INVALID: "BACKUP_INVALID",
+  BACKUP_UNSUPPORTED: "BACKUP_UNSUPPORTED",
+  BACKUP_DECRYPTION_FAILED: "BACKUP_DECRYPTION_FAILED",
+
+  // Bluetooth errors (same values as BLE_ERROR in bluetooth/constants.js)
+  BLE_NOT_SUPPORTED: "BLE_NOT_SUPPORTED",
+  BLE_PERMISSION_DENIED: "BLE_PERMISSION_DENIED",
+  BLE_DEVICE_NOT_FOUND: "BLE_DEVICE_NOT_FOUND",
+  BLE_CONNECTION_FAILED: "BLE_CONNECTION_FAILED",
+  BLE_DISCONNECTED: "BLE_DISCONNECTED",
+  BLE_SEND_FAILED: "BLE_SEND_FAILED",
+  BLE_RECEIVE_FAILED: "BLE_RECEIVE_FAILED"
 };
 
 // User-friendly messages (Japanese)
 const userMessages = {
   [ErrorCode.DECRYPTION_FAILED]: "メッセージの復号に失敗しました。鍵が正しいか確認してください。",
+  [ErrorCode.ENCRYPTION_FAILED]: "メッセージの暗号化に失敗しました。",
   [ErrorCode.SIGNATURE_INVALID]: "署名が無効です。メッセージが改ざんされている可能性があります。",
   [ErrorCode.KEY_GENERATION_FAILED]: "鍵の生成に失敗しました。",
   [ErrorCode.CONTENT_TOO_LARGE]: "コンテンツが大きすぎます（最大150KB）。",
   [ErrorCode.TIMESTAMP_SKEW]: "タイムスタンプが許容範囲外です。送信者の時刻を確認してください。",
+  [ErrorCode.MESSAGE_EXPIRED]: "メッセージの有効期限が切れています。",
   [ErrorCode.RECIPIENT_MISMATCH]: "このメッセージはあなた宛てではありません。",
+  [ErrorCode.INVALID_RECIPIENTS]: "宛先の指定が無効です。",
   [ErrorCode.SENDER_KEY_MISMATCH]: "送信者の鍵が登録されている情報と一致しません。",
   [ErrorCode.INVALID_KEY_LENGTH]: "鍵の長さが無効です。",
+  [ErrorCode.INVALID_PAYLOAD]: "メッセージの内容が無効です。",
+  [ErrorCode.INVALID_PARAMETER]: "パラメータが無効です。",
   [ErrorCode.INVALID_MESSAGE_FORMAT]: "メッセージ形式が無効です。",
   [ErrorCode.BASE64_DECODE_FAILED]: "Base64デコードに失敗しました。",
   [ErrorCode.JSON_PARSE_FAILED]: "JSONの解析に失敗しました。",
+  [ErrorCode.DECOMPRESSION_FAILED]: "圧縮されたメッセージを展開できません。",
+  [ErrorCode.CHUNK_INVALID]: "分割メッセージの形式が無効です。",
+  [ErrorCode.CHUNK_INCOMPLETE]: "分割メッセージがまだ揃っていません。残りを受信してください。",
   [ErrorCode.REPLAY_DETECTED]: "リプレイ攻撃が検出されました。このメッセージは既に処理されています。",
-  [ErrorCode.UNKNOWN_SENDER]: "不明な送信者です。TOFUを有効にするか、連絡先を追加してください。"
+  [ErrorCode.UNKNOWN_SENDER]: "不明な送信者です。TOFUを有効にするか、連絡先を追加してください。",
+  [ErrorCode.MSGID_MISMATCH]: "メッセージIDが一致しません。メッセージが破損または改ざんされている可能性があります。",
+  [ErrorCode.SENDER_REVOKED]: "送信者の鍵は失効しています。このメッセージは信頼できません。",
+  [ErrorCode.FINGERPRINT_MISMATCH]: "フィンガープリントが鍵と一致しません。改ざんされている可能性があります。",
+  [ErrorCode.SAFETY_NUMBER_MISMATCH]: "安全番号が一致しません。鍵がすり替えられている可能性があります。",
+  [ErrorCode.ACK_MISMATCH]: "受信確認が元のメッセージと一致しません。",
+  [ErrorCode.IDENTITY_UNSIGNED]: "署名のない公開IDです。",
+  [ErrorCode.IDENTITY_EXPIRED]: "公開IDの有効期限が切れています。新しい公開IDをもらってください。",
+  [ErrorCode.IDENTITY_OUTDATED]: "登録済みのものより古い公開IDです。",
+  [ErrorCode.INTRODUCER_UNKNOWN]: "紹介者が連絡先にありません。先に紹介者を登録してください。",
+  [ErrorCode.INTRODUCTION_EXPIRED]: "紹介の有効期限が切れています。新しい紹介をもらってください。",
+  [ErrorCode.GROUP_UNKNOWN]: "不明なグループです。管理者からの招待を受け取ってください。",
+  [ErrorCode.GROUP_ADMIN_MISMATCH]: "グループの管理者が登録済みの情報と一致しません。",
+  [ErrorCode.GROUP_EPOCH_UNKNOWN]: "グループの最新のメンバー情報がまだ届いていません。",
+  [ErrorCode.GROUP_EPOCH_CLOSED]: "グループのメンバー構成が更新済みです。古い鍵は使えません。",
+  [ErrorCode.GROUP_NOT_MEMBER]: "送信者はこのグループのメンバーではありません。",
+  [ErrorCode.GROUP_SENDER_KEY_UNKNOWN]: "この送信者のグループ鍵がまだ届いていません。",
+  [ErrorCode.RATCHET_SESSION_MISSING]: "この連絡先との暗号化セッションがありません。",
+  [ErrorCode.RATCHET_SKIP_LIMIT]: "欠落したメッセージが多すぎます。セッションを作り直してください。",
+  [ErrorCode.PASSWORD_REQUIRED]: "パスワードを入力してください。",
+  [ErrorCode.KEYS_MISSING]: "必要な鍵がありません。",
+  [ErrorCode.BACKUP_INVALID]: "バックアップファイルが無効です。",
+  [ErrorCode.BACKUP_UNSUPPORTED]: "このバックアップ形式には対応していません。",
+  [ErrorCode.BACKUP_DECRYPTION_FAILED]: "バックアップを復号できません。パスワードが正しいか確認してください。",
+  [ErrorCode.BLE_NOT_SUPPORTED]: "このブラウザはBluetoothに対応していません。",
+  [ErrorCode.BLE_PERMISSION_DENIED]: "Bluetoothの使用が許可されていません。",
+  [ErrorCode.BLE_DEVICE_NOT_FOUND]: "Bluetoothデバイスが見つかりません。",
+  [ErrorCode.BLE_CONNECTION_FAILED]: "Bluetoothデバイスに接続できません。",
+  [ErrorCode.BLE_DISCONNECTED]: "Bluetoothデバイスとの接続が切れました。",
+  [ErrorCode.BLE_SEND_FAILED]: "Bluetoothでの送信に失敗しました。",
+  [ErrorCode.BLE_RECEIVE_FAILED]: "Bluetoothでの受信に失敗しました。"
 };
 
 // Technical messages (English)
+// Crypto codes use the strings documented in crypto/README.md ("Throws"),
+// so checks on error.message keep working.
 const technicalMessages = {
-  [ErrorCode.DECRYPTION_FAILED]: "Decryption failed - box.open returned null",
-  [ErrorCode.SIGNATURE_INVALID]: "Signature verification failed",
+  [ErrorCode.DECRYPTION_FAILED]: "Decryption failed",
+  [ErrorCode.ENCRYPTION_FAILED]: "Encryption failed",
+  [ErrorCode.SIGNATURE_INVALID]: "Invalid signature",
   [ErrorCode.KEY_GENERATION_FAILED]: "Key pair generation failed",
-  [ErrorCode.CONTENT_TOO_LARGE]: "Content exceeds maximum size",
-  [ErrorCode.TIMESTAMP_SKEW]: "Timestamp skew exceeds maximum allowed",
-  [ErrorCode.RECIPIENT_MISMATCH]: "Message recipientBoxPK does not match",
+  [ErrorCode.CONTENT_TOO_LARGE]: "Content too large",
+  [ErrorCode.TIMESTAMP_SKEW]: "Timestamp skew too large",
+  [ErrorCode.MESSAGE_EXPIRED]: "Message expired",
+  [ErrorCode.RECIPIENT_MISMATCH]: "Not intended for this recipient",
+  [ErrorCode.INVALID_RECIPIENTS]: "Invalid recipients",
   [ErrorCode.SENDER_KEY_MISMATCH]: "Sender key does not match expected value",
   [ErrorCode.INVALID_KEY_LENGTH]: "Key length is invalid",
-  [ErrorCode.INVALID_MESSAGE_FORMAT]: "Message format is invalid",
-  [ErrorCode.BASE64_DECODE_FAILED]: "Failed to decode base64 string",
-  [ErrorCode.JSON_PARSE_FAILED]: "Failed to parse JSON payload",
-  [ErrorCode.REPLAY_DETECTED]: "Replay attack detected - nonce already seen",
-  [ErrorCode.UNKNOWN_SENDER]: "Unknown sender - not in contacts"
+  [ErrorCode.INVALID_PAYLOAD]: "Invalid payload",
+  [ErrorCode.INVALID_PARAMETER]: "Invalid parameter",
+  [ErrorCode.INVALID_MESSAGE_FORMAT]: "Invalid message format",
+  [ErrorCode.BASE64_DECODE_FAILED]: "Base64 decode failed",
+  [ErrorCode.JSON_PARSE_FAILED]: "JSON parse failed",
+  [ErrorCode.DECOMPRESSION_FAILED]: "Decompression failed",
+  [ErrorCode.CHUNK_INVALID]: "Invalid chunks",
+  [ErrorCode.CHUNK_INCOMPLETE]: "Incomplete chunks",
+  [ErrorCode.REPLAY_DETECTED]: "Replay detected",
+  [ErrorCode.UNKNOWN_SENDER]: "Unknown sender - not in contacts",
+  [ErrorCode.MSGID_MISMATCH]: "Message ID mismatch",
+  [ErrorCode.SENDER_REVOKED]: "Sender key revoked",
+  [ErrorCode.FINGERPRINT_MISMATCH]: "Fingerprint mismatch",
+  [ErrorCode.SAFETY_NUMBER_MISMATCH]: "Safety number mismatch",
+  [ErrorCode.ACK_MISMATCH]: "Ack does not match the original message",
+  [ErrorCode.IDENTITY_UNSIGNED]: "Unsigned identity",
+  [ErrorCode.IDENTITY_EXPIRED]: "Identity expired",
+  [ErrorCode.IDENTITY_OUTDATED]: "Identity older than stored contact",
+  [ErrorCode.INTRODUCER_UNKNOWN]: "Introducer is not a contact",
+  [ErrorCode.INTRODUCTION_EXPIRED]: "Introduction expired",
+  [ErrorCode.GROUP_UNKNOWN]: "Unknown group",
+  [ErrorCode.GROUP_ADMIN_MISMATCH]: "Group admin mismatch",
+  [ErrorCode.GROUP_EPOCH_UNKNOWN]: "Unknown group epoch",
+  [ErrorCode.GROUP_EPOCH_CLOSED]: "Group epoch closed",
+  [ErrorCode.GROUP_NOT_MEMBER]: "Not a group member",
+  [ErrorCode.GROUP_SENDER_KEY_UNKNOWN]: "Unknown sender key",
+  [ErrorCode.RATCHET_SESSION_MISSING]: "No ratchet session",
+  [ErrorCode.RATCHET_SKIP_LIMIT]: "Too many skipped messages",
+  [ErrorCode.PASSWORD_REQUIRED]: "Password is required",
+  [ErrorCode.KEYS_MISSING]: "Missing required keys",
+  [ErrorCode.BACKUP_INVALID]: "Invalid backup",
+  [ErrorCode.BACKUP_UNSUPPORTED]: "Unsupported backup",
+  [ErrorCode.BACKUP_DECRYPTION_FAILED]: "Decryption failed - wrong password or corrupted backup",
+  [ErrorCode.BLE_NOT_SUPPORTED]: "Web Bluetooth not supported",
+  [ErrorCode.BLE_PERMISSION_DENIED]: "Bluetooth permission denied",
+  [ErrorCode.BLE_DEVICE_NOT_FOUND]: "Bluetooth device not found",
+  [ErrorCode.BLE_CONNECTION_FAILED]: "Bluetooth connection failed",
+  [ErrorCode.BLE_DISCONNECTED]: "Bluetooth device disconnected",
+  [ErrorCode.BLE_SEND_FAILED]: "Bluetooth send failed",
+  [ErrorCode.BLE_RECEIVE_FAILED]: "Bluetooth receive failed"
+};
+
+// Category per code (codes not listed default to CRYPTO)
+const errorCategories = {
+  [ErrorCode.DECRYPTION_FAILED]: ErrorCategory.CRYPTO,
+  [ErrorCode.ENCRYPTION_FAILED]: ErrorCategory.CRYPTO,
+  [ErrorCode.SIGNATURE_INVALID]: ErrorCategory.SECURITY,
+  [ErrorCode.KEY_GENERATION_FAILED]: ErrorCategory.CRYPTO,
+  [ErrorCode.CONTENT_TOO_LARGE]: ErrorCategory.VALIDATION,
+  [ErrorCode.TIMESTAMP_SKEW]: ErrorCategory.VALIDATION,
+  [ErrorCode.MESSAGE_EXPIRED]: ErrorCategory.VALIDATION,
+  [ErrorCode.RECIPIENT_MISMATCH]: ErrorCategory.VALIDATION,
+  [ErrorCode.INVALID_RECIPIENTS]: ErrorCategory.VALIDATION,
+  [ErrorCode.SENDER_KEY_MISMATCH]: ErrorCategory.SECURITY,
+  [ErrorCode.INVALID_KEY_LENGTH]: ErrorCategory.VALIDATION,
+  [ErrorCode.INVALID_PAYLOAD]: ErrorCategory.VALIDATION,
+  [ErrorCode.INVALID_PARAMETER]: ErrorCategory.VALIDATION,
+  [ErrorCode.INVALID_MESSAGE_FORMAT]: ErrorCategory.FORMAT,
+  [ErrorCode.BASE64_DECODE_FAILED]: ErrorCategory.FORMAT,
+  [ErrorCode.JSON_PARSE_FAILED]: ErrorCategory.FORMAT,
+  [ErrorCode.DECOMPRESSION_FAILED]: ErrorCategory.FORMAT,
+  [ErrorCode.CHUNK_INVALID]: ErrorCategory.FORMAT,
+  [ErrorCode.CHUNK_INCOMPLETE]: ErrorCategory.FORMAT,
+  [ErrorCode.REPLAY_DETECTED]: ErrorCategory.SECURITY,
+  [ErrorCode.UNKNOWN_SENDER]: ErrorCategory.SECURITY,
+  [ErrorCode.MSGID_MISMATCH]: ErrorCategory.SECURITY,
+  [ErrorCode.SENDER_REVOKED]: ErrorCategory.SECURITY,
+  [ErrorCode.FINGERPRINT_MISMATCH]: ErrorCategory.SECURITY,
+  [ErrorCode.SAFETY_NUMBER_MISMATCH]: ErrorCategory.SECURITY,
+  [ErrorCode.ACK_MISMATCH]: ErrorCategory.SECURITY,
+  [ErrorCode.IDENTITY_UNSIGNED]: ErrorCategory.SECURITY,
+  [ErrorCode.IDENTITY_EXPIRED]: ErrorCategory.VALIDATION,
+  [ErrorCode.IDENTITY_OUTDATED]: ErrorCategory.SECURITY,
+  [ErrorCode.INTRODUCER_UNKNOWN]: ErrorCategory.SECURITY,
+  [ErrorCode.INTRODUCTION_EXPIRED]: ErrorCategory.VALIDATION,
+  [ErrorCode.GROUP_UNKNOWN]: ErrorCategory.VALIDATION,
+  [ErrorCode.GROUP_ADMIN_MISMATCH]: ErrorCategory.SECURITY,
+  [ErrorCode.GROUP_EPOCH_UNKNOWN]: ErrorCategory.VALIDATION,
+  [ErrorCode.GROUP_EPOCH_CLOSED]: ErrorCategory.SECURITY,
+  [ErrorCode.GROUP_NOT_MEMBER]: ErrorCategory.SECURITY,
+  [ErrorCode.GROUP_SENDER_KEY_UNKNOWN]: ErrorCategory.VALIDATION,
+  [ErrorCode.RATCHET_SESSION_MISSING]: ErrorCategory.VALIDATION,
+  [ErrorCode.RATCHET_SKIP_LIMIT]: ErrorCategory.SECURITY,
+  [ErrorCode.PASSWORD_REQUIRED]: ErrorCategory.VALIDATION,
+  [ErrorCode.KEYS_MISSING]: ErrorCategory.VALIDATION,
+  [ErrorCode.BACKUP_INVALID]: ErrorCategory.FORMAT,
+  [ErrorCode.BACKUP_UNSUPPORTED]: ErrorCategory.FORMAT,
+  [ErrorCode.BACKUP_DECRYPTION_FAILED]: ErrorCategory.CRYPTO,
+  [ErrorCode.BLE_NOT_SUPPORTED]: ErrorCategory.NETWORK,
+  [ErrorCode.BLE_PERMISSION_DENIED]: ErrorCategory.NETWORK,
+  [ErrorCode.BLE_DEVICE_NOT_FOUND]: ErrorCategory.NETWORK,
+  [ErrorCode.BLE_CONNECTION_FAILED]: ErrorCategory.NETWORK,
+  [ErrorCode.BLE_DISCONNECTED]: ErrorCategory.NETWORK,
+  [ErrorCode.BLE_SEND_FAILED]: ErrorCategory.NETWORK,
+  [ErrorCode.BLE_RECEIVE_FAILED]: ErrorCategory.NETWORK
 };
 
 /**
@@ -146,23 +327,7 @@ export class LifelineMeshError extends Error {
  * @returns {LifelineMeshError}
  */
 export function createError(code, details = "") {
-  const categoryMap = {
-    [ErrorCode.DECRYPTION_FAILED]: ErrorCategory.CRYPTO,
-    [ErrorCode.SIGNATURE_INVALID]: ErrorCategory.SECURITY,
-    [ErrorCode.KEY_GENERATION_FAILED]: ErrorCategory.CRYPTO,
-    [ErrorCode.CONTENT_TOO_LARGE]: ErrorCategory.VALIDATION,
-    [ErrorCode.TIMESTAMP_SKEW]: ErrorCategory.VALIDATION,
-    [ErrorCode.RECIPIENT_MISMATCH]: ErrorCategory.VALIDATION,
-    [ErrorCode.SENDER_KEY_MISMATCH]: ErrorCategory.SECURITY,
-    [ErrorCode.INVALID_KEY_LENGTH]: ErrorCategory.VALIDATION,
-    [ErrorCode.INVALID_MESSAGE_FORMAT]: ErrorCategory.FORMAT,
-    [ErrorCode.BASE64_DECODE_FAILED]: ErrorCategory.FORMAT,
-    [ErrorCode.JSON_PARSE_FAILED]: ErrorCategory.FORMAT,
-    [ErrorCode.REPLAY_DETECTED]: ErrorCategory.SECURITY,
-    [ErrorCode.UNKNOWN_SENDER]: ErrorCategory.SECURITY
-  };
-
-  const category = categoryMap[code] || ErrorCategory.CRYPTO;
+  const category = errorCategories[code] || ErrorCategory.CRYPTO;
   return new LifelineMeshError(code, category, details);
 }
 
@@ -195,6 +360,12 @@ export function wrapError(error, defaultCode = ErrorCode.DECRYPTION_FAILED) {
   if (msg.includes("Timestamp skew")) {
     return createError(ErrorCode.TIMESTAMP_SKEW, msg);
   }
+  if (msg.includes("Message expired")) {
+    return createError(ErrorCode.MESSAGE_EXPIRED, msg);
+  }
+  if (msg.includes("Message ID mismatch")) {
+    return createError(ErrorCode.MSGID_MISMATCH, msg);
+  }
   if (msg.includes("Invalid signature")) {
     return createError(ErrorCode.SIGNATURE_INVALID, msg);
   }
@@ -0,0 +1,195 @@
+/**
+ * Lifeline Mesh - Forward Error Correction
+ *
+ * Systematic Reed-Solomon erasure code over GF(2^8) in pure JS, no dependencies:
+ * - encodeShards: k data shards plus m parity shards (Cauchy matrix)
+ * - decodeShards: rebuild the k data shards from any k of the k + m shards
+ *
+ * Used by core.js for erasure-coded chunks (dmesh-chunk-fec).
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+// Data shards + parity shards; Cauchy rows and columns use distinct field elements
+export const MAX_SHARDS = 256;
+
+// Reduction polynomial x^8 + x^4 + x^3 + x^2 + 1 (generator 2)
+const GF_POLY = 0x11d;
+
+// ============================================================================
+// GF(2^8) Arithmetic
+// ============================================================================
+
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+{
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) x ^= GF_POLY;
+  }
+  for (let i = 255; i < 510; i++) {
+    EXP[i] = EXP[i - 255];
+  }
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gfMul(a, b) {
+  if (a === 0 || b === 0) return 0;
+  return EXP[LOG[a] + LOG[b]];
+}
+
+/**
+ * @param {number} a - Non-zero field element
+ * @returns {number}
+ */
+function gfInv(a) {
+  return EXP[255 - LOG[a]];
+}
+
+/**
+ * dst ^= coef * src (byte-wise)
+ * @param {Uint8Array} dst
+ * @param {Uint8Array} src
+ * @param {number} coef
+ */
+function mulAddRow(dst, src, coef) {
+  if (coef === 0) return;
+  const logCoef = LOG[coef];
+  for (let i = 0; i < src.length; i++) {
+    if (src[i] !== 0) dst[i] ^= EXP[LOG[src[i]] + logCoef];
+  }
+}
+
+// ============================================================================
+// Coding Matrix
+// ============================================================================
+
+/**
+ * Row of the systematic coding matrix for a shard
+ *
+ * Rows 0..k-1 are the identity (data shards); parity row i is the Cauchy row
+ * 1 / (x_i + y_j) with x_i = k + i and y_j = j. Every square submatrix of
+ * [I; C] is invertible, so any k rows rebuild the data.
+ *
+ * @param {number} index - Shard index (0..k+m-1)
+ * @param {number} k - Data shard count
+ * @returns {Uint8Array}
+ */
+function matrixRow(index, k) {
+  const row = new Uint8Array(k);
+  if (index < k) {
+    row[index] = 1;
+  } else {
+    for (let j = 0; j < k; j++) {
+      row[j] = gfInv(index ^ j);
+    }
+  }
+  return row;
+}
+
+/**
+ * Invert a square matrix (Gauss-Jordan elimination)
+ * @param {Uint8Array[]} rows - k rows of length k (modified)
+ * @returns {Uint8Array[]}
+ */
+function invertMatrix(rows) {
+  const k = rows.length;
+  const inv = rows.map((_, i) => {
+    const row = new Uint8Array(k);
+    row[i] = 1;
+    return row;
+  });
+
+  for (let col = 0; col < k; col++) {
+    const pivot = rows.findIndex((row, r) => r >= col && row[col] !== 0);
+    if (pivot < 0) {
+      throw new Error("Singular matrix");
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    [inv[col], inv[pivot]] = [inv[pivot], inv[col]];
+
+    const scale = gfInv(rows[col][col]);
+    for (let j = 0; j < k; j++) {
+      rows[col][j] = gfMul(rows[col][j], scale);
+      inv[col][j] = gfMul(inv[col][j], scale);
+    }
+
+    for (let r = 0; r < k; r++) {
+      const factor = rows[r][col];
+      if (r !== col && factor !== 0) {
+        mulAddRow(rows[r], rows[col], factor);
+        mulAddRow(inv[r], inv[col], factor);
+      }
+    }
+  }
+  return inv;
+}
+
+// ============================================================================
+// Encoding / Decoding
+// ============================================================================
+
+/**
+ * Compute parity shards for equally sized data shards
+ * @param {Uint8Array[]} dataShards - k shards of equal length
+ * @param {number} parity - Number of parity shards (m)
+ * @returns {Uint8Array[]} - k + m shards (data shards first, unchanged)
+ */
+export function encodeShards(dataShards, parity) {
+  const k = dataShards.length;
+  if (k === 0 || !Number.isSafeInteger(parity) || parity < 0 || k + parity > MAX_SHARDS) {
+    throw new Error("Invalid shard counts");
+  }
+  const size = dataShards[0].length;
+  if (!dataShards.every(s => s.length === size)) {
+    throw new Error("Shards must have equal length");
+  }
+
+  const shards = [...dataShards];
+  for (let i = 0; i < parity; i++) {
+    const row = matrixRow(k + i, k);
+    const out = new Uint8Array(size);
+    for (let j = 0; j < k; j++) {
+      mulAddRow(out, dataShards[j], row[j]);
+    }
+    shards.push(out);
+  }
+  return shards;
+}
+
+/**
+ * Rebuild the data shards from any k shards
+ * @param {Map<number, Uint8Array>} shards - Shard index -> shard (at least k entries)
+ * @param {number} k - Data shard count
+ * @returns {Uint8Array[]} - The k data shards in order
+ */
+export function decodeShards(shards, k) {
+  const indices = [...shards.keys()].sort((a, b) => a - b).slice(0, k);
+  if (indices.length < k) {
+    throw new Error("Not enough shards");
+  }
+
+  // Fast path: all data shards present
+  if (indices[k - 1] === k - 1) {
+    return indices.map(i => shards.get(i));
+  }
+
+  const decode = invertMatrix(indices.map(i => matrixRow(i, k)));
+  const size = shards.get(indices[0]).length;
+  return decode.map((row) => {
+    const out = new Uint8Array(size);
+    for (let j = 0; j < k; j++) {
+      mulAddRow(out, shards.get(indices[j]), row[j]);
+    }
+    return out;
+  });
+}
@@ -0,0 +1,527 @@
+/**
+ * Lifeline Mesh - Group Messaging (Sender Keys)
+ *
+ * Named groups with admin-managed membership:
+ * - Every member holds a symmetric sender key per group epoch
+ * - Sender keys are distributed 1-to-1 with encryptMessage (type "group_key")
+ * - Group messages (dmesh-group-msg) are encrypted once with the sender's key
+ *   and signed with the sender's Ed25519 key
+ * - Removing a member bumps the epoch; every remaining member rotates its
+ *   sender key, so the removed member cannot read later messages
+ * - The member list of every epoch is kept (epochMembers), so a removed
+ *   member cannot keep posting on an older epoch
+ *
+ * Member objects use the same shape as entries in the contacts store
+ * ({fp, name, signPK, boxPK}, base64 keys).
+ *
+ * Dependencies: TweetNaCl, TweetNaCl-util
+ */
+
+import {
+  MAX_BYTES,
+  concatU8,
+  u32be,
+  u64beFromNumber,
+  calculateExpiration,
+  isMessageValid,
+  ctxNow,
+  ctxRandomBytes,
+  fingerprintFromSignPK,
+  messageIdFromCiphertext,
+  encryptMessage,
+  encodePayloadBytes,
+  decodePayloadBytes
+} from "./core.js";
+import { validatePayload } from "./payload.js";
+import { ErrorCode, createError } from "./errors.js";
+
+/** @typedef {import("./core.js").Context} Context */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const DOMAIN_GROUP = "DMESH_GROUP_V1";
+export const GROUP_ID_LENGTH = 16;
+export const SENDER_KEY_LENGTH = 32;
+export const MAX_GROUP_MEMBERS = 64;
+
+// Payload type used for sender key distribution messages
+export const GROUP_KEY_TYPE = "group_key";
+
+export const GROUP_ROLE = {
+  ADMIN: "admin",
+  MEMBER: "member"
+};
+
+// ============================================================================
+// Membership
+// ============================================================================
+
+/**
+ * Normalize a contact-shaped object into a group member entry
+ * @param {object} member - {fp, name, signPK, boxPK}
+ * @param {string} role - GROUP_ROLE value
+ * @param {number} addedAt - Timestamp
+ * @returns {object}
+ */
+function toMember({ fp, name, signPK, boxPK }, role, addedAt) {
+  if (!fp || !signPK || !boxPK) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Group member requires fp, signPK and boxPK");
+  }
+  return { fp, name: name || "", signPK, boxPK, role, addedAt };
+}
+
+/**
+ * Create a new group with the caller as admin
+ *
+ * @param {object} params
+ * @param {string} params.name - Group name
+ * @param {object} params.admin - Admin identity {fp, name, signPK, boxPK}
+ * @param {object[]} [params.members] - Initial members (contact entries)
+ * @param {number} [params.ts] - Creation timestamp (defaults to Date.now())
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock and randomness (defaults to Date.now() / nacl.randomBytes)
+ * @returns {object} - Group state (epoch 0)
+ */
+export function createGroup({ name, admin, members = [], ts }, nacl, naclUtil, ctx) {
+  const now = ts ?? ctxNow(ctx);
+  let group = {
+    groupId: naclUtil.encodeBase64(ctxRandomBytes(GROUP_ID_LENGTH, nacl, ctx)),
+    name,
+    createdAt: now,
+    createdBy: admin.fp,
+    epoch: 0,
+    members: [toMember(admin, GROUP_ROLE.ADMIN, now)],
+    epochMembers: { 0: [admin.fp] },
+    updatedAt: now
+  };
+  for (const m of members) {
+    group = addGroupMember(group, m, now, ctx);
+  }
+  return group;
+}
+
+/**
+ * Check whether a fingerprint belongs to the group
+ * @param {object} group - Group state
+ * @param {string} fp - Fingerprint (base64)
+ * @returns {boolean}
+ */
+export function isGroupMember(group, fp) {
+  return group.members.some(m => m.fp === fp);
+}
+
+/**
+ * Member fingerprints of a group epoch
+ * @param {object} group - Group state
+ * @param {number} epoch - Group epoch
+ * @returns {string[]|null} - null if the epoch's member list is not known
+ */
+export function groupMembersAt(group, epoch) {
+  if (epoch === group.epoch) return group.members.map(m => m.fp);
+  return group.epochMembers?.[epoch] ?? null;
+}
+
+/**
+ * Record the current member list as the current epoch's
+ * @param {object} group - Group state
+ * @returns {object} - Updated group state
+ */
+export function withEpochMembers(group) {
+  return {
+    ...group,
+    epochMembers: { ...group.epochMembers, [group.epoch]: group.members.map(m => m.fp) }
+  };
+}
+
+/**
+ * Add a member to a group
+ * The epoch is unchanged; the new member receives the current sender keys.
+ *
+ * @param {object} group - Group state
+ * @param {object} member - Contact entry {fp, name, signPK, boxPK}
+ * @param {number} [ts] - Timestamp (defaults to Date.now())
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {object} - Updated group state
+ */
+export function addGroupMember(group, member, ts, ctx) {
+  if (isGroupMember(group, member.fp)) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Already a group member");
+  }
+  if (group.members.length >= MAX_GROUP_MEMBERS) {
+    throw createError(ErrorCode.INVALID_PARAMETER, `Too many group members (max ${MAX_GROUP_MEMBERS})`);
+  }
+  const now = ts ?? ctxNow(ctx);
+  return withEpochMembers({
+    ...group,
+    members: [...group.members, toMember(member, GROUP_ROLE.MEMBER, now)],
+    updatedAt: now
+  });
+}
+
+/**
+ * Remove a member from a group
+ * Bumps the epoch: every remaining member must rotate its sender key.
+ *
+ * @param {object} group - Group state
+ * @param {string} fp - Fingerprint of the member to remove
+ * @param {number} [ts] - Timestamp (defaults to Date.now())
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {object} - Updated group state
+ */
+export function removeGroupMember(group, fp, ts, ctx) {
+  if (!isGroupMember(group, fp)) {
+    throw createError(ErrorCode.GROUP_NOT_MEMBER);
+  }
+  if (fp === group.createdBy) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Cannot remove the group admin");
+  }
+  return withEpochMembers({
+    ...group,
+    epoch: group.epoch + 1,
+    members: group.members.filter(m => m.fp !== fp),
+    updatedAt: ts ?? ctxNow(ctx)
+  });
+}
+
+// ============================================================================
+// Sender Keys
+// ============================================================================
+
+/**
+ * Generate a new sender key
+ * @param {object} nacl - TweetNaCl instance
+ * @param {Context} [ctx] - Randomness (defaults to nacl.randomBytes)
+ * @returns {Uint8Array} - 32-byte symmetric key
+ */
+export function generateSenderKey(nacl, ctx) {
+  return ctxRandomBytes(SENDER_KEY_LENGTH, nacl, ctx);
+}
+
+/**
+ * Create sender key distribution messages for all other group members
+ *
+ * Each distribution is a regular dmesh-msg (type "group_key") encrypted to one
+ * member. It carries the group state as seen by the sender; receivers only
+ * accept membership changes from the group admin.
+ *
+ * @param {object} params
+ * @param {object} params.group - Group state
+ * @param {Uint8Array} params.senderKey - Sender's key for the current epoch
+ * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
+ * @param {Uint8Array} params.senderSignSK - Sender's Ed25519 secret key
+ * @param {Uint8Array} params.senderBoxPK - Sender's X25519 public key
+ * @param {Uint8Array} params.senderBoxSK - Sender's X25519 secret key
+ * @param {string[]} [params.recipientFps] - Limit to these members (e.g. a newly added one)
+ * @param {number} [params.ts] - Timestamp
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock and randomness (defaults to Date.now() / nacl.randomBytes)
+ * @returns {{fp: string, message: object}[]} - One dmesh-msg per recipient
+ */
+export function createSenderKeyDistribution({ group, senderKey, senderSignPK, senderSignSK, senderBoxPK, senderBoxSK, recipientFps, ts }, nacl, naclUtil, ctx) {
+  const senderFp = naclUtil.encodeBase64(fingerprintFromSignPK(senderSignPK, nacl));
+  if (!isGroupMember(group, senderFp)) {
+    throw createError(ErrorCode.GROUP_NOT_MEMBER, "Sender is not a group member");
+  }
+
+  const recipients = group.members.filter(m =>
+    m.fp !== senderFp && (!recipientFps || recipientFps.includes(m.fp))
+  );
+
+  return recipients.map(m => ({
+    fp: m.fp,
+    message: encryptMessage({
+      content: "",
+      senderSignPK,
+      senderSignSK,
+      senderBoxPK,
+      senderBoxSK,
+      recipientBoxPK: naclUtil.decodeBase64(m.boxPK),
+      ts,
+      type: GROUP_KEY_TYPE,
+      payloadExtra: {
+        group: {
+          groupId: group.groupId,
+          name: group.name,
+          createdAt: group.createdAt,
+          createdBy: group.createdBy,
+          epoch: group.epoch,
+          members: group.members
+        },
+        senderKey: naclUtil.encodeBase64(senderKey)
+      }
+    }, nacl, naclUtil, ctx)
+  }));
+}
+
+/**
+ * Validate a decrypted sender key distribution
+ *
+ * @param {object} result - Result of decryptMessage for a "group_key" message
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {{group: object, senderFp: string, senderSignPK: string, epoch: number, senderKey: string, fromAdmin: boolean}}
+ */
+export function parseSenderKeyDistribution(result, naclUtil) {
+  if (result.type !== GROUP_KEY_TYPE) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "Not a sender key distribution");
+  }
+  const { group, senderKey } = result.payload;
+  if (!group || typeof group.groupId !== "string" || !Array.isArray(group.members) ||
+      !Number.isInteger(group.epoch) || group.epoch < 0) {
+    throw createError(ErrorCode.INVALID_PAYLOAD, "Invalid group state");
+  }
+
+  let keyBytes;
+  try {
+    keyBytes = naclUtil.decodeBase64(senderKey);
+  } catch {
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
+  }
+  if (keyBytes.length !== SENDER_KEY_LENGTH) {
+    throw createError(ErrorCode.INVALID_KEY_LENGTH, "Sender key length invalid");
+  }
+
+  const senderFp = naclUtil.encodeBase64(result.senderFp);
+  const senderSignPK = naclUtil.encodeBase64(result.senderSignPK);
+  const member = group.members.find(m => m.fp === senderFp);
+  if (!member || member.signPK !== senderSignPK) {
+    throw createError(ErrorCode.GROUP_NOT_MEMBER, "Sender is not a group member");
+  }
+
+  return {
+    group,
+    senderFp,
+    senderSignPK,
+    epoch: group.epoch,
+    senderKey,
+    fromAdmin: senderFp === group.createdBy
+  };
+}
+
+// ============================================================================
+// Group Messages
+// ============================================================================
+
+/**
+ * Build SignBytes for group messages
+ *
+ * SignBytes = concat([
+ *   DOMAIN_GROUP (14 bytes),
+ *   groupId (16 bytes),
+ *   epoch_u32be (4 bytes),
+ *   senderSignPK (32 bytes),
+ *   nonce (24 bytes),
+ *   ts_u64be (8 bytes),
+ *   ct_len_u32be (4 bytes),
+ *   ciphertext (variable)
+ * ])
+ *
+ * @param {object} params
+ * @param {Uint8Array} params.groupId - Group ID (16 bytes)
+ * @param {number} params.epoch - Group epoch
+ * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
+ * @param {Uint8Array} params.nonce - 24-byte nonce
+ * @param {number} params.ts - Timestamp (Unix milliseconds)
+ * @param {Uint8Array} params.ciphertext - Encrypted payload
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function buildGroupSignBytes({ groupId, epoch, senderSignPK, nonce, ts, ciphertext }, naclUtil) {
+  return concatU8([
+    naclUtil.decodeUTF8(DOMAIN_GROUP),
+    groupId,
+    u32be(epoch),
+    senderSignPK,
+    nonce,
+    u64beFromNumber(ts),
+    u32be(ciphertext.length),
+    ciphertext
+  ]);
+}
+
+/**
+ * Encrypt and sign a group message with the sender's key
+ *
+ * @param {object} params
+ * @param {object} params.group - Group state
+ * @param {Uint8Array} params.senderKey - Sender's key for the current epoch
+ * @param {string} params.content - Message content
+ * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
+ * @param {Uint8Array} params.senderSignSK - Sender's Ed25519 secret key
+ * @param {number} [params.ts] - Timestamp (defaults to Date.now())
+ * @param {number} [params.ttlMs] - Time to live in ms
+ * @param {string} [params.type] - Message type
+ * @param {object} [params.payloadExtra] - Additional payload fields
+ * @param {boolean} [params.compress] - Deflate the payload before encryption
+ * @param {boolean|number[]} [params.pad] - Pad the payload to size buckets
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock and randomness (defaults to Date.now() / nacl.randomBytes)
+ * @returns {object} - Group message object (dmesh-group-msg)
+ */
+export function encryptGroupMessage({ group, senderKey, content, senderSignPK, senderSignSK, ts, ttlMs, type, payloadExtra, compress, pad }, nacl, naclUtil, ctx) {
+  const timestamp = ts ?? ctxNow(ctx);
+  const expiration = calculateExpiration(timestamp, ttlMs);
+
+  const contentBlob = new Blob([content]);
+  if (contentBlob.size > MAX_BYTES) {
+    throw createError(ErrorCode.CONTENT_TOO_LARGE, `max ${MAX_BYTES} bytes`);
+  }
+
+  const payload = validatePayload({
+    v: 1,
+    ts: timestamp,
+    type: type || "text",
+    content,
+    ...payloadExtra
+  });
+  const payloadBytes = encodePayloadBytes(payload, { compress, pad }, naclUtil);
+
+  const nonce = ctxRandomBytes(nacl.secretbox.nonceLength, nacl, ctx);
+  const ciphertext = nacl.secretbox(payloadBytes, nonce, senderKey);
+  if (!ciphertext) {
+    throw createError(ErrorCode.ENCRYPTION_FAILED);
+  }
+
+  const groupIdBytes = naclUtil.decodeBase64(group.groupId);
+  const signBytes = buildGroupSignBytes({
+    groupId: groupIdBytes,
+    epoch: group.epoch,
+    senderSignPK,
+    nonce,
+    ts: timestamp,
+    ciphertext
+  }, naclUtil);
+  const signature = nacl.sign.detached(signBytes, senderSignSK);
+
+  return {
+    v: 1,
+    kind: "dmesh-group-msg",
+    groupId: group.groupId,
+    epoch: group.epoch,
+    msgId: naclUtil.encodeBase64(messageIdFromCiphertext(ciphertext, nacl)),
+    ts: timestamp,
+    exp: expiration,
+    senderSignPK: naclUtil.encodeBase64(senderSignPK),
+    nonce: naclUtil.encodeBase64(nonce),
+    ciphertext: naclUtil.encodeBase64(ciphertext),
+    signature: naclUtil.encodeBase64(signature)
+  };
+}
+
+/**
+ * Verify and decrypt a group message
+ *
+ * Messages must come from a current member. Messages from an older epoch
+ * are accepted only if the sender was also a member of that epoch and we
+ * still hold its key for it (delay-tolerant delivery across a rotation);
+ * a member removed by the rotation cannot keep posting on the old epoch.
+ *
+ * @param {object} params
+ * @param {object} params.message - Group message object (dmesh-group-msg)
+ * @param {object} params.group - Our group state
+ * @param {Function} params.getSenderKey - Function(epoch, senderFp) => Uint8Array|null
+ * @param {Function} [params.replayCheck] - Function(msgId, senderFp) => boolean (true if allowed)
+ * @param {object} [params.options] - Additional options (strictMode, maxDecompressedBytes)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {{content: string, senderSignPK: Uint8Array, senderFp: Uint8Array, groupId: string, epoch: number, ts: number, msgId: string, type: string, payload: object}}
+ */
+export function decryptGroupMessage({ message, group, getSenderKey, replayCheck, options = {} }, nacl, naclUtil, ctx) {
+  if (!message || message.v !== 1 || message.kind !== "dmesh-group-msg") {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT);
+  }
+  if (message.groupId !== group.groupId) {
+    throw createError(ErrorCode.GROUP_UNKNOWN, "Group ID mismatch");
+  }
+
+  const epoch = Number(message.epoch);
+  if (!Number.isInteger(epoch) || epoch < 0) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "epoch invalid");
+  if (epoch > group.epoch) {
+    throw createError(ErrorCode.GROUP_EPOCH_UNKNOWN);
+  }
+
+  let groupIdBytes, senderSignPK, nonce, ciphertext, signature;
+  try {
+    groupIdBytes = naclUtil.decodeBase64(message.groupId);
+    senderSignPK = naclUtil.decodeBase64(message.senderSignPK);
+    nonce = naclUtil.decodeBase64(message.nonce);
+    ciphertext = naclUtil.decodeBase64(message.ciphertext);
+    signature = naclUtil.decodeBase64(message.signature);
+  } catch {
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
+  }
+
+  if (groupIdBytes.length !== GROUP_ID_LENGTH) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "groupId length invalid");
+  if (senderSignPK.length !== nacl.sign.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "senderSignPK length invalid");
+  if (nonce.length !== nacl.secretbox.nonceLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "nonce length invalid");
+  if (signature.length !== nacl.sign.signatureLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "signature length invalid");
+
+  const ts = Number(message.ts);
+  if (!Number.isFinite(ts)) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "ts invalid");
+  if (!isMessageValid(message, options, ctx)) {
+    throw createError(options.strictMode ? ErrorCode.TIMESTAMP_SKEW : ErrorCode.MESSAGE_EXPIRED);
+  }
+
+  const msgIdB64 = naclUtil.encodeBase64(messageIdFromCiphertext(ciphertext, nacl));
+  if (message.msgId && message.msgId !== msgIdB64) {
+    throw createError(ErrorCode.MSGID_MISMATCH);
+  }
+
+  // Membership check (current members, and members of the message's epoch)
+  const senderFp = fingerprintFromSignPK(senderSignPK, nacl);
+  const senderFpB64 = naclUtil.encodeBase64(senderFp);
+  const member = group.members.find(m => m.fp === senderFpB64);
+  if (!member || member.signPK !== message.senderSignPK) {
+    throw createError(ErrorCode.GROUP_NOT_MEMBER, "Sender is not a group member");
+  }
+  const epochFps = groupMembersAt(group, epoch);
+  if (epochFps && !epochFps.includes(senderFpB64)) {
+    throw createError(ErrorCode.GROUP_NOT_MEMBER, "Sender was not a member of this group epoch");
+  }
+
+  const senderKey = getSenderKey(epoch, senderFpB64);
+  if (!senderKey) {
+    throw createError(ErrorCode.GROUP_SENDER_KEY_UNKNOWN);
+  }
+
+  const signBytes = buildGroupSignBytes({
+    groupId: groupIdBytes,
+    epoch,
+    senderSignPK,
+    nonce,
+    ts,
+    ciphertext
+  }, naclUtil);
+  if (!nacl.sign.detached.verify(signBytes, signature, senderSignPK)) {
+    throw createError(ErrorCode.SIGNATURE_INVALID);
+  }
+
+  if (replayCheck && !replayCheck(msgIdB64, senderFpB64)) {
+    throw createError(ErrorCode.REPLAY_DETECTED);
+  }
+
+  const plaintext = nacl.secretbox.open(ciphertext, nonce, senderKey);
+  if (!plaintext) {
+    throw createError(ErrorCode.DECRYPTION_FAILED);
+  }
+
+  const decoded = decodePayloadBytes(plaintext, options, naclUtil);
+  const payload = validatePayload(decoded.payload);
+
+  return {
+    content: payload.content ?? decoded.text,
+    senderSignPK,
+    senderFp,
+    groupId: message.groupId,
+    epoch,
+    ts,
+    msgId: msgIdB64,
+    type: payload.type,
+    payload
+  };
+}
@@ -13,6 +13,8 @@
  * @module crypto/key-backup
  */
 
+import { ErrorCode, createError } from "./errors.js";
+
 // Argon2id parameters (OWASP recommended for password storage)
 const ARGON2_CONFIG = {
   type: 2, // Argon2id
@@ -132,11 +134,11 @@ export async function deriveKey(password, salt, nacl) {
 export async function encryptKeys(keys, password, nacl, naclUtil) {
   // Validate input
   if (!keys.signPK || !keys.signSK || !keys.boxPK || !keys.boxSK) {
-    throw new Error("Missing required keys");
+    throw createError(ErrorCode.KEYS_MISSING);
   }
 
   if (!password || password.length < 1) {
-    throw new Error("Password is required");
+    throw createError(ErrorCode.PASSWORD_REQUIRED);
   }
 
   // Generate random salt and nonce
@@ -153,7 +155,7 @@ export async function encryptKeys(keys, password, nacl, naclUtil) {
   const ciphertext = nacl.secretbox(plaintext, nonce, key);
 
   if (!ciphertext) {
-    throw new Error("Encryption failed");
+    throw createError(ErrorCode.ENCRYPTION_FAILED);
   }
 
   return {
@@ -179,23 +181,29 @@ export async function encryptKeys(keys, password, nacl, naclUtil) {
 export async function decryptKeys(backup, password, nacl, naclUtil) {
   // Validate backup format
   if (!backup || !backup.version) {
-    throw new Error("Invalid backup format");
+    throw createError(ErrorCode.BACKUP_INVALID, "format");
   }
 
   if (backup.version !== BACKUP_VERSION) {
-    throw new Error(`Unsupported backup version: ${backup.version}`);
+    throw createError(ErrorCode.BACKUP_UNSUPPORTED, `version ${backup.version}`);
   }
 
   // Decode components
-  const salt = naclUtil.decodeBase64(backup.salt);
-  const nonce = naclUtil.decodeBase64(backup.nonce);
-  const ciphertext = naclUtil.decodeBase64(backup.ciphertext);
+  let salt, nonce, ciphertext;
+  try {
+    salt = naclUtil.decodeBase64(backup.salt);
+    nonce = naclUtil.decodeBase64(backup.nonce);
+    ciphertext = naclUtil.decodeBase64(backup.ciphertext);
+  } catch {
+    throw createError(ErrorCode.BACKUP_INVALID, "base64 decode failed");
+  }
 
   // Derive key using same KDF
   let key;
   if (backup.kdf === "argon2id") {
     if (!isArgon2Available()) {
-      throw new Error(
+      throw createError(
+        ErrorCode.BACKUP_UNSUPPORTED,
         "This backup was encrypted with Argon2id, which is not available. " +
         "Please use a browser with Argon2 support or load the argon2-browser library."
       );
@@ -204,35 +212,45 @@ export async function decryptKeys(backup, password, nacl, naclUtil) {
   } else if (backup.kdf === "pbkdf2") {
     key = await deriveKeyPBKDF2(password, salt);
   } else {
-    throw new Error(`Unknown KDF: ${backup.kdf}`);
+    throw createError(ErrorCode.BACKUP_UNSUPPORTED, `unknown KDF ${backup.kdf}`);
   }
 
   // Decrypt
   const plaintext = nacl.secretbox.open(ciphertext, nonce, key);
 
   if (!plaintext) {
-    throw new Error("Decryption failed - wrong password or corrupted backup");
+    throw createError(ErrorCode.BACKUP_DECRYPTION_FAILED);
   }
 
   // Parse JSON
-  const keys = JSON.parse(naclUtil.encodeUTF8(plaintext));
+  let keys;
+  try {
+    keys = JSON.parse(naclUtil.encodeUTF8(plaintext));
+  } catch {
+    throw createError(ErrorCode.BACKUP_INVALID, "decrypted data is not JSON");
+  }
 
   // Validate decrypted keys
   if (!keys.signPK || !keys.signSK || !keys.boxPK || !keys.boxSK) {
-    throw new Error("Decrypted data is missing required keys");
+    throw createError(ErrorCode.KEYS_MISSING, "in decrypted data");
   }
 
   // Validate key lengths
-  const signPKBytes = naclUtil.decodeBase64(keys.signPK);
-  const signSKBytes = naclUtil.decodeBase64(keys.signSK);
-  const boxPKBytes = naclUtil.decodeBase64(keys.boxPK);
-  const boxSKBytes = naclUtil.decodeBase64(keys.boxSK);
+  let signPKBytes, signSKBytes, boxPKBytes, boxSKBytes;
+  try {
+    signPKBytes = naclUtil.decodeBase64(keys.signPK);
+    signSKBytes = naclUtil.decodeBase64(keys.signSK);
+    boxPKBytes = naclUtil.decodeBase64(keys.boxPK);
+    boxSKBytes = naclUtil.decodeBase64(keys.boxSK);
+  } catch {
+    throw createError(ErrorCode.BACKUP_INVALID, "keys are not base64");
+  }
 
   if (signPKBytes.length !== 32 ||
       signSKBytes.length !== 64 ||
       boxPKBytes.length !== 32 ||
       boxSKBytes.length !== 32) {
-    throw new Error("Invalid key lengths in decrypted data");
+    throw createError(ErrorCode.INVALID_KEY_LENGTH, "in decrypted data");
   }
 
   return keys;
@@ -0,0 +1,302 @@
+/**
+ * Lifeline Mesh - Disaster Payload Types
+ *
+ * Builders and validation for the structured payloads defined in
+ * PROTOCOL.md ("Disaster Payload Types"):
+ * - Builders return {type, content, payloadExtra}, ready to spread into
+ *   encryptMessage / encryptMessageMulti / encryptGroupMessage / signBroadcast
+ * - validatePayload is applied by core.js and group.js on encrypt and decrypt
+ *
+ * Unknown payload types are passed through with only the common fields
+ * checked, so newer senders stay readable by older receivers.
+ *
+ * No dependencies besides errors.js.
+ */
+
+import { ErrorCode, createError } from "./errors.js";
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const PAYLOAD_TYPES = ["text", "im_safe", "need_help", "shelter_info", "medical", "supplies", "ack", "retract", "correct"];
+export const URGENCY_LEVELS = ["low", "medium", "high", "critical"];
+// Payload types that revise an earlier message from the same sender (refMsgId)
+export const REVISION_TYPES = ["retract", "correct"];
+export const RESOURCE_TYPES = ["water", "food", "power", "medical", "shelter", "communication", "transport"];
+
+// Base64 of a 32-byte message ID
+const MSG_ID_PATTERN = /^[A-Za-z0-9+/]{43}=$/;
+
+// Type-specific fields: required / optional
+const TYPE_FIELDS = {
+  text: { required: [], optional: [] },
+  im_safe: { required: [], optional: ["location", "people"] },
+  need_help: { required: ["urgency", "needs"], optional: ["location", "people"] },
+  shelter_info: { required: ["location", "resources"], optional: ["capacity"] },
+  medical: { required: ["urgency", "conditions", "people"], optional: ["location"] },
+  supplies: { required: ["resources"], optional: ["location"] },
+  ack: { required: ["refMsgId"], optional: [] },
+  retract: { required: ["refMsgId"], optional: [] },
+  correct: { required: ["refMsgId"], optional: ["location"] }
+};
+
+// ============================================================================
+// Field Validation
+// ============================================================================
+
+/**
+ * @param {string} field - Field name for the error message
+ */
+function invalid(field) {
+  return createError(ErrorCode.INVALID_PAYLOAD, field);
+}
+
+/**
+ * Validate and normalize a location ({lat, lng, accuracy?})
+ * @param {any} location
+ * @returns {{lat: number, lng: number, accuracy?: number}}
+ */
+function normalizeLocation(location) {
+  if (!location || typeof location !== "object" || Array.isArray(location)) {
+    throw invalid("location");
+  }
+  const { lat, lng, accuracy } = location;
+  if (typeof lat !== "number" || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+    throw invalid("location.lat");
+  }
+  if (typeof lng !== "number" || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    throw invalid("location.lng");
+  }
+  const result = { lat, lng };
+  if (accuracy !== undefined) {
+    if (typeof accuracy !== "number" || !Number.isFinite(accuracy) || accuracy < 0) {
+      throw invalid("location.accuracy");
+    }
+    result.accuracy = accuracy;
+  }
+  return result;
+}
+
+/**
+ * @param {any} value
+ * @param {string} field
+ * @returns {number}
+ */
+function checkCount(value, field) {
+  if (!Number.isSafeInteger(value) || value < 0) {
+    throw invalid(field);
+  }
+  return value;
+}
+
+/**
+ * @param {any} value
+ * @param {string} field
+ * @param {string[]} [allowed] - Allowed values (any string if omitted)
+ * @returns {string[]}
+ */
+function checkStringList(value, field, allowed) {
+  if (!Array.isArray(value) || !value.every((item) => typeof item === "string" && item.length > 0)) {
+    throw invalid(field);
+  }
+  if (allowed && !value.every((item) => allowed.includes(item))) {
+    throw invalid(field);
+  }
+  return [...new Set(value)];
+}
+
+const FIELD_CHECKS = {
+  location: normalizeLocation,
+  people: (value) => checkCount(value, "people"),
+  capacity: (value) => checkCount(value, "capacity"),
+  urgency: (value) => {
+    if (!URGENCY_LEVELS.includes(value)) throw invalid("urgency");
+    return value;
+  },
+  needs: (value) => checkStringList(value, "needs"),
+  conditions: (value) => checkStringList(value, "conditions"),
+  resources: (value) => checkStringList(value, "resources", RESOURCE_TYPES),
+  refMsgId: (value) => {
+    if (typeof value !== "string" || !MSG_ID_PATTERN.test(value)) throw invalid("refMsgId");
+    return value;
+  }
+};
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Validate a payload object and return a normalized copy
+ *
+ * - type defaults to "text"
+ * - Known fields are type-checked wherever they appear; fields required by
+ *   the payload type must be present
+ * - Locations are reduced to {lat, lng, accuracy?}; string lists are deduplicated
+ * - Other fields are kept as-is
+ *
+ * @param {any} payload - Payload object (as built for encryption or parsed after decryption)
+ * @returns {object} - Normalized payload
+ */
+export function validatePayload(payload) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    throw invalid("not an object");
+  }
+  if (payload.v !== undefined && payload.v !== 1) {
+    throw invalid("v");
+  }
+  if (payload.ts !== undefined && (typeof payload.ts !== "number" || !Number.isFinite(payload.ts))) {
+    throw invalid("ts");
+  }
+  if (payload.type !== undefined && (typeof payload.type !== "string" || payload.type.length === 0)) {
+    throw invalid("type");
+  }
+  if (payload.content !== undefined && typeof payload.content !== "string") {
+    throw invalid("content");
+  }
+
+  const normalized = { ...payload, type: payload.type ?? "text" };
+
+  const spec = TYPE_FIELDS[normalized.type];
+  if (spec) {
+    for (const field of spec.required) {
+      if (normalized[field] === undefined) {
+        throw invalid(`${field} required for ${normalized.type}`);
+      }
+    }
+  }
+
+  for (const [field, check] of Object.entries(FIELD_CHECKS)) {
+    if (normalized[field] !== undefined) {
+      normalized[field] = check(normalized[field]);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Check whether a payload passes validatePayload
+ * @param {any} payload
+ * @returns {boolean}
+ */
+export function isValidPayload(payload) {
+  try {
+    validatePayload(payload);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// Builders
+// ============================================================================
+
+/**
+ * Assemble builder output, dropping undefined fields
+ * @param {string} type
+ * @param {string|undefined} content
+ * @param {object} extra
+ * @returns {{type: string, content: string, payloadExtra: object}}
+ */
+function build(type, content, extra) {
+  const payloadExtra = {};
+  for (const [key, value] of Object.entries(extra)) {
+    if (value !== undefined) payloadExtra[key] = value;
+  }
+  const { type: _type, content: _content, ...normalized } = validatePayload({ type, content: content ?? "", ...payloadExtra });
+  return { type, content: content ?? "", payloadExtra: normalized };
+}
+
+/**
+ * Safety confirmation
+ * @param {object} params
+ * @param {string} [params.content]
+ * @param {{lat: number, lng: number, accuracy?: number}} [params.location]
+ * @param {number} [params.people] - Number of people with the sender
+ */
+export function buildImSafe({ content, location, people } = {}) {
+  return build("im_safe", content, { location, people });
+}
+
+/**
+ * Request for assistance
+ * @param {object} params
+ * @param {string} params.urgency - One of URGENCY_LEVELS
+ * @param {string[]} params.needs - e.g. ["rescue", "medical"]
+ * @param {string} [params.content]
+ * @param {{lat: number, lng: number, accuracy?: number}} [params.location]
+ * @param {number} [params.people]
+ */
+export function buildNeedHelp({ urgency, needs, content, location, people }) {
+  return build("need_help", content, { urgency, needs, location, people });
+}
+
+/**
+ * Shelter information
+ * @param {object} params
+ * @param {{lat: number, lng: number, accuracy?: number}} params.location
+ * @param {string[]} params.resources - Available resources (RESOURCE_TYPES)
+ * @param {string} [params.content]
+ * @param {number} [params.capacity]
+ */
+export function buildShelterInfo({ location, resources, content, capacity }) {
+  return build("shelter_info", content, { location, resources, capacity });
+}
+
+/**
+ * Medical emergency
+ * @param {object} params
+ * @param {string} params.urgency - One of URGENCY_LEVELS
+ * @param {string[]} params.conditions
+ * @param {number} params.people - Number of patients
+ * @param {string} [params.content]
+ * @param {{lat: number, lng: number, accuracy?: number}} [params.location]
+ */
+export function buildMedical({ urgency, conditions, people, content, location }) {
+  return build("medical", content, { urgency, conditions, people, location });
+}
+
+/**
+ * Resource status
+ * @param {object} params
+ * @param {string[]} params.resources - RESOURCE_TYPES
+ * @param {string} [params.content]
+ * @param {{lat: number, lng: number, accuracy?: number}} [params.location]
+ */
+export function buildSupplies({ resources, content, location }) {
+  return build("supplies", content, { resources, location });
+}
+
+/**
+ * Message acknowledgment
+ * @param {object} params
+ * @param {string} params.refMsgId - Base64 msgId of the acknowledged message
+ * @param {string} [params.content]
+ */
+export function buildAck({ refMsgId, content }) {
+  return build("ack", content, { refMsgId });
+}
+
+/**
+ * Retraction of an earlier message by its sender
+ * @param {object} params
+ * @param {string} params.refMsgId - Base64 msgId of the retracted message
+ * @param {string} [params.content] - Optional reason ("sent by mistake")
+ */
+export function buildRetract({ refMsgId, content }) {
+  return build("retract", content, { refMsgId });
+}
+
+/**
+ * Correction of an earlier message by its sender
+ * @param {object} params
+ * @param {string} params.refMsgId - Base64 msgId of the corrected message
+ * @param {string} params.content - Corrected text ("We are at school B, not A")
+ * @param {{lat: number, lng: number, accuracy?: number}} [params.location] - Corrected location
+ */
+export function buildCorrect({ refMsgId, content, location }) {
+  return build("correct", content, { refMsgId, location });
+}
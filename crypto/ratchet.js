@@ -0,0 +1,463 @@
+/**
+ * Lifeline Mesh - Double Ratchet Sessions
+ *
+ * Optional per-contact sessions with forward secrecy on top of dmesh-msg:
+ * - The ratchet ciphertext travels as a payload (type "ratchet") inside a
+ *   regular encryptMessage envelope, which authenticates and signs it
+ * - The initial root key comes from a static X25519 DH between both
+ *   parties' box keys; the initiator's first messages carry header.init
+ * - Symmetric chains are advanced per message, the DH ratchet per round trip
+ * - Skipped message keys are kept (bounded) for out-of-order and heavily
+ *   delayed delivery
+ *
+ * Session state is a plain JSON object (base64 keys) for the IndexedDB
+ * store. Functions never mutate the given session; they return a new one,
+ * which the caller persists only after a successful operation.
+ *
+ * Dependencies: TweetNaCl, TweetNaCl-util
+ */
+
+import {
+  concatU8,
+  ctxNow,
+  ctxRandomBytes,
+  generateBoxKeyPair,
+  encryptMessage,
+  encodePayloadBytes,
+  decodePayloadBytes
+} from "./core.js";
+import { validatePayload } from "./payload.js";
+import { ErrorCode, createError } from "./errors.js";
+
+/** @typedef {import("./core.js").Context} Context */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const DOMAIN_RATCHET = "DMESH_RATCHET_V1";
+export const RATCHET_TYPE = "ratchet"; // Envelope payload type
+export const MAX_SKIP = 1000; // Max message keys skipped in one chain step
+export const MAX_SKIPPED_KEYS = 2000; // Max stored skipped keys per session
+
+const HMAC_BLOCK_SIZE = 128; // SHA-512 block size
+
+// ============================================================================
+// Key Derivation
+// ============================================================================
+
+/**
+ * HMAC-SHA-512
+ * @param {Uint8Array} key
+ * @param {Uint8Array} data
+ * @param {object} nacl - TweetNaCl instance
+ * @returns {Uint8Array} - 64 bytes
+ */
+function hmacSha512(key, data, nacl) {
+  const k = new Uint8Array(HMAC_BLOCK_SIZE);
+  k.set(key.length > HMAC_BLOCK_SIZE ? nacl.hash(key) : key);
+  const ipad = k.map(b => b ^ 0x36);
+  const opad = k.map(b => b ^ 0x5c);
+  return nacl.hash(concatU8([opad, nacl.hash(concatU8([ipad, data]))]));
+}
+
+/**
+ * Root chain step: (rootKey, dhOut) -> (rootKey', chainKey)
+ * @returns {{rootKey: Uint8Array, chainKey: Uint8Array}}
+ */
+function kdfRoot(rootKey, dhOut, nacl) {
+  const out = hmacSha512(rootKey, dhOut, nacl);
+  return { rootKey: out.slice(0, 32), chainKey: out.slice(32, 64) };
+}
+
+/**
+ * Symmetric chain step: chainKey -> (chainKey', messageKey)
+ * @returns {{chainKey: Uint8Array, messageKey: Uint8Array}}
+ */
+function kdfChain(chainKey, nacl) {
+  return {
+    chainKey: hmacSha512(chainKey, new Uint8Array([0x02]), nacl).slice(0, 32),
+    messageKey: hmacSha512(chainKey, new Uint8Array([0x01]), nacl).slice(0, 32)
+  };
+}
+
+/**
+ * Initial root key from the static DH of both box keys
+ * Only the two parties can compute it, which authenticates the session.
+ */
+function initialRootKey(myBoxSK, peerBoxPK, nacl, naclUtil) {
+  const dh = nacl.scalarMult(myBoxSK, peerBoxPK);
+  return nacl.hash(concatU8([naclUtil.decodeUTF8(DOMAIN_RATCHET), dh])).slice(0, 32);
+}
+
+// ============================================================================
+// Session State
+// ============================================================================
+
+/**
+ * Copy a session so that failed operations leave the original untouched
+ * @param {object} session
+ * @returns {object}
+ */
+function cloneSession(session) {
+  return { ...session, skipped: { ...session.skipped } };
+}
+
+/**
+ * Start a session as initiator (we send first)
+ *
+ * @param {object} params
+ * @param {Uint8Array} params.myBoxSK - Own X25519 secret key
+ * @param {Uint8Array} params.peerBoxPK - Contact's X25519 public key
+ * @param {number} [params.ts] - Timestamp (defaults to Date.now())
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock and randomness (defaults to Date.now() / nacl.randomBytes)
+ * @returns {object} - Session state
+ */
+export function initiateRatchetSession({ myBoxSK, peerBoxPK, ts }, nacl, naclUtil, ctx) {
+  const now = ts ?? ctxNow(ctx);
+  const dhSelf = generateBoxKeyPair(nacl, ctx);
+  const root = kdfRoot(
+    initialRootKey(myBoxSK, peerBoxPK, nacl, naclUtil),
+    nacl.scalarMult(dhSelf.secretKey, peerBoxPK),
+    nacl
+  );
+  const dhSelfPK = naclUtil.encodeBase64(dhSelf.publicKey);
+
+  return {
+    v: 1,
+    peerBoxPK: naclUtil.encodeBase64(peerBoxPK),
+    rootKey: naclUtil.encodeBase64(root.rootKey),
+    sendChainKey: naclUtil.encodeBase64(root.chainKey),
+    recvChainKey: null,
+    dhSelfPK,
+    dhSelfSK: naclUtil.encodeBase64(dhSelf.secretKey),
+    dhRemote: naclUtil.encodeBase64(peerBoxPK),
+    ns: 0,
+    nr: 0,
+    pn: 0,
+    initDh: dhSelfPK, // Sent as header.init until the peer replies
+    remoteInitDh: null,
+    ignoredInitDh: null, // Peer's init that lost a concurrent initiation
+    skipped: {},
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Responder state for a received init header (not yet ratcheted)
+ * The long-term box key only lives here until the first DH ratchet step.
+ */
+function respondRatchetSession({ myBoxPK, myBoxSK, peerBoxPK, initDh, ts }, nacl, naclUtil) {
+  return {
+    v: 1,
+    peerBoxPK: naclUtil.encodeBase64(peerBoxPK),
+    rootKey: naclUtil.encodeBase64(initialRootKey(myBoxSK, peerBoxPK, nacl, naclUtil)),
+    sendChainKey: null,
+    recvChainKey: null,
+    dhSelfPK: naclUtil.encodeBase64(myBoxPK),
+    dhSelfSK: naclUtil.encodeBase64(myBoxSK),
+    dhRemote: null,
+    ns: 0,
+    nr: 0,
+    pn: 0,
+    initDh: null,
+    remoteInitDh: initDh,
+    ignoredInitDh: null,
+    skipped: {},
+    createdAt: ts,
+    updatedAt: ts
+  };
+}
+
+// ============================================================================
+// Ratchet Steps
+// ============================================================================
+
+/**
+ * Store message keys of the current receiving chain up to (excluding) n
+ * @param {object} state - Session copy (mutated)
+ * @param {number} until - Next message number to receive
+ */
+function skipMessageKeys(state, until, now, nacl, naclUtil) {
+  if (state.recvChainKey === null) return;
+  if (until - state.nr > MAX_SKIP) {
+    throw createError(ErrorCode.RATCHET_SKIP_LIMIT);
+  }
+
+  let chainKey = naclUtil.decodeBase64(state.recvChainKey);
+  while (state.nr < until) {
+    const step = kdfChain(chainKey, nacl);
+    state.skipped[`${state.dhRemote}:${state.nr}`] = {
+      mk: naclUtil.encodeBase64(step.messageKey),
+      addedAt: now
+    };
+    chainKey = step.chainKey;
+    state.nr++;
+  }
+  state.recvChainKey = naclUtil.encodeBase64(chainKey);
+
+  // Drop the oldest keys beyond the limit
+  const ids = Object.keys(state.skipped);
+  if (ids.length > MAX_SKIPPED_KEYS) {
+    ids.sort((a, b) => state.skipped[a].addedAt - state.skipped[b].addedAt);
+    for (const id of ids.slice(0, ids.length - MAX_SKIPPED_KEYS)) {
+      delete state.skipped[id];
+    }
+  }
+}
+
+/**
+ * DH ratchet step on a new remote ratchet key
+ * @param {object} state - Session copy (mutated)
+ * @param {string} remoteDh - Remote ratchet public key (base64)
+ */
+function dhRatchet(state, remoteDh, nacl, naclUtil, ctx) {
+  const remote = naclUtil.decodeBase64(remoteDh);
+
+  state.pn = state.ns;
+  state.ns = 0;
+  state.nr = 0;
+  state.dhRemote = remoteDh;
+
+  const recv = kdfRoot(
+    naclUtil.decodeBase64(state.rootKey),
+    nacl.scalarMult(naclUtil.decodeBase64(state.dhSelfSK), remote),
+    nacl
+  );
+  state.recvChainKey = naclUtil.encodeBase64(recv.chainKey);
+
+  const dhSelf = generateBoxKeyPair(nacl, ctx);
+  const send = kdfRoot(recv.rootKey, nacl.scalarMult(dhSelf.secretKey, remote), nacl);
+  state.rootKey = naclUtil.encodeBase64(send.rootKey);
+  state.sendChainKey = naclUtil.encodeBase64(send.chainKey);
+  state.dhSelfPK = naclUtil.encodeBase64(dhSelf.publicKey);
+  state.dhSelfSK = naclUtil.encodeBase64(dhSelf.secretKey);
+}
+
+/**
+ * Decrypt a ratchet payload with a session, returning the advanced copy
+ * @returns {{state: object, plaintext: Uint8Array}}
+ */
+function ratchetOpen(session, ratchet, now, nacl, naclUtil, ctx) {
+  const state = cloneSession(session);
+  let dh, nonce, ciphertext;
+  try {
+    dh = naclUtil.decodeBase64(ratchet.dh);
+    nonce = naclUtil.decodeBase64(ratchet.nonce);
+    ciphertext = naclUtil.decodeBase64(ratchet.ciphertext);
+  } catch {
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
+  }
+  if (dh.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "ratchet key length invalid");
+  if (nonce.length !== nacl.secretbox.nonceLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "nonce length invalid");
+
+  let messageKey;
+  const skippedId = `${ratchet.dh}:${ratchet.n}`;
+  if (state.skipped[skippedId]) {
+    messageKey = naclUtil.decodeBase64(state.skipped[skippedId].mk);
+    delete state.skipped[skippedId];
+  } else {
+    if (ratchet.dh === state.remoteInitDh && state.dhRemote !== null && state.dhRemote !== ratchet.dh) {
+      // Initial chain already ratcheted away; remaining keys are in skipped
+      throw createError(ErrorCode.REPLAY_DETECTED, "Message key already used");
+    }
+    if (ratchet.dh !== state.dhRemote) {
+      skipMessageKeys(state, ratchet.pn, now, nacl, naclUtil);
+      dhRatchet(state, ratchet.dh, nacl, naclUtil, ctx);
+    } else if (ratchet.n < state.nr) {
+      throw createError(ErrorCode.REPLAY_DETECTED, "Message key already used");
+    }
+    skipMessageKeys(state, ratchet.n, now, nacl, naclUtil);
+    const step = kdfChain(naclUtil.decodeBase64(state.recvChainKey), nacl);
+    state.recvChainKey = naclUtil.encodeBase64(step.chainKey);
+    state.nr++;
+    messageKey = step.messageKey;
+  }
+
+  const plaintext = nacl.secretbox.open(ciphertext, nonce, messageKey);
+  if (!plaintext) {
+    throw createError(ErrorCode.DECRYPTION_FAILED);
+  }
+
+  // The peer has our current ratchet key: stop sending init headers
+  state.initDh = null;
+  state.updatedAt = now;
+  return { state, plaintext };
+}
+
+// ============================================================================
+// Messages
+// ============================================================================
+
+/**
+ * Encrypt a message in a ratchet session
+ *
+ * Without a session, a new one is initiated (header.init). The returned
+ * session must be saved before the message is sent.
+ *
+ * @param {object} params
+ * @param {object|null} params.session - Session state for this contact, null to initiate
+ * @param {string} params.content - Message content
+ * @param {Uint8Array} params.senderSignPK - Sender's Ed25519 public key
+ * @param {Uint8Array} params.senderSignSK - Sender's Ed25519 secret key
+ * @param {Uint8Array} params.senderBoxPK - Sender's X25519 public key
+ * @param {Uint8Array} params.senderBoxSK - Sender's X25519 secret key
+ * @param {Uint8Array} params.recipientBoxPK - Recipient's X25519 public key
+ * @param {number} [params.ts] - Timestamp (defaults to Date.now())
+ * @param {number} [params.ttlMs] - Time to live in ms
+ * @param {string} [params.type] - Inner payload type (text, im_safe, need_help, etc.)
+ * @param {object} [params.payloadExtra] - Additional inner payload fields
+ * @param {boolean} [params.compress] - Deflate the inner payload
+ * @param {boolean|number[]} [params.pad] - Pad the envelope payload to size buckets
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock and randomness (defaults to Date.now() / nacl.randomBytes)
+ * @returns {{session: object, message: object}}
+ */
+export function encryptRatchetMessage({ session, content, senderSignPK, senderSignSK, senderBoxPK, senderBoxSK, recipientBoxPK, ts, ttlMs, type, payloadExtra, compress, pad }, nacl, naclUtil, ctx) {
+  const timestamp = ts ?? ctxNow(ctx);
+  const state = session
+    ? cloneSession(session)
+    : initiateRatchetSession({ myBoxSK: senderBoxSK, peerBoxPK: recipientBoxPK, ts: timestamp }, nacl, naclUtil, ctx);
+
+  if (state.peerBoxPK !== naclUtil.encodeBase64(recipientBoxPK)) {
+    throw createError(ErrorCode.SENDER_KEY_MISMATCH, "Session belongs to another contact");
+  }
+  if (state.sendChainKey === null) {
+    throw createError(ErrorCode.RATCHET_SESSION_MISSING, "Session not established");
+  }
+
+  const payload = validatePayload({
+    v: 1,
+    ts: timestamp,
+    type: type || "text",
+    content,
+    ...payloadExtra
+  });
+  const payloadBytes = encodePayloadBytes(payload, { compress }, naclUtil);
+
+  const step = kdfChain(naclUtil.decodeBase64(state.sendChainKey), nacl);
+  const nonce = ctxRandomBytes(nacl.secretbox.nonceLength, nacl, ctx);
+  const ciphertext = nacl.secretbox(payloadBytes, nonce, step.messageKey);
+
+  const ratchet = {
+    dh: state.dhSelfPK,
+    pn: state.pn,
+    n: state.ns,
+    nonce: naclUtil.encodeBase64(nonce),
+    ciphertext: naclUtil.encodeBase64(ciphertext)
+  };
+  if (state.initDh) {
+    ratchet.init = true;
+  }
+
+  state.sendChainKey = naclUtil.encodeBase64(step.chainKey);
+  state.ns++;
+  state.updatedAt = timestamp;
+
+  // The envelope (encryptMessage) signs the header and ratchet ciphertext
+  const message = encryptMessage({
+    content: "",
+    type: RATCHET_TYPE,
+    payloadExtra: { ratchet },
+    senderSignPK,
+    senderSignSK,
+    senderBoxPK,
+    senderBoxSK,
+    recipientBoxPK,
+    ts: timestamp,
+    ttlMs,
+    pad
+  }, nacl, naclUtil, ctx);
+
+  return { session: state, message };
+}
+
+/**
+ * Decrypt a ratchet message after the envelope was opened by decryptMessage
+ *
+ * Session selection for init headers:
+ * - No session, or the peer restarted (new init key): start a responder session
+ * - Both sides initiated concurrently: the init from the lower box key wins;
+ *   the other side's init messages are still readable but do not replace it
+ *
+ * @param {object} params
+ * @param {object|null} params.session - Stored session for the sender, null if none
+ * @param {object} params.decrypted - decryptMessage result with type "ratchet"
+ * @param {Uint8Array} params.recipientBoxPK - Own X25519 public key
+ * @param {Uint8Array} params.recipientBoxSK - Own X25519 secret key
+ * @param {object} [params.options] - Decoding options (maxDecompressedBytes)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock and randomness (defaults to Date.now() / nacl.randomBytes)
+ * @returns {{session: object, result: object}} - Session to save and a decryptMessage-shaped result
+ */
+export function decryptRatchetMessage({ session, decrypted, recipientBoxPK, recipientBoxSK, options = {} }, nacl, naclUtil, ctx) {
+  const ratchet = decrypted?.payload?.ratchet;
+  if (decrypted?.type !== RATCHET_TYPE || !ratchet || typeof ratchet.dh !== "string" ||
+      !Number.isSafeInteger(ratchet.n) || !Number.isSafeInteger(ratchet.pn) || ratchet.n < 0 || ratchet.pn < 0) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "Invalid ratchet message");
+  }
+
+  const now = ctxNow(ctx);
+  const peerBoxPKB64 = naclUtil.encodeBase64(decrypted.senderBoxPK);
+  if (session && session.peerBoxPK !== peerBoxPKB64) {
+    throw createError(ErrorCode.SENDER_KEY_MISMATCH, "Session belongs to another contact");
+  }
+
+  let current = session;
+  const isNewInit = ratchet.init && (!session || (
+    ratchet.dh !== session.remoteInitDh &&
+    ratchet.dh !== session.dhRemote &&
+    !session.skipped[`${ratchet.dh}:${ratchet.n}`]
+  ));
+  if (isNewInit) {
+    const responder = respondRatchetSession({
+      myBoxPK: recipientBoxPK,
+      myBoxSK: recipientBoxSK,
+      peerBoxPK: decrypted.senderBoxPK,
+      initDh: ratchet.dh,
+      ts: now
+    }, nacl, naclUtil);
+
+    // Concurrent initiation: keep ours if our box key sorts first. The
+    // losing init stays readable (from scratch) but never replaces ours.
+    const keepOurs = session && (
+      session.ignoredInitDh === ratchet.dh ||
+      (session.initDh && naclUtil.encodeBase64(recipientBoxPK) < peerBoxPKB64)
+    );
+    if (keepOurs) {
+      const { plaintext } = ratchetOpen(responder, ratchet, now, nacl, naclUtil, ctx);
+      return {
+        session: { ...session, ignoredInitDh: ratchet.dh },
+        result: buildRatchetResult(decrypted, plaintext, options, naclUtil)
+      };
+    }
+    current = responder;
+  }
+
+  if (!current) {
+    throw createError(ErrorCode.RATCHET_SESSION_MISSING);
+  }
+
+  const { state, plaintext } = ratchetOpen(current, ratchet, now, nacl, naclUtil, ctx);
+  return { session: state, result: buildRatchetResult(decrypted, plaintext, options, naclUtil) };
+}
+
+/**
+ * decryptMessage-shaped result with the inner payload
+ */
+function buildRatchetResult(decrypted, plaintext, options, naclUtil) {
+  const decoded = decodePayloadBytes(plaintext, options, naclUtil);
+  const payload = validatePayload(decoded.payload);
+  return {
+    ...decrypted,
+    content: payload.content ?? decoded.text,
+    type: payload.type,
+    payload,
+    ratchet: true
+  };
+}
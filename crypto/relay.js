@@ -0,0 +1,455 @@
+/**
+ * Lifeline Mesh - Store-and-Forward Relay ("mule")
+ *
+ * Nodes carry other people's encrypted messages (dmesh-msg) toward their
+ * recipients and hand them on when they meet another peer:
+ * - verifyRelayMessage checks a foreign message without decrypting it
+ *   (format, expiry, msgId and the sender's signature)
+ * - planRelayAdmission applies storage quotas and per-sender limits,
+ *   evicting from the senders carrying the most messages to make room
+ * - selectRelayBatch picks what to hand to a peer, most urgent first
+ * - Routing policies (epidemic, spray-and-wait, urgency-first) decide what
+ *   each encountered peer gets and how many copies go with it
+ *
+ * Relay entries use the same shape as the relay store in store.js
+ * ({msgId, senderFp, exp, size, receivedAt, message, copies, urgency}, base64 ids).
+ *
+ * Tagged messages (recipientTag instead of recipientBoxPK) are carried the
+ * same way; a peer is recognised as their recipient through the tags it
+ * presents (RelayPeer.tags, see recipientTagsFor in core.js).
+ *
+ * Routing state travels in per-hop metadata next to the signed envelope
+ * (message.hop = {copies, urgency}). Any relay can change it, so it only
+ * steers how widely a message spreads; quotas still bound every sender.
+ *
+ * Dependencies: TweetNaCl, TweetNaCl-util
+ */
+
+import {
+  MAX_SKEW_MS,
+  SEEN_RETENTION_MS,
+  DEFAULT_TTL_MS,
+  RECIPIENT_TAG_BYTES,
+  messageIdFromCiphertext,
+  fingerprintFromSignPK,
+  buildSignBytes,
+  buildTaggedSignBytes,
+  ctxNow
+} from "./core.js";
+import { ErrorCode, createError } from "./errors.js";
+import { URGENCY_LEVELS } from "./payload.js";
+
+/** @typedef {import("./core.js").Context} Context */
+
+/**
+ * @typedef {object} RelayEntry
+ * @property {string} msgId - Message ID (base64)
+ * @property {string} senderFp - Sender fingerprint (base64)
+ * @property {number} exp - When the relay drops the message (Unix milliseconds)
+ * @property {number} size - Serialized message size (bytes)
+ * @property {number} [receivedAt] - When this relay took the message on (Unix milliseconds)
+ * @property {object} [message] - The dmesh-msg object (without hop metadata)
+ * @property {number} [copies] - Copies this relay may still hand out (spray-and-wait)
+ * @property {string} [urgency] - Sender's urgency hint (URGENCY_LEVELS)
+ */
+
+/**
+ * @typedef {object} RelayPeer
+ * @property {string} [boxPK] - Peer's box public key (base64), if known; its own messages are delivered
+ * @property {Set<string>} [tags] - Peer's recipient tags (base64, see recipientTagsFor); its tagged messages are delivered
+ * @property {Set<string>} [has] - msgIds the peer already has
+ */
+
+/**
+ * @typedef {object} RoutingDecision
+ * @property {RelayEntry} entry - Message to hand over
+ * @property {number} copies - Copies handed to the peer (its hop.copies)
+ * @property {number} keep - Copies we keep (0: stop carrying it)
+ */
+
+/**
+ * @typedef {object} RoutingPolicy
+ * @property {string} name - A ROUTING_POLICY value
+ * @property {function(RelayEntry[], RelayPeer, Context=): RoutingDecision[]} select - What to hand to a peer
+ */
+
+/**
+ * @typedef {object} RelayLimits
+ * @property {number} [maxBytes] - Total bytes carried (defaults to RELAY_MAX_BYTES)
+ * @property {number} [maxMessages] - Total messages carried (defaults to RELAY_MAX_MESSAGES)
+ * @property {number} [maxPerSender] - Messages carried per sender (defaults to RELAY_MAX_PER_SENDER)
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const RELAY_KINDS = ["dmesh-msg"];
+export const RELAY_MAX_BYTES = 5 * 1024 * 1024; // 5 MB
+export const RELAY_MAX_MESSAGES = 500;
+export const RELAY_MAX_PER_SENDER = 20;
+
+// exp is not signed, so relays cap it; past the seen retention a delivered
+// message could no longer be deduplicated and would circulate again
+export const RELAY_MAX_TTL_MS = SEEN_RETENTION_MS;
+
+// Routing policies (selected with the routingPolicy setting in store.js)
+export const ROUTING_POLICY = {
+  EPIDEMIC: "epidemic", // Every peer gets every message
+  SPRAY_AND_WAIT: "spray-and-wait", // Binary spray of a copy budget, then direct delivery only
+  URGENCY_FIRST: "urgency-first" // Most urgent messages first, limited per encounter
+};
+export const DEFAULT_ROUTING_POLICY = ROUTING_POLICY.EPIDEMIC;
+export const RELAY_DEFAULT_COPIES = 8; // Spray-and-wait copy budget for messages without hop metadata
+export const RELAY_MAX_COPIES = 64;
+export const URGENCY_FIRST_MAX_MESSAGES = 16; // Per encounter
+
+// Why a message was not taken on
+export const RELAY_REJECT = {
+  SEEN: "seen", // Carried (or delivered) before
+  DUPLICATE: "duplicate", // Already in the relay store
+  TOO_LARGE: "too_large", // Larger than the whole quota
+  SENDER_QUOTA: "sender_quota", // Sender already has maxPerSender messages
+  QUOTA: "quota" // Store full, and no sender carries more messages than this one's
+};
+
+// ============================================================================
+// Verification
+// ============================================================================
+
+/**
+ * Verify a foreign message before carrying it
+ *
+ * Anyone can check a dmesh-msg signature (all signed fields are public), so
+ * relays reject forged and corrupted messages and attribute each message to
+ * its real sender for the per-sender limit.
+ *
+ * @param {object} message - dmesh-msg object (not addressed to us)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {RelayEntry} - Entry for the relay store (exp capped to RELAY_MAX_TTL_MS)
+ */
+export function verifyRelayMessage(message, nacl, naclUtil, ctx) {
+  if (!message || message.v !== 1 || !RELAY_KINDS.includes(message.kind)) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "not a relayable message");
+  }
+
+  const tagged = message.recipientTag !== undefined;
+  if (tagged && message.recipientBoxPK !== undefined) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "both recipientBoxPK and recipientTag");
+  }
+
+  let senderSignPK, senderBoxPK, recipient, ephPK, nonce, ciphertext, signature;
+  try {
+    senderSignPK = naclUtil.decodeBase64(message.senderSignPK);
+    senderBoxPK = naclUtil.decodeBase64(message.senderBoxPK);
+    recipient = naclUtil.decodeBase64(tagged ? message.recipientTag : message.recipientBoxPK);
+    ephPK = naclUtil.decodeBase64(message.ephPK);
+    nonce = naclUtil.decodeBase64(message.nonce);
+    ciphertext = naclUtil.decodeBase64(message.ciphertext);
+    signature = naclUtil.decodeBase64(message.signature);
+  } catch {
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
+  }
+  if (senderSignPK.length !== nacl.sign.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "senderSignPK length invalid");
+  if (senderBoxPK.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "senderBoxPK length invalid");
+  if (tagged && recipient.length !== RECIPIENT_TAG_BYTES) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "recipientTag length invalid");
+  if (!tagged && recipient.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "recipientBoxPK length invalid");
+  if (ephPK.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "ephPK length invalid");
+  if (nonce.length !== nacl.box.nonceLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "nonce length invalid");
+  if (signature.length !== nacl.sign.signatureLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "signature length invalid");
+
+  const now = ctxNow(ctx);
+  const ts = Number(message.ts);
+  if (!Number.isSafeInteger(ts)) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "ts invalid");
+  if (ts > now + MAX_SKEW_MS) throw createError(ErrorCode.TIMESTAMP_SKEW, "ts in the future");
+  const claimedExp = message.exp !== undefined ? Number(message.exp) : ts + DEFAULT_TTL_MS;
+  if (!Number.isFinite(claimedExp)) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "exp invalid");
+  const exp = Math.min(claimedExp, ts + RELAY_MAX_TTL_MS);
+  if (now > exp) throw createError(ErrorCode.MESSAGE_EXPIRED);
+
+  const msgId = naclUtil.encodeBase64(messageIdFromCiphertext(ciphertext, nacl));
+  if (message.msgId !== msgId) throw createError(ErrorCode.MSGID_MISMATCH);
+
+  const signBytes = tagged
+    ? buildTaggedSignBytes({ senderSignPK, senderBoxPK, recipientTag: recipient, ephPK, nonce, ts, ciphertext }, naclUtil)
+    : buildSignBytes({ senderSignPK, senderBoxPK, recipientBoxPK: recipient, ephPK, nonce, ts, ciphertext }, naclUtil);
+  if (!nacl.sign.detached.verify(signBytes, signature, senderSignPK)) {
+    throw createError(ErrorCode.SIGNATURE_INVALID);
+  }
+
+  const { hop: _hop, ...envelope } = message;
+  return {
+    msgId,
+    senderFp: naclUtil.encodeBase64(fingerprintFromSignPK(senderSignPK, nacl)),
+    exp,
+    size: JSON.stringify(envelope).length,
+    message: envelope,
+    ...readHopMetadata(message)
+  };
+}
+
+// ============================================================================
+// Per-Hop Metadata
+// ============================================================================
+
+/**
+ * Read routing metadata from a received message
+ *
+ * Missing or invalid values fall back to RELAY_DEFAULT_COPIES and no urgency
+ * hint; copies are capped to RELAY_MAX_COPIES.
+ *
+ * @param {object} message - dmesh-msg object, possibly with hop
+ * @returns {{copies: number, urgency?: string}}
+ */
+export function readHopMetadata(message) {
+  const hop = message.hop && typeof message.hop === "object" ? message.hop : {};
+  const copies = Number.isSafeInteger(hop.copies) && hop.copies >= 1
+    ? Math.min(hop.copies, RELAY_MAX_COPIES)
+    : RELAY_DEFAULT_COPIES;
+  return URGENCY_LEVELS.includes(hop.urgency) ? { copies, urgency: hop.urgency } : { copies };
+}
+
+/**
+ * Attach routing metadata to a message for the next hop
+ *
+ * The signed envelope is unchanged; hop is ignored by decryptMessage and not
+ * part of the binary wire format.
+ *
+ * @param {object} message - dmesh-msg object
+ * @param {object} hop
+ * @param {number} hop.copies - Copies the next hop may hand out
+ * @param {string} [hop.urgency] - Urgency hint (URGENCY_LEVELS), e.g. from a need_help payload
+ * @returns {object} - Copy of the message with hop set
+ */
+export function withHopMetadata(message, { copies, urgency }) {
+  if (!Number.isSafeInteger(copies) || copies < 1 || copies > RELAY_MAX_COPIES) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "hop copies");
+  }
+  if (urgency !== undefined && !URGENCY_LEVELS.includes(urgency)) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "hop urgency");
+  }
+  return { ...message, hop: urgency ? { copies, urgency } : { copies } };
+}
+
+// ============================================================================
+// Quotas
+// ============================================================================
+
+/**
+ * Decide whether to carry a message and what to evict for it
+ *
+ * Expired entries are always evicted. When the store is full, room is made
+ * by evicting the oldest-received entry of the sender carrying the most
+ * messages (ties: the sender whose oldest entry arrived first), repeatedly.
+ * Only senders carrying at least as many messages as the candidate's sender
+ * would are evicted from; if that is not enough the candidate is rejected
+ * and nothing else is evicted. exp is set by the sender (and capped by
+ * verifyRelayMessage), so it does not rank anything: a long exp only keeps
+ * a message until it is evicted. A sender at its limit cannot push out its
+ * own or anyone else's messages.
+ *
+ * @param {RelayEntry[]} entries - Messages currently carried
+ * @param {RelayEntry} candidate - Verified incoming message
+ * @param {RelayLimits} [limits]
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {{admit: boolean, reason?: string, evict: string[]}} - reason: a RELAY_REJECT value;
+ *   evict: msgIds to delete (also when not admitted)
+ */
+export function planRelayAdmission(entries, candidate, limits = {}, ctx) {
+  const maxBytes = limits.maxBytes ?? RELAY_MAX_BYTES;
+  const maxMessages = limits.maxMessages ?? RELAY_MAX_MESSAGES;
+  const maxPerSender = limits.maxPerSender ?? RELAY_MAX_PER_SENDER;
+  const now = ctxNow(ctx);
+
+  const expired = entries.filter(e => now > e.exp).map(e => e.msgId);
+  const live = entries.filter(e => now <= e.exp);
+  const reject = (reason) => ({ admit: false, reason, evict: expired });
+
+  if (live.some(e => e.msgId === candidate.msgId)) return reject(RELAY_REJECT.DUPLICATE);
+  if (candidate.size > maxBytes) return reject(RELAY_REJECT.TOO_LARGE);
+
+  /** @type {Map<string, RelayEntry[]>} */
+  const bySender = new Map();
+  for (const entry of [...live].sort((a, b) => (a.receivedAt ?? 0) - (b.receivedAt ?? 0))) {
+    if (!bySender.has(entry.senderFp)) bySender.set(entry.senderFp, []);
+    bySender.get(entry.senderFp).push(entry);
+  }
+  const own = (bySender.get(candidate.senderFp)?.length ?? 0) + 1;
+  if (own > maxPerSender) return reject(RELAY_REJECT.SENDER_QUOTA);
+  bySender.delete(candidate.senderFp);
+
+  let count = live.length + 1;
+  let bytes = live.reduce((sum, e) => sum + e.size, 0) + candidate.size;
+  const evict = [...expired];
+  while (count > maxMessages || bytes > maxBytes) {
+    let heaviest = null;
+    for (const carried of bySender.values()) {
+      if (carried.length < own) continue;
+      if (!heaviest || carried.length > heaviest.length ||
+          (carried.length === heaviest.length && (carried[0].receivedAt ?? 0) < (heaviest[0].receivedAt ?? 0))) {
+        heaviest = carried;
+      }
+    }
+    if (!heaviest) return reject(RELAY_REJECT.QUOTA);
+    const entry = heaviest.shift();
+    evict.push(entry.msgId);
+    count--;
+    bytes -= entry.size;
+  }
+  return { admit: true, evict };
+}
+
+// ============================================================================
+// Forwarding
+// ============================================================================
+
+/**
+ * Pick carried messages to hand to a peer, soonest expiry first
+ * @param {RelayEntry[]} entries - Messages currently carried
+ * @param {object} [options]
+ * @param {Set<string>} [options.exclude] - msgIds the peer already has
+ * @param {number} [options.maxMessages] - Batch size limit
+ * @param {number} [options.maxBytes] - Batch byte limit (skips messages that do not fit)
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {RelayEntry[]}
+ */
+export function selectRelayBatch(entries, options = {}, ctx) {
+  const { exclude, maxMessages = Infinity, maxBytes = Infinity } = options;
+  const now = ctxNow(ctx);
+  const batch = [];
+  let bytes = 0;
+
+  const live = entries
+    .filter(e => now <= e.exp && !(exclude && exclude.has(e.msgId)))
+    .sort((a, b) => a.exp - b.exp);
+  for (const entry of live) {
+    if (batch.length >= maxMessages) break;
+    if (bytes + entry.size > maxBytes) continue;
+    batch.push(entry);
+    bytes += entry.size;
+  }
+  return batch;
+}
+
+// ============================================================================
+// Routing Policies
+// ============================================================================
+
+/**
+ * Check whether a carried message is addressed to a peer
+ *
+ * Matches recipientBoxPK against peer.boxPK and recipientTag against
+ * peer.tags; a tagged message is never matched by the box key alone.
+ *
+ * @param {RelayEntry} entry
+ * @param {RelayPeer} peer
+ * @returns {boolean}
+ */
+export function isRelayEntryFor(entry, peer) {
+  const message = entry.message;
+  if (!message) return false;
+  if (message.recipientTag !== undefined) {
+    return Boolean(peer.tags?.has(message.recipientTag));
+  }
+  return Boolean(peer.boxPK) && message.recipientBoxPK === peer.boxPK;
+}
+
+/**
+ * Live entries a peer does not have yet, soonest expiry first
+ * @param {RelayEntry[]} entries
+ * @param {RelayPeer} peer
+ * @param {Context} [ctx]
+ * @returns {{direct: RelayEntry[], others: RelayEntry[]}} - direct: addressed to the peer
+ */
+function routableEntries(entries, peer, ctx) {
+  const live = selectRelayBatch(entries, { exclude: peer.has }, ctx);
+  const isForPeer = (entry) => isRelayEntryFor(entry, peer);
+  return { direct: live.filter(isForPeer), others: live.filter(e => !isForPeer(e)) };
+}
+
+/**
+ * Hand a message to its recipient: one copy, and we stop carrying it
+ * @param {RelayEntry} entry
+ * @returns {RoutingDecision}
+ */
+function deliver(entry) {
+  return { entry, copies: 1, keep: 0 };
+}
+
+/**
+ * Urgency rank of an entry (higher first); no hint ranks as "medium"
+ * @param {RelayEntry} entry
+ * @returns {number}
+ */
+function urgencyRank(entry) {
+  return URGENCY_LEVELS.indexOf(entry.urgency ?? "medium");
+}
+
+/**
+ * Create a routing policy
+ *
+ * Every policy delivers messages addressed to the peer itself first (when
+ * peer.boxPK or peer.tags are known) and skips msgIds in peer.has.
+ * - epidemic: hands over everything; copy counts pass through unchanged
+ * - spray-and-wait: binary spray; a relay with c > 1 copies gives floor(c/2)
+ *   to the peer and keeps the rest, with 1 copy it waits for the recipient
+ * - urgency-first: hands over the most urgent messages (hop urgency, then
+ *   soonest expiry), at most options.maxMessages per encounter
+ *
+ * @param {string} [name] - A ROUTING_POLICY value (defaults to DEFAULT_ROUTING_POLICY)
+ * @param {object} [options]
+ * @param {number} [options.maxMessages] - Messages per encounter besides direct deliveries
+ *   (urgency-first defaults to URGENCY_FIRST_MAX_MESSAGES, others to no limit)
+ * @returns {RoutingPolicy}
+ */
+export function createRoutingPolicy(name = DEFAULT_ROUTING_POLICY, options = {}) {
+  const defaultMax = name === ROUTING_POLICY.URGENCY_FIRST ? URGENCY_FIRST_MAX_MESSAGES : Infinity;
+  const maxMessages = options.maxMessages ?? defaultMax;
+  const pass = (entry) => {
+    const copies = entry.copies ?? RELAY_DEFAULT_COPIES;
+    return { entry, copies, keep: copies };
+  };
+
+  switch (name) {
+    case ROUTING_POLICY.EPIDEMIC:
+      return {
+        name,
+        select(entries, peer = {}, ctx) {
+          const { direct, others } = routableEntries(entries, peer, ctx);
+          return [...direct.map(deliver), ...others.slice(0, maxMessages).map(pass)];
+        }
+      };
+
+    case ROUTING_POLICY.SPRAY_AND_WAIT:
+      return {
+        name,
+        select(entries, peer = {}, ctx) {
+          const { direct, others } = routableEntries(entries, peer, ctx);
+          const spray = others
+            .filter(entry => (entry.copies ?? RELAY_DEFAULT_COPIES) > 1)
+            .slice(0, maxMessages)
+            .map((entry) => {
+              const copies = entry.copies ?? RELAY_DEFAULT_COPIES;
+              const given = Math.floor(copies / 2);
+              return { entry, copies: given, keep: copies - given };
+            });
+          return [...direct.map(deliver), ...spray];
+        }
+      };
+
+    case ROUTING_POLICY.URGENCY_FIRST:
+      return {
+        name,
+        select(entries, peer = {}, ctx) {
+          const { direct, others } = routableEntries(entries, peer, ctx);
+          const ranked = [...others].sort((a, b) => urgencyRank(b) - urgencyRank(a) || a.exp - b.exp);
+          return [...direct.map(deliver), ...ranked.slice(0, maxMessages).map(pass)];
+        }
+      };
+
+    default:
+      throw createError(ErrorCode.INVALID_PARAMETER, `unknown routing policy: ${name}`);
+  }
+}
@@ -3,19 +3,63 @@
  *
  * IndexedDB-based storage for delay-tolerant networking:
  * - outbox: Messages pending delivery
- * - inbox: Received messages
+ * - inbox: Received messages (with retractions / corrections applied)
  * - seen: Deduplication cache (msgId + senderFp)
+ * - relay: Other people's messages carried toward their recipients ("mule")
  * - contacts: Extended with verification status
+ * - groups / senderKeys: Group membership and per-epoch sender keys
+ * - sessions: Double-ratchet session state per contact
+ * - introductions: Signed introductions vouching for contacts
+ * - settings: User preferences
+ * - revocations: Revocation certificates (also for keys not yet in contacts)
  *
  * Can be used in both browser and Node.js environments (with IndexedDB polyfill).
  */
 
+import {
+  verifyKeyRotation,
+  verifyDeliveryAck,
+  checkVerificationCode,
+  verifyPublicIdentity,
+  verifyRevocationCertificate,
+  verifyRevision,
+  chunksNeeded,
+  verifyChunkManifest,
+  isChunkAuthentic,
+  chunkHash,
+  reassembleChunks,
+  CHUNK_KIND,
+  FEC_CHUNK_KIND,
+  CHUNK_MANIFEST_KIND,
+  isMessageValid,
+  calculateExpiration,
+  ctxNow
+} from "./core.js";
+import { ErrorCode, createError } from "./errors.js";
+import { REVISION_TYPES } from "./payload.js";
+import { verifyIntroduction, computeTrust, DEFAULT_TRUST_HOPS } from "./trust.js";
+import { withEpochMembers } from "./group.js";
+import {
+  verifyRelayMessage,
+  planRelayAdmission,
+  selectRelayBatch,
+  isRelayEntryFor,
+  createRoutingPolicy,
+  withHopMetadata,
+  RELAY_REJECT,
+  RELAY_DEFAULT_COPIES,
+  RELAY_MAX_TTL_MS,
+  DEFAULT_ROUTING_POLICY
+} from "./relay.js";
+
+/** @typedef {import("./core.js").Context} Context */
+
 // ============================================================================
 // Constants
 // ============================================================================
 
 export const DB_NAME = "lifelineMeshV2";
-export const DB_VERSION = 2;
+export const DB_VERSION = 8;
 
 // Store names
 export const STORE_KEYS = "keys";
@@ -24,10 +68,22 @@ export const STORE_OUTBOX = "outbox";
 export const STORE_INBOX = "inbox";
 export const STORE_SEEN = "seen";
 export const STORE_CHUNKS = "chunks"; // Partial chunk reassembly
+export const STORE_GROUPS = "groups";
+export const STORE_SENDER_KEYS = "senderKeys"; // Group sender keys per epoch
+export const STORE_SESSIONS = "sessions"; // Double-ratchet sessions per contact
+export const STORE_INTRODUCTIONS = "introductions"; // Web-of-trust introductions
+export const STORE_SETTINGS = "settings"; // User preferences (key/value)
+export const STORE_REVOCATIONS = "revocations"; // Verified revocation certificates
+export const STORE_RELAY = "relay"; // Foreign messages carried for other recipients
+
+// Setting keys
+export const SETTING_TRUST_HOPS = "trustHops"; // Introduction hops to trust
+export const SETTING_ROUTING_POLICY = "routingPolicy"; // Relay routing policy (ROUTING_POLICY in relay.js)
 
 // Cleanup intervals
 export const SEEN_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
 export const OUTBOX_RETRY_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+export const REVOCATION_GRACE_MS = RELAY_MAX_TTL_MS; // Revoked keys: window for messages signed before the revocation
 
 // Contact verification states
 export const VERIFICATION_STATUS = {
@@ -70,7 +126,8 @@ export function openDB() {
     };
 
     request.onupgradeneeded = (event) => {
-      const db = /** @type {IDBOpenDBRequest} */ (event.target).result;
+      const upgrade = /** @type {IDBOpenDBRequest} */ (event.target);
+      const db = upgrade.result;
       const oldVersion = event.oldVersion;
 
       // Keys store (user's own keys)
@@ -100,6 +157,10 @@ export function openDB() {
         inboxStore.createIndex("receivedAt", "receivedAt", { unique: false });
         inboxStore.createIndex("type", "type", { unique: false });
         inboxStore.createIndex("read", "read", { unique: false });
+        inboxStore.createIndex("refMsgId", "refMsgId", { unique: false });
+      } else if (oldVersion < 7) {
+        // v7: revisions (retract / correct) are looked up by the msgId they revise
+        upgrade.transaction.objectStore(STORE_INBOX).createIndex("refMsgId", "refMsgId", { unique: false });
       }
 
       // Seen store (deduplication)
@@ -115,6 +176,45 @@ export function openDB() {
         chunksStore.createIndex("receivedAt", "receivedAt", { unique: false });
       }
 
+      // Groups store (membership state)
+      if (!db.objectStoreNames.contains(STORE_GROUPS)) {
+        db.createObjectStore(STORE_GROUPS, { keyPath: "groupId" });
+      }
+
+      // Sender keys store (groupId + epoch + senderFp)
+      if (!db.objectStoreNames.contains(STORE_SENDER_KEYS)) {
+        const senderKeyStore = db.createObjectStore(STORE_SENDER_KEYS, { keyPath: "senderKeyId" });
+        senderKeyStore.createIndex("groupId", "groupId", { unique: false });
+      }
+
+      // Ratchet sessions store (one per contact fingerprint)
+      if (!db.objectStoreNames.contains(STORE_SESSIONS)) {
+        db.createObjectStore(STORE_SESSIONS, { keyPath: "peerFp" });
+      }
+
+      // Introductions store (introducerFp + subjectFp)
+      if (!db.objectStoreNames.contains(STORE_INTRODUCTIONS)) {
+        const introStore = db.createObjectStore(STORE_INTRODUCTIONS, { keyPath: "introId" });
+        introStore.createIndex("subjectFp", "subjectFp", { unique: false });
+      }
+
+      // Settings store
+      if (!db.objectStoreNames.contains(STORE_SETTINGS)) {
+        db.createObjectStore(STORE_SETTINGS, { keyPath: "key" });
+      }
+
+      // Revocations store (one per revoked fingerprint)
+      if (!db.objectStoreNames.contains(STORE_REVOCATIONS)) {
+        db.createObjectStore(STORE_REVOCATIONS, { keyPath: "fp" });
+      }
+
+      // Relay store (foreign messages, v8)
+      if (!db.objectStoreNames.contains(STORE_RELAY)) {
+        const relayStore = db.createObjectStore(STORE_RELAY, { keyPath: "msgId" });
+        relayStore.createIndex("senderFp", "senderFp", { unique: false });
+        relayStore.createIndex("exp", "exp", { unique: false });
+      }
+
       // Migration from v1 database if needed
       if (oldVersion < 2) {
         console.log("Migrating database from v1 to v2");
@@ -220,17 +320,26 @@ export async function idbCount(storeName) {
 
 /**
  * Add message to outbox for pending delivery
+ *
+ * Tagged messages do not carry recipientBoxPK; the recipient contact's box
+ * key is recorded on the entry instead so applyDeliveryAck can check acks.
+ *
  * @param {object} message - Encrypted message object (dmesh-msg)
  * @param {string} recipientFp - Recipient's fingerprint (base64)
- * @param {object} [options] - Additional options
+ * @param {object} [options] - Additional fields (e.g. recipientFps for dmesh-msg-multi, recipientBoxPK)
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
  * @returns {Promise<void>}
  */
-export async function addToOutbox(message, recipientFp, options = {}) {
+export async function addToOutbox(message, recipientFp, options = {}, ctx) {
+  const recipientBoxPK = message.kind === "dmesh-msg" && message.recipientTag !== undefined
+    ? (await idbGet(STORE_CONTACTS, recipientFp))?.boxPK
+    : undefined;
   const outboxEntry = {
     msgId: message.msgId,
     recipientFp,
+    ...(recipientBoxPK && { recipientBoxPK }),
     message,
-    createdAt: Date.now(),
+    createdAt: ctxNow(ctx),
     status: DELIVERY_STATUS.PENDING,
     attempts: 0,
     lastAttempt: null,
@@ -261,18 +370,59 @@ export function getOutboxForRecipient(recipientFp) {
  * @param {string} msgId - Message ID
  * @param {string} status - New status
  * @param {object} [extra] - Additional fields to update
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
  */
-export async function updateOutboxStatus(msgId, status, extra = {}) {
+export async function updateOutboxStatus(msgId, status, extra = {}, ctx) {
   const entry = await idbGet(STORE_OUTBOX, msgId);
   if (entry) {
     entry.status = status;
-    entry.lastAttempt = Date.now();
+    entry.lastAttempt = ctxNow(ctx);
     entry.attempts = (entry.attempts || 0) + 1;
     Object.assign(entry, extra);
     await idbPut(STORE_OUTBOX, entry);
   }
 }
 
+/**
+ * Apply a received delivery ack to the outbox
+ *
+ * The ack must come from the entry's recipient (recipientFp, or every fp in
+ * recipientFps for multi-recipient messages). The entry moves to DELIVERED
+ * with deliveredAt once all recipients have acknowledged; per-recipient ack
+ * times are kept in deliveredTo. Duplicate acks are no-ops.
+ *
+ * @param {object} ack - Result of decryptMessage for an "ack" payload
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Promise<object|null>} - Updated outbox entry, null if the message is not in the outbox
+ */
+export async function applyDeliveryAck(ack, naclUtil, ctx) {
+  const entry = await idbGet(STORE_OUTBOX, ack?.payload?.refMsgId);
+  if (!entry) {
+    return null;
+  }
+
+  verifyDeliveryAck({ ack, originalMessage: entry.message, recipientBoxPK: entry.recipientBoxPK }, naclUtil);
+
+  const ackFp = naclUtil.encodeBase64(ack.senderFp);
+  const expectedFps = entry.recipientFps || [entry.recipientFp];
+  if (!expectedFps.includes(ackFp)) {
+    throw createError(ErrorCode.ACK_MISMATCH, "Ack not from original recipient");
+  }
+  if (entry.deliveredTo?.[ackFp]) {
+    return entry;
+  }
+
+  const now = ctxNow(ctx);
+  entry.deliveredTo = { ...entry.deliveredTo, [ackFp]: now };
+  if (expectedFps.every(fp => entry.deliveredTo[fp])) {
+    entry.status = DELIVERY_STATUS.DELIVERED;
+    entry.deliveredAt = now;
+  }
+  await idbPut(STORE_OUTBOX, entry);
+  return entry;
+}
+
 /**
  * Remove message from outbox
  * @param {string} msgId - Message ID
@@ -287,11 +437,18 @@ export async function removeFromOutbox(msgId) {
 
 /**
  * Add message to inbox
+ *
+ * Retract / correct payloads (REVISION_TYPES) are applied to the message
+ * they reference, whichever of the two arrives first (see applyRevision).
+ * Entries hold the decrypted content, i.e. plaintext at rest until
+ * clearAllData().
+ *
  * @param {object} decryptedResult - Result from decryptMessage
  * @param {object} originalMessage - Original encrypted message
- * @returns {Promise<void>}
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Promise<object>} - Stored inbox entry (revisions: with appliedTo or rejected set once applied)
  */
-export async function addToInbox(decryptedResult, originalMessage) {
+export async function addToInbox(decryptedResult, originalMessage, ctx) {
   const inboxEntry = {
     msgId: decryptedResult.msgId,
     senderFp: decryptedResult.senderFp,
@@ -302,10 +459,13 @@ export async function addToInbox(decryptedResult, originalMessage) {
     type: decryptedResult.type,
     payload: decryptedResult.payload,
     ts: decryptedResult.ts,
-    receivedAt: Date.now(),
+    receivedAt: ctxNow(ctx),
     read: false,
     originalMessage
   };
+  if (REVISION_TYPES.includes(decryptedResult.type)) {
+    inboxEntry.refMsgId = decryptedResult.payload?.refMsgId;
+  }
 
   // Convert senderFp to base64 if it's a Uint8Array
   if (decryptedResult.senderFp instanceof Uint8Array) {
@@ -316,6 +476,58 @@ export async function addToInbox(decryptedResult, originalMessage) {
   }
 
   await idbPut(STORE_INBOX, inboxEntry);
+
+  if (inboxEntry.refMsgId) {
+    const original = await idbGet(STORE_INBOX, inboxEntry.refMsgId);
+    if (original) {
+      await applyRevision(original, inboxEntry);
+    }
+  } else {
+    // Revisions that arrived before this message
+    const revisions = await idbGetByIndex(STORE_INBOX, "refMsgId", inboxEntry.msgId);
+    for (const revision of revisions.sort((a, b) => a.ts - b.ts)) {
+      await applyRevision(inboxEntry, revision);
+    }
+  }
+  return inboxEntry;
+}
+
+/**
+ * Apply a retract / correct inbox entry to the entry it revises
+ *
+ * - retract: the original gets retracted = {msgId, ts, content}
+ * - correct: the original gets correction = {msgId, ts, content, payload}
+ *   (the newest correction wins)
+ * - The revision entry gets appliedTo = original msgId
+ *
+ * A revision that fails verifyRevision (e.g. not from the original sender)
+ * is marked rejected and leaves the original untouched.
+ *
+ * @param {object} original - Inbox entry being revised
+ * @param {object} revision - Inbox entry with a retract / correct payload
+ * @returns {Promise<object|null>} - Updated original, null if the revision was rejected
+ */
+export async function applyRevision(original, revision) {
+  let verified;
+  try {
+    verified = verifyRevision({ revision, original });
+  } catch (e) {
+    revision.rejected = e.message;
+    await idbPut(STORE_INBOX, revision);
+    return null;
+  }
+
+  const { msgId, ts, content, payload } = verified;
+  if (verified.type === "retract") {
+    original.retracted = { msgId, ts, content };
+  } else if (!original.correction || original.correction.ts <= ts) {
+    original.correction = { msgId, ts, content, payload };
+  }
+  await idbPut(STORE_INBOX, original);
+
+  revision.appliedTo = original.msgId;
+  await idbPut(STORE_INBOX, revision);
+  return original;
 }
 
 /**
@@ -327,6 +539,22 @@ export async function getInbox() {
   return messages.sort((a, b) => b.receivedAt - a.receivedAt);
 }
 
+/**
+ * Get inbox messages for display
+ *
+ * Retracted messages and retractions are hidden, as are corrections already
+ * applied to their original (shown through the original's correction) and
+ * rejected revisions. A correction whose original has not arrived is kept.
+ *
+ * @returns {Promise<object[]>}
+ */
+export async function getInboxView() {
+  const messages = await getInbox();
+  return messages.filter(m =>
+    !m.retracted && !m.appliedTo && !m.rejected && m.type !== "retract"
+  );
+}
+
 /**
  * Get unread inbox messages
  * @returns {Promise<object[]>}
@@ -391,9 +619,10 @@ export function makeSeenKey(msgId, senderFp) {
  * Check if message has been seen (for replay detection)
  * @param {string} msgId - Message ID
  * @param {string} senderFp - Sender fingerprint
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
  * @returns {Promise<boolean>} - True if NOT seen (allowed), false if already seen
  */
-export async function checkAndMarkSeen(msgId, senderFp) {
+export async function checkAndMarkSeen(msgId, senderFp, ctx) {
   const seenKey = makeSeenKey(msgId, senderFp);
   const existing = await idbGet(STORE_SEEN, seenKey);
 
@@ -406,7 +635,7 @@ export async function checkAndMarkSeen(msgId, senderFp) {
     seenKey,
     msgId,
     senderFp,
-    seenAt: Date.now()
+    seenAt: ctxNow(ctx)
   });
 
   return true; // Not seen before - allow
@@ -427,9 +656,10 @@ export async function hasSeen(msgId, senderFp) {
 /**
  * Cleanup old seen entries
  * @param {number} [maxAgeMs] - Maximum age in milliseconds
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
  */
-export async function cleanupSeen(maxAgeMs = SEEN_RETENTION_MS) {
-  const cutoff = Date.now() - maxAgeMs;
+export async function cleanupSeen(maxAgeMs = SEEN_RETENTION_MS, ctx) {
+  const cutoff = ctxNow(ctx) - maxAgeMs;
   const all = await idbGetAll(STORE_SEEN);
 
   for (const entry of all) {
@@ -439,20 +669,294 @@ export async function cleanupSeen(maxAgeMs = SEEN_RETENTION_MS) {
   }
 }
 
+// ============================================================================
+// Relay Operations (Carrying Messages for Others)
+// ============================================================================
+
+/**
+ * Take on a foreign message to carry toward its recipient
+ *
+ * The message is verified (see verifyRelayMessage), then deduplicated via the
+ * seen store: a message carried before is not taken on again, even after it
+ * was handed on or evicted. Quotas and per-sender limits follow
+ * planRelayAdmission; expired messages are evicted on the way.
+ *
+ * Only call this for messages not addressed to us; our own go through
+ * decryptMessage and the inbox.
+ *
+ * @param {object} message - dmesh-msg object
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {import("./relay.js").RelayLimits} [limits] - Quotas (defaults: RELAY_MAX_*)
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Promise<{stored: boolean, reason?: string, evicted: string[]}>} - reason: a RELAY_REJECT value
+ */
+export async function addToRelay(message, nacl, naclUtil, limits, ctx) {
+  const candidate = verifyRelayMessage(message, nacl, naclUtil, ctx);
+  if (await hasSeen(candidate.msgId, candidate.senderFp)) {
+    const carried = await idbGet(STORE_RELAY, candidate.msgId);
+    return { stored: false, reason: carried ? RELAY_REJECT.DUPLICATE : RELAY_REJECT.SEEN, evicted: [] };
+  }
+
+  const plan = planRelayAdmission(await idbGetAll(STORE_RELAY), candidate, limits, ctx);
+  for (const msgId of plan.evict) {
+    await idbDel(STORE_RELAY, msgId);
+  }
+  if (!plan.admit) {
+    return { stored: false, reason: plan.reason, evicted: plan.evict };
+  }
+
+  await idbPut(STORE_RELAY, {
+    ...candidate,
+    receivedAt: ctxNow(ctx),
+    forwardCount: 0
+  });
+  await checkAndMarkSeen(candidate.msgId, candidate.senderFp, ctx);
+  return { stored: true, evicted: plan.evict };
+}
+
+/**
+ * Get carried messages to hand to a peer, soonest expiry first
+ * @param {object} [options] - See selectRelayBatch (exclude, maxMessages, maxBytes)
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Promise<object[]>} - dmesh-msg objects
+ */
+export async function getRelayMessages(options, ctx) {
+  const batch = selectRelayBatch(await idbGetAll(STORE_RELAY), options, ctx);
+  return batch.map(entry => entry.message);
+}
+
+/**
+ * Get carried messages for one recipient (e.g. when meeting them directly)
+ * @param {string|import("./relay.js").RelayPeer} recipient - Box public key (base64), or {boxPK, tags} to include tagged messages
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Promise<object[]>} - dmesh-msg objects
+ */
+export async function getRelayMessagesFor(recipient, ctx) {
+  const peer = typeof recipient === "string" ? { boxPK: recipient } : recipient;
+  const entries = (await idbGetAll(STORE_RELAY)).filter(e => isRelayEntryFor(e, peer));
+  return selectRelayBatch(entries, {}, ctx).map(entry => entry.message);
+}
+
+/**
+ * Record that carried messages were handed to a peer
+ *
+ * Messages stay in the store after forwarding so they can also reach other
+ * peers, with the copy count the routing policy kept; they leave on expiry,
+ * eviction, removeFromRelay or a handoff that keeps no copies (delivered to
+ * the recipient).
+ *
+ * @param {{msgId: string, keep?: number}[]} handoffs - Forwarded messages (keep: copies left, see RoutingDecision)
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ */
+export async function markRelayForwarded(handoffs, ctx) {
+  for (const { msgId, keep } of handoffs) {
+    const entry = await idbGet(STORE_RELAY, msgId);
+    if (!entry) continue;
+    if (keep === 0) {
+      await idbDel(STORE_RELAY, msgId);
+      continue;
+    }
+    entry.forwardCount++;
+    entry.lastForwardedAt = ctxNow(ctx);
+    if (keep !== undefined) entry.copies = keep;
+    await idbPut(STORE_RELAY, entry);
+  }
+}
+
+/**
+ * Routing policy selected in the settings (routingPolicy)
+ * @param {object} [options] - See createRoutingPolicy
+ * @returns {Promise<import("./relay.js").RoutingPolicy>}
+ */
+export async function getRoutingPolicy(options) {
+  return createRoutingPolicy(await getSetting(SETTING_ROUTING_POLICY, DEFAULT_ROUTING_POLICY), options);
+}
+
+/**
+ * Hand carried messages to a peer over any transport
+ *
+ * The routing policy decides which messages the peer gets and with how many
+ * copies (sent as hop metadata). Sends one message at a time and stops at
+ * the first failure (the peer is usually gone); messages sent before it are
+ * still recorded as forwarded.
+ *
+ * @param {{send: function(object): Promise<*>}} transport - Any transport (see transport.js) or BLE connection
+ * @param {object} [options]
+ * @param {import("./relay.js").RoutingPolicy} [options.policy] - Defaults to the routingPolicy setting
+ * @param {import("./relay.js").RelayPeer} [options.peer] - Who we are handing to, if known
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Promise<string[]>} - Forwarded message IDs
+ */
+export async function forwardRelayed(transport, options = {}, ctx) {
+  const policy = options.policy ?? await getRoutingPolicy();
+  const decisions = policy.select(await idbGetAll(STORE_RELAY), options.peer, ctx);
+  const sent = [];
+  try {
+    for (const { entry, copies, keep } of decisions) {
+      await transport.send(withHopMetadata(entry.message, { copies, urgency: entry.urgency }));
+      sent.push({ msgId: entry.msgId, keep });
+    }
+  } finally {
+    await markRelayForwarded(sent, ctx);
+  }
+  return sent.map(handoff => handoff.msgId);
+}
+
+/**
+ * Stop carrying a message (e.g. its delivery ack was seen)
+ * @param {string} msgId - Message ID
+ */
+export async function removeFromRelay(msgId) {
+  await idbDel(STORE_RELAY, msgId);
+}
+
+/**
+ * Drop expired relay messages
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ */
+export async function cleanupRelay(ctx) {
+  const now = ctxNow(ctx);
+  const all = await idbGetAll(STORE_RELAY);
+
+  for (const entry of all) {
+    if (now > entry.exp) {
+      await idbDel(STORE_RELAY, entry.msgId);
+    }
+  }
+}
+
+// ============================================================================
+// Sync Inventory (dmesh-sync)
+// ============================================================================
+
+/**
+ * Whether an outbox entry can be handed to a peer for delivery
+ * @param {object} entry - Outbox entry
+ * @param {Context} [ctx]
+ * @returns {boolean}
+ */
+function isOutboxForwardable(entry, ctx) {
+  return (entry.status === DELIVERY_STATUS.PENDING || entry.status === DELIVERY_STATUS.SENT) &&
+    Boolean(entry.message) && entry.copies !== 0 && isMessageValid(entry.message, {}, ctx);
+}
+
+/**
+ * Outbox entry in relay entry shape, so routing policies also cover our own messages
+ * @param {object} entry - Outbox entry
+ * @returns {import("./relay.js").RelayEntry}
+ */
+function outboxRelayEntry(entry) {
+  return {
+    msgId: entry.msgId,
+    senderFp: null,
+    exp: entry.message.exp ?? calculateExpiration(entry.message.ts),
+    size: JSON.stringify(entry.message).length,
+    message: entry.message,
+    copies: entry.copies ?? RELAY_DEFAULT_COPIES,
+    urgency: entry.urgency
+  };
+}
+
+/**
+ * Local inventory for a SyncSession (sync.js)
+ *
+ * Offers what the routing policy would hand to this peer, from carried relay
+ * messages and our own undelivered outbox messages. Everything in the seen,
+ * relay, inbox and outbox stores counts as already had, so peers never send
+ * it again. Messages handed over carry hop metadata and their copy counts are
+ * updated as with forwardRelayed.
+ *
+ * @param {object} [options]
+ * @param {import("./relay.js").RoutingPolicy} [options.policy] - Defaults to the routingPolicy setting
+ * @param {import("./relay.js").RelayPeer} [options.peer] - Who we are syncing with, if known
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {import("./sync.js").SyncInventory}
+ */
+export function createSyncInventory(options = {}, ctx) {
+  const decisions = new Map(); // msgId -> RoutingDecision
+  const own = new Set(); // msgIds from the outbox
+
+  return {
+    async snapshot() {
+      const policy = options.policy ?? await getRoutingPolicy();
+      const outbox = (await idbGetAll(STORE_OUTBOX)).filter(entry => isOutboxForwardable(entry, ctx));
+      for (const entry of outbox) own.add(entry.msgId);
+      const relay = (await idbGetAll(STORE_RELAY)).filter(entry => !own.has(entry.msgId));
+      const entries = [...relay, ...outbox.map(outboxRelayEntry)];
+      for (const decision of policy.select(entries, options.peer, ctx)) {
+        decisions.set(decision.entry.msgId, decision);
+      }
+
+      const have = new Set(entries.map(entry => entry.msgId));
+      for (const entry of await idbGetAll(STORE_SEEN)) have.add(entry.msgId);
+      for (const entry of await idbGetAll(STORE_INBOX)) have.add(entry.msgId);
+      return { offer: [...decisions.keys()], have };
+    },
+
+    get(msgIds) {
+      const messages = msgIds
+        .filter(msgId => decisions.has(msgId))
+        .map((msgId) => {
+          const { entry, copies } = decisions.get(msgId);
+          return withHopMetadata(entry.message, { copies, urgency: entry.urgency });
+        });
+      return Promise.resolve(messages);
+    },
+
+    async markSent(msgIds) {
+      const handoffs = msgIds.map(msgId => ({ msgId, keep: decisions.get(msgId)?.keep }));
+      await markRelayForwarded(handoffs.filter(h => !own.has(h.msgId)), ctx);
+      for (const { msgId, keep } of handoffs.filter(h => own.has(h.msgId))) {
+        const entry = await idbGet(STORE_OUTBOX, msgId);
+        if (entry) {
+          entry.copies = keep;
+          if (keep === 0) entry.status = DELIVERY_STATUS.SENT; // Handed to the recipient
+          await idbPut(STORE_OUTBOX, entry);
+        }
+      }
+    }
+  };
+}
+
 // ============================================================================
 // Contact Operations (Extended with Verification)
 // ============================================================================
 
 /**
  * Add or update a contact
- * @param {object} contact - Contact object
+ *
+ * A public identity (dmesh-id), key rotation announcement (dmesh-keyrotate),
+ * introduction (dmesh-intro) or revocation certificate (dmesh-revoke) can be
+ * passed instead of a contact; it is verified before anything is stored
+ * (nacl and naclUtil are required in that case).
+ *
+ * @param {object} contact - Contact object, public identity or key rotation announcement
  * @param {string} contact.fp - Fingerprint (base64)
  * @param {string} contact.name - Display name
  * @param {string} contact.signPK - Signing public key (base64)
  * @param {string} contact.boxPK - Box public key (base64)
  * @param {string} [contact.verified] - Verification status
+ * @param {string} [contact.introducedBy] - Introducer fingerprint (contacts added from an introduction)
+ * @param {string} [contact.kind] - "dmesh-id", "dmesh-keyrotate", "dmesh-intro" or "dmesh-revoke"
+ * @param {object} [nacl] - TweetNaCl instance
+ * @param {object} [naclUtil] - TweetNaCl-util instance
+ * @returns {Promise<object>} - Stored contact entry (stored record for dmesh-intro / dmesh-revoke)
  */
-export async function saveContact(contact) {
+export async function saveContact(contact, nacl, naclUtil) {
+  if (contact.kind === "dmesh-keyrotate") {
+    return applyKeyRotation(contact, nacl, naclUtil);
+  }
+  if (contact.kind === "dmesh-intro") {
+    return saveIntroduction(contact, nacl, naclUtil);
+  }
+  if (contact.kind === "dmesh-revoke") {
+    return applyRevocation(contact, nacl, naclUtil);
+  }
+  if (contact.kind === "dmesh-id") {
+    contact = await contactFromIdentity(contact, nacl, naclUtil);
+  }
+
   const existing = await idbGet(STORE_CONTACTS, contact.fp);
   const entry = {
     ...existing,
@@ -461,7 +965,112 @@ export async function saveContact(contact) {
     addedAt: existing?.addedAt || Date.now(),
     updatedAt: Date.now()
   };
+
+  // Keys revoked before the contact was added stay revoked
+  const revocation = await idbGet(STORE_REVOCATIONS, entry.fp);
+  if (revocation) {
+    entry.verified = VERIFICATION_STATUS.COMPROMISED;
+    entry.compromisedAt = entry.compromisedAt || revocation.effectiveAt;
+    entry.compromisedReason = `revoked: ${revocation.reason}`;
+  }
+
+  await idbPut(STORE_CONTACTS, entry);
+  return entry;
+}
+
+/**
+ * Verify a public identity and turn it into contact fields
+ *
+ * A stored signed identity is only replaced by a newer signed one, so an
+ * old or unsigned copy cannot roll back the contact's keys.
+ *
+ * @param {object} identity - Public identity (dmesh-id)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Promise<object>}
+ */
+async function contactFromIdentity(identity, nacl, naclUtil) {
+  const verified = verifyPublicIdentity({ identity }, nacl, naclUtil);
+  const existing = await idbGet(STORE_CONTACTS, verified.fp);
+
+  if (existing?.identityIat !== undefined) {
+    if (!verified.signed) {
+      throw createError(ErrorCode.IDENTITY_UNSIGNED, "contact has a signed identity");
+    }
+    if (verified.iat < existing.identityIat) {
+      throw createError(ErrorCode.IDENTITY_OUTDATED);
+    }
+  }
+
+  const contact = {
+    fp: verified.fp,
+    name: verified.name || existing?.name || `Contact-${verified.fp.slice(0, 8)}`,
+    signPK: verified.signPK,
+    boxPK: verified.boxPK
+  };
+  if (verified.signed) {
+    contact.identityIat = verified.iat;
+    contact.identityExp = verified.exp;
+    if (verified.meta) contact.meta = verified.meta;
+  }
+  return contact;
+}
+
+/**
+ * Apply a key rotation announcement to an existing contact
+ *
+ * The contact is re-keyed under its new fingerprint. Verification status,
+ * name and addedAt are kept; the previous keys are appended to keyHistory.
+ * Applying the same rotation twice is a no-op. Rotations from a revoked or
+ * compromised key are refused: a thief could otherwise move the contact to
+ * their own key.
+ *
+ * @param {object} rotation - Key rotation object (dmesh-keyrotate)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Promise<object>} - Updated contact entry
+ */
+export async function applyKeyRotation(rotation, nacl, naclUtil) {
+  const verified = verifyKeyRotation(rotation, nacl, naclUtil);
+
+  const existing = await idbGet(STORE_CONTACTS, verified.oldFp);
+  if (!existing) {
+    const rotated = await idbGet(STORE_CONTACTS, verified.newFp);
+    if (rotated?.keyHistory?.some(k => k.fp === verified.oldFp)) {
+      return rotated; // Already applied
+    }
+    throw createError(ErrorCode.UNKNOWN_SENDER, "key rotation");
+  }
+  if (existing.signPK !== verified.oldSignPK) {
+    throw createError(ErrorCode.SENDER_KEY_MISMATCH, "Key rotation does not match contact");
+  }
+  const revocation = await idbGet(STORE_REVOCATIONS, verified.oldFp);
+  if (revocation || existing.verified === VERIFICATION_STATUS.COMPROMISED) {
+    throw createError(ErrorCode.SENDER_REVOKED, "key rotation from a revoked or compromised key");
+  }
+
+  const now = Date.now();
+  const entry = {
+    ...existing,
+    fp: verified.newFp,
+    signPK: verified.newSignPK,
+    boxPK: verified.newBoxPK,
+    keyHistory: [
+      ...(existing.keyHistory || []),
+      {
+        fp: existing.fp,
+        signPK: existing.signPK,
+        boxPK: existing.boxPK,
+        rotatedAt: verified.ts,
+        rotation
+      }
+    ],
+    rotatedAt: now,
+    updatedAt: now
+  };
   await idbPut(STORE_CONTACTS, entry);
+  await idbDel(STORE_CONTACTS, verified.oldFp);
+  return entry;
 }
 
 /**
@@ -502,6 +1111,37 @@ export async function verifyContact(fp) {
   }
 }
 
+/**
+ * Verify a contact by scanning its verification QR (dmesh-verify)
+ *
+ * The code must come from a stored contact and carry the same v2 safety
+ * number we compute from our own keys and the contact's stored keys.
+ *
+ * @param {object} code - Scanned verification code
+ * @param {{signPK: Uint8Array, boxPK: Uint8Array}} localKeys - Own public keys
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Promise<object>} - Verified contact entry
+ */
+export async function verifyContactWithCode(code, localKeys, nacl, naclUtil) {
+  const contact = code?.fp ? await idbGet(STORE_CONTACTS, code.fp) : null;
+  if (!contact) {
+    throw createError(ErrorCode.UNKNOWN_SENDER, "verification code");
+  }
+
+  checkVerificationCode({
+    code,
+    localKeys,
+    remoteKeys: {
+      signPK: naclUtil.decodeBase64(contact.signPK),
+      boxPK: naclUtil.decodeBase64(contact.boxPK)
+    }
+  }, nacl, naclUtil);
+
+  await verifyContact(contact.fp);
+  return idbGet(STORE_CONTACTS, contact.fp);
+}
+
 /**
  * Mark contact as compromised
  * @param {string} fp - Fingerprint
@@ -525,49 +1165,333 @@ export async function deleteContact(fp) {
   await idbDel(STORE_CONTACTS, fp);
 }
 
+// ============================================================================
+// Revocation Certificates
+// ============================================================================
+
+/**
+ * Verify and record a revocation certificate
+ *
+ * The matching contact (if any) is marked COMPROMISED, including one a key
+ * rotation has already moved to a new fingerprint (the revoked key is in its
+ * keyHistory). Certificates for unknown keys are kept too, so a contact added later is already revoked.
+ * The effective time is the signed revokedAt, or else the time the
+ * certificate was first seen.
+ *
+ * @param {object} cert - Revocation certificate (dmesh-revoke)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Promise<object>} - Stored revocation record
+ */
+export async function applyRevocation(cert, nacl, naclUtil, ctx) {
+  const verified = verifyRevocationCertificate(cert, nacl, naclUtil);
+
+  const existing = await idbGet(STORE_REVOCATIONS, verified.fp);
+  const now = ctxNow(ctx);
+  const effectiveAt = Math.min(
+    verified.revokedAt ?? now,
+    existing?.effectiveAt ?? Infinity
+  );
+  const record = {
+    ...cert,
+    effectiveAt,
+    receivedAt: existing?.receivedAt || now
+  };
+  await idbPut(STORE_REVOCATIONS, record);
+
+  // Also contacts a rotation has moved away from the revoked key
+  const contacts = await idbGetAll(STORE_CONTACTS);
+  for (const contact of contacts) {
+    const holdsKey = contact.fp === verified.fp
+      ? contact.signPK === verified.signPK
+      : contact.keyHistory?.some(k => k.fp === verified.fp && k.signPK === verified.signPK);
+    if (holdsKey) {
+      await markContactCompromised(contact.fp, `revoked: ${verified.reason}`);
+    }
+  }
+  return record;
+}
+
+/**
+ * Get the revocation record for a fingerprint
+ * @param {string} fp - Fingerprint (base64)
+ * @returns {Promise<object|undefined>}
+ */
+export function getRevocation(fp) {
+  return idbGet(STORE_REVOCATIONS, fp);
+}
+
+/**
+ * Load all revocations into a synchronous check for decryptMessage
+ *
+ * A revoked key's messages are allowed only if signed before the effective
+ * time. The sender chooses ts (and dmesh-msg exp is unsigned), so a thief can
+ * backdate it; messages dated more than REVOCATION_GRACE_MS before the
+ * effective time, or received more than REVOCATION_GRACE_MS after it, are
+ * refused as well.
+ *
+ * @example
+ * const revocationCheck = await getRevocationCheck();
+ * decryptMessage({ message, recipientBoxPK, recipientBoxSK, revocationCheck }, nacl, naclUtil);
+ *
+ * @param {Context} [ctx] - Clock read at each check (defaults to Date.now())
+ * @returns {Promise<function(string, number): boolean>} - (senderFp, ts) => true if allowed
+ */
+export async function getRevocationCheck(ctx) {
+  const revocations = await idbGetAll(STORE_REVOCATIONS);
+  const effectiveAt = new Map(revocations.map(r => [r.fp, r.effectiveAt]));
+  return (senderFp, ts) => {
+    if (!effectiveAt.has(senderFp)) return true;
+    const at = effectiveAt.get(senderFp);
+    return ts < at && ts >= at - REVOCATION_GRACE_MS && ctxNow(ctx) <= at + REVOCATION_GRACE_MS;
+  };
+}
+
 // ============================================================================
 // Chunk Operations (Reassembly)
 // ============================================================================
 
 /**
  * Store a received chunk for later reassembly
- * @param {object} chunk - Chunk object (dmesh-chunk)
- * @returns {Promise<object[]|null>} - Complete chunks array if all received, null otherwise
+ *
+ * Plain chunks complete once all `total` are stored; erasure-coded chunks
+ * (dmesh-chunk-fec) once any k are. Like QRTransport, a chunk is collected
+ * with every stored manifest (storeChunkManifest) that lists it; chunks no
+ * manifest lists form an unauthenticated set, so a forged manifest cannot
+ * lock out a genuine unsigned one. With options.requireManifest they are
+ * rejected with CHUNK_INVALID instead and only signed sets are returned.
+ * Chunks arriving after completion start a new pending set that
+ * cleanupOldChunks removes; the rebuilt message itself is deduplicated by
+ * checkAndMarkSeen.
+ *
+ * @param {object} chunk - Chunk object (dmesh-chunk or dmesh-chunk-fec)
+ * @param {object} nacl - TweetNaCl instance (checks against stored manifests)
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {object} [options]
+ * @param {boolean} [options.requireManifest] - Only return chunk sets with a signed manifest
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Promise<object[]|null>} - Chunk set (with its manifest, if any) for reassembleChunks once enough are received, null otherwise
  */
-export async function storeChunk(chunk) {
-  const chunkKey = `${chunk.msgId}:${chunk.seq}`;
-  await idbPut(STORE_CHUNKS, {
+export async function storeChunk(chunk, nacl, naclUtil, options = {}, ctx) {
+  const { requireManifest = false } = options;
+  const manifests = (await idbGetByIndex(STORE_CHUNKS, "msgId", chunk.msgId)).filter(e => e.kind === CHUNK_MANIFEST_KIND);
+  const listed = manifests.some(m => isChunkAuthentic(chunk, m.verified, nacl, naclUtil));
+  if (requireManifest && manifests.length > 0 && !listed) {
+    throw createError(ErrorCode.CHUNK_INVALID, `chunk ${chunk.seq} does not match manifest`);
+  }
+
+  // The same message may be resent with and without erasure coding. Chunks a
+  // manifest lists are keyed by hash, so a forged manifest's copy of a seq
+  // cannot replace the genuine one; the rest go to the unauthenticated set.
+  let chunkKey = makeChunkKey(chunk);
+  if (listed) chunkKey += `:${chunkHash(chunk, nacl, naclUtil)}`;
+  const entry = {
     chunkKey,
+    kind: chunk.kind,
     msgId: chunk.msgId,
     seq: chunk.seq,
     total: chunk.total,
     data: chunk.data,
-    receivedAt: Date.now()
+    receivedAt: ctxNow(ctx)
+  };
+  if (chunk.kind === FEC_CHUNK_KIND) {
+    entry.k = chunk.k;
+    entry.size = chunk.size;
+  }
+  if (chunk.truncated) {
+    entry.truncated = true; // Compact frame: msgId is a prefix
+  }
+  await idbPut(STORE_CHUNKS, entry);
+
+  return takeChunkSet(chunk.msgId, chunk.kind, requireManifest, nacl, naclUtil);
+}
+
+/**
+ * Store a received chunk manifest (dmesh-chunk-manifest)
+ *
+ * Anyone can sign a manifest for a msgId, so every valid one is kept (one per
+ * signing key). A set is only returned once it reassembles; a manifest whose
+ * set does not (e.g. one not signed by the message sender) is removed. With
+ * options.requireManifest, pending chunks that no manifest lists are dropped.
+ *
+ * @param {object} manifest - dmesh-chunk-manifest
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {object} [options]
+ * @param {boolean} [options.requireManifest] - Only return chunk sets with a signed manifest
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Promise<object[]|null>} - Chunk set for reassembleChunks if the pending chunks are now enough, null otherwise
+ */
+export async function storeChunkManifest(manifest, nacl, naclUtil, options = {}, ctx) {
+  const { requireManifest = false } = options;
+  const verified = verifyChunkManifest(manifest, nacl, naclUtil);
+  const chunkKey = makeManifestKey(verified.msgId, verified.signPK);
+  if (await idbGet(STORE_CHUNKS, chunkKey)) {
+    return null;
+  }
+  await idbPut(STORE_CHUNKS, {
+    chunkKey,
+    kind: CHUNK_MANIFEST_KIND,
+    msgId: verified.msgId,
+    manifest,
+    verified,
+    receivedAt: ctxNow(ctx)
   });
 
-  // Check if we have all chunks
-  const allChunks = await idbGetByIndex(STORE_CHUNKS, "msgId", chunk.msgId);
-  if (allChunks.length === chunk.total) {
-    // Clean up stored chunks
-    for (const c of allChunks) {
-      await idbDel(STORE_CHUNKS, c.chunkKey);
+  // Drop chunks stored before the manifests arrived that none of them lists
+  if (requireManifest) {
+    const pending = await idbGetByIndex(STORE_CHUNKS, "msgId", verified.msgId);
+    const manifests = pending.filter(e => e.kind === CHUNK_MANIFEST_KIND);
+    for (const entry of pending) {
+      if (entry.kind !== CHUNK_MANIFEST_KIND &&
+          !manifests.some(m => isChunkAuthentic(chunkFromEntry(entry), m.verified, nacl, naclUtil))) {
+        await idbDel(STORE_CHUNKS, entry.chunkKey);
+      }
+    }
+  }
+
+  return takeChunkSet(verified.msgId, verified.chunkKind, requireManifest, nacl, naclUtil);
+}
+
+/**
+ * Key of a chunk in the unauthenticated set
+ * @param {object} chunk - Chunk object or stored chunk entry
+ * @returns {string}
+ */
+function makeChunkKey(chunk) {
+  return chunk.kind === FEC_CHUNK_KIND ? `${chunk.msgId}:fec:${chunk.seq}` : `${chunk.msgId}:${chunk.seq}`;
+}
+
+/**
+ * @param {string} msgId
+ * @param {string} signPK - Manifest signing key (base64)
+ * @returns {string}
+ */
+function makeManifestKey(msgId, signPK) {
+  return `${msgId}:manifest:${signPK}`;
+}
+
+/**
+ * @param {object} entry - Stored chunk entry
+ * @returns {object} - Chunk object
+ */
+function chunkFromEntry({ chunkKey: _key, receivedAt: _at, ...chunk }) {
+  return {
+    v: 1,
+    ...chunk,
+    kind: chunk.kind || CHUNK_KIND // Entries stored by older versions have no kind
+  };
+}
+
+/**
+ * @param {object[]} chunks
+ * @returns {boolean} - True once enough chunks are there to try a rebuild
+ */
+function hasEnoughChunks(chunks) {
+  return chunks.length > 0 && chunks.length >= chunksNeeded(chunks[0]);
+}
+
+/**
+ * @param {object[]} set - Chunks, optionally with their manifest
+ * @param {object} nacl
+ * @param {object} naclUtil
+ * @returns {boolean}
+ */
+function reassembles(set, nacl, naclUtil) {
+  try {
+    reassembleChunks(set, naclUtil, nacl);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Remove and return a chunk set once enough chunks of one kind are stored
+ *
+ * Each manifest is tried with the chunks it lists; the first set that
+ * reassembles is returned, and manifests whose set fails are removed.
+ * Without requireManifest, chunks only a failed manifest listed are tried
+ * unauthenticated (a re-signed copy of the genuine hashes), then the
+ * unauthenticated set. Sets are checked with reassembleChunks once any
+ * manifest is stored; without manifests the caller's reassembleChunks does it.
+ *
+ * @param {string} msgId
+ * @param {string} kind - dmesh-chunk or dmesh-chunk-fec
+ * @param {boolean} requireManifest
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Promise<object[]|null>}
+ */
+async function takeChunkSet(msgId, kind, requireManifest, nacl, naclUtil) {
+  const entries = await idbGetByIndex(STORE_CHUNKS, "msgId", msgId);
+  const manifestEntries = entries.filter(e => e.kind === CHUNK_MANIFEST_KIND);
+  const chunkEntries = entries.filter(e => e.kind !== CHUNK_MANIFEST_KIND && (e.kind || CHUNK_KIND) === kind);
+  const takeAll = async () => {
+    for (const entry of [...manifestEntries, ...chunkEntries]) {
+      await idbDel(STORE_CHUNKS, entry.chunkKey);
+    }
+  };
+
+  const remaining = [...manifestEntries];
+  const failed = [];
+  for (const manifestEntry of manifestEntries) {
+    const listed = new Map();
+    for (const entry of chunkEntries) {
+      if (isChunkAuthentic(chunkFromEntry(entry), manifestEntry.verified, nacl, naclUtil)) listed.set(entry.seq, entry);
     }
-    // Return complete chunks for reassembly
-    return allChunks.map(c => ({
-      v: 1,
-      kind: "dmesh-chunk",
-      msgId: c.msgId,
-      seq: c.seq,
-      total: c.total,
-      data: c.data
-    }));
+    const chunks = [...listed.values()].map(chunkFromEntry);
+    if (!hasEnoughChunks(chunks)) {
+      continue; // Still waiting for more chunks
+    }
+
+    const set = [manifestEntry.manifest, ...chunks];
+    if (reassembles(set, nacl, naclUtil)) {
+      await takeAll();
+      return set;
+    }
+    // Bogus manifest (e.g. not signed by the sender)
+    remaining.splice(remaining.indexOf(manifestEntry), 1);
+    await idbDel(STORE_CHUNKS, manifestEntry.chunkKey);
+    failed.push(listed);
   }
 
-  return null; // Still waiting for more chunks
+  for (const listed of failed) {
+    const chunks = [...listed.values()].map(chunkFromEntry);
+    if (!requireManifest && reassembles(chunks, nacl, naclUtil)) {
+      await takeAll();
+      return chunks;
+    }
+    // Remove the chunks no other manifest lists (the unauthenticated set keeps its own)
+    for (const entry of listed.values()) {
+      const unauthenticated = !requireManifest && entry.chunkKey === makeChunkKey(entry);
+      if (!unauthenticated && !remaining.some(m => isChunkAuthentic(chunkFromEntry(entry), m.verified, nacl, naclUtil))) {
+        await idbDel(STORE_CHUNKS, entry.chunkKey);
+      }
+    }
+  }
+
+  if (requireManifest) {
+    return null;
+  }
+  const unauthenticated = chunkEntries.filter(e => e.chunkKey === makeChunkKey(e));
+  const chunks = unauthenticated.map(chunkFromEntry);
+  if (!hasEnoughChunks(chunks)) {
+    return null; // Still waiting for more chunks
+  }
+  if (manifestEntries.length > 0 && !reassembles(chunks, nacl, naclUtil)) {
+    for (const entry of unauthenticated) {
+      await idbDel(STORE_CHUNKS, entry.chunkKey);
+    }
+    return null;
+  }
+  await takeAll();
+  return chunks;
 }
 
 /**
- * Get pending chunks for a message
+ * Get pending chunks for a message (including a stored manifest entry)
  * @param {string} msgId - Message ID
  * @returns {Promise<object[]>}
  */
@@ -578,9 +1502,10 @@ export function getPendingChunks(msgId) {
 /**
  * Cleanup old incomplete chunks
  * @param {number} [maxAgeMs] - Maximum age in milliseconds (default: 24 hours)
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
  */
-export async function cleanupOldChunks(maxAgeMs = 24 * 60 * 60 * 1000) {
-  const cutoff = Date.now() - maxAgeMs;
+export async function cleanupOldChunks(maxAgeMs = 24 * 60 * 60 * 1000, ctx) {
+  const cutoff = ctxNow(ctx) - maxAgeMs;
   const all = await idbGetAll(STORE_CHUNKS);
 
   for (const entry of all) {
@@ -590,16 +1515,311 @@ export async function cleanupOldChunks(maxAgeMs = 24 * 60 * 60 * 1000) {
   }
 }
 
+// ============================================================================
+// Group Operations (Sender Keys)
+// ============================================================================
+
+/**
+ * Save group state
+ * @param {object} group - Group state (see crypto/group.js)
+ */
+export async function saveGroup(group) {
+  await idbPut(STORE_GROUPS, group);
+}
+
+/**
+ * Get a group by ID
+ * @param {string} groupId - Group ID (base64)
+ * @returns {Promise<object|undefined>}
+ */
+export function getGroup(groupId) {
+  return idbGet(STORE_GROUPS, groupId);
+}
+
+/**
+ * Get all groups
+ * @returns {Promise<object[]>}
+ */
+export function getAllGroups() {
+  return idbGetAll(STORE_GROUPS);
+}
+
+/**
+ * Delete a group and its sender keys
+ * @param {string} groupId - Group ID (base64)
+ */
+export async function deleteGroup(groupId) {
+  const keys = await idbGetByIndex(STORE_SENDER_KEYS, "groupId", groupId);
+  for (const k of keys) {
+    await idbDel(STORE_SENDER_KEYS, k.senderKeyId);
+  }
+  await idbDel(STORE_GROUPS, groupId);
+}
+
+/**
+ * Generate sender key ID
+ * @param {string} groupId - Group ID (base64)
+ * @param {number} epoch - Group epoch
+ * @param {string} senderFp - Sender fingerprint (base64)
+ * @returns {string}
+ */
+export function makeSenderKeyId(groupId, epoch, senderFp) {
+  return `${groupId}:${epoch}:${senderFp}`;
+}
+
+/**
+ * Store a sender key
+ * @param {string} groupId - Group ID (base64)
+ * @param {number} epoch - Group epoch
+ * @param {string} senderFp - Sender fingerprint (base64)
+ * @param {string} senderKey - Sender key (base64)
+ */
+export async function saveSenderKey(groupId, epoch, senderFp, senderKey) {
+  await idbPut(STORE_SENDER_KEYS, {
+    senderKeyId: makeSenderKeyId(groupId, epoch, senderFp),
+    groupId,
+    epoch,
+    senderFp,
+    senderKey,
+    receivedAt: Date.now()
+  });
+}
+
+/**
+ * Get a sender key
+ * @param {string} groupId - Group ID (base64)
+ * @param {number} epoch - Group epoch
+ * @param {string} senderFp - Sender fingerprint (base64)
+ * @returns {Promise<string|null>} - Sender key (base64)
+ */
+export async function getSenderKey(groupId, epoch, senderFp) {
+  const entry = await idbGet(STORE_SENDER_KEYS, makeSenderKeyId(groupId, epoch, senderFp));
+  return entry ? entry.senderKey : null;
+}
+
+/**
+ * Get all sender keys held for a group
+ * @param {string} groupId - Group ID (base64)
+ * @returns {Promise<object[]>}
+ */
+export function getSenderKeysForGroup(groupId) {
+  return idbGetByIndex(STORE_SENDER_KEYS, "groupId", groupId);
+}
+
+/**
+ * Apply a parsed sender key distribution (see parseSenderKeyDistribution)
+ *
+ * Membership changes are only accepted from the group admin; each applied
+ * state is recorded as the member list of its epoch. Keys from other members
+ * are accepted once the admin's state for that epoch is known, and only for
+ * the current epoch: a closed epoch takes no new sender keys.
+ *
+ * @param {object} distribution - Parsed sender key distribution
+ * @returns {Promise<object>} - Current group state
+ */
+export async function applySenderKeyDistribution(distribution) {
+  const { group, senderFp, epoch, senderKey, fromAdmin } = distribution;
+  let current = await getGroup(group.groupId);
+
+  if (current && current.createdBy !== group.createdBy) {
+    throw createError(ErrorCode.GROUP_ADMIN_MISMATCH);
+  }
+
+  if (fromAdmin && (!current || epoch >= current.epoch)) {
+    const { epochMembers: _claimed, ...state } = group;
+    current = withEpochMembers({ ...current, ...state, updatedAt: Date.now() });
+    await saveGroup(current);
+  }
+
+  if (!current) {
+    throw createError(ErrorCode.GROUP_UNKNOWN);
+  }
+  if (epoch > current.epoch) {
+    throw createError(ErrorCode.GROUP_EPOCH_UNKNOWN);
+  }
+  if (epoch < current.epoch) {
+    throw createError(ErrorCode.GROUP_EPOCH_CLOSED);
+  }
+  if (!current.members.some(m => m.fp === senderFp)) {
+    throw createError(ErrorCode.GROUP_NOT_MEMBER, "Sender is not a group member");
+  }
+
+  await saveSenderKey(group.groupId, epoch, senderFp, senderKey);
+  return current;
+}
+
+// ============================================================================
+// Ratchet Sessions
+// ============================================================================
+
+/**
+ * Save ratchet session state for a contact
+ * Save the session returned by encrypt/decryptRatchetMessage before sending
+ * or acknowledging the message, so used keys are never reused.
+ * @param {string} peerFp - Contact fingerprint (base64)
+ * @param {object} session - Session state (see crypto/ratchet.js)
+ */
+export async function saveRatchetSession(peerFp, session) {
+  await idbPut(STORE_SESSIONS, { ...session, peerFp });
+}
+
+/**
+ * Get ratchet session state for a contact
+ * @param {string} peerFp - Contact fingerprint (base64)
+ * @returns {Promise<object|null>}
+ */
+export async function getRatchetSession(peerFp) {
+  return (await idbGet(STORE_SESSIONS, peerFp)) || null;
+}
+
+/**
+ * Delete a ratchet session (the next message starts a new one)
+ * @param {string} peerFp - Contact fingerprint (base64)
+ */
+export async function deleteRatchetSession(peerFp) {
+  await idbDel(STORE_SESSIONS, peerFp);
+}
+
+// ============================================================================
+// Introductions (Web of Trust)
+// ============================================================================
+
+/**
+ * Make introduction ID
+ * @param {string} introducerFp
+ * @param {string} subjectFp
+ * @returns {string}
+ */
+export function makeIntroId(introducerFp, subjectFp) {
+  return `${introducerFp}:${subjectFp}`;
+}
+
+/**
+ * Verify and record an introduction
+ *
+ * The introducer must already be a contact. An unknown subject is added as
+ * an unverified contact; a known subject must have the introduced keys.
+ * A newer introduction from the same introducer replaces the older one.
+ *
+ * @param {object} introduction - Introduction object (dmesh-intro)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Promise<object>} - Stored introduction record
+ */
+export async function saveIntroduction(introduction, nacl, naclUtil, ctx) {
+  const verified = verifyIntroduction({ introduction }, nacl, naclUtil, ctx);
+
+  const introducer = await idbGet(STORE_CONTACTS, verified.introducerFp);
+  if (!introducer) {
+    throw createError(ErrorCode.INTRODUCER_UNKNOWN);
+  }
+
+  const subject = await idbGet(STORE_CONTACTS, verified.subject.fp);
+  if (subject && (subject.signPK !== verified.subject.signPK || subject.boxPK !== verified.subject.boxPK)) {
+    throw createError(ErrorCode.SENDER_KEY_MISMATCH, "Introduction does not match contact keys");
+  }
+
+  const introId = makeIntroId(verified.introducerFp, verified.subject.fp);
+  const existing = await idbGet(STORE_INTRODUCTIONS, introId);
+  if (existing && existing.ts >= verified.ts) {
+    return existing;
+  }
+
+  if (!subject) {
+    await saveContact({
+      ...verified.subject,
+      name: verified.subject.name || `Contact-${verified.subject.fp.slice(0, 8)}`,
+      introducedBy: verified.introducerFp
+    });
+  }
+
+  const record = {
+    ...introduction,
+    introId,
+    subjectFp: verified.subject.fp,
+    receivedAt: ctxNow(ctx)
+  };
+  await idbPut(STORE_INTRODUCTIONS, record);
+  return record;
+}
+
+/**
+ * Get introductions vouching for a contact
+ * @param {string} subjectFp - Contact fingerprint (base64)
+ * @returns {Promise<object[]>}
+ */
+export function getIntroductionsFor(subjectFp) {
+  return idbGetByIndex(STORE_INTRODUCTIONS, "subjectFp", subjectFp);
+}
+
+/**
+ * Get all stored introductions
+ * @returns {Promise<object[]>}
+ */
+export function getAllIntroductions() {
+  return idbGetAll(STORE_INTRODUCTIONS);
+}
+
+/**
+ * Delete an introduction
+ * @param {string} introId - See makeIntroId
+ */
+export async function deleteIntroduction(introId) {
+  await idbDel(STORE_INTRODUCTIONS, introId);
+}
+
+/**
+ * Compute trust for all contacts (see trust.js computeTrust)
+ * Uses the trustHops setting unless maxHops is given.
+ * @param {number} [maxHops] - Introduction hops to trust
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Promise<Object<string, {level: string, hops: number|null, vouchedBy: string[]}>>}
+ */
+export async function getContactTrust(maxHops, ctx) {
+  return computeTrust({
+    contacts: await getAllContacts(),
+    introductions: await getAllIntroductions(),
+    maxHops: maxHops ?? await getSetting(SETTING_TRUST_HOPS, DEFAULT_TRUST_HOPS)
+  }, ctx);
+}
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+/**
+ * Get a setting
+ * @param {string} key - Setting key (SETTING_*)
+ * @param {*} [defaultValue] - Returned if the setting was never saved
+ * @returns {Promise<*>}
+ */
+export async function getSetting(key, defaultValue) {
+  const entry = await idbGet(STORE_SETTINGS, key);
+  return entry ? entry.value : defaultValue;
+}
+
+/**
+ * Save a setting
+ * @param {string} key - Setting key (SETTING_*)
+ * @param {*} value - Any structured-cloneable value
+ */
+export async function setSetting(key, value) {
+  await idbPut(STORE_SETTINGS, { key, value, updatedAt: Date.now() });
+}
+
 // ============================================================================
 // Database Maintenance
 // ============================================================================
 
 /**
  * Run all cleanup operations
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
  */
-export async function runMaintenance() {
-  await cleanupSeen();
-  await cleanupOldChunks();
+export async function runMaintenance(ctx) {
+  await cleanupSeen(undefined, ctx);
+  await cleanupOldChunks(undefined, ctx);
+  await cleanupRelay(ctx);
   console.log("Database maintenance completed");
 }
 
@@ -613,7 +1833,12 @@ export async function getStats() {
     outbox: await idbCount(STORE_OUTBOX),
     inbox: await idbCount(STORE_INBOX),
     seen: await idbCount(STORE_SEEN),
-    chunks: await idbCount(STORE_CHUNKS)
+    chunks: await idbCount(STORE_CHUNKS),
+    groups: await idbCount(STORE_GROUPS),
+    sessions: await idbCount(STORE_SESSIONS),
+    introductions: await idbCount(STORE_INTRODUCTIONS),
+    revocations: await idbCount(STORE_REVOCATIONS),
+    relay: await idbCount(STORE_RELAY)
   };
 }
 
@@ -622,7 +1847,11 @@ export async function getStats() {
  */
 export async function clearAllData() {
   const db = await openDB();
-  const storeNames = [STORE_KEYS, STORE_CONTACTS, STORE_OUTBOX, STORE_INBOX, STORE_SEEN, STORE_CHUNKS];
+  const storeNames = [
+    STORE_KEYS, STORE_CONTACTS, STORE_OUTBOX, STORE_INBOX, STORE_SEEN, STORE_CHUNKS,
+    STORE_GROUPS, STORE_SENDER_KEYS, STORE_SESSIONS, STORE_INTRODUCTIONS, STORE_SETTINGS,
+    STORE_REVOCATIONS, STORE_RELAY
+  ];
 
   return new Promise((resolve, reject) => {
     const tx = db.transaction(storeNames, "readwrite");
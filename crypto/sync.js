@@ -0,0 +1,377 @@
+/**
+ * Lifeline Mesh - Anti-Entropy Sync (dmesh-sync)
+ *
+ * When two peers meet they work out which messages the other is missing and
+ * transfer only those:
+ * 1. summary: each side lists the msgIds it can hand over. The first summary
+ *    also carries a Bloom filter of every msgId its sender already has (seen,
+ *    carried or received), so the answering side leaves those off its list
+ * 2. request: each side asks for the listed msgIds it lacks
+ * 3. transfer: the requested messages (regular dmesh-msg objects), then done
+ *
+ * Works over any transport with send(message) and a way to receive. The
+ * inventory comes from the seen, relay, inbox and outbox stores
+ * (createSyncInventory in store.js).
+ *
+ * Dependencies: TweetNaCl, TweetNaCl-util
+ */
+
+import { SYNC_KIND, concatU8, ctxRandomBytes } from "./core.js";
+import { ErrorCode, createError } from "./errors.js";
+
+/** @typedef {import("./core.js").Context} Context */
+
+/**
+ * @typedef {object} BloomFilter
+ * @property {number} m - Filter size in bits (multiple of 8)
+ * @property {number} k - Hash functions
+ * @property {Uint8Array} seed - Per-summary salt
+ * @property {Uint8Array} bits - Filter bits
+ */
+
+/**
+ * @typedef {object} SyncInventory
+ * @property {function(): Promise<{offer: string[], have: Set<string>}>} snapshot - msgIds we can
+ *   hand over, and every msgId we already have (including offer)
+ * @property {function(string[]): Promise<object[]>} get - Messages for msgIds we carry (others are skipped)
+ * @property {function(string[]): Promise<void>} [markSent] - Called with the msgIds handed to the peer
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export { SYNC_KIND };
+export const SYNC_OPS = ["summary", "request", "done"];
+export const SYNC_BLOOM_FP_RATE = 0.01;
+export const SYNC_MAX_IDS = 4096; // msgIds per summary or request
+export const SYNC_MAX_BLOOM_BYTES = 64 * 1024;
+export const SYNC_MAX_BLOOM_HASHES = 16;
+
+// Fresh salt per summary: a Bloom false positive hides a message from one
+// meeting, not from every meeting with the same peer
+const SYNC_SEED_BYTES = 16;
+const SID_BYTES = 16;
+
+// ============================================================================
+// Bloom Filter
+// ============================================================================
+
+/**
+ * Filter size for an expected number of msgIds
+ * @param {number} n - Number of msgIds
+ * @param {number} [fpRate] - Target false-positive rate (defaults to SYNC_BLOOM_FP_RATE)
+ * @returns {{m: number, k: number}}
+ */
+export function bloomFilterSize(n, fpRate = SYNC_BLOOM_FP_RATE) {
+  const count = Math.max(n, 1);
+  const bytes = Math.min(SYNC_MAX_BLOOM_BYTES, Math.ceil(-count * Math.log(fpRate) / (Math.LN2 ** 2) / 8));
+  const m = bytes * 8;
+  const k = Math.min(SYNC_MAX_BLOOM_HASHES, Math.max(1, Math.round((m / count) * Math.LN2)));
+  return { m, k };
+}
+
+/**
+ * Bit positions of a msgId (double hashing over SHA-512(seed || msgId))
+ * @param {BloomFilter} filter
+ * @param {string} msgId - Message ID (base64)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {number[]}
+ */
+function bloomPositions(filter, msgId, nacl, naclUtil) {
+  const h = nacl.hash(concatU8([filter.seed, naclUtil.decodeBase64(msgId)]));
+  const view = new DataView(h.buffer, h.byteOffset, h.byteLength);
+  const h1 = view.getUint32(0);
+  const h2 = (view.getUint32(4) | 1) >>> 0;
+  const positions = [];
+  for (let i = 0; i < filter.k; i++) {
+    positions.push((h1 + i * h2) % filter.m);
+  }
+  return positions;
+}
+
+/**
+ * Build a Bloom filter over msgIds
+ * @param {Iterable<string>} msgIds - Message IDs (base64)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Randomness for the seed (defaults to nacl.randomBytes)
+ * @returns {BloomFilter}
+ */
+export function createBloomFilter(msgIds, nacl, naclUtil, ctx) {
+  const ids = [...msgIds];
+  const { m, k } = bloomFilterSize(ids.length);
+  const filter = { m, k, seed: ctxRandomBytes(SYNC_SEED_BYTES, nacl, ctx), bits: new Uint8Array(m / 8) };
+  for (const msgId of ids) {
+    for (const pos of bloomPositions(filter, msgId, nacl, naclUtil)) {
+      filter.bits[pos >> 3] |= 1 << (pos & 7);
+    }
+  }
+  return filter;
+}
+
+/**
+ * Whether a msgId may be in the filter (false positives at about fpRate)
+ * @param {BloomFilter} filter
+ * @param {string} msgId - Message ID (base64)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {boolean}
+ */
+export function bloomHas(filter, msgId, nacl, naclUtil) {
+  return bloomPositions(filter, msgId, nacl, naclUtil).every(pos => (filter.bits[pos >> 3] & (1 << (pos & 7))) !== 0);
+}
+
+// ============================================================================
+// Messages
+// ============================================================================
+
+/**
+ * Create a summary of the local inventory
+ *
+ * msgIds the peer's filter says it has are left off the list; past
+ * SYNC_MAX_IDS the rest waits for the next meeting.
+ *
+ * @param {object} params
+ * @param {string[]} params.offer - msgIds we can hand over (most urgent first)
+ * @param {Set<string>} params.have - Every msgId we already have
+ * @param {BloomFilter} [params.peerFilter] - Filter from the peer's summary, if received first
+ * @param {boolean} [params.withFilter] - Include a filter of `have` (when sending first)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Randomness for the session ID and filter seed
+ * @returns {object} - dmesh-sync summary
+ */
+export function createSyncSummary({ offer, have, peerFilter, withFilter }, nacl, naclUtil, ctx) {
+  const ids = peerFilter ? offer.filter(id => !bloomHas(peerFilter, id, nacl, naclUtil)) : offer;
+  const summary = {
+    v: 1,
+    kind: SYNC_KIND,
+    op: "summary",
+    sid: naclUtil.encodeBase64(ctxRandomBytes(SID_BYTES, nacl, ctx)),
+    ids: ids.slice(0, SYNC_MAX_IDS)
+  };
+  if (withFilter) {
+    const filter = createBloomFilter(have, nacl, naclUtil, ctx);
+    summary.bloom = {
+      m: filter.m,
+      k: filter.k,
+      seed: naclUtil.encodeBase64(filter.seed),
+      bits: naclUtil.encodeBase64(filter.bits)
+    };
+  }
+  return summary;
+}
+
+/**
+ * Create a request for msgIds listed in a peer's summary
+ * @param {string} sid - Session ID of the summary being answered
+ * @param {string[]} ids - msgIds we lack
+ * @returns {object} - dmesh-sync request
+ */
+export function createSyncRequest(sid, ids) {
+  return { v: 1, kind: SYNC_KIND, op: "request", sid, ids };
+}
+
+/**
+ * Create the message that ends a transfer
+ * @param {string} sid - Session ID of our summary (the one that was requested from)
+ * @param {number} count - Messages sent
+ * @returns {object} - dmesh-sync done
+ */
+export function createSyncDone(sid, count) {
+  return { v: 1, kind: SYNC_KIND, op: "done", sid, count };
+}
+
+/**
+ * Validate a received dmesh-sync message
+ * @param {object} message - dmesh-sync object
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {{op: string, sid: string, ids?: string[], bloom?: BloomFilter, count?: number}}
+ */
+export function parseSyncMessage(message, naclUtil) {
+  if (!message || message.v !== 1 || message.kind !== SYNC_KIND || !SYNC_OPS.includes(message.op)) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "not a dmesh-sync message");
+  }
+  if (typeof message.sid !== "string" || message.sid.length === 0) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "sync sid invalid");
+  }
+  const { op, sid } = message;
+
+  if (op === "done") {
+    if (!Number.isSafeInteger(message.count) || message.count < 0) {
+      throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "sync count invalid");
+    }
+    return { op, sid, count: message.count };
+  }
+
+  const ids = message.ids;
+  if (!Array.isArray(ids) || ids.length > SYNC_MAX_IDS || !ids.every(id => typeof id === "string")) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "sync ids invalid");
+  }
+  if (op === "request" || message.bloom === undefined) {
+    return { op, sid, ids };
+  }
+
+  const bloom = message.bloom || {};
+  const { m, k } = bloom;
+  let seed, bits;
+  try {
+    seed = naclUtil.decodeBase64(bloom.seed);
+    bits = naclUtil.decodeBase64(bloom.bits);
+  } catch {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "sync bloom invalid");
+  }
+  if (!Number.isSafeInteger(m) || m < 8 || m % 8 !== 0 || m / 8 > SYNC_MAX_BLOOM_BYTES || bits.length !== m / 8 ||
+      !Number.isSafeInteger(k) || k < 1 || k > SYNC_MAX_BLOOM_HASHES || seed.length !== SYNC_SEED_BYTES) {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "sync bloom invalid");
+  }
+  return { op, sid, ids, bloom: { m, k, seed, bits } };
+}
+
+/**
+ * msgIds in a peer's summary that we lack
+ * @param {{ids?: string[]}} summary - Parsed peer summary
+ * @param {Set<string>} have - Every msgId we already have
+ * @returns {string[]}
+ */
+export function missingFromSummary(summary, have) {
+  return [...new Set(summary.ids)].filter(id => !have.has(id));
+}
+
+// ============================================================================
+// Session
+// ============================================================================
+
+/**
+ * One sync exchange with a peer
+ *
+ * Both sides send a summary (start() on one side is enough: the other
+ * answers a summary with its own), request what they lack and serve the
+ * peer's request. Feed everything received from the peer to handle(); it
+ * consumes dmesh-sync messages and returns false for the transferred
+ * messages, which the caller routes as usual (inbox or relay).
+ */
+export class SyncSession {
+  /**
+   * @param {object} options
+   * @param {{send: function(object): Promise<*>}} options.transport - Any bidirectional transport
+   * @param {SyncInventory} options.inventory - Local messages (see createSyncInventory in store.js)
+   * @param {object} options.nacl - TweetNaCl instance
+   * @param {object} options.naclUtil - TweetNaCl-util instance
+   * @param {Context} [options.ctx] - Randomness for session IDs and filter seeds
+   */
+  constructor({ transport, inventory, nacl, naclUtil, ctx }) {
+    this.transport = transport;
+    this.inventory = inventory;
+    this.nacl = nacl;
+    this.naclUtil = naclUtil;
+    this.ctx = ctx;
+    this.sid = null; // Our summary's session ID
+    this.peerSid = null; // Peer's summary's session ID
+    this.peerFilter = null; // Peer's Bloom filter, if its summary came first
+    this.sent = 0; // Messages we transferred
+    this.received = 0; // Messages the peer reported transferring
+    this.sentDone = false;
+    this.receivedDone = false;
+    this.onComplete = null; // Callback: ({sent, received}) => void
+    this.onError = null; // Callback: (error) => void
+    this._local = null;
+    this._started = null;
+  }
+
+  /**
+   * Send our summary (once)
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (!this._started) {
+      this._started = this._snapshot().then((local) => {
+        const summary = createSyncSummary({
+          ...local,
+          peerFilter: this.peerFilter,
+          withFilter: !this.peerSid
+        }, this.nacl, this.naclUtil, this.ctx);
+        this.sid = summary.sid;
+        return this.transport.send(summary);
+      });
+    }
+    return this._started;
+  }
+
+  /**
+   * Process a message received from the peer
+   * @param {object} message - Any received object
+   * @returns {Promise<boolean>} - True if it was a dmesh-sync message (consumed)
+   */
+  async handle(message) {
+    if (!message || message.kind !== SYNC_KIND) return false;
+    try {
+      const msg = parseSyncMessage(message, this.naclUtil);
+      if (msg.op === "summary") {
+        await this._answerSummary(msg);
+      } else if (msg.op === "request") {
+        await this.start();
+        if (msg.sid === this.sid) await this._transfer(msg.ids);
+      } else if (msg.sid === this.peerSid && !this.receivedDone) {
+        this.received = msg.count;
+        this.receivedDone = true;
+        this._checkComplete();
+      }
+    } catch (e) {
+      if (this.onError) this.onError(e);
+    }
+    return true;
+  }
+
+  /**
+   * Local inventory, read once per session
+   * @returns {Promise<{offer: string[], have: Set<string>}>}
+   */
+  _snapshot() {
+    if (!this._local) this._local = this.inventory.snapshot();
+    return this._local;
+  }
+
+  /**
+   * @param {{sid: string, ids?: string[], bloom?: BloomFilter}} summary - Parsed peer summary
+   */
+  async _answerSummary(summary) {
+    if (this.peerSid) return; // One summary per peer and session
+    this.peerSid = summary.sid;
+    this.peerFilter = summary.bloom || null;
+    await this.start();
+
+    const { have } = await this._snapshot();
+    await this.transport.send(createSyncRequest(summary.sid, missingFromSummary(summary, have)));
+  }
+
+  /**
+   * Send the requested messages we carry, then done
+   * @param {string[]} ids - Requested msgIds
+   */
+  async _transfer(ids) {
+    if (this.sentDone) return;
+    this.sentDone = true;
+    const messages = await this.inventory.get(ids);
+    const sentIds = [];
+    try {
+      for (const message of messages) {
+        await this.transport.send(message);
+        sentIds.push(message.msgId);
+      }
+    } finally {
+      this.sent = sentIds.length;
+      if (this.inventory.markSent) await this.inventory.markSent(sentIds);
+    }
+    await this.transport.send(createSyncDone(this.sid, sentIds.length));
+    this._checkComplete();
+  }
+
+  _checkComplete() {
+    if (this.sentDone && this.receivedDone && this.onComplete) {
+      this.onComplete({ sent: this.sent, received: this.received });
+    }
+  }
+}
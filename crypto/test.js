@@ -3,23 +3,39 @@
  * Run with: node test.js
  */
 
+import "fake-indexeddb/auto";
+import zlib from "node:zlib";
 import nacl from "tweetnacl";
 import naclUtil from "tweetnacl-util";
 import * as DMesh from "./core.js";
+import * as Group from "./group.js";
+import * as Compress from "./compress.js";
+import * as Payload from "./payload.js";
+import * as Ratchet from "./ratchet.js";
+import * as Trust from "./trust.js";
+import * as Relay from "./relay.js";
+import * as Sync from "./sync.js";
+import * as Store from "./store.js";
+import { QRTransport } from "./transport.js";
+import { ErrorCode, isLifelineMeshError } from "./errors.js";
 
 let passed = 0;
 let failed = 0;
+let queue = Promise.resolve();
 
+// Tests run one after another in declaration order; fn may be async
 function test(name, fn) {
-  try {
-    fn();
-    console.log(`✓ ${name}`);
-    passed++;
-  } catch (e) {
-    console.error(`✗ ${name}`);
-    console.error(`  ${e.message}`);
-    failed++;
-  }
+  queue = queue.then(async () => {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (e) {
+      console.error(`✗ ${name}`);
+      console.error(`  ${e.message}`);
+      failed++;
+    }
+  });
 }
 
 // ============================================================================
@@ -61,6 +77,75 @@ test("createPublicIdentity creates valid identity object", () => {
   if (!id.boxPK) throw new Error("Missing boxPK");
 });
 
+test("createPublicIdentity with signSK creates verifiable v2 identity", () => {
+  const alice = makeMember("Alice");
+  const id = DMesh.createPublicIdentity({
+    name: "Alice",
+    signPK: alice.sign.publicKey,
+    signSK: alice.sign.secretKey,
+    boxPK: alice.box.publicKey,
+    meta: { role: "shelter", org: "Ward 3" }
+  }, nacl, naclUtil);
+
+  if (id.v !== 2 || !id.sig) throw new Error("Expected signed v2 identity");
+  if (id.exp - id.iat !== DMesh.DEFAULT_IDENTITY_TTL_MS) throw new Error("Wrong default expiry");
+
+  const verified = DMesh.verifyPublicIdentity({ identity: JSON.parse(JSON.stringify(id)) }, nacl, naclUtil);
+  if (!verified.signed || verified.fp !== alice.contact.fp) throw new Error("Verification result mismatch");
+  if (verified.meta.role !== "shelter") throw new Error("Metadata lost");
+
+  const legacy = DMesh.createPublicIdentity({ name: "Alice", signPK: alice.sign.publicKey, boxPK: alice.box.publicKey }, nacl, naclUtil);
+  if (DMesh.verifyPublicIdentity({ identity: legacy }, nacl, naclUtil).signed) throw new Error("v1 reported as signed");
+  try {
+    DMesh.verifyPublicIdentity({ identity: legacy, requireSigned: true }, nacl, naclUtil);
+    throw new Error("Unsigned identity accepted");
+  } catch (e) {
+    if (!e.message.includes("Unsigned identity")) throw new Error("Wrong error message: " + e.message);
+  }
+
+  // Transports refuse unsigned cards unless legacy identities are allowed
+  const errors = [];
+  const qr = new QRTransport({ nacl, naclUtil });
+  qr.onError = (e) => errors.push(e);
+  if (qr.processScanned(JSON.stringify(legacy)) !== null || errors.length !== 1) throw new Error("Transport accepted an unsigned identity");
+  const legacyQr = new QRTransport({ nacl, naclUtil, requireSignedIdentity: false });
+  if (legacyQr.processScanned(JSON.stringify(legacy))?.kind !== "dmesh-id") throw new Error("Opt-out did not accept a legacy identity");
+});
+
+test("verifyPublicIdentity rejects swapped keys, edited fields and expired identities", () => {
+  const alice = makeMember("Alice");
+  const mallory = makeMember("Mallory");
+  const ts = Date.now();
+  const id = DMesh.createPublicIdentity({
+    name: "Alice",
+    signPK: alice.sign.publicKey,
+    signSK: alice.sign.secretKey,
+    boxPK: alice.box.publicKey,
+    ts,
+    ttlMs: 60 * 60 * 1000
+  }, nacl, naclUtil);
+
+  const cases = [
+    { identity: { ...id, boxPK: mallory.contact.boxPK }, expected: "Invalid identity signature" },
+    { identity: { ...id, name: "Alice (Red Cross)" }, expected: "Invalid identity signature" },
+    { identity: { ...id, exp: id.exp + 1 }, expected: "Invalid identity signature" },
+    { identity: { ...id, meta: { role: "medic" } }, expected: "Invalid identity signature" },
+    { identity: { ...id, fp: mallory.contact.fp }, expected: "Fingerprint mismatch" },
+    { identity: id, now: ts + 2 * 60 * 60 * 1000, expected: "Identity expired" },
+    { identity: id, now: ts - DMesh.MAX_SKEW_MS - 1, expected: "Identity issued in the future" }
+  ];
+  for (const { identity, now, expected } of cases) {
+    try {
+      DMesh.verifyPublicIdentity({ identity, now }, nacl, naclUtil);
+      throw new Error(`Accepted: ${expected}`);
+    } catch (e) {
+      if (!e.message.includes(expected)) {
+        throw new Error("Wrong error message: " + e.message);
+      }
+    }
+  }
+});
+
 test("encryptMessage creates valid encrypted message", () => {
   const aliceSign = DMesh.generateSignKeyPair(nacl);
   const aliceBox = DMesh.generateBoxKeyPair(nacl);
@@ -343,6 +428,55 @@ test("generateSafetyNumber is symmetric", () => {
   if (!/^\d{4}-\d{4}$/.test(sn1)) throw new Error("Invalid safety number format");
 });
 
+test("generateSafetyNumberV2 is symmetric and covers both keys", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const aliceKeys = { signPK: alice.sign.publicKey, boxPK: alice.box.publicKey };
+  const bobKeys = { signPK: bob.sign.publicKey, boxPK: bob.box.publicKey };
+
+  const sn1 = DMesh.generateSafetyNumberV2(aliceKeys, bobKeys, nacl, naclUtil);
+  const sn2 = DMesh.generateSafetyNumberV2(bobKeys, aliceKeys, nacl, naclUtil);
+
+  if (sn1 !== sn2) throw new Error("Safety number should be symmetric");
+  if (!/^(\d{5} ){11}\d{5}$/.test(sn1)) throw new Error("Invalid safety number format: " + sn1);
+
+  // A substituted box key (same signing key) changes the number
+  const mitmKeys = { ...bobKeys, boxPK: DMesh.generateBoxKeyPair(nacl).publicKey };
+  if (DMesh.generateSafetyNumberV2(aliceKeys, mitmKeys, nacl, naclUtil) === sn1) {
+    throw new Error("Box key not covered by safety number");
+  }
+});
+
+test("checkVerificationCode accepts matching keys and detects MITM", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const mallory = makeMember("Mallory");
+  const aliceKeys = { signPK: alice.sign.publicKey, boxPK: alice.box.publicKey };
+  const bobKeys = { signPK: bob.sign.publicKey, boxPK: bob.box.publicKey };
+
+  // Bob shows his code, Alice scans it
+  const code = DMesh.createVerificationCode({ localKeys: bobKeys, remoteKeys: aliceKeys }, nacl, naclUtil);
+  if (code.kind !== DMesh.VERIFY_KIND || code.fp !== bob.contact.fp) throw new Error("Wrong code");
+  DMesh.checkVerificationCode({ code, localKeys: aliceKeys, remoteKeys: bobKeys }, nacl, naclUtil);
+
+  // Alice's stored "Bob" has Mallory's box key: MITM on key exchange
+  const cases = [
+    { code, remoteKeys: { ...bobKeys, boxPK: mallory.box.publicKey }, expected: "Safety number mismatch" },
+    { code: { ...code, version: 1 }, remoteKeys: bobKeys, expected: "Unsupported safety number version" },
+    { code: { ...code, peerFp: mallory.contact.fp }, remoteKeys: bobKeys, expected: "Verification code is for another identity" }
+  ];
+  for (const { code: scanned, remoteKeys, expected } of cases) {
+    try {
+      DMesh.checkVerificationCode({ code: scanned, localKeys: aliceKeys, remoteKeys }, nacl, naclUtil);
+      throw new Error("Invalid verification code accepted");
+    } catch (e) {
+      if (!e.message.includes(expected)) {
+        throw new Error("Wrong error message: " + e.message);
+      }
+    }
+  }
+});
+
 test("messageIdFromCiphertext produces 32-byte ID", () => {
   const ciphertext = nacl.randomBytes(100);
   const msgId = DMesh.messageIdFromCiphertext(ciphertext, nacl);
@@ -371,6 +505,84 @@ test("isMessageValid validates expiration correctly", () => {
   }
 });
 
+test("Context clock drives expiry at the exact boundary", () => {
+  const aliceSign = DMesh.generateSignKeyPair(nacl);
+  const aliceBox = DMesh.generateBoxKeyPair(nacl);
+  const bobBox = DMesh.generateBoxKeyPair(nacl);
+  let clock = 1_000_000;
+  const ctx = { now: () => clock };
+
+  const msg = DMesh.encryptMessage({
+    content: "Expires soon",
+    senderSignPK: aliceSign.publicKey,
+    senderSignSK: aliceSign.secretKey,
+    senderBoxPK: aliceBox.publicKey,
+    senderBoxSK: aliceBox.secretKey,
+    recipientBoxPK: bobBox.publicKey,
+    ttlMs: 60000
+  }, nacl, naclUtil, ctx);
+  if (msg.ts !== 1_000_000 || msg.exp !== 1_060_000) throw new Error("ts/exp not taken from context");
+
+  const decrypt = () => DMesh.decryptMessage({
+    message: msg,
+    recipientBoxPK: bobBox.publicKey,
+    recipientBoxSK: bobBox.secretKey
+  }, nacl, naclUtil, ctx);
+
+  clock = msg.exp;
+  if (!DMesh.isMessageValid(msg, {}, ctx)) throw new Error("Should be valid at exp");
+  decrypt();
+
+  clock = msg.exp + 1;
+  if (DMesh.isMessageValid(msg, {}, ctx)) throw new Error("Should be invalid after exp");
+  try {
+    decrypt();
+    throw new Error("Should have thrown");
+  } catch (e) {
+    if (e.code !== ErrorCode.MESSAGE_EXPIRED) throw e;
+  }
+});
+
+test("Seeded context makes encryption reproducible", () => {
+  const seeded = () => {
+    let counter = 0;
+    return {
+      now: () => 1706012345678,
+      randomBytes: (n) => nacl.hash(naclUtil.decodeUTF8(`seed_${counter++}`)).slice(0, n)
+    };
+  };
+  const aliceSign = DMesh.generateSignKeyPair(nacl, seeded());
+  const aliceBox = DMesh.generateBoxKeyPair(nacl, seeded());
+  const bobBox = DMesh.generateBoxKeyPair(nacl);
+  const params = {
+    content: "Same every time",
+    senderSignPK: aliceSign.publicKey,
+    senderSignSK: aliceSign.secretKey,
+    senderBoxPK: aliceBox.publicKey,
+    senderBoxSK: aliceBox.secretKey,
+    recipientBoxPK: bobBox.publicKey
+  };
+
+  const a = DMesh.encryptMessage(params, nacl, naclUtil, seeded());
+  const b = DMesh.encryptMessage(params, nacl, naclUtil, seeded());
+  if (JSON.stringify(a) !== JSON.stringify(b)) throw new Error("Output differs for the same context");
+  if (DMesh.encryptMessage(params, nacl, naclUtil).ephPK === a.ephPK) throw new Error("Default RNG not used");
+
+  const result = DMesh.decryptMessage({
+    message: a,
+    recipientBoxPK: bobBox.publicKey,
+    recipientBoxSK: bobBox.secretKey
+  }, nacl, naclUtil, { now: () => 1706012345678 });
+  if (result.content !== "Same every time") throw new Error("Content mismatch");
+
+  try {
+    DMesh.encryptMessage(params, nacl, naclUtil, { randomBytes: () => new Uint8Array(4) });
+    throw new Error("Should have thrown");
+  } catch (e) {
+    if (e.code !== ErrorCode.INVALID_PARAMETER) throw e;
+  }
+});
+
 test("decryptMessage calls replay check function", () => {
   const aliceSign = DMesh.generateSignKeyPair(nacl);
   const aliceBox = DMesh.generateBoxKeyPair(nacl);
@@ -439,10 +651,2381 @@ test("concatU8 concatenates arrays correctly", () => {
   }
 });
 
+test("encryptMessageMulti decrypts for every recipient", () => {
+  const aliceSign = DMesh.generateSignKeyPair(nacl);
+  const aliceBox = DMesh.generateBoxKeyPair(nacl);
+  const bobBox = DMesh.generateBoxKeyPair(nacl);
+  const carolBox = DMesh.generateBoxKeyPair(nacl);
+
+  const msg = DMesh.encryptMessageMulti({
+    content: "I'm safe",
+    senderSignPK: aliceSign.publicKey,
+    senderSignSK: aliceSign.secretKey,
+    senderBoxPK: aliceBox.publicKey,
+    recipientBoxPKs: [bobBox.publicKey, carolBox.publicKey],
+    type: "im_safe"
+  }, nacl, naclUtil);
+
+  if (msg.kind !== "dmesh-msg-multi") throw new Error("Invalid kind");
+  if (msg.recipients.length !== 2) throw new Error("Invalid recipient count");
+  if (!msg.msgId || !msg.exp) throw new Error("Missing msgId or exp");
+
+  for (const box of [bobBox, carolBox]) {
+    const result = DMesh.decryptMessage({
+      message: msg,
+      recipientBoxPK: box.publicKey,
+      recipientBoxSK: box.secretKey,
+      expectedSenderSignPK: aliceSign.publicKey,
+      expectedSenderBoxPK: aliceBox.publicKey
+    }, nacl, naclUtil);
+    if (result.content !== "I'm safe") throw new Error("Decrypted content mismatch");
+    if (result.type !== "im_safe") throw new Error("Type mismatch");
+    if (result.msgId !== msg.msgId) throw new Error("msgId mismatch");
+  }
+});
+
+test("decryptMessage rejects multi message for non-recipient", () => {
+  const aliceSign = DMesh.generateSignKeyPair(nacl);
+  const aliceBox = DMesh.generateBoxKeyPair(nacl);
+  const bobBox = DMesh.generateBoxKeyPair(nacl);
+  const eveBox = DMesh.generateBoxKeyPair(nacl);
+
+  const msg = DMesh.encryptMessageMulti({
+    content: "Family only",
+    senderSignPK: aliceSign.publicKey,
+    senderSignSK: aliceSign.secretKey,
+    senderBoxPK: aliceBox.publicKey,
+    recipientBoxPKs: [bobBox.publicKey]
+  }, nacl, naclUtil);
+
+  try {
+    DMesh.decryptMessage({
+      message: msg,
+      recipientBoxPK: eveBox.publicKey,
+      recipientBoxSK: eveBox.secretKey
+    }, nacl, naclUtil);
+    throw new Error("Should have rejected non-recipient");
+  } catch (e) {
+    if (!e.message.includes("Not intended for this recipient")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+});
+
+test("decryptMessage rejects multi message with injected recipient", () => {
+  const aliceSign = DMesh.generateSignKeyPair(nacl);
+  const aliceBox = DMesh.generateBoxKeyPair(nacl);
+  const bobBox = DMesh.generateBoxKeyPair(nacl);
+  const eveBox = DMesh.generateBoxKeyPair(nacl);
+
+  const msg = DMesh.encryptMessageMulti({
+    content: "Family only",
+    senderSignPK: aliceSign.publicKey,
+    senderSignSK: aliceSign.secretKey,
+    senderBoxPK: aliceBox.publicKey,
+    recipientBoxPKs: [bobBox.publicKey]
+  }, nacl, naclUtil);
+
+  // Eve swaps in her own key for Bob's entry
+  msg.recipients[0].boxPK = naclUtil.encodeBase64(eveBox.publicKey);
+
+  try {
+    DMesh.decryptMessage({
+      message: msg,
+      recipientBoxPK: eveBox.publicKey,
+      recipientBoxSK: eveBox.secretKey
+    }, nacl, naclUtil);
+    throw new Error("Should have rejected tampered recipient list");
+  } catch (e) {
+    if (!e.message.includes("Invalid signature")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+});
+
+test("chunkMessage round-trips multi-recipient messages", () => {
+  const aliceSign = DMesh.generateSignKeyPair(nacl);
+  const aliceBox = DMesh.generateBoxKeyPair(nacl);
+  const recipients = [1, 2, 3].map(() => DMesh.generateBoxKeyPair(nacl));
+
+  const msg = DMesh.encryptMessageMulti({
+    content: "Meet at the school gym",
+    senderSignPK: aliceSign.publicKey,
+    senderSignSK: aliceSign.secretKey,
+    senderBoxPK: aliceBox.publicKey,
+    recipientBoxPKs: recipients.map(r => r.publicKey)
+  }, nacl, naclUtil);
+
+  const chunks = DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil, { framing: "json" });
+  if (chunks.length < 2) throw new Error("Expected multiple chunks");
+  if (chunks[0].msgId !== msg.msgId) throw new Error("Chunk msgId mismatch");
+
+  const reassembled = DMesh.reassembleChunks(chunks.reverse(), naclUtil);
+  const result = DMesh.decryptMessage({
+    message: reassembled,
+    recipientBoxPK: recipients[2].publicKey,
+    recipientBoxSK: recipients[2].secretKey
+  }, nacl, naclUtil);
+  if (result.content !== "Meet at the school gym") throw new Error("Content mismatch");
+});
+
+test("encodeMessageBinary round-trips dmesh-msg and is smaller than JSON", () => {
+  const aliceSign = DMesh.generateSignKeyPair(nacl);
+  const aliceBox = DMesh.generateBoxKeyPair(nacl);
+  const bobBox = DMesh.generateBoxKeyPair(nacl);
+
+  const msg = DMesh.encryptMessage({
+    content: "Water at the shrine",
+    senderSignPK: aliceSign.publicKey,
+    senderSignSK: aliceSign.secretKey,
+    senderBoxPK: aliceBox.publicKey,
+    senderBoxSK: aliceBox.secretKey,
+    recipientBoxPK: bobBox.publicKey
+  }, nacl, naclUtil);
+
+  const bin = DMesh.encodeMessageBinary(msg, naclUtil);
+  if (bin[0] !== DMesh.BINARY_MAGIC) throw new Error("Missing magic byte");
+  if (bin.length >= JSON.stringify(msg).length * 0.7) throw new Error("Binary format not compact");
+
+  const decoded = DMesh.decodeMessageBinary(bin, nacl, naclUtil);
+  if (JSON.stringify(decoded) !== JSON.stringify(msg)) throw new Error("Round-trip mismatch");
+
+  const result = DMesh.decryptMessage({
+    message: decoded,
+    recipientBoxPK: bobBox.publicKey,
+    recipientBoxSK: bobBox.secretKey
+  }, nacl, naclUtil);
+  if (result.content !== "Water at the shrine") throw new Error("Content mismatch");
+
+  try {
+    DMesh.decodeMessageBinary(bin.slice(0, bin.length - 1), nacl, naclUtil);
+    throw new Error("Should have rejected truncated message");
+  } catch (e) {
+    if (!e.message.includes("truncated")) throw new Error("Wrong error message: " + e.message);
+  }
+});
+
+test("parseWireData detects JSON and binary for multi-recipient messages", () => {
+  const aliceSign = DMesh.generateSignKeyPair(nacl);
+  const aliceBox = DMesh.generateBoxKeyPair(nacl);
+  const recipients = [1, 2].map(() => DMesh.generateBoxKeyPair(nacl));
+
+  const msg = DMesh.encryptMessageMulti({
+    content: "Roll call",
+    senderSignPK: aliceSign.publicKey,
+    senderSignSK: aliceSign.secretKey,
+    senderBoxPK: aliceBox.publicKey,
+    recipientBoxPKs: recipients.map(r => r.publicKey)
+  }, nacl, naclUtil);
+  const bin = DMesh.encodeMessageBinary(msg, naclUtil);
+
+  const inputs = [
+    JSON.stringify(msg, null, 2),
+    naclUtil.encodeBase64(bin),
+    bin,
+    naclUtil.decodeUTF8(JSON.stringify(msg))
+  ];
+  for (const input of inputs) {
+    const parsed = DMesh.parseWireData(input, nacl, naclUtil);
+    if (JSON.stringify(parsed) !== JSON.stringify(msg)) throw new Error("Parsed message mismatch");
+  }
+});
+
+test("chunkMessage round-trips binary format at LORA size", () => {
+  const aliceSign = DMesh.generateSignKeyPair(nacl);
+  const aliceBox = DMesh.generateBoxKeyPair(nacl);
+  const bobBox = DMesh.generateBoxKeyPair(nacl);
+
+  const msg = DMesh.encryptMessage({
+    content: "Bridge on route 9 is out",
+    senderSignPK: aliceSign.publicKey,
+    senderSignSK: aliceSign.secretKey,
+    senderBoxPK: aliceBox.publicKey,
+    senderBoxSK: aliceBox.secretKey,
+    recipientBoxPK: bobBox.publicKey
+  }, nacl, naclUtil);
+
+  const jsonChunks = DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil, { framing: "json" });
+  const binChunks = DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil, { format: "binary", framing: "json" });
+  if (binChunks.length >= jsonChunks.length) throw new Error("Binary chunks not fewer than JSON chunks");
+
+  const reassembled = DMesh.reassembleChunks(binChunks, naclUtil);
+  if (reassembled.msgId !== msg.msgId) throw new Error("msgId mismatch");
+  const result = DMesh.decryptMessage({
+    message: reassembled,
+    recipientBoxPK: bobBox.publicKey,
+    recipientBoxSK: bobBox.secretKey
+  }, nacl, naclUtil);
+  if (result.content !== "Bridge on route 9 is out") throw new Error("Content mismatch");
+});
+
+test("chunkMessage with parity rebuilds the message from any k chunks", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const content = "Family of four at the north gym, grandmother needs insulin. ".repeat(8);
+  const msg = DMesh.encryptMessage({
+    content,
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+
+  for (const format of ["json", "binary"]) {
+    const chunks = DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil, { format, framing: "json", parity: 3 });
+    const { k, total } = chunks[0];
+    if (chunks[0].kind !== DMesh.FEC_CHUNK_KIND) throw new Error("Expected FEC chunks");
+    if (total !== k + 3 || chunks.length !== total || k < 3) throw new Error("Unexpected chunk counts");
+
+    // Lose any three chunks: leading data chunks, trailing parity chunks, or a mix
+    const losses = [[0, 1, 2], [total - 3, total - 2, total - 1], [0, Math.floor(k / 2), total - 1]];
+    for (const lost of losses) {
+      const kept = chunks.filter(c => !lost.includes(c.seq)).reverse();
+      const result = DMesh.decryptMessage({
+        message: DMesh.reassembleChunks(kept, naclUtil, nacl),
+        recipientBoxPK: bob.box.publicKey,
+        recipientBoxSK: bob.box.secretKey
+      }, nacl, naclUtil);
+      if (result.content !== content) throw new Error(`Content mismatch (${format}, lost ${lost})`);
+    }
+  }
+});
+
+test("reassembleChunks needs k distinct FEC chunks with matching parameters", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const msg = DMesh.encryptMessage({
+    content: "x".repeat(500),
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+  const chunks = DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil, { framing: "json", parity: 2 });
+  const k = chunks[0].k;
+
+  const expectCode = (input, code) => {
+    try {
+      DMesh.reassembleChunks(input, naclUtil);
+      throw new Error(`Expected ${code}`);
+    } catch (e) {
+      if (e.code !== code) throw new Error(`Expected ${code}, got: ${e.message}`);
+    }
+  };
+  // Duplicates of one chunk do not count twice
+  expectCode([...chunks.slice(0, k - 1), chunks[0]], ErrorCode.CHUNK_INCOMPLETE);
+  expectCode(chunks.map((c, i) => (i === 1 ? { ...c, size: c.size + 1 } : c)), ErrorCode.CHUNK_INVALID);
+  expectCode([chunks[0], { ...chunks[1], kind: "dmesh-chunk" }], ErrorCode.CHUNK_INVALID);
+  if (DMesh.chunksNeeded(chunks[0]) !== k) throw new Error("chunksNeeded mismatch");
+});
+
+test("chunkMessage uses compact frames for LoRa-sized chunks", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const content = "Road to the shelter is flooded, use the bridge on route 9. ".repeat(6);
+  const msg = DMesh.encryptMessage({
+    content,
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+  const decrypt = (message) => DMesh.decryptMessage({
+    message,
+    recipientBoxPK: bob.box.publicKey,
+    recipientBoxSK: bob.box.secretKey
+  }, nacl, naclUtil).content;
+
+  const frames = DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil, { format: "binary" });
+  const jsonChunks = DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil, { format: "binary", framing: "json" });
+  if (!frames.every(f => f instanceof Uint8Array && f.length <= DMesh.LORA_MAX_CHUNK_SIZE && DMesh.isChunkFrame(f))) {
+    throw new Error("Expected compact frames within the MTU");
+  }
+  if (frames.length * 3 > jsonChunks.length) throw new Error("Compact frames not at least 3x fewer");
+  if (decrypt(DMesh.reassembleChunks([...frames].reverse(), naclUtil, nacl)) !== content) throw new Error("Content mismatch");
+
+  // Frames survive base64 transports, and FEC frames rebuild from any k
+  const parsed = frames.map(f => DMesh.parseWireData(naclUtil.encodeBase64(f), nacl, naclUtil));
+  if (!parsed.every(c => c.kind === "dmesh-chunk" && c.truncated)) throw new Error("Frame not parsed as chunk");
+  const fecFrames = DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil, { parity: 2 });
+  const k = DMesh.decodeChunkFrame(fecFrames[0], naclUtil).k;
+  if (fecFrames.length !== k + 2) throw new Error("FEC frame count mismatch");
+  if (decrypt(DMesh.reassembleChunks(fecFrames.slice(2), naclUtil, nacl)) !== content) throw new Error("FEC content mismatch");
+});
+
+test("Compact frames need nacl and a msgId prefix matching the ciphertext", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const encrypt = (content) => DMesh.encryptMessage({
+    content,
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+  const msg = encrypt("Generator fuel at the school");
+  const other = encrypt("Generator fuel at the church");
+  const frames = DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil);
+  const otherPrefix = naclUtil.decodeBase64(other.msgId).slice(0, DMesh.CHUNK_FRAME_MSGID_BYTES);
+  const relabeled = frames.map(f => {
+    const copy = f.slice();
+    copy.set(otherPrefix, 2);
+    return copy;
+  });
+
+  const expectCode = (run, code) => {
+    try {
+      run();
+      throw new Error(`Expected ${code}`);
+    } catch (e) {
+      if (e.code !== code) throw new Error(`Expected ${code}, got: ${e.message}`);
+    }
+  };
+  expectCode(() => DMesh.reassembleChunks(frames, naclUtil), ErrorCode.INVALID_PARAMETER);
+  expectCode(() => DMesh.reassembleChunks(relabeled, naclUtil, nacl), ErrorCode.MSGID_MISMATCH);
+  expectCode(() => DMesh.decodeChunkFrame(frames[0].slice(0, 5), naclUtil), ErrorCode.CHUNK_INVALID);
+  expectCode(() => DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil, {
+    signer: { signPK: alice.sign.publicKey, signSK: alice.sign.secretKey }
+  }), ErrorCode.INVALID_PARAMETER);
+});
+
+test("Signed chunk manifest rejects forged chunks and ties the set to the sender", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const mallory = makeMember("Mallory");
+  const msg = DMesh.encryptMessage({
+    content: "Evacuate to the north gym, not the school",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+
+  const [manifest, ...chunks] = DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil, { framing: "json", signer: { signPK: alice.sign.publicKey, signSK: alice.sign.secretKey } });
+  if (manifest.kind !== DMesh.CHUNK_MANIFEST_KIND || manifest.hashes.length !== chunks.length) {
+    throw new Error("Expected a manifest listing every chunk");
+  }
+  const verified = DMesh.verifyChunkManifest(manifest, nacl, naclUtil);
+  const forged = { ...chunks[1], data: naclUtil.encodeBase64(nacl.randomBytes(naclUtil.decodeBase64(chunks[1].data).length)) };
+  if (!DMesh.isChunkAuthentic(chunks[1], verified, nacl, naclUtil)) throw new Error("Genuine chunk rejected");
+  if (DMesh.isChunkAuthentic(forged, verified, nacl, naclUtil)) throw new Error("Forged chunk accepted");
+
+  const reassembled = DMesh.reassembleChunks([manifest, ...chunks], naclUtil, nacl);
+  if (reassembled.msgId !== msg.msgId) throw new Error("msgId mismatch");
+
+  const expectCode = (input, code) => {
+    try {
+      DMesh.reassembleChunks(input, naclUtil, nacl);
+      throw new Error(`Expected ${code}`);
+    } catch (e) {
+      if (e.code !== code) throw new Error(`Expected ${code}, got: ${e.message}`);
+    }
+  };
+  expectCode([manifest, ...chunks.map((c, i) => (i === 1 ? forged : c))], ErrorCode.CHUNK_INVALID);
+  expectCode([{ ...manifest, hashes: [...manifest.hashes].reverse() }, ...chunks], ErrorCode.SIGNATURE_INVALID);
+  // A relay's own manifest is valid but not the sender's
+  expectCode([DMesh.createChunkManifest(chunks, { signPK: mallory.sign.publicKey, signSK: mallory.sign.secretKey }, nacl, naclUtil), ...chunks], ErrorCode.CHUNK_INVALID);
+});
+
+test("reassembleChunks re-derives msgId from the reassembled ciphertext", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const encrypt = (content) => DMesh.encryptMessage({
+    content,
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+  const msg = encrypt("Shelter at the north gym");
+  const other = encrypt("Shelter at the south gym");
+
+  for (const format of ["json", "binary"]) {
+    const relabeled = DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil, { format, framing: "json" })
+      .map(c => ({ ...c, msgId: other.msgId }));
+    try {
+      DMesh.reassembleChunks(relabeled, naclUtil, nacl);
+      throw new Error("Relabeled chunks accepted");
+    } catch (e) {
+      if (e.code !== ErrorCode.MSGID_MISMATCH) throw new Error(`Wrong error (${format}): ${e.message}`);
+    }
+  }
+});
+
+test("QRTransport drops forged chunks on arrival and completes with the genuine copy", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const msg = DMesh.encryptMessage({
+    content: "Water distribution at noon. ".repeat(10),
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+  const [manifest, ...chunks] = DMesh.chunkMessage(msg, 400, nacl, naclUtil, { signer: { signPK: alice.sign.publicKey, signSK: alice.sign.secretKey } });
+  const forged = { ...chunks[0], data: naclUtil.encodeBase64(nacl.randomBytes(32)) };
+
+  const qr = new QRTransport({ nacl, naclUtil, requireManifest: true });
+  const errors = [];
+  qr.onError = (e) => errors.push(e);
+
+  // Forged chunk before the manifest is pruned; after it, rejected outright
+  qr.processScanned(JSON.stringify(forged));
+  qr.processScanned(JSON.stringify(manifest));
+  qr.processScanned(JSON.stringify(forged));
+  if (errors.length !== 1 || errors[0].code !== ErrorCode.CHUNK_INVALID) throw new Error("Forged chunk not reported");
+  if (!qr.getChunkProgress(msg.msgId)?.authenticated) throw new Error("Manifest not applied");
+
+  let result = null;
+  for (const chunk of chunks) {
+    result = qr.processScanned(JSON.stringify(chunk));
+  }
+  if (!result || result.msgId !== msg.msgId) throw new Error("Message not rebuilt");
+  if (qr.processScanned(JSON.stringify(chunks[0])) !== null) throw new Error("Completed message rebuilt twice");
+});
+
+test("QRTransport still rebuilds the genuine chunks after an attacker manifest sent first", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const mallory = makeMember("Mallory");
+  const msg = DMesh.encryptMessage({
+    content: "Water distribution at noon. ".repeat(10),
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+  const [manifest, ...chunks] = DMesh.chunkMessage(msg, 400, nacl, naclUtil, { signer: { signPK: alice.sign.publicKey, signSK: alice.sign.secretKey } });
+  const forged = chunks.map(c => ({ ...c, data: naclUtil.encodeBase64(nacl.randomBytes(32)) }));
+  const malloryKeys = { signPK: mallory.sign.publicKey, signSK: mallory.sign.secretKey };
+  const attacks = [
+    DMesh.createChunkManifest(forged, malloryKeys, nacl, naclUtil), // Lists her own chunks
+    DMesh.createChunkManifest(chunks, malloryKeys, nacl, naclUtil) // Re-signs the genuine hashes
+  ];
+
+  for (const attack of attacks) {
+    for (const requireManifest of [true, false]) {
+      const qr = new QRTransport({ nacl, naclUtil, requireManifest });
+      const errors = [];
+      qr.onError = (e) => errors.push(e);
+
+      qr.processScanned(JSON.stringify(attack));
+      let result = null;
+      for (const frame of [manifest, ...chunks]) {
+        result = qr.processScanned(JSON.stringify(frame)) || result;
+      }
+      if (result?.msgId !== msg.msgId) {
+        throw new Error(`Genuine chunks locked out (requireManifest ${requireManifest}): ${errors.map(e => e.message).join("; ")}`);
+      }
+    }
+  }
+});
+
+test("deflateRaw/inflateRaw interoperate with zlib", () => {
+  const text = "避難所は小学校の体育館です。水と毛布があります。".repeat(20);
+  const input = naclUtil.decodeUTF8(text);
+
+  const ours = Compress.deflateRaw(input);
+  if (ours.length >= input.length / 4) throw new Error("Poor compression ratio");
+  if (!zlib.inflateRawSync(ours).equals(Buffer.from(input))) throw new Error("zlib cannot inflate our output");
+
+  const theirs = new Uint8Array(zlib.deflateRawSync(Buffer.from(input)));
+  if (naclUtil.encodeUTF8(Compress.inflateRaw(theirs)) !== text) throw new Error("Cannot inflate zlib output");
+});
+
+test("encryptMessage compress option shrinks ciphertext and decrypts", () => {
+  const aliceSign = DMesh.generateSignKeyPair(nacl);
+  const aliceBox = DMesh.generateBoxKeyPair(nacl);
+  const bobBox = DMesh.generateBoxKeyPair(nacl);
+  const content = "無事です。家族全員、東小学校の体育館に避難しています。".repeat(8);
+
+  const params = {
+    content,
+    senderSignPK: aliceSign.publicKey,
+    senderSignSK: aliceSign.secretKey,
+    senderBoxPK: aliceBox.publicKey,
+    senderBoxSK: aliceBox.secretKey,
+    recipientBoxPK: bobBox.publicKey
+  };
+  const plain = DMesh.encryptMessage(params, nacl, naclUtil);
+  const compressed = DMesh.encryptMessage({ ...params, compress: true }, nacl, naclUtil);
+  if (compressed.ciphertext.length >= plain.ciphertext.length / 2) throw new Error("Ciphertext not compressed");
+
+  const result = DMesh.decryptMessage({
+    message: compressed,
+    recipientBoxPK: bobBox.publicKey,
+    recipientBoxSK: bobBox.secretKey
+  }, nacl, naclUtil);
+  if (result.content !== content) throw new Error("Content mismatch");
+});
+
+test("decryptMessage enforces decompressed size limit", () => {
+  const aliceSign = DMesh.generateSignKeyPair(nacl);
+  const aliceBox = DMesh.generateBoxKeyPair(nacl);
+  const bobBox = DMesh.generateBoxKeyPair(nacl);
+
+  const msg = DMesh.encryptMessage({
+    content: "0".repeat(100000),
+    senderSignPK: aliceSign.publicKey,
+    senderSignSK: aliceSign.secretKey,
+    senderBoxPK: aliceBox.publicKey,
+    senderBoxSK: aliceBox.secretKey,
+    recipientBoxPK: bobBox.publicKey,
+    compress: true
+  }, nacl, naclUtil);
+
+  try {
+    DMesh.decryptMessage({
+      message: msg,
+      recipientBoxPK: bobBox.publicKey,
+      recipientBoxSK: bobBox.secretKey,
+      options: { maxDecompressedBytes: 10000 }
+    }, nacl, naclUtil);
+    throw new Error("Should have rejected oversized payload");
+  } catch (e) {
+    if (!e.message.includes("Decompressed size limit exceeded")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+});
+
+test("pad option hides payload size differences", () => {
+  const aliceSign = DMesh.generateSignKeyPair(nacl);
+  const aliceBox = DMesh.generateBoxKeyPair(nacl);
+  const bobBox = DMesh.generateBoxKeyPair(nacl);
+  const base = {
+    senderSignPK: aliceSign.publicKey,
+    senderSignSK: aliceSign.secretKey,
+    senderBoxPK: aliceBox.publicKey,
+    senderBoxSK: aliceBox.secretKey,
+    recipientBoxPK: bobBox.publicKey,
+    pad: true
+  };
+
+  const safe = DMesh.encryptMessage({ ...base, content: "", type: "im_safe" }, nacl, naclUtil);
+  const help = DMesh.encryptMessage({
+    ...base,
+    content: "Trapped on 2nd floor",
+    type: "need_help",
+    payloadExtra: { location: { lat: 35.6812, lng: 139.7671, accuracy: 12 }, urgency: "critical", needs: ["rescue"] }
+  }, nacl, naclUtil);
+
+  const safeCt = naclUtil.decodeBase64(safe.ciphertext);
+  const helpCt = naclUtil.decodeBase64(help.ciphertext);
+  if (safeCt.length !== helpCt.length) throw new Error("Ciphertext lengths differ");
+  if (safeCt.length !== DMesh.PADDING_BUCKETS[0] + nacl.box.overheadLength) throw new Error("Unexpected bucket");
+
+  const result = DMesh.decryptMessage({
+    message: help,
+    recipientBoxPK: bobBox.publicKey,
+    recipientBoxSK: bobBox.secretKey
+  }, nacl, naclUtil);
+  if (result.type !== "need_help" || result.payload.urgency !== "critical") throw new Error("Payload mismatch");
+});
+
+test("decodePayloadBytes handles custom buckets and rejects bad padding", () => {
+  const payload = { v: 1, ts: 1706012345678, type: "text", content: "こんにちは".repeat(30) };
+  const framed = DMesh.encodePayloadBytes(payload, { compress: true, pad: [64, 128] }, naclUtil);
+  if (framed.length % 128 !== 0) throw new Error("Not padded to custom bucket");
+  if (framed[0] !== (DMesh.PAYLOAD_FLAG_DEFLATE | DMesh.PAYLOAD_FLAG_PADDED)) throw new Error("Flags mismatch");
+
+  const decoded = DMesh.decodePayloadBytes(framed, {}, naclUtil);
+  if (decoded.payload.content !== payload.content) throw new Error("Round-trip mismatch");
+
+  const noMarker = new Uint8Array(framed.length);
+  noMarker[0] = DMesh.PAYLOAD_FLAG_PADDED;
+  try {
+    DMesh.decodePayloadBytes(noMarker, {}, naclUtil);
+    throw new Error("Should have rejected missing padding marker");
+  } catch (e) {
+    if (e.code !== ErrorCode.INVALID_PAYLOAD || !e.message.includes("padding")) throw new Error("Wrong error: " + e.message);
+  }
+});
+
+test("createKeyRotation produces announcement verified by both keys", () => {
+  const oldSign = DMesh.generateSignKeyPair(nacl);
+  const newSign = DMesh.generateSignKeyPair(nacl);
+  const newBox = DMesh.generateBoxKeyPair(nacl);
+
+  const rotation = DMesh.createKeyRotation({
+    name: "Alice",
+    oldSignPK: oldSign.publicKey,
+    oldSignSK: oldSign.secretKey,
+    newSignPK: newSign.publicKey,
+    newSignSK: newSign.secretKey,
+    newBoxPK: newBox.publicKey
+  }, nacl, naclUtil);
+  if (rotation.kind !== "dmesh-keyrotate") throw new Error("Invalid kind");
+
+  const verified = DMesh.verifyKeyRotation(rotation, nacl, naclUtil);
+  if (verified.oldFp !== rotation.oldFp) throw new Error("oldFp mismatch");
+  if (verified.newBoxPK !== naclUtil.encodeBase64(newBox.publicKey)) throw new Error("newBoxPK mismatch");
+});
+
+test("verifyKeyRotation rejects rotation not signed by the old key", () => {
+  const oldSign = DMesh.generateSignKeyPair(nacl);
+  const eveSign = DMesh.generateSignKeyPair(nacl);
+  const newSign = DMesh.generateSignKeyPair(nacl);
+  const newBox = DMesh.generateBoxKeyPair(nacl);
+
+  // Eve claims Alice's old key but can only sign with her own
+  const rotation = DMesh.createKeyRotation({
+    oldSignPK: eveSign.publicKey,
+    oldSignSK: eveSign.secretKey,
+    newSignPK: newSign.publicKey,
+    newSignSK: newSign.secretKey,
+    newBoxPK: newBox.publicKey
+  }, nacl, naclUtil);
+  rotation.oldSignPK = naclUtil.encodeBase64(oldSign.publicKey);
+  rotation.oldFp = naclUtil.encodeBase64(DMesh.fingerprintFromSignPK(oldSign.publicKey, nacl));
+
+  try {
+    DMesh.verifyKeyRotation(rotation, nacl, naclUtil);
+    throw new Error("Should have rejected forged rotation");
+  } catch (e) {
+    if (!e.message.includes("Invalid old key signature")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+});
+
+function makeMember(name) {
+  const sign = DMesh.generateSignKeyPair(nacl);
+  const box = DMesh.generateBoxKeyPair(nacl);
+  return {
+    sign,
+    box,
+    contact: {
+      fp: naclUtil.encodeBase64(DMesh.fingerprintFromSignPK(sign.publicKey, nacl)),
+      name,
+      signPK: naclUtil.encodeBase64(sign.publicKey),
+      boxPK: naclUtil.encodeBase64(box.publicKey)
+    }
+  };
+}
+
+test("group sender key distribution and group message round-trip", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const group = Group.createGroup({
+    name: "Block 7 response team",
+    admin: alice.contact,
+    members: [bob.contact]
+  }, nacl, naclUtil);
+  const aliceKey = Group.generateSenderKey(nacl);
+
+  const [dist] = Group.createSenderKeyDistribution({
+    group,
+    senderKey: aliceKey,
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey
+  }, nacl, naclUtil);
+  if (dist.fp !== bob.contact.fp) throw new Error("Distribution recipient mismatch");
+
+  const parsed = Group.parseSenderKeyDistribution(DMesh.decryptMessage({
+    message: dist.message,
+    recipientBoxPK: bob.box.publicKey,
+    recipientBoxSK: bob.box.secretKey
+  }, nacl, naclUtil), naclUtil);
+  if (!parsed.fromAdmin) throw new Error("Expected admin distribution");
+  if (parsed.group.members.length !== 2) throw new Error("Member count mismatch");
+
+  const msg = Group.encryptGroupMessage({
+    group,
+    senderKey: aliceKey,
+    content: "Check on the east side",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey
+  }, nacl, naclUtil);
+  if (msg.kind !== "dmesh-group-msg") throw new Error("Invalid kind");
+
+  const result = Group.decryptGroupMessage({
+    message: msg,
+    group: parsed.group,
+    getSenderKey: (epoch, fp) => (epoch === parsed.epoch && fp === parsed.senderFp)
+      ? naclUtil.decodeBase64(parsed.senderKey)
+      : null
+  }, nacl, naclUtil);
+  if (result.content !== "Check on the east side") throw new Error("Content mismatch");
+  if (result.msgId !== msg.msgId) throw new Error("msgId mismatch");
+});
+
+test("decryptGroupMessage rejects tampered group message", () => {
+  const alice = makeMember("Alice");
+  const group = Group.createGroup({ name: "Team", admin: alice.contact }, nacl, naclUtil);
+  const key = Group.generateSenderKey(nacl);
+
+  const msg = Group.encryptGroupMessage({
+    group,
+    senderKey: key,
+    content: "Original",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey
+  }, nacl, naclUtil);
+  msg.ts += 1;
+
+  try {
+    Group.decryptGroupMessage({ message: msg, group, getSenderKey: () => key }, nacl, naclUtil);
+    throw new Error("Should have rejected tampered message");
+  } catch (e) {
+    if (!e.message.includes("Invalid signature")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+});
+
+test("A removed member cannot keep posting on the old epoch", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const mallory = makeMember("Mallory");
+  const epoch0 = Group.createGroup({
+    name: "Team",
+    admin: alice.contact,
+    members: [bob.contact, mallory.contact]
+  }, nacl, naclUtil);
+  const group = Group.removeGroupMember(epoch0, mallory.contact.fp);
+  if (Group.groupMembersAt(group, 0).length !== 3 || Group.groupMembersAt(group, 1).includes(mallory.contact.fp)) {
+    throw new Error("Epoch member lists not recorded");
+  }
+
+  const keys = { [bob.contact.fp]: Group.generateSenderKey(nacl), [mallory.contact.fp]: Group.generateSenderKey(nacl) };
+  const post = (member, content) => Group.encryptGroupMessage({
+    group: epoch0,
+    senderKey: keys[member.contact.fp],
+    content,
+    senderSignPK: member.sign.publicKey,
+    senderSignSK: member.sign.secretKey
+  }, nacl, naclUtil);
+  const receive = (message) => Group.decryptGroupMessage({
+    message,
+    group,
+    getSenderKey: (epoch, fp) => (epoch === 0 ? keys[fp] : null)
+  }, nacl, naclUtil);
+
+  if (receive(post(bob, "Sent before the rotation")).content !== "Sent before the rotation") {
+    throw new Error("Old-epoch message from a current member rejected");
+  }
+  try {
+    receive(post(mallory, "Still here"));
+    throw new Error("Removed member posted on the old epoch");
+  } catch (e) {
+    if (e.code !== ErrorCode.GROUP_NOT_MEMBER || !e.message.includes("Sender is not a group member")) throw e;
+  }
+
+  // A current member that was not part of the old epoch cannot post on it
+  const carol = makeMember("Carol");
+  const grown = Group.addGroupMember(group, carol.contact);
+  keys[carol.contact.fp] = Group.generateSenderKey(nacl);
+  try {
+    Group.decryptGroupMessage({
+      message: post(carol, "Backdated"),
+      group: grown,
+      getSenderKey: (epoch, fp) => keys[fp]
+    }, nacl, naclUtil);
+    throw new Error("Newcomer posted on an epoch it was not part of");
+  } catch (e) {
+    if (e.code !== ErrorCode.GROUP_NOT_MEMBER || !e.message.includes("Sender was not a member of this group epoch")) throw e;
+  }
+});
+
+test("removeGroupMember rotates keys so removed member cannot decrypt", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const mallory = makeMember("Mallory");
+  let group = Group.createGroup({
+    name: "Team",
+    admin: alice.contact,
+    members: [bob.contact, mallory.contact]
+  }, nacl, naclUtil);
+
+  group = Group.removeGroupMember(group, mallory.contact.fp);
+  if (group.epoch !== 1) throw new Error("Epoch not bumped");
+  if (Group.isGroupMember(group, mallory.contact.fp)) throw new Error("Member not removed");
+
+  const newKey = Group.generateSenderKey(nacl);
+  const dists = Group.createSenderKeyDistribution({
+    group,
+    senderKey: newKey,
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey
+  }, nacl, naclUtil);
+  if (dists.some(d => d.fp === mallory.contact.fp)) throw new Error("Key sent to removed member");
+
+  const msg = Group.encryptGroupMessage({
+    group,
+    senderKey: newKey,
+    content: "After removal",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey
+  }, nacl, naclUtil);
+
+  // Mallory still has the epoch 0 state and key
+  const oldKey = Group.generateSenderKey(nacl);
+  try {
+    Group.decryptGroupMessage({
+      message: msg,
+      group: { ...group, epoch: 0 },
+      getSenderKey: () => oldKey
+    }, nacl, naclUtil);
+    throw new Error("Removed member decrypted message");
+  } catch (e) {
+    if (!e.message.includes("Unknown group epoch")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+});
+
+test("signBroadcast produces alert verified by anyone", () => {
+  const authority = makeMember("Shelter HQ");
+  const alert = DMesh.signBroadcast({
+    content: "Evacuate to north gym",
+    senderSignPK: authority.sign.publicKey,
+    senderSignSK: authority.sign.secretKey,
+    type: "evacuation_order",
+    payloadExtra: { location: { lat: 35.6812, lng: 139.7671 } }
+  }, nacl, naclUtil);
+
+  if (alert.kind !== "dmesh-broadcast") throw new Error("Wrong kind");
+  if (!alert.payload.includes("Evacuate")) throw new Error("Payload should be cleartext");
+
+  const result = DMesh.verifyBroadcast({
+    message: alert,
+    expectedSenderSignPK: authority.sign.publicKey
+  }, nacl, naclUtil);
+
+  if (result.content !== "Evacuate to north gym") throw new Error("Content mismatch");
+  if (result.type !== "evacuation_order") throw new Error("Type mismatch");
+  if (result.payload.location.lng !== 139.7671) throw new Error("Extra fields lost");
+  if (naclUtil.encodeBase64(result.senderFp) !== authority.contact.fp) throw new Error("Fingerprint mismatch");
+  if (result.msgId !== alert.msgId) throw new Error("msgId mismatch");
+});
+
+test("verifyBroadcast rejects tampered payload and extended exp", () => {
+  const authority = makeMember("Shelter HQ");
+  const alert = DMesh.signBroadcast({
+    content: "Water at station 3",
+    senderSignPK: authority.sign.publicKey,
+    senderSignSK: authority.sign.secretKey
+  }, nacl, naclUtil);
+
+  const tampered = [
+    { ...alert, payload: alert.payload.replace("station 3", "station 9"), msgId: undefined },
+    { ...alert, exp: alert.exp + 24 * 60 * 60 * 1000 }
+  ];
+  for (const message of tampered) {
+    try {
+      DMesh.verifyBroadcast({ message }, nacl, naclUtil);
+      throw new Error("Tampered broadcast accepted");
+    } catch (e) {
+      if (!e.message.includes("Invalid signature")) {
+        throw new Error("Wrong error message: " + e.message);
+      }
+    }
+  }
+});
+
+test("verifyBroadcast rejects expired alerts and replays", () => {
+  const authority = makeMember("Shelter HQ");
+  const stale = DMesh.signBroadcast({
+    content: "Road open",
+    senderSignPK: authority.sign.publicKey,
+    senderSignSK: authority.sign.secretKey,
+    ts: Date.now() - 2 * 60 * 60 * 1000,
+    ttlMs: 60 * 60 * 1000
+  }, nacl, naclUtil);
+
+  try {
+    DMesh.verifyBroadcast({ message: stale }, nacl, naclUtil);
+    throw new Error("Expired broadcast accepted");
+  } catch (e) {
+    if (!e.message.includes("Message expired")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+
+  const alert = DMesh.signBroadcast({
+    content: "Road open",
+    senderSignPK: authority.sign.publicKey,
+    senderSignSK: authority.sign.secretKey
+  }, nacl, naclUtil);
+  const seen = new Set();
+  const replayCheck = (msgId, senderFp) => {
+    const key = `${senderFp}:${msgId}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+
+  DMesh.verifyBroadcast({ message: alert, replayCheck }, nacl, naclUtil);
+  try {
+    DMesh.verifyBroadcast({ message: alert, replayCheck }, nacl, naclUtil);
+    throw new Error("Replayed broadcast accepted");
+  } catch (e) {
+    if (!e.message.includes("Replay detected")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+});
+
+test("payload builders round-trip through encrypt and decrypt", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+
+  const location = { lat: 35.6812, lng: 139.7671, label: "home" };
+  const help = Payload.buildNeedHelp({
+    urgency: "high",
+    needs: ["rescue", "medical", "rescue"],
+    people: 2,
+    content: "Trapped on 2nd floor, water rising",
+    location
+  });
+  if (help.type !== "need_help") throw new Error("Wrong type");
+  if (help.payloadExtra.needs.length !== 2) throw new Error("needs not deduplicated");
+  if ("label" in help.payloadExtra.location) throw new Error("location not normalized");
+
+  const msg = DMesh.encryptMessage({
+    ...help,
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+
+  const result = DMesh.decryptMessage({
+    message: msg,
+    recipientBoxPK: bob.box.publicKey,
+    recipientBoxSK: bob.box.secretKey
+  }, nacl, naclUtil);
+
+  if (result.type !== "need_help") throw new Error("Type mismatch");
+  if (result.payload.urgency !== "high") throw new Error("Urgency mismatch");
+  if (result.payload.people !== 2) throw new Error("People mismatch");
+  if (result.payload.location.lng !== 139.7671) throw new Error("Location mismatch");
+
+  const ack = Payload.buildAck({ refMsgId: msg.msgId, content: "Help is on the way" });
+  if (ack.payloadExtra.refMsgId !== msg.msgId) throw new Error("Ack refMsgId mismatch");
+});
+
+test("validatePayload rejects malformed disaster payloads", () => {
+  const cases = [
+    [{ type: "need_help", urgency: "urgent", needs: ["rescue"] }, "urgency"],
+    [{ type: "need_help", urgency: "low" }, "needs required"],
+    [{ type: "im_safe", location: { lat: 135, lng: 139.7 } }, "location.lat"],
+    [{ type: "im_safe", location: "35.68,139.76" }, "location"],
+    [{ type: "im_safe", people: "3" }, "people"],
+    [{ type: "supplies", resources: ["water", "gold"] }, "resources"],
+    [{ type: "ack", refMsgId: "not-a-msg-id" }, "refMsgId"],
+    [{ type: "retract" }, "refMsgId required"],
+    [{ type: "text", content: 42 }, "content"]
+  ];
+  for (const [payload, expected] of cases) {
+    try {
+      Payload.validatePayload(payload);
+      throw new Error("Accepted invalid payload: " + JSON.stringify(payload));
+    } catch (e) {
+      if (!e.message.includes(expected)) {
+        throw new Error("Wrong error message: " + e.message);
+      }
+    }
+  }
+
+  // Unknown types pass through with common fields checked
+  const future = Payload.validatePayload({ type: "weather_report", content: "", windKmh: 90 });
+  if (future.windKmh !== 90) throw new Error("Unknown fields dropped");
+  if (Payload.validatePayload({ content: "hi" }).type !== "text") throw new Error("type not defaulted");
+});
+
+test("decryptMessage rejects invalid payload from sender", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+
+  // Craft a correctly signed message whose payload bypassed the builders
+  const ts = Date.now();
+  const eph = nacl.box.keyPair();
+  const nonce = nacl.randomBytes(nacl.box.nonceLength);
+  const payloadBytes = naclUtil.decodeUTF8(JSON.stringify({ v: 1, ts, type: "medical", urgency: "very", conditions: [], people: 1 }));
+  const ciphertext = nacl.box(payloadBytes, nonce, bob.box.publicKey, eph.secretKey);
+  const signBytes = DMesh.buildSignBytes({
+    senderSignPK: alice.sign.publicKey,
+    senderBoxPK: alice.box.publicKey,
+    recipientBoxPK: bob.box.publicKey,
+    ephPK: eph.publicKey,
+    nonce,
+    ts,
+    ciphertext
+  }, naclUtil);
+  const message = {
+    v: 1,
+    kind: "dmesh-msg",
+    ts,
+    senderSignPK: naclUtil.encodeBase64(alice.sign.publicKey),
+    senderBoxPK: naclUtil.encodeBase64(alice.box.publicKey),
+    recipientBoxPK: naclUtil.encodeBase64(bob.box.publicKey),
+    ephPK: naclUtil.encodeBase64(eph.publicKey),
+    nonce: naclUtil.encodeBase64(nonce),
+    ciphertext: naclUtil.encodeBase64(ciphertext),
+    signature: naclUtil.encodeBase64(nacl.sign.detached(signBytes, alice.sign.secretKey))
+  };
+
+  try {
+    DMesh.decryptMessage({
+      message,
+      recipientBoxPK: bob.box.publicKey,
+      recipientBoxSK: bob.box.secretKey
+    }, nacl, naclUtil);
+    throw new Error("Invalid payload accepted");
+  } catch (e) {
+    if (!e.message.includes("Invalid payload: urgency")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+});
+
+test("createDeliveryAck round-trips back to the original sender", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+
+  const msg = DMesh.encryptMessage({
+    content: "I'm safe",
+    type: "im_safe",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+
+  const received = DMesh.decryptMessage({
+    message: msg,
+    recipientBoxPK: bob.box.publicKey,
+    recipientBoxSK: bob.box.secretKey
+  }, nacl, naclUtil);
+
+  const ackMsg = DMesh.createDeliveryAck({
+    decrypted: received,
+    senderSignPK: bob.sign.publicKey,
+    senderSignSK: bob.sign.secretKey,
+    senderBoxPK: bob.box.publicKey,
+    senderBoxSK: bob.box.secretKey
+  }, nacl, naclUtil);
+
+  const ack = DMesh.decryptMessage({
+    message: ackMsg,
+    recipientBoxPK: alice.box.publicKey,
+    recipientBoxSK: alice.box.secretKey,
+    expectedSenderSignPK: bob.sign.publicKey
+  }, nacl, naclUtil);
+
+  const verified = DMesh.verifyDeliveryAck({ ack, originalMessage: msg }, naclUtil);
+  if (verified.refMsgId !== msg.msgId) throw new Error("refMsgId mismatch");
+  if (verified.recipientBoxPK !== bob.contact.boxPK) throw new Error("Recipient mismatch");
+
+  try {
+    DMesh.createDeliveryAck({
+      decrypted: ack,
+      senderSignPK: alice.sign.publicKey,
+      senderSignSK: alice.sign.secretKey,
+      senderBoxPK: alice.box.publicKey,
+      senderBoxSK: alice.box.secretKey
+    }, nacl, naclUtil);
+    throw new Error("Ack was acknowledged");
+  } catch (e) {
+    if (!e.message.includes("Acks are not acknowledged")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+});
+
+test("verifyDeliveryAck rejects acks from other recipients or for other messages", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const mallory = makeMember("Mallory");
+  const encrypt = (from, toBoxPK, extra) => DMesh.encryptMessage({
+    content: "",
+    senderSignPK: from.sign.publicKey,
+    senderSignSK: from.sign.secretKey,
+    senderBoxPK: from.box.publicKey,
+    senderBoxSK: from.box.secretKey,
+    recipientBoxPK: toBoxPK,
+    ...extra
+  }, nacl, naclUtil);
+  const decrypt = (message, to) => DMesh.decryptMessage({
+    message,
+    recipientBoxPK: to.box.publicKey,
+    recipientBoxSK: to.box.secretKey
+  }, nacl, naclUtil);
+
+  const msg = encrypt(alice, bob.box.publicKey, { content: "Need water" });
+  const other = encrypt(alice, bob.box.publicKey, { content: "Need food" });
+
+  const cases = [
+    [decrypt(encrypt(mallory, alice.box.publicKey, Payload.buildAck({ refMsgId: msg.msgId })), alice), "Ack not from original recipient"],
+    [decrypt(encrypt(bob, alice.box.publicKey, Payload.buildAck({ refMsgId: other.msgId })), alice), "Ack refers to another message"],
+    [decrypt(encrypt(bob, alice.box.publicKey, { content: "ok" }), alice), "Not an ack"]
+  ];
+  for (const [ack, expected] of cases) {
+    try {
+      DMesh.verifyDeliveryAck({ ack, originalMessage: msg }, naclUtil);
+      throw new Error("Invalid ack accepted");
+    } catch (e) {
+      if (!e.message.includes(expected)) {
+        throw new Error("Wrong error message: " + e.message);
+      }
+    }
+  }
+});
+
+test("verifyRevision accepts retract and correct payloads from the original sender", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const send = (extra, ts) => DMesh.decryptMessage({
+    message: DMesh.encryptMessage({
+      content: "",
+      senderSignPK: alice.sign.publicKey,
+      senderSignSK: alice.sign.secretKey,
+      senderBoxPK: alice.box.publicKey,
+      senderBoxSK: alice.box.secretKey,
+      recipientBoxPK: bob.box.publicKey,
+      ts,
+      ...extra
+    }, nacl, naclUtil),
+    recipientBoxPK: bob.box.publicKey,
+    recipientBoxSK: bob.box.secretKey
+  }, nacl, naclUtil);
+
+  const now = Date.now();
+  const original = send({ content: "We are at school A" }, now - 1000);
+  const correction = send(Payload.buildCorrect({
+    refMsgId: original.msgId,
+    content: "We are at school B",
+    location: { lat: 35.6812, lng: 139.7671 }
+  }), now);
+  const retraction = send(Payload.buildRetract({ refMsgId: original.msgId }), now);
+
+  const corrected = DMesh.verifyRevision({ revision: correction, original });
+  if (corrected.type !== "correct" || corrected.refMsgId !== original.msgId) throw new Error("Correction mismatch");
+  if (corrected.content !== "We are at school B") throw new Error("Correction content mismatch");
+  if (corrected.payload.location.lat !== 35.6812) throw new Error("Correction location mismatch");
+
+  const retracted = DMesh.verifyRevision({ revision: retraction, original });
+  if (retracted.type !== "retract" || retracted.msgId !== retraction.msgId) throw new Error("Retraction mismatch");
+});
+
+test("verifyRevision rejects revisions from other senders or of other messages", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const mallory = makeMember("Mallory");
+  const send = (from, extra, ts) => DMesh.decryptMessage({
+    message: DMesh.encryptMessage({
+      content: "",
+      senderSignPK: from.sign.publicKey,
+      senderSignSK: from.sign.secretKey,
+      senderBoxPK: from.box.publicKey,
+      senderBoxSK: from.box.secretKey,
+      recipientBoxPK: bob.box.publicKey,
+      ts,
+      ...extra
+    }, nacl, naclUtil),
+    recipientBoxPK: bob.box.publicKey,
+    recipientBoxSK: bob.box.secretKey
+  }, nacl, naclUtil);
+
+  const now = Date.now();
+  const original = send(alice, { content: "Shelter is open" }, now - 1000);
+  const other = send(alice, { content: "Water at the gym" }, now - 1000);
+  const retraction = send(alice, Payload.buildRetract({ refMsgId: original.msgId }), now);
+
+  const cases = [
+    [send(mallory, Payload.buildRetract({ refMsgId: original.msgId }), now), original, ErrorCode.SENDER_KEY_MISMATCH],
+    [send(alice, Payload.buildCorrect({ refMsgId: other.msgId, content: "x" }), now), original, ErrorCode.INVALID_PARAMETER],
+    [send(alice, Payload.buildRetract({ refMsgId: original.msgId }), now - 2000), original, ErrorCode.INVALID_PARAMETER],
+    [send(alice, Payload.buildRetract({ refMsgId: retraction.msgId }), now), retraction, ErrorCode.INVALID_PARAMETER],
+    [send(alice, { content: "not a revision" }, now), original, ErrorCode.INVALID_PARAMETER]
+  ];
+  for (const [revision, target, code] of cases) {
+    try {
+      DMesh.verifyRevision({ revision, original: target });
+      throw new Error("Invalid revision accepted");
+    } catch (e) {
+      if (e.code !== code) {
+        throw new Error("Wrong error: " + e.message);
+      }
+    }
+  }
+});
+
+test("encryptSealedMessage hides sender keys and decrypts with inner sender", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+
+  const sealed = DMesh.encryptSealedMessage({
+    content: "Meet at the school gym",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    recipientBoxPK: bob.box.publicKey,
+    compress: true
+  }, nacl, naclUtil);
+
+  if (sealed.kind !== "dmesh-msg-sealed") throw new Error("Wrong kind");
+  if ("senderSignPK" in sealed || "senderBoxPK" in sealed || "signature" in sealed) {
+    throw new Error("Sender identity visible to relays");
+  }
+  const wire = JSON.stringify(sealed);
+  if (wire.includes(alice.contact.signPK) || wire.includes(alice.contact.boxPK)) {
+    throw new Error("Sender key leaked");
+  }
+
+  const seen = new Set();
+  const replayCheck = (msgId, senderFp) => {
+    const key = `${senderFp}:${msgId}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+  const decrypt = (extra) => DMesh.decryptMessage({
+    message: sealed,
+    recipientBoxPK: bob.box.publicKey,
+    recipientBoxSK: bob.box.secretKey,
+    replayCheck,
+    ...extra
+  }, nacl, naclUtil);
+
+  const result = decrypt({ expectedSenderSignPK: alice.sign.publicKey });
+  if (result.content !== "Meet at the school gym") throw new Error("Content mismatch");
+  if (naclUtil.encodeBase64(result.senderFp) !== alice.contact.fp) throw new Error("Sender mismatch");
+  if (!seen.has(`${alice.contact.fp}:${sealed.msgId}`)) throw new Error("Replay not tracked by inner sender");
+
+  for (const [extra, expected] of [
+    [{}, "Replay detected"],
+    [{ expectedSenderSignPK: bob.sign.publicKey }, "Sender signing key mismatch"]
+  ]) {
+    try {
+      decrypt(extra);
+      throw new Error("Sealed message accepted");
+    } catch (e) {
+      if (!e.message.includes(expected)) {
+        throw new Error("Wrong error message: " + e.message);
+      }
+    }
+  }
+});
+
+test("sealed message cannot be re-sealed to another recipient", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const carol = makeMember("Carol");
+
+  const sealed = DMesh.encryptSealedMessage({
+    content: "For Bob only",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+
+  // Bob opens the envelope and forwards Alice's signed contents to Carol
+  const inner = nacl.box.open(
+    naclUtil.decodeBase64(sealed.ciphertext),
+    naclUtil.decodeBase64(sealed.nonce),
+    naclUtil.decodeBase64(sealed.ephPK),
+    bob.box.secretKey
+  );
+  const eph = nacl.box.keyPair();
+  const nonce = nacl.randomBytes(nacl.box.nonceLength);
+  const forwarded = {
+    ...sealed,
+    msgId: undefined,
+    recipientBoxPK: carol.contact.boxPK,
+    ephPK: naclUtil.encodeBase64(eph.publicKey),
+    nonce: naclUtil.encodeBase64(nonce),
+    ciphertext: naclUtil.encodeBase64(nacl.box(inner, nonce, carol.box.publicKey, eph.secretKey))
+  };
+
+  try {
+    DMesh.decryptMessage({
+      message: forwarded,
+      recipientBoxPK: carol.box.publicKey,
+      recipientBoxSK: carol.box.secretKey
+    }, nacl, naclUtil);
+    throw new Error("Re-sealed message accepted");
+  } catch (e) {
+    if (!e.message.includes("Invalid signature")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+});
+
+function ratchetSend(from, to, session, content) {
+  return Ratchet.encryptRatchetMessage({
+    session,
+    content,
+    senderSignPK: from.sign.publicKey,
+    senderSignSK: from.sign.secretKey,
+    senderBoxPK: from.box.publicKey,
+    senderBoxSK: from.box.secretKey,
+    recipientBoxPK: to.box.publicKey
+  }, nacl, naclUtil);
+}
+
+function ratchetReceive(to, session, message) {
+  const decrypted = DMesh.decryptMessage({
+    message,
+    recipientBoxPK: to.box.publicKey,
+    recipientBoxSK: to.box.secretKey
+  }, nacl, naclUtil);
+  return Ratchet.decryptRatchetMessage({
+    session,
+    decrypted,
+    recipientBoxPK: to.box.publicKey,
+    recipientBoxSK: to.box.secretKey
+  }, nacl, naclUtil);
+}
+
+test("ratchet session round-trips and advances keys on reply", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+
+  const a1 = ratchetSend(alice, bob, null, "Are you at the shelter?");
+  if (a1.message.kind !== "dmesh-msg") throw new Error("Wrong envelope");
+  const b1 = ratchetReceive(bob, null, a1.message);
+  if (b1.result.content !== "Are you at the shelter?" || !b1.result.ratchet) {
+    throw new Error("Content mismatch");
+  }
+
+  const b2 = ratchetSend(bob, alice, b1.session, "Yes, north entrance");
+  const a2 = ratchetReceive(alice, a1.session, b2.message);
+  if (a2.result.content !== "Yes, north entrance") throw new Error("Reply mismatch");
+  if (a2.session.initDh !== null) throw new Error("Init header not cleared after reply");
+  if (a2.session.rootKey === a1.session.rootKey) throw new Error("Root key not ratcheted");
+
+  const a3 = ratchetSend(alice, bob, a2.session, "On my way");
+  const b3 = ratchetReceive(bob, b2.session, a3.message);
+  if (b3.result.content !== "On my way") throw new Error("Second round mismatch");
+  if (b3.session.dhRemote === b1.session.dhRemote) throw new Error("Remote ratchet key not advanced");
+});
+
+test("ratchet handles out-of-order delivery and rejects reused keys", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+
+  const sent = [];
+  let aliceSession = null;
+  for (let i = 0; i < 4; i++) {
+    const out = ratchetSend(alice, bob, aliceSession, `update ${i}`);
+    aliceSession = out.session;
+    sent.push(out.message);
+  }
+
+  // Bob gets message 2 first, replies, then Alice moves to a new chain
+  let bobSession = ratchetReceive(bob, null, sent[2]).session;
+  const reply = ratchetSend(bob, alice, bobSession, "copy");
+  bobSession = reply.session;
+  aliceSession = ratchetReceive(alice, aliceSession, reply.message).session;
+  const late = ratchetSend(alice, bob, aliceSession, "new chain");
+  bobSession = ratchetReceive(bob, bobSession, late.message).session;
+
+  // Delayed messages from the first chain are still readable, once
+  for (const i of [0, 3, 1]) {
+    const received = ratchetReceive(bob, bobSession, sent[i]);
+    if (received.result.content !== `update ${i}`) throw new Error(`Delayed message ${i} mismatch`);
+    bobSession = received.session;
+  }
+  if (Object.keys(bobSession.skipped).length !== 0) throw new Error("Skipped keys not consumed");
+
+  try {
+    ratchetReceive(bob, bobSession, sent[1]);
+    throw new Error("Reused message key accepted");
+  } catch (e) {
+    if (!e.message.includes("Message key already used")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+});
+
+test("ratchet resolves concurrent initiation and survives long-term key compromise", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+
+  const fromAlice = ratchetSend(alice, bob, null, "hello from alice");
+  const fromBob = ratchetSend(bob, alice, null, "hello from bob");
+  const atBob = ratchetReceive(bob, fromBob.session, fromAlice.message);
+  const atAlice = ratchetReceive(alice, fromAlice.session, fromBob.message);
+  if (atBob.result.content !== "hello from alice" || atAlice.result.content !== "hello from bob") {
+    throw new Error("Concurrent init messages not readable");
+  }
+
+  // Both sides continue in the same session
+  const next = ratchetSend(alice, bob, atAlice.session, "which session?");
+  const got = ratchetReceive(bob, atBob.session, next.message);
+  if (got.result.content !== "which session?") throw new Error("Sessions did not converge");
+  const back = ratchetSend(bob, alice, got.session, "the same one");
+  const gotBack = ratchetReceive(alice, next.session, back.message);
+  if (gotBack.result.content !== "the same one") throw new Error("Reply after convergence failed");
+
+  // After a round trip, the long-term keys alone no longer decrypt
+  const after = ratchetSend(alice, bob, gotBack.session, "after the round trip");
+  try {
+    ratchetReceive(bob, null, after.message);
+    throw new Error("Post-ratchet message decrypted without session");
+  } catch (e) {
+    if (!e.message.includes("No ratchet session")) {
+      throw new Error("Wrong error message: " + e.message);
+    }
+  }
+});
+
+test("createIntroduction is verified and rejects tampered subjects", () => {
+  const coordinator = makeMember("Coordinator");
+  const volunteer = makeMember("Volunteer");
+  const mallory = makeMember("Mallory");
+
+  const intro = Trust.createIntroduction({
+    subject: volunteer.contact,
+    introducerSignPK: coordinator.sign.publicKey,
+    introducerSignSK: coordinator.sign.secretKey
+  }, nacl, naclUtil);
+  if (intro.kind !== "dmesh-intro" || !DMesh.IDENTITY_KINDS.includes(intro.kind)) throw new Error("Wrong kind");
+
+  const verified = Trust.verifyIntroduction({ introduction: intro }, nacl, naclUtil);
+  if (verified.introducerFp !== coordinator.contact.fp) throw new Error("Introducer mismatch");
+  if (verified.subject.fp !== volunteer.contact.fp) throw new Error("Subject mismatch");
+
+  const cases = [
+    { introduction: { ...intro, subject: { ...intro.subject, boxPK: mallory.contact.boxPK } }, expected: "Invalid signature" },
+    { introduction: { ...intro, subject: { ...intro.subject, name: "Coordinator (deputy)" } }, expected: "Invalid signature" },
+    { introduction: { ...intro, introducerSignPK: mallory.contact.signPK }, expected: "Fingerprint mismatch" },
+    { introduction: intro, now: intro.exp + 1, expected: "Introduction expired" }
+  ];
+  for (const { introduction, now, expected } of cases) {
+    try {
+      Trust.verifyIntroduction({ introduction, now }, nacl, naclUtil);
+      throw new Error(`Accepted: ${expected}`);
+    } catch (e) {
+      if (!e.message.includes(expected)) {
+        throw new Error("Wrong error message: " + e.message);
+      }
+    }
+  }
+});
+
+test("computeTrust vouches along introductions up to maxHops", () => {
+  const me = makeMember("Me");
+  const coordinator = makeMember("Coordinator");
+  const volunteer = makeMember("Volunteer");
+  const friend = makeMember("Friend of volunteer");
+  const introduce = (from, to) => Trust.createIntroduction({
+    subject: to.contact,
+    introducerSignPK: from.sign.publicKey,
+    introducerSignSK: from.sign.secretKey
+  }, nacl, naclUtil);
+
+  const contacts = [
+    { ...coordinator.contact, verified: "verified" },
+    { ...volunteer.contact, verified: "unverified" },
+    { ...friend.contact, verified: "unverified" }
+  ];
+  const introductions = [introduce(coordinator, volunteer), introduce(volunteer, friend), introduce(me, friend)];
+
+  const oneHop = Trust.computeTrust({ contacts, introductions, maxHops: 1 });
+  if (oneHop[coordinator.contact.fp].level !== "verified") throw new Error("Verified contact lost");
+  const vouched = oneHop[volunteer.contact.fp];
+  if (vouched.level !== "vouched" || vouched.hops !== 1 || vouched.vouchedBy[0] !== coordinator.contact.fp) {
+    throw new Error("Volunteer not vouched by coordinator");
+  }
+  if (oneHop[friend.contact.fp].level !== "unverified") throw new Error("Second hop trusted with maxHops 1");
+  if (Trust.describeTrust(vouched, () => "Coordinator") !== "Vouched by Coordinator") throw new Error("Wrong trust label");
+
+  const twoHops = Trust.computeTrust({ contacts, introductions, maxHops: 2 });
+  if (twoHops[friend.contact.fp].level !== "vouched" || twoHops[friend.contact.fp].hops !== 2) {
+    throw new Error("Second hop not vouched with maxHops 2");
+  }
+
+  const none = Trust.computeTrust({ contacts, introductions, maxHops: 0 });
+  if (none[volunteer.contact.fp].level !== "unverified") throw new Error("Vouching not disabled by maxHops 0");
+});
+
+test("computeTrust ignores stale, expired and compromised introductions", () => {
+  const coordinator = makeMember("Coordinator");
+  const volunteer = makeMember("Volunteer");
+  const rekeyed = makeMember("Volunteer");
+  const intro = Trust.createIntroduction({
+    subject: volunteer.contact,
+    introducerSignPK: coordinator.sign.publicKey,
+    introducerSignSK: coordinator.sign.secretKey,
+    ttlMs: 60 * 1000
+  }, nacl, naclUtil);
+  const check = (contacts, now, label) => {
+    const trust = Trust.computeTrust({ contacts, introductions: [intro], maxHops: 3, now });
+    if (trust[volunteer.contact.fp].level === "vouched") throw new Error(label);
+  };
+
+  const verifiedCoordinator = { ...coordinator.contact, verified: "verified" };
+  check([verifiedCoordinator, { ...volunteer.contact, boxPK: rekeyed.contact.boxPK }], undefined, "Introduction for other keys counted");
+  check([verifiedCoordinator, volunteer.contact], intro.exp + 1, "Expired introduction counted");
+  check([{ ...coordinator.contact, verified: "compromised" }, volunteer.contact], undefined, "Compromised introducer counted");
+  const trust = Trust.computeTrust({
+    contacts: [verifiedCoordinator, { ...volunteer.contact, verified: "compromised" }],
+    introductions: [intro]
+  });
+  if (trust[volunteer.contact.fp].level !== "compromised") throw new Error("Compromised contact vouched");
+});
+
+test("createRevocationCertificate verifies and rejects tampering", () => {
+  const alice = makeMember("Alice");
+  const mallory = makeMember("Mallory");
+  const cert = DMesh.createRevocationCertificate({
+    signPK: alice.sign.publicKey,
+    signSK: alice.sign.secretKey,
+    boxPK: alice.box.publicKey
+  }, nacl, naclUtil);
+
+  if (cert.kind !== "dmesh-revoke" || "revokedAt" in cert) throw new Error("Unexpected certificate shape");
+  const verified = DMesh.verifyRevocationCertificate(JSON.parse(JSON.stringify(cert)), nacl, naclUtil);
+  if (verified.fp !== alice.contact.fp || verified.revokedAt !== null || verified.reason !== "unspecified") {
+    throw new Error("Verification result mismatch");
+  }
+
+  const cases = [
+    { cert: { ...cert, revokedAt: Date.now() }, expected: "Invalid signature" },
+    { cert: { ...cert, reason: "lost" }, expected: "Invalid signature" },
+    { cert: { ...cert, boxPK: mallory.contact.boxPK }, expected: "Invalid signature" },
+    { cert: { ...cert, fp: mallory.contact.fp }, expected: "Fingerprint mismatch" },
+    { cert: { ...cert, reason: "bored" }, expected: "Invalid revocation reason" }
+  ];
+  for (const { cert: bad, expected } of cases) {
+    try {
+      DMesh.verifyRevocationCertificate(bad, nacl, naclUtil);
+      throw new Error(`Accepted: ${expected}`);
+    } catch (e) {
+      if (!e.message.includes(expected)) {
+        throw new Error("Wrong error message: " + e.message);
+      }
+    }
+  }
+});
+
+test("decryptMessage refuses messages from revoked keys dated after revocation", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const revokedAt = Date.now() - 60 * 1000;
+  const cert = DMesh.createRevocationCertificate({
+    signPK: alice.sign.publicKey,
+    signSK: alice.sign.secretKey,
+    boxPK: alice.box.publicKey,
+    revokedAt,
+    reason: "lost"
+  }, nacl, naclUtil);
+  const revoked = DMesh.verifyRevocationCertificate(cert, nacl, naclUtil);
+  const revocationCheck = (senderFp, ts) => senderFp !== revoked.fp || ts < revoked.revokedAt;
+
+  const send = (ts, sealed) => (sealed ? DMesh.encryptSealedMessage : DMesh.encryptMessage)({
+    content: "status?",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey,
+    ts
+  }, nacl, naclUtil);
+  const receive = (message) => DMesh.decryptMessage({
+    message,
+    recipientBoxPK: bob.box.publicKey,
+    recipientBoxSK: bob.box.secretKey,
+    revocationCheck
+  }, nacl, naclUtil);
+
+  if (receive(send(revokedAt - 1000, false)).content !== "status?") throw new Error("Pre-revocation message refused");
+
+  for (const sealed of [false, true]) {
+    try {
+      receive(send(Date.now(), sealed));
+      throw new Error("Message from revoked key accepted");
+    } catch (e) {
+      if (!e.message.includes("Sender key revoked")) {
+        throw new Error("Wrong error message: " + e.message);
+      }
+    }
+  }
+});
+
+test("decryptMessage failures carry error codes and user messages", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const eve = makeMember("Eve");
+  const msg = DMesh.encryptMessage({
+    content: "coded",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey,
+    ttlMs: 60000
+  }, nacl, naclUtil);
+  const decrypt = (message, to = bob, ctx) => DMesh.decryptMessage({
+    message,
+    recipientBoxPK: to.box.publicKey,
+    recipientBoxSK: to.box.secretKey
+  }, nacl, naclUtil, ctx);
+
+  /** @type {[Function, string][]} */
+  const cases = [
+    [() => decrypt({ ...msg, msgId: naclUtil.encodeBase64(new Uint8Array(32)) }), ErrorCode.MSGID_MISMATCH],
+    [() => decrypt(msg, eve), ErrorCode.RECIPIENT_MISMATCH],
+    [() => decrypt({ ...msg, kind: "other" }), ErrorCode.INVALID_MESSAGE_FORMAT],
+    [() => decrypt(msg, bob, { now: () => msg.exp + 1 }), ErrorCode.MESSAGE_EXPIRED],
+    [() => decrypt({ ...msg, senderBoxPK: naclUtil.encodeBase64(eve.box.publicKey) }), ErrorCode.SIGNATURE_INVALID]
+  ];
+  for (const [fn, code] of cases) {
+    try {
+      fn();
+      throw new Error(`Expected ${code}`);
+    } catch (e) {
+      if (!isLifelineMeshError(e) || e.code !== code) throw new Error(`Expected ${code}, got: ${e.message}`);
+      if (!e.getUserMessage() || e.getUserMessage() === e.message) throw new Error(`No user message for ${code}`);
+    }
+  }
+});
+
+test("Broadcast, identity, rotation, revocation, ack and wire failures carry error codes", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const eve = makeMember("Eve");
+  const ts = Date.now();
+  const alert = DMesh.signBroadcast({
+    content: "Evacuate",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey
+  }, nacl, naclUtil);
+  const id = DMesh.createPublicIdentity({
+    name: "Alice",
+    signPK: alice.sign.publicKey,
+    signSK: alice.sign.secretKey,
+    boxPK: alice.box.publicKey,
+    ts,
+    ttlMs: 60000
+  }, nacl, naclUtil);
+  const rotation = DMesh.createKeyRotation({
+    oldSignPK: alice.sign.publicKey,
+    oldSignSK: alice.sign.secretKey,
+    newSignPK: eve.sign.publicKey,
+    newSignSK: eve.sign.secretKey,
+    newBoxPK: eve.box.publicKey
+  }, nacl, naclUtil);
+  const cert = DMesh.createRevocationCertificate({
+    signPK: alice.sign.publicKey,
+    signSK: alice.sign.secretKey,
+    boxPK: alice.box.publicKey
+  }, nacl, naclUtil);
+  const msg = DMesh.encryptMessage({
+    content: "Need water",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+  const ack = DMesh.decryptMessage({
+    message: DMesh.encryptMessage({
+      content: "",
+      senderSignPK: eve.sign.publicKey,
+      senderSignSK: eve.sign.secretKey,
+      senderBoxPK: eve.box.publicKey,
+      senderBoxSK: eve.box.secretKey,
+      recipientBoxPK: alice.box.publicKey,
+      ...Payload.buildAck({ refMsgId: msg.msgId })
+    }, nacl, naclUtil),
+    recipientBoxPK: alice.box.publicKey,
+    recipientBoxSK: alice.box.secretKey
+  }, nacl, naclUtil);
+
+  /** @type {[Function, string][]} */
+  const cases = [
+    [() => DMesh.verifyBroadcast({ message: { ...alert, signature: naclUtil.encodeBase64(new Uint8Array(64)) } }, nacl, naclUtil), ErrorCode.SIGNATURE_INVALID],
+    [() => DMesh.verifyBroadcast({ message: alert, expectedSenderSignPK: eve.sign.publicKey }, nacl, naclUtil), ErrorCode.SENDER_KEY_MISMATCH],
+    [() => DMesh.verifyPublicIdentity({ identity: id, now: ts + 120000 }, nacl, naclUtil), ErrorCode.IDENTITY_EXPIRED],
+    [() => DMesh.verifyPublicIdentity({ identity: { ...id, fp: eve.contact.fp } }, nacl, naclUtil), ErrorCode.FINGERPRINT_MISMATCH],
+    [() => DMesh.verifyKeyRotation({ ...rotation, newBoxPK: bob.contact.boxPK }, nacl, naclUtil), ErrorCode.SIGNATURE_INVALID],
+    [() => DMesh.verifyRevocationCertificate({ ...cert, reason: "bored" }, nacl, naclUtil), ErrorCode.INVALID_PARAMETER],
+    [() => DMesh.verifyDeliveryAck({ ack, originalMessage: msg }, naclUtil), ErrorCode.ACK_MISMATCH],
+    [() => DMesh.parseWireData("{not json", nacl, naclUtil), ErrorCode.JSON_PARSE_FAILED],
+    [() => DMesh.parseWireData("!!", nacl, naclUtil), ErrorCode.INVALID_MESSAGE_FORMAT]
+  ];
+  for (const [fn, code] of cases) {
+    try {
+      fn();
+      throw new Error(`Expected ${code}`);
+    } catch (e) {
+      if (!isLifelineMeshError(e) || e.code !== code) throw new Error(`Expected ${code}, got: ${e.message}`);
+      if (!e.getUserMessage() || e.getUserMessage() === e.message) throw new Error(`No user message for ${code}`);
+    }
+  }
+});
+
+test("reassembleChunks reports missing chunks as CHUNK_INCOMPLETE", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const msg = DMesh.encryptMessage({
+    content: "x".repeat(500),
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+  const chunks = DMesh.chunkMessage(msg, DMesh.LORA_MAX_CHUNK_SIZE, nacl, naclUtil, { framing: "json" });
+
+  const expectCode = (input, code) => {
+    try {
+      DMesh.reassembleChunks(input, naclUtil);
+      throw new Error(`Expected ${code}`);
+    } catch (e) {
+      if (e.code !== code) throw new Error(`Expected ${code}, got: ${e.message}`);
+    }
+  };
+  expectCode(chunks.slice(1), ErrorCode.CHUNK_INCOMPLETE);
+  expectCode([], ErrorCode.CHUNK_INVALID);
+  expectCode(chunks.map((c, i) => (i === 1 ? { ...c, msgId: "other" } : c)), ErrorCode.MSGID_MISMATCH);
+});
+
+test("verifyRelayMessage accepts genuine foreign messages and caps their expiry", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const ts = 1_700_000_000_000;
+  const ctx = { now: () => ts + 1000 };
+  const msg = DMesh.encryptMessage({
+    content: "Water at the north gate",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey,
+    ts
+  }, nacl, naclUtil);
+
+  const entry = Relay.verifyRelayMessage(msg, nacl, naclUtil, ctx);
+  if (entry.msgId !== msg.msgId || entry.senderFp !== alice.contact.fp) throw new Error("Entry ids wrong");
+  if (entry.exp !== msg.exp || entry.size !== JSON.stringify(msg).length) throw new Error("Entry exp/size wrong");
+  const capped = Relay.verifyRelayMessage({ ...msg, exp: ts + 365 * 24 * 60 * 60 * 1000 }, nacl, naclUtil, ctx);
+  if (capped.exp !== ts + Relay.RELAY_MAX_TTL_MS) throw new Error("exp not capped");
+
+  const expectCode = (message, code, context = ctx) => {
+    try {
+      Relay.verifyRelayMessage(message, nacl, naclUtil, context);
+      throw new Error(`Expected ${code}`);
+    } catch (e) {
+      if (e.code !== code) throw new Error(`Expected ${code}, got: ${e.message}`);
+    }
+  };
+  const forged = naclUtil.decodeBase64(msg.ciphertext);
+  forged[0] ^= 1;
+  const forgedCiphertext = naclUtil.encodeBase64(forged);
+  const forgedMsgId = naclUtil.encodeBase64(DMesh.messageIdFromCiphertext(forged, nacl));
+  expectCode({ ...msg, ciphertext: forgedCiphertext, msgId: forgedMsgId }, ErrorCode.SIGNATURE_INVALID);
+  expectCode({ ...msg, ciphertext: forgedCiphertext }, ErrorCode.MSGID_MISMATCH);
+  expectCode(msg, ErrorCode.MESSAGE_EXPIRED, { now: () => msg.exp + 1 });
+  expectCode({ ...msg, kind: "dmesh-msg-sealed" }, ErrorCode.INVALID_MESSAGE_FORMAT);
+});
+
+test("planRelayAdmission enforces quotas, per-sender limits and evicts the heaviest sender's oldest entry", () => {
+  const now = 1_700_000_000_000;
+  const ctx = { now: () => now };
+  const entry = (msgId, senderFp, exp, size = 100, receivedAt = 0) => ({ msgId, senderFp, exp: now + exp, size, receivedAt: now - 10000 + receivedAt });
+  const entries = [entry("a1", "A", 3000, 100, 1), entry("b1", "B", 1000, 100, 2), entry("c1", "C", 5000), entry("old", "C", -1)];
+  const limits = { maxMessages: 3, maxBytes: 1000, maxPerSender: 2 };
+
+  const fresh = Relay.planRelayAdmission(entries, entry("d1", "D", 4000), limits, ctx);
+  if (!fresh.admit || fresh.evict.join() !== "old,c1") throw new Error(`Wrong eviction: ${fresh.evict}`);
+
+  const heavy = [entry("a1", "A", 3000, 100, 1), entry("a2", "A", 9000, 100, 3), entry("b1", "B", 1000, 100, 2)];
+  const fair = Relay.planRelayAdmission(heavy, entry("d1", "D", 500), limits, ctx);
+  if (!fair.admit || fair.evict.join() !== "a1") throw new Error(`Heaviest sender not evicted first: ${fair.evict}`);
+  const pushy = Relay.planRelayAdmission(heavy, entry("b2", "B", 9000), limits, ctx);
+  if (!pushy.admit || pushy.evict.join() !== "a1") throw new Error(`Tie not broken by arrival: ${pushy.evict}`);
+
+  const crowded = [entry("a1", "A", 3000), entry("b1", "B", 3000), entry("b2", "B", 3000)];
+  const greedy = Relay.planRelayAdmission(crowded, entry("a2", "A", 9000), { ...limits, maxPerSender: 3 }, ctx);
+  if (!greedy.admit || greedy.evict.join() !== "b1") throw new Error(`Wrong eviction: ${greedy.evict}`);
+  const topSender = Relay.planRelayAdmission(crowded, entry("b3", "B", 9000), { ...limits, maxPerSender: 3 }, ctx);
+  if (topSender.admit || topSender.reason !== Relay.RELAY_REJECT.QUOTA || topSender.evict.length !== 0) {
+    throw new Error("Sender carrying the most messages should be rejected, not evict others");
+  }
+
+  const flooding = [entry("a1", "A", 3000), entry("a2", "A", 4000)];
+  const third = Relay.planRelayAdmission(flooding, entry("a3", "A", 9000), limits, ctx);
+  if (third.admit || third.reason !== Relay.RELAY_REJECT.SENDER_QUOTA) throw new Error("Per-sender limit not enforced");
+
+  const big = Relay.planRelayAdmission([], entry("x", "X", 9000, 1001), limits, ctx);
+  if (big.reason !== Relay.RELAY_REJECT.TOO_LARGE) throw new Error("Oversized message accepted");
+  const dup = Relay.planRelayAdmission(entries, entry("a1", "A", 3000), limits, ctx);
+  if (dup.reason !== Relay.RELAY_REJECT.DUPLICATE) throw new Error("Duplicate accepted");
+  const bytes = Relay.planRelayAdmission([entry("a1", "A", 3000, 600)], entry("b2", "B", 4000, 600), limits, ctx);
+  if (!bytes.admit || bytes.evict.join() !== "a1") throw new Error("Byte quota not applied");
+});
+
+test("planRelayAdmission does not let a maximum exp from fresh keys keep legitimate messages out", () => {
+  const now = 1_700_000_000_000;
+  const ctx = { now: () => now };
+  const maxExp = Relay.RELAY_MAX_TTL_MS;
+  const entry = (msgId, senderFp, exp, receivedAt) => ({ msgId, senderFp, exp: now + exp, size: 100, receivedAt: now - 10000 + receivedAt });
+  const limits = { maxMessages: 4, maxBytes: 100000, maxPerSender: 3 };
+
+  // A legitimate message, then a spammer's messages with the longest exp from two keys
+  const carried = [entry("legit", "L", 60 * 60 * 1000, 0), entry("s1a", "S1", maxExp, 1), entry("s1b", "S1", maxExp, 2), entry("s2a", "S2", maxExp, 3)];
+
+  const help = Relay.planRelayAdmission(carried, entry("help", "H", 10 * 60 * 1000, 4), limits, ctx);
+  if (!help.admit || help.evict.join() !== "s1a") throw new Error(`Short-lived message not admitted over spam: ${help.reason} ${help.evict}`);
+
+  const spam = Relay.planRelayAdmission(carried, entry("s3a", "S3", maxExp, 4), limits, ctx);
+  if (!spam.admit || spam.evict.join() !== "s1a") throw new Error(`Fresh key evicted a lighter sender: ${spam.evict}`);
+
+  const more = Relay.planRelayAdmission(carried, entry("s1c", "S1", maxExp, 4), limits, ctx);
+  if (more.admit || more.evict.includes("legit")) throw new Error("Spammer pushed out a legitimate message");
+});
+
+test("selectRelayBatch hands over live messages soonest expiry first", () => {
+  const now = 1_700_000_000_000;
+  const ctx = { now: () => now };
+  const entry = (msgId, exp, size = 100) => ({ msgId, senderFp: "A", exp: now + exp, size });
+  const entries = [entry("late", 9000), entry("gone", -1), entry("soon", 1000), entry("big", 2000, 900), entry("mid", 5000)];
+
+  const ids = (batch) => batch.map(e => e.msgId).join();
+  if (ids(Relay.selectRelayBatch(entries, {}, ctx)) !== "soon,big,mid,late") throw new Error("Wrong order");
+  if (ids(Relay.selectRelayBatch(entries, { exclude: new Set(["soon"]), maxMessages: 2 }, ctx)) !== "big,mid") {
+    throw new Error("exclude / maxMessages not applied");
+  }
+  if (ids(Relay.selectRelayBatch(entries, { maxBytes: 350 }, ctx)) !== "soon,mid,late") throw new Error("maxBytes not applied");
+});
+
+test("Routing policies: epidemic, spray-and-wait and urgency-first", () => {
+  const now = 1_700_000_000_000;
+  const ctx = { now: () => now };
+  const entry = (msgId, exp, copies, urgency, recipientBoxPK = "other") => ({
+    msgId, senderFp: "A", exp: now + exp, size: 100, copies, urgency, message: { msgId, recipientBoxPK }
+  });
+  const entries = [
+    entry("wait", 1000, 1),
+    entry("spray", 2000, 8, "low"),
+    entry("odd", 3000, 3, "critical"),
+    entry("mine", 4000, 1, undefined, "peerBox"),
+    entry("gone", -1, 8, "critical")
+  ];
+  const peer = { boxPK: "peerBox", has: new Set(["odd"]) };
+  const summary = (decisions) => decisions.map(d => `${d.entry.msgId}:${d.copies}/${d.keep}`).join();
+
+  const epidemic = Relay.createRoutingPolicy(Relay.ROUTING_POLICY.EPIDEMIC);
+  if (summary(epidemic.select(entries, peer, ctx)) !== "mine:1/0,wait:1/1,spray:8/8") throw new Error("Wrong epidemic decisions");
+
+  const spray = Relay.createRoutingPolicy(Relay.ROUTING_POLICY.SPRAY_AND_WAIT);
+  if (summary(spray.select(entries, {}, ctx)) !== "spray:4/4,odd:1/2") throw new Error("Wrong spray decisions");
+  if (summary(spray.select(entries, peer, ctx)) !== "mine:1/0,spray:4/4") throw new Error("Wait phase should only deliver directly");
+
+  const urgent = Relay.createRoutingPolicy(Relay.ROUTING_POLICY.URGENCY_FIRST, { maxMessages: 2 });
+  if (summary(urgent.select(entries, {}, ctx)) !== "odd:3/3,wait:1/1") throw new Error("Wrong urgency order or limit");
+
+  try {
+    Relay.createRoutingPolicy("flood-harder");
+    throw new Error("Expected INVALID_PARAMETER");
+  } catch (e) {
+    if (e.code !== ErrorCode.INVALID_PARAMETER) throw new Error(`Expected INVALID_PARAMETER, got: ${e.message}`);
+  }
+});
+
+test("Hop metadata travels outside the signed envelope", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const msg = DMesh.encryptMessage({
+    content: "Insulin needed at the community hall",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+
+  const hopped = Relay.withHopMetadata(msg, { copies: 4, urgency: "high" });
+  const entry = Relay.verifyRelayMessage(hopped, nacl, naclUtil);
+  if (entry.copies !== 4 || entry.urgency !== "high") throw new Error("Hop metadata not read");
+  if (entry.message.hop || entry.size !== JSON.stringify(msg).length) throw new Error("Hop metadata stored with the envelope");
+
+  const defaults = Relay.readHopMetadata({ ...msg, hop: { copies: 1000, urgency: "panic" } });
+  if (defaults.copies !== Relay.RELAY_MAX_COPIES || defaults.urgency !== undefined) throw new Error("Invalid hop metadata not clamped");
+  if (Relay.readHopMetadata(msg).copies !== Relay.RELAY_DEFAULT_COPIES) throw new Error("Default copies not applied");
+
+  const result = DMesh.decryptMessage({
+    message: hopped,
+    recipientBoxPK: bob.box.publicKey,
+    recipientBoxSK: bob.box.secretKey
+  }, nacl, naclUtil);
+  if (result.content !== "Insulin needed at the community hall") throw new Error("Hop metadata broke decryption");
+});
+
+test("Bloom filter keeps every msgId and few false positives", () => {
+  const ids = Array.from({ length: 500 }, () => naclUtil.encodeBase64(nacl.randomBytes(32)));
+  const filter = Sync.createBloomFilter(ids, nacl, naclUtil);
+  if (!ids.every(id => Sync.bloomHas(filter, id, nacl, naclUtil))) throw new Error("False negative");
+
+  const others = Array.from({ length: 2000 }, () => naclUtil.encodeBase64(nacl.randomBytes(32)));
+  const falsePositives = others.filter(id => Sync.bloomHas(filter, id, nacl, naclUtil)).length;
+  if (falsePositives > 2000 * 0.03) throw new Error(`Too many false positives: ${falsePositives}`);
+
+  // Survives the wire and rejects malformed filters
+  const summary = Sync.createSyncSummary({ offer: [], have: new Set(ids), withFilter: true }, nacl, naclUtil);
+  const parsed = Sync.parseSyncMessage(JSON.parse(JSON.stringify(summary)), naclUtil);
+  if (!ids.every(id => Sync.bloomHas(parsed.bloom, id, nacl, naclUtil))) throw new Error("Filter changed on the wire");
+  try {
+    Sync.parseSyncMessage({ ...summary, bloom: { ...summary.bloom, m: summary.bloom.m + 8 } }, naclUtil);
+    throw new Error("Expected INVALID_MESSAGE_FORMAT");
+  } catch (e) {
+    if (e.code !== ErrorCode.INVALID_MESSAGE_FORMAT) throw new Error(`Expected INVALID_MESSAGE_FORMAT, got: ${e.message}`);
+  }
+});
+
+test("SyncSession transfers only what each peer lacks", async () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const makeMsg = (content) => DMesh.encryptMessage({
+    content,
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+  const [shared, onlyA, onlyB, seenByB] = ["shared", "only A", "only B", "seen by B"].map(makeMsg);
+
+  // In-memory peers: carried messages, plus msgIds seen earlier
+  const makePeer = (carried, seen = []) => {
+    const messages = new Map(carried.map(m => [m.msgId, m]));
+    const peer = { received: [], queue: Promise.resolve() };
+    peer.inventory = {
+      snapshot: () => Promise.resolve({ offer: [...messages.keys()], have: new Set([...messages.keys(), ...seen]) }),
+      get: (ids) => Promise.resolve(ids.filter(id => messages.has(id)).map(id => messages.get(id)))
+    };
+    return peer;
+  };
+  const a = makePeer([shared, onlyA, seenByB]);
+  const b = makePeer([shared, onlyB], [seenByB.msgId]);
+
+  // Ordered one-way links; every transferred object is counted
+  const wire = [];
+  const connect = (from, to) => {
+    from.session = new Sync.SyncSession({
+      transport: {
+        send: (message) => {
+          wire.push(message);
+          const copy = JSON.parse(JSON.stringify(message));
+          to.queue = to.queue.then(async () => {
+            if (!(await to.session.handle(copy))) to.received.push(copy);
+          });
+          return Promise.resolve();
+        }
+      },
+      inventory: from.inventory,
+      nacl,
+      naclUtil
+    });
+    return new Promise((resolve, reject) => {
+      from.session.onComplete = resolve;
+      from.session.onError = reject;
+    });
+  };
+  const done = Promise.all([connect(a, b), connect(b, a)]);
+  await a.session.start();
+  const [statsA, statsB] = await done;
+
+  if (a.received.map(m => m.msgId).join() !== onlyB.msgId) throw new Error("A should receive only B's new message");
+  if (b.received.map(m => m.msgId).join() !== onlyA.msgId) throw new Error("B should receive only A's new message");
+  if (statsA.sent !== 1 || statsA.received !== 1 || statsB.sent !== 1) throw new Error("Wrong transfer counts");
+
+  const summaries = wire.filter(m => m.op === "summary");
+  if (!summaries[0].bloom || summaries[1].bloom) throw new Error("Only the first summary carries a filter");
+  if (summaries[1].ids.join() !== onlyB.msgId) throw new Error("Responder should not list what the filter has");
+});
+
+test("Tagged messages hide recipientBoxPK and still reach their recipient", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const carol = makeMember("Carol");
+  const ts = 1_700_000_000_000;
+  const ctx = { now: () => ts };
+  const msg = DMesh.encryptMessage({
+    content: "Meet at the north gate",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey,
+    tagRecipient: true
+  }, nacl, naclUtil, ctx);
+
+  if (msg.recipientBoxPK !== undefined) throw new Error("recipientBoxPK exposed");
+  if (naclUtil.decodeBase64(msg.recipientTag).length !== DMesh.RECIPIENT_TAG_BYTES) throw new Error("Wrong tag length");
+  const bobKeys = { boxSK: bob.box.secretKey, peerBoxPK: alice.box.publicKey, recipientBoxPK: bob.box.publicKey };
+  if (naclUtil.encodeBase64(DMesh.deriveRecipientTag(bobKeys, ts, nacl, naclUtil)) !== msg.recipientTag) throw new Error("Recipient derives a different tag");
+  const nextDay = DMesh.deriveRecipientTag(bobKeys, ts + DMesh.RECIPIENT_TAG_EPOCH_MS, nacl, naclUtil);
+  if (naclUtil.encodeBase64(nextDay) === msg.recipientTag) throw new Error("Tag does not rotate");
+  // Bob's public key is not enough: another sender's tag for Bob differs
+  const carolToBob = DMesh.deriveRecipientTag({ boxSK: carol.box.secretKey, peerBoxPK: bob.box.publicKey, recipientBoxPK: bob.box.publicKey }, ts, nacl, naclUtil);
+  if (naclUtil.encodeBase64(carolToBob) === msg.recipientTag) throw new Error("Tag does not depend on the sender's secret");
+  if (!DMesh.isAddressedTo(msg, bob.box.publicKey, nacl, naclUtil, bob.box.secretKey)) throw new Error("Bob should match his tag");
+  if (DMesh.isAddressedTo(msg, bob.box.publicKey, nacl, naclUtil)) throw new Error("Tag matched without the secret key");
+  if (DMesh.isAddressedTo(msg, carol.box.publicKey, nacl, naclUtil, carol.box.secretKey)) throw new Error("Carol should not match");
+
+  const decode = DMesh.decodeMessageBinary(DMesh.encodeMessageBinary(msg, naclUtil), nacl, naclUtil);
+  if (JSON.stringify(decode) !== JSON.stringify(msg)) throw new Error("Binary round-trip lost the tag");
+
+  const result = DMesh.decryptMessage({
+    message: decode,
+    recipientBoxPK: bob.box.publicKey,
+    recipientBoxSK: bob.box.secretKey
+  }, nacl, naclUtil, ctx);
+  if (result.content !== "Meet at the north gate") throw new Error("Tagged message did not decrypt");
+
+  const expectCode = (params, code) => {
+    try {
+      DMesh.decryptMessage(params, nacl, naclUtil, ctx);
+      throw new Error(`Expected ${code}`);
+    } catch (e) {
+      if (e.code !== code) throw new Error(`Expected ${code}, got: ${e.message}`);
+    }
+  };
+  expectCode({ message: msg, recipientBoxPK: carol.box.publicKey, recipientBoxSK: carol.box.secretKey }, ErrorCode.RECIPIENT_MISMATCH);
+  const rebound = { ...msg, recipientTag: naclUtil.encodeBase64(nextDay) };
+  expectCode({ message: rebound, recipientBoxPK: bob.box.publicKey, recipientBoxSK: bob.box.secretKey }, ErrorCode.RECIPIENT_MISMATCH);
+  const both = { ...msg, recipientBoxPK: naclUtil.encodeBase64(bob.box.publicKey) };
+  expectCode({ message: both, recipientBoxPK: bob.box.publicKey, recipientBoxSK: bob.box.secretKey }, ErrorCode.INVALID_MESSAGE_FORMAT);
+
+  try {
+    DMesh.encryptMessage({
+      content: "No box key",
+      senderSignPK: alice.sign.publicKey,
+      senderSignSK: alice.sign.secretKey,
+      senderBoxPK: alice.box.publicKey,
+      senderBoxSK: undefined,
+      recipientBoxPK: bob.box.publicKey,
+      tagRecipient: true
+    }, nacl, naclUtil, ctx);
+    throw new Error("Expected INVALID_PARAMETER");
+  } catch (e) {
+    if (e.code !== ErrorCode.INVALID_PARAMETER) throw new Error(`Expected INVALID_PARAMETER, got: ${e.message}`);
+  }
+});
+
+test("Relays verify tagged messages and deliver them to peers presenting their tags", () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const ts = 1_700_000_000_000;
+  const ctx = { now: () => ts + 60_000 };
+  const msg = DMesh.encryptMessage({
+    content: "Water truck arrives at noon",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey,
+    ts,
+    tagRecipient: true
+  }, nacl, naclUtil);
+
+  const entry = Relay.verifyRelayMessage(msg, nacl, naclUtil, ctx);
+  const otherTag = DMesh.deriveRecipientTag({ boxSK: bob.box.secretKey, peerBoxPK: alice.box.publicKey, recipientBoxPK: alice.box.publicKey }, ts, nacl, naclUtil);
+  try {
+    Relay.verifyRelayMessage({ ...msg, recipientTag: naclUtil.encodeBase64(otherTag) }, nacl, naclUtil, ctx);
+    throw new Error("Expected SIGNATURE_INVALID");
+  } catch (e) {
+    if (e.code !== ErrorCode.SIGNATURE_INVALID) throw new Error(`Expected SIGNATURE_INVALID, got: ${e.message}`);
+  }
+
+  const bobBoxPK = naclUtil.encodeBase64(bob.box.publicKey);
+  const carol = makeMember("Carol");
+  const bobKeys = { recipientBoxPK: bob.box.publicKey, recipientBoxSK: bob.box.secretKey };
+  const tags = DMesh.recipientTagsFor({ ...bobKeys, senderBoxPKs: [carol.box.publicKey, alice.box.publicKey] }, nacl, naclUtil, ctx);
+  if (!tags.has(msg.recipientTag)) throw new Error("Tag set misses the current epoch");
+  const strangerTags = DMesh.recipientTagsFor({ ...bobKeys, senderBoxPKs: [carol.box.publicKey] }, nacl, naclUtil, ctx);
+  if (strangerTags.has(msg.recipientTag)) throw new Error("Tag set covers a sender it was not given");
+  if (Relay.isRelayEntryFor(entry, { boxPK: bobBoxPK })) throw new Error("Tagged message matched by box key alone");
+  if (!Relay.isRelayEntryFor(entry, { tags })) throw new Error("Tagged message not matched by tags");
+
+  const policy = Relay.createRoutingPolicy(Relay.ROUTING_POLICY.SPRAY_AND_WAIT);
+  const [decision] = policy.select([{ ...entry, copies: 1 }], { tags }, ctx);
+  if (!decision || decision.keep !== 0) throw new Error("Tagged message not delivered directly");
+});
+
+test("Acks for tagged messages verify against the box key the sender encrypted to", async () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const msg = DMesh.encryptMessage({
+    content: "Meet at the north gate",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey,
+    tagRecipient: true
+  }, nacl, naclUtil);
+  const received = DMesh.decryptMessage({ message: msg, recipientBoxPK: bob.box.publicKey, recipientBoxSK: bob.box.secretKey }, nacl, naclUtil);
+  const ack = DMesh.decryptMessage({
+    message: DMesh.createDeliveryAck({
+      decrypted: received,
+      senderSignPK: bob.sign.publicKey,
+      senderSignSK: bob.sign.secretKey,
+      senderBoxPK: bob.box.publicKey,
+      senderBoxSK: bob.box.secretKey
+    }, nacl, naclUtil),
+    recipientBoxPK: alice.box.publicKey,
+    recipientBoxSK: alice.box.secretKey
+  }, nacl, naclUtil);
+
+  const verified = DMesh.verifyDeliveryAck({ ack, originalMessage: msg, recipientBoxPK: bob.contact.boxPK }, naclUtil);
+  if (verified.recipientBoxPK !== bob.contact.boxPK) throw new Error("Wrong ack recipient");
+  try {
+    DMesh.verifyDeliveryAck({ ack, originalMessage: msg }, naclUtil);
+    throw new Error("Expected ACK_MISMATCH");
+  } catch (e) {
+    if (e.code !== ErrorCode.ACK_MISMATCH) throw new Error(`Expected ACK_MISMATCH, got: ${e.message}`);
+  }
+
+  await Store.clearAllData();
+  await Store.saveContact(bob.contact, nacl, naclUtil);
+  await Store.addToOutbox(msg, bob.contact.fp);
+  const entry = await Store.applyDeliveryAck(ack, naclUtil);
+  if (entry.recipientBoxPK !== bob.contact.boxPK) throw new Error("Outbox entry misses the recipient box key");
+  if (entry.status !== Store.DELIVERY_STATUS.DELIVERED) throw new Error("Tagged message not marked delivered");
+});
+
+test("getRevocationCheck refuses backdated messages from a revoked key", async () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const revokedAt = 1_700_000_000_000;
+  const day = 24 * 60 * 60 * 1000;
+  const cert = DMesh.createRevocationCertificate({
+    signPK: alice.sign.publicKey,
+    signSK: alice.sign.secretKey,
+    boxPK: alice.box.publicKey,
+    ts: revokedAt - 100 * day
+  }, nacl, naclUtil);
+
+  await Store.clearAllData();
+  const record = await Store.applyRevocation(cert, nacl, naclUtil, { now: () => revokedAt });
+  if (record.effectiveAt !== revokedAt) throw new Error("Pre-generated certificate should take effect on receipt");
+
+  // The thief backdates ts and sets a far-future (unsigned) exp
+  const forge = (ts) => DMesh.encryptMessage({
+    content: "Send the supplies to the old depot",
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey,
+    ts,
+    ttlMs: 365 * day
+  }, nacl, naclUtil);
+  const decryptAt = async (message, now) => {
+    const ctx = { now: () => now };
+    return DMesh.decryptMessage({
+      message,
+      recipientBoxPK: bob.box.publicKey,
+      recipientBoxSK: bob.box.secretKey,
+      revocationCheck: await Store.getRevocationCheck(ctx)
+    }, nacl, naclUtil, ctx);
+  };
+  const expectRevoked = async (message, now) => {
+    try {
+      await decryptAt(message, now);
+      throw new Error("Expected SENDER_REVOKED");
+    } catch (e) {
+      if (e.code !== ErrorCode.SENDER_REVOKED) throw new Error(`Expected SENDER_REVOKED, got: ${e.message}`);
+    }
+  };
+
+  const justBefore = forge(revokedAt - day);
+  if ((await decryptAt(justBefore, revokedAt + day)).content !== "Send the supplies to the old depot") {
+    throw new Error("Message signed before the revocation should pass within the grace window");
+  }
+  await expectRevoked(justBefore, revokedAt + Store.REVOCATION_GRACE_MS + day);
+  await expectRevoked(forge(revokedAt - Store.REVOCATION_GRACE_MS - day), revokedAt + day);
+  await expectRevoked(forge(revokedAt + day), revokedAt + 2 * day);
+});
+
+test("Revoked keys cannot rotate a contact away, and a later revocation follows the rotation", async () => {
+  const alice = makeMember("Alice");
+  const thief = makeMember("Mallory");
+  const rotate = (from) => DMesh.createKeyRotation({
+    name: "Alice",
+    oldSignPK: from.sign.publicKey,
+    oldSignSK: from.sign.secretKey,
+    newSignPK: thief.sign.publicKey,
+    newSignSK: thief.sign.secretKey,
+    newBoxPK: thief.box.publicKey
+  }, nacl, naclUtil);
+  const revoke = (from) => DMesh.createRevocationCertificate({
+    signPK: from.sign.publicKey,
+    signSK: from.sign.secretKey,
+    boxPK: from.box.publicKey
+  }, nacl, naclUtil);
+
+  // Rotation published before the revocation
+  await Store.clearAllData();
+  await Store.saveContact({ ...alice.contact, verified: Store.VERIFICATION_STATUS.VERIFIED }, nacl, naclUtil);
+  const moved = await Store.saveContact(rotate(alice), nacl, naclUtil);
+  if (moved.fp !== thief.contact.fp) throw new Error("Rotation not applied");
+  await Store.applyRevocation(revoke(alice), nacl, naclUtil);
+  const after = await Store.getContact(thief.contact.fp);
+  if (after.verified !== Store.VERIFICATION_STATUS.COMPROMISED) throw new Error("Re-keyed contact still trusted after revocation");
+
+  // Rotation published after the revocation
+  const carol = makeMember("Carol");
+  await Store.saveContact({ ...carol.contact, verified: Store.VERIFICATION_STATUS.VERIFIED }, nacl, naclUtil);
+  await Store.applyRevocation(revoke(carol), nacl, naclUtil);
+  try {
+    await Store.saveContact(rotate(carol), nacl, naclUtil);
+    throw new Error("Expected SENDER_REVOKED");
+  } catch (e) {
+    if (e.code !== ErrorCode.SENDER_REVOKED) throw new Error(`Expected SENDER_REVOKED, got: ${e.message}`);
+  }
+  if (!(await Store.getContact(carol.contact.fp))) throw new Error("Revoked contact moved");
+});
+
+test("Store keeps chunks no manifest lists as an unauthenticated set after a forged manifest", async () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const mallory = makeMember("Mallory");
+  const msg = DMesh.encryptMessage({
+    content: "Water distribution at noon. ".repeat(10),
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+  const chunks = DMesh.chunkMessage(msg, 400, nacl, naclUtil);
+  const forged = chunks.map(c => ({ ...c, data: naclUtil.encodeBase64(nacl.randomBytes(32)) }));
+  const malloryKeys = { signPK: mallory.sign.publicKey, signSK: mallory.sign.secretKey };
+  const attacks = [
+    DMesh.createChunkManifest(forged, malloryKeys, nacl, naclUtil), // Lists her own chunks
+    DMesh.createChunkManifest(chunks, malloryKeys, nacl, naclUtil) // Re-signs the genuine hashes
+  ];
+
+  for (const attack of attacks) {
+    await Store.clearAllData();
+    // One genuine chunk is already pending when the forged manifest arrives
+    let set = await Store.storeChunk(chunks[0], nacl, naclUtil);
+    set = (await Store.storeChunkManifest(attack, nacl, naclUtil)) || set;
+    for (const chunk of chunks.slice(1)) {
+      set = (await Store.storeChunk(chunk, nacl, naclUtil)) || set;
+    }
+    if (!set || DMesh.reassembleChunks(set, naclUtil, nacl).msgId !== msg.msgId) {
+      throw new Error("Unsigned genuine chunks locked out by a forged manifest");
+    }
+    if ((await Store.getPendingChunks(msg.msgId)).length !== 0) throw new Error("Chunk set not cleaned up");
+  }
+});
+
+test("Store with requireManifest rejects unlisted chunks and still rebuilds the signed set", async () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const mallory = makeMember("Mallory");
+  const msg = DMesh.encryptMessage({
+    content: "Water distribution at noon. ".repeat(10),
+    senderSignPK: alice.sign.publicKey,
+    senderSignSK: alice.sign.secretKey,
+    senderBoxPK: alice.box.publicKey,
+    senderBoxSK: alice.box.secretKey,
+    recipientBoxPK: bob.box.publicKey
+  }, nacl, naclUtil);
+  const [manifest, ...chunks] = DMesh.chunkMessage(msg, 400, nacl, naclUtil, { signer: { signPK: alice.sign.publicKey, signSK: alice.sign.secretKey } });
+  const forged = chunks.map(c => ({ ...c, data: naclUtil.encodeBase64(nacl.randomBytes(32)) }));
+  const attack = DMesh.createChunkManifest(forged, { signPK: mallory.sign.publicKey, signSK: mallory.sign.secretKey }, nacl, naclUtil);
+  const options = { requireManifest: true };
+
+  await Store.clearAllData();
+  await Store.storeChunk(chunks[0], nacl, naclUtil, options);
+  await Store.storeChunkManifest(attack, nacl, naclUtil, options);
+  if ((await Store.getPendingChunks(msg.msgId)).some(e => e.kind !== DMesh.CHUNK_MANIFEST_KIND)) {
+    throw new Error("Unlisted pending chunk kept");
+  }
+  try {
+    await Store.storeChunk(chunks[1], nacl, naclUtil, options);
+    throw new Error("Expected CHUNK_INVALID");
+  } catch (e) {
+    if (e.code !== ErrorCode.CHUNK_INVALID) throw new Error(`Expected CHUNK_INVALID, got: ${e.message}`);
+  }
+
+  let set = null;
+  for (const frame of forged) {
+    set = (await Store.storeChunk(frame, nacl, naclUtil, options)) || set;
+  }
+  if (set) throw new Error("Forged set returned");
+  set = await Store.storeChunkManifest(manifest, nacl, naclUtil, options);
+  for (const chunk of chunks) {
+    set = (await Store.storeChunk(chunk, nacl, naclUtil, options)) || set;
+  }
+  if (set?.[0]?.signature !== manifest.signature || DMesh.reassembleChunks(set, naclUtil, nacl).msgId !== msg.msgId) {
+    throw new Error("Signed set not rebuilt");
+  }
+});
+
+test("Introduction, group and ratchet failures carry error codes", async () => {
+  const alice = makeMember("Alice");
+  const bob = makeMember("Bob");
+  const carol = makeMember("Carol");
+  const expectCode = async (fn, code) => {
+    try {
+      await fn();
+      throw new Error(`Expected ${code}`);
+    } catch (e) {
+      if (e.code !== code) throw new Error(`Expected ${code}, got: ${e.message}`);
+      if (!isLifelineMeshError(e) || !e.getUserMessage()) throw new Error(`${code} has no user message`);
+    }
+  };
+
+  // Introductions: the introducer must be a contact
+  const intro = Trust.createIntroduction({
+    subject: carol.contact,
+    introducerSignPK: bob.sign.publicKey,
+    introducerSignSK: bob.sign.secretKey
+  }, nacl, naclUtil);
+  await Store.clearAllData();
+  await expectCode(() => Store.saveIntroduction(intro, nacl, naclUtil), ErrorCode.INTRODUCER_UNKNOWN);
+  await expectCode(() => Trust.verifyIntroduction({ introduction: intro, now: intro.exp + 1 }, nacl, naclUtil), ErrorCode.INTRODUCTION_EXPIRED);
+
+  // Group sender keys: unknown groups and non-members
+  const group = Group.createGroup({ name: "Block 7", admin: alice.contact }, nacl, naclUtil);
+  const distribution = { group, senderFp: bob.contact.fp, epoch: group.epoch, senderKey: "", fromAdmin: false };
+  await expectCode(() => Store.applySenderKeyDistribution(distribution), ErrorCode.GROUP_UNKNOWN);
+  await Store.saveGroup(group);
+  await expectCode(() => Store.applySenderKeyDistribution(distribution), ErrorCode.GROUP_NOT_MEMBER);
+  await expectCode(() => Group.removeGroupMember(group, bob.contact.fp), ErrorCode.GROUP_NOT_MEMBER);
+
+  // Ratchet: no session to decrypt with
+  const decrypted = { type: Ratchet.RATCHET_TYPE, senderBoxPK: alice.box.publicKey, payload: { ratchet: { dh: "", n: 0, pn: 0 } } };
+  await expectCode(() => Ratchet.decryptRatchetMessage({
+    session: null,
+    decrypted,
+    recipientBoxPK: bob.box.publicKey,
+    recipientBoxSK: bob.box.secretKey
+  }, nacl, naclUtil), ErrorCode.RATCHET_SESSION_MISSING);
+});
+
 // ============================================================================
 // Summary
 // ============================================================================
 
+await queue;
 console.log("\n" + "=".repeat(50));
 console.log(`Tests: ${passed + failed}`);
 console.log(`Passed: ${passed}`);
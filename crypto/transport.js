@@ -16,8 +16,24 @@
 import {
   chunkMessage,
   reassembleChunks,
-  QR_MAX_CHUNK_SIZE
+  chunksNeeded,
+  verifyChunkManifest,
+  isChunkAuthentic,
+  CHUNK_KINDS,
+  CHUNK_MANIFEST_KIND,
+  encodeMessageBinary,
+  isBinaryMessage,
+  parseWireData,
+  TRANSPORT_KINDS,
+  IDENTITY_KINDS,
+  BINARY_KIND_CODES,
+  QR_MAX_CHUNK_SIZE,
+  VERIFY_KIND,
+  verifyPublicIdentity,
+  verifyRevocationCertificate
 } from "./core.js";
+import { verifyContactWithCode } from "./store.js";
+import { ErrorCode, createError } from "./errors.js";
 
 // ============================================================================
 // Transport Interface
@@ -33,12 +49,73 @@ export class BaseTransport {
     this.options = options;
     this.nacl = options.nacl;
     this.naclUtil = options.naclUtil;
+    this.format = options.format || "json"; // Outgoing wire format: "json" | "binary"
+    this.requireSignedIdentity = options.requireSignedIdentity !== false; // Reject unsigned v1 dmesh-id (false: accept legacy cards)
     this.onMessage = null; // Callback: (message) => void
     this.onChunk = null; // Callback: (chunk) => void
     this.onError = null; // Callback: (error) => void
     this.onPeerDiscovered = null; // Callback: (peer) => void
   }
 
+  /**
+   * Whether a message is sent in the binary wire format
+   * Only message kinds with a binary encoding are affected; identities,
+   * chunks and group messages are always JSON.
+   * @param {object} message - Object to send
+   * @returns {boolean}
+   */
+  _useBinary(message) {
+    return this.format === "binary" && Boolean(BINARY_KIND_CODES[message.kind]);
+  }
+
+  /**
+   * Encode a message as text in the configured wire format
+   * Binary messages are base64-encoded for text channels.
+   * @param {object} message - Object to send
+   * @param {number} [indent] - JSON indentation
+   * @returns {string}
+   */
+  _encodeText(message, indent) {
+    if (this._useBinary(message)) {
+      return this.naclUtil.encodeBase64(encodeMessageBinary(message, this.naclUtil));
+    }
+    return JSON.stringify(message, null, indent);
+  }
+
+  /**
+   * Parse received data, detecting JSON or binary wire format
+   * @param {string|Uint8Array} data - Received data
+   * @returns {object}
+   */
+  _parse(data) {
+    return parseWireData(data, this.nacl, this.naclUtil);
+  }
+
+  /**
+   * Verify a received public identity (dmesh-id) or revocation certificate
+   * (dmesh-revoke) before it is handed out; other kinds pass through.
+   * Reports failures via onError.
+   * @param {object} identity - Parsed identity object
+   * @returns {boolean} - True if the object may be stored
+   */
+  _checkIdentity(identity) {
+    if (identity.kind !== "dmesh-id" && identity.kind !== "dmesh-revoke") return true;
+    try {
+      if (!this.nacl || !this.naclUtil) {
+        throw createError(ErrorCode.INVALID_PARAMETER, "nacl and naclUtil required for identity verification");
+      }
+      if (identity.kind === "dmesh-revoke") {
+        verifyRevocationCertificate(identity, this.nacl, this.naclUtil);
+      } else {
+        verifyPublicIdentity({ identity, requireSigned: this.requireSignedIdentity }, this.nacl, this.naclUtil);
+      }
+      return true;
+    } catch (e) {
+      if (this.onError) this.onError(e);
+      return false;
+    }
+  }
+
   /**
    * Get transport capabilities
    * @returns {object}
@@ -130,8 +207,15 @@ export class QRTransport extends BaseTransport {
     super(options);
     this.name = "qr";
     this.maxChunkSize = options.maxChunkSize || QR_MAX_CHUNK_SIZE;
+    this.parity = options.parity || 0; // Extra erasure-coded QR frames per chunked message
+    this.signer = options.signer || null; // {signPK, signSK}: sign a manifest for outgoing chunks
+    this.requireManifest = Boolean(options.requireManifest); // Only rebuild chunk sets with a signed manifest
     this.qrScanner = null;
     this.receivedChunks = new Map(); // msgId -> chunks[]
+    this.chunkManifests = new Map(); // msgId -> [{manifest, verified, chunks}], one per valid manifest
+    this.completedChunks = new Set(); // msgIds already rebuilt (QR frames keep cycling)
+    this.localKeys = options.localKeys || null; // {signPK, boxPK} for verification codes
+    this.onVerified = null; // Callback: (contact) => void
   }
 
   getCapabilities() {
@@ -163,15 +247,18 @@ export class QRTransport extends BaseTransport {
    * Returns array of QR code data strings (chunked if needed)
    *
    * @param {object} message - dmesh-msg object
-   * @returns {Promise<string[]>} - Array of JSON strings for QR codes
+   * @returns {Promise<string[]>} - Array of QR code strings (JSON, or base64 in binary format)
    */
   send(message) {
-    const msgJson = JSON.stringify(message);
-    const msgSize = new Blob([msgJson]).size;
+    if (this._useBinary(message) && !this.naclUtil) {
+      return Promise.reject(new Error("naclUtil required for binary format"));
+    }
+    const msgText = this._encodeText(message);
+    const msgSize = new Blob([msgText]).size;
 
     // If small enough, return single QR
     if (msgSize <= this.maxChunkSize - 100) { // 100 byte margin
-      return Promise.resolve([msgJson]);
+      return Promise.resolve([msgText]);
     }
 
     // Chunk the message
@@ -179,53 +266,106 @@ export class QRTransport extends BaseTransport {
       return Promise.reject(new Error("nacl and naclUtil required for chunking"));
     }
 
-    const chunks = chunkMessage(message, this.maxChunkSize, this.nacl, this.naclUtil);
+    const chunks = chunkMessage(message, this.maxChunkSize, this.nacl, this.naclUtil, {
+      format: this._useBinary(message) ? "binary" : "json",
+      framing: "json", // QR frames are text
+      parity: this.parity,
+      signer: this.signer || undefined
+    });
     return Promise.resolve(chunks.map(c => JSON.stringify(c)));
   }
 
   /**
    * Process scanned QR code data
-   * @param {string} data - Scanned QR code content
+   * @param {string} data - Scanned QR code content (JSON or base64 binary)
    * @returns {object|null} - Complete message if available, null if waiting for chunks
    */
   processScanned(data) {
     let parsed;
     try {
-      parsed = JSON.parse(data);
-    } catch {
-      if (this.onError) this.onError(new Error("Invalid QR code data"));
+      parsed = this._parse(data);
+    } catch (e) {
+      if (this.onError) this.onError(e);
       return null;
     }
 
-    // Direct message
-    if (parsed.kind === "dmesh-msg") {
+    // Direct message (single or multi-recipient)
+    if (TRANSPORT_KINDS.includes(parsed.kind)) {
       if (this.onMessage) this.onMessage(parsed);
       return parsed;
     }
 
-    // Chunk
-    if (parsed.kind === "dmesh-chunk") {
+    // Chunk (plain or erasure-coded)
+    if (CHUNK_KINDS.includes(parsed.kind)) {
       return this._processChunk(parsed);
     }
 
-    // Identity
-    if (parsed.kind === "dmesh-id") {
+    // Signed hashes of a chunk set
+    if (parsed.kind === CHUNK_MANIFEST_KIND) {
+      return this._processManifest(parsed);
+    }
+
+    // Contact's verification QR: marks the contact verified in the store
+    if (parsed.kind === VERIFY_KIND) {
+      this._processVerification(parsed);
+      return parsed;
+    }
+
+    // Identity or key rotation
+    if (IDENTITY_KINDS.includes(parsed.kind)) {
       // Not a message, but useful for contact exchange
+      if (!this._checkIdentity(parsed)) return null;
       return parsed;
     }
 
     return null;
   }
 
+  _processVerification(code) {
+    if (!this.localKeys || !this.nacl || !this.naclUtil) {
+      if (this.onError) this.onError(new Error("localKeys, nacl and naclUtil required for verification"));
+      return;
+    }
+
+    verifyContactWithCode(code, this.localKeys, this.nacl, this.naclUtil).then(
+      (contact) => {
+        if (this.onVerified) this.onVerified(contact);
+      },
+      (e) => {
+        if (this.onError) this.onError(e);
+      }
+    );
+  }
+
   _processChunk(chunk) {
     const { msgId, seq, total } = chunk;
-
-    if (!this.receivedChunks.has(msgId)) {
-      this.receivedChunks.set(msgId, new Array(total).fill(null));
+    if (this.completedChunks.has(msgId)) {
+      return null; // Remaining frames of a message already rebuilt
     }
+    if (!Number.isSafeInteger(seq) || !Number.isSafeInteger(total) || seq < 0 || seq >= total) {
+      if (this.onError) this.onError(createError(ErrorCode.CHUNK_INVALID, "chunk sequence"));
+      return null;
+    }
+
+    // With manifests known, a chunk goes to the set of every manifest that lists it
+    const manifests = this.chunkManifests.get(msgId) || [];
+    const listed = manifests.filter(m => isChunkAuthentic(chunk, m.verified, this.nacl, this.naclUtil));
+    listed.forEach(m => { m.chunks[seq] = chunk; });
 
-    const chunks = this.receivedChunks.get(msgId);
-    chunks[seq] = chunk;
+    // Forged chunk: drop it and keep waiting for the copy a manifest lists.
+    // Without requireManifest it still counts towards an unauthenticated rebuild.
+    if (manifests.length > 0 && listed.length === 0 && this.requireManifest) {
+      if (this.onError) this.onError(createError(ErrorCode.CHUNK_INVALID, `chunk ${seq} does not match manifest`));
+      return null;
+    }
+    if (listed.length === 0) {
+      let chunks = this.receivedChunks.get(msgId);
+      if (!chunks || chunks.length !== total) {
+        chunks = new Array(total).fill(null);
+        this.receivedChunks.set(msgId, chunks);
+      }
+      chunks[seq] = chunk;
+    }
 
     // Notify chunk received
     if (this.onChunk) {
@@ -233,45 +373,109 @@ export class QRTransport extends BaseTransport {
         msgId,
         seq,
         total,
-        received: chunks.filter(c => c !== null).length
+        needed: chunksNeeded(chunk),
+        received: this.getChunkProgress(msgId)?.received ?? 0
       });
     }
 
-    // Check if complete
-    if (chunks.every(c => c !== null)) {
-      this.receivedChunks.delete(msgId);
+    return this._tryReassemble(msgId);
+  }
 
+  _processManifest(manifest) {
+    if (!this.nacl || !this.naclUtil) {
+      if (this.onError) this.onError(createError(ErrorCode.INVALID_PARAMETER, "nacl and naclUtil required for chunk manifests"));
+      return null;
+    }
+    const manifests = this.chunkManifests.get(manifest.msgId) || [];
+    if (this.completedChunks.has(manifest.msgId) || manifests.some(m => m.manifest.signature === manifest.signature)) {
+      return null;
+    }
+
+    let verified;
+    try {
+      verified = verifyChunkManifest(manifest, this.nacl, this.naclUtil);
+    } catch (e) {
+      if (this.onError) this.onError(e);
+      return null;
+    }
+
+    // Anyone can sign a manifest for a msgId: keep each one with the chunks it
+    // lists, and let the rebuilt message show which was signed by its sender
+    const chunks = new Array(verified.total).fill(null);
+    (this.receivedChunks.get(verified.msgId) || []).forEach((c, i) => {
+      if (c && isChunkAuthentic(c, verified, this.nacl, this.naclUtil)) chunks[i] = c;
+    });
+    manifests.push({ manifest, verified, chunks });
+    this.chunkManifests.set(verified.msgId, manifests);
+
+    return this._tryReassemble(verified.msgId);
+  }
+
+  _tryReassemble(msgId) {
+    const manifests = this.chunkManifests.get(msgId) || [];
+    const sets = manifests.map(m => ({ manifest: m, chunks: m.chunks }));
+    if (!this.requireManifest && this.receivedChunks.has(msgId)) {
+      sets.push({ manifest: null, chunks: this.receivedChunks.get(msgId) });
+    }
+
+    for (const { manifest, chunks } of sets) {
+      const received = chunks.filter(c => c !== null);
+      if (received.length === 0 || received.length < chunksNeeded(received[0])) {
+        continue; // Still waiting for more chunks
+      }
       if (!this.naclUtil) {
         if (this.onError) this.onError(new Error("naclUtil required for reassembly"));
         return null;
       }
 
       try {
-        const message = reassembleChunks(chunks, this.naclUtil);
+        const message = reassembleChunks(manifest ? [manifest.manifest, ...received] : received, this.naclUtil, this.nacl);
+        this.receivedChunks.delete(msgId);
+        this.chunkManifests.delete(msgId);
+        this.completedChunks.add(msgId);
         if (this.onMessage) this.onMessage(message);
         return message;
       } catch (e) {
+        // Chunks that matched their manifest but still fail mean the manifest
+        // itself is bogus (e.g. not signed by the sender): drop only that set
+        // and start it over on the next pass of frames
+        if (manifest) {
+          manifests.splice(manifests.indexOf(manifest), 1);
+          if (manifests.length === 0) this.chunkManifests.delete(msgId);
+        } else {
+          this.receivedChunks.delete(msgId);
+        }
         if (this.onError) this.onError(e);
-        return null;
       }
     }
-
-    return null; // Still waiting for more chunks
+    return null;
   }
 
   /**
    * Get chunk progress for a message
+   *
+   * `needed` is the number of chunks that rebuild the message: `total` for
+   * dmesh-chunk, k for dmesh-chunk-fec (any k of the `total` chunks).
+   * `authenticated` is true once a valid signed manifest has been received;
+   * with several manifests for the msgId the fullest chunk set is reported.
+   *
    * @param {string} msgId - Message ID
-   * @returns {object|null}
+   * @returns {{msgId: string, total: number, needed: number, received: number, missing: number[], authenticated: boolean}|null}
    */
   getChunkProgress(msgId) {
-    const chunks = this.receivedChunks.get(msgId);
+    const count = (chunks) => chunks.filter(c => c !== null).length;
+    const manifests = this.chunkManifests.get(msgId) || [];
+    const best = manifests.reduce((a, m) => (!a || count(m.chunks) > count(a) ? m.chunks : a), null);
+    const chunks = best || this.receivedChunks.get(msgId);
     if (!chunks) return null;
+    const first = chunks.find(c => c !== null);
     return {
       msgId,
       total: chunks.length,
-      received: chunks.filter(c => c !== null).length,
-      missing: chunks.map((c, i) => c === null ? i : -1).filter(i => i >= 0)
+      needed: first ? chunksNeeded(first) : chunks.length,
+      received: count(chunks),
+      missing: chunks.map((c, i) => c === null ? i : -1).filter(i => i >= 0),
+      authenticated: Boolean(best)
     };
   }
 
@@ -280,6 +484,8 @@ export class QRTransport extends BaseTransport {
    */
   clearChunks() {
     this.receivedChunks.clear();
+    this.chunkManifests.clear();
+    this.completedChunks.clear();
   }
 }
 
@@ -320,7 +526,7 @@ export class ClipboardTransport extends BaseTransport {
    * @returns {Promise<string[]>}
    */
   async send(message) {
-    const text = JSON.stringify(message, null, 2);
+    const text = this._encodeText(message, 2);
 
     if (navigator.clipboard && navigator.clipboard.writeText) {
       await navigator.clipboard.writeText(text);
@@ -365,10 +571,13 @@ export class ClipboardTransport extends BaseTransport {
 
     if (!text) return [];
 
-    // Try to parse as dmesh message
+    // Try to parse as dmesh message (JSON or base64 binary)
     try {
-      const parsed = JSON.parse(text);
-      if (parsed.kind === "dmesh-msg" || parsed.kind === "dmesh-id") {
+      const parsed = this._parse(text);
+      if (!this._checkIdentity(parsed)) {
+        return [];
+      }
+      if (TRANSPORT_KINDS.includes(parsed.kind) || IDENTITY_KINDS.includes(parsed.kind)) {
         if (this.onMessage) this.onMessage(parsed);
         return [parsed];
       }
@@ -421,12 +630,22 @@ export class FileTransport extends BaseTransport {
    * @returns {Promise<string[]>}
    */
   send(message, filename) {
-    const text = JSON.stringify(message, null, 2);
-    const blob = new Blob([text], { type: this.mimeType });
+    let text, blob;
+    if (this._useBinary(message)) {
+      const bytes = encodeMessageBinary(message, this.naclUtil);
+      text = this.naclUtil.encodeBase64(bytes);
+      blob = new Blob([/** @type {BlobPart} */ (bytes)], { type: "application/octet-stream" });
+    } else {
+      text = JSON.stringify(message, null, 2);
+      blob = new Blob([text], { type: this.mimeType });
+    }
 
-    const defaultName = message.kind === "dmesh-id"
-      ? `identity-${message.fp?.slice(0, 8) || "unknown"}${this.fileExtension}`
-      : `message-${message.msgId?.slice(0, 8) || Date.now()}${this.fileExtension}`;
+    let defaultName = `message-${message.msgId?.slice(0, 8) || Date.now()}${this.fileExtension}`;
+    if (message.kind === "dmesh-id") {
+      defaultName = `identity-${message.fp?.slice(0, 8) || "unknown"}${this.fileExtension}`;
+    } else if (message.kind === "dmesh-keyrotate") {
+      defaultName = `keyrotate-${message.newFp?.slice(0, 8) || "unknown"}${this.fileExtension}`;
+    }
 
     const name = filename || defaultName;
 
@@ -461,8 +680,14 @@ export class FileTransport extends BaseTransport {
 
       reader.onload = (e) => {
         try {
-          const parsed = JSON.parse(/** @type {string} */ (e.target.result));
-          if (parsed.kind === "dmesh-msg" || parsed.kind === "dmesh-id") {
+          // JSON or binary wire format (detected by the first byte)
+          const bytes = new Uint8Array(/** @type {ArrayBuffer} */ (e.target.result));
+          const parsed = isBinaryMessage(bytes)
+            ? this._parse(bytes)
+            : JSON.parse(new TextDecoder().decode(bytes));
+          if (!this._checkIdentity(parsed)) {
+            resolve([]);
+          } else if (TRANSPORT_KINDS.includes(parsed.kind) || IDENTITY_KINDS.includes(parsed.kind)) {
             if (this.onMessage) this.onMessage(parsed);
             resolve([parsed]);
           } else {
@@ -479,7 +704,7 @@ export class FileTransport extends BaseTransport {
         resolve([]);
       };
 
-      reader.readAsText(file);
+      reader.readAsArrayBuffer(file);
     });
   }
 
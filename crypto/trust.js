@@ -0,0 +1,302 @@
+/**
+ * Lifeline Mesh - Web-of-Trust Introductions
+ *
+ * A contact can vouch for another identity with a signed introduction
+ * (dmesh-intro) binding the subject's keys and name:
+ * - Introductions are signed with the introducer's Ed25519 key and expire
+ * - The store records received introductions next to the contacts
+ * - computeTrust derives, from verified contacts outward, which contacts
+ *   are vouched for and by whom, up to a user-chosen number of hops
+ *
+ * Subject objects use the same shape as entries in the contacts store
+ * ({fp, name, signPK, boxPK}, base64 keys).
+ *
+ * Dependencies: TweetNaCl, TweetNaCl-util
+ */
+
+import {
+  MAX_SKEW_MS,
+  DEFAULT_IDENTITY_TTL_MS,
+  concatU8,
+  u32be,
+  u64beFromNumber,
+  fingerprintFromSignPK,
+  ctxNow
+} from "./core.js";
+import { ErrorCode, createError } from "./errors.js";
+
+/** @typedef {import("./core.js").Context} Context */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+export const DOMAIN_INTRO = "DMESH_INTRO_V1";
+export const INTRO_KIND = "dmesh-intro";
+export const DEFAULT_TRUST_HOPS = 1; // Only introductions by verified contacts count
+export const MAX_TRUST_HOPS = 5;
+
+export const TRUST_LEVEL = {
+  VERIFIED: "verified", // Verified in person (safety number)
+  VOUCHED: "vouched", // Introduced along a chain from a verified contact
+  UNVERIFIED: "unverified",
+  COMPROMISED: "compromised"
+};
+
+// ============================================================================
+// Introductions
+// ============================================================================
+
+/**
+ * Build SignBytes for introductions
+ *
+ * SignBytes = concat([
+ *   DOMAIN_INTRO (14 bytes),
+ *   introducerSignPK (32 bytes),
+ *   subjectSignPK (32 bytes),
+ *   subjectBoxPK (32 bytes),
+ *   ts_u64be (8 bytes),
+ *   exp_u64be (8 bytes),
+ *   name_len_u32be (4 bytes),
+ *   name (variable, UTF-8)
+ * ])
+ *
+ * @param {object} params
+ * @param {Uint8Array} params.introducerSignPK - Introducer's Ed25519 public key
+ * @param {Uint8Array} params.subjectSignPK - Subject's Ed25519 public key
+ * @param {Uint8Array} params.subjectBoxPK - Subject's X25519 public key
+ * @param {string} params.name - Subject's display name
+ * @param {number} params.ts - Timestamp (Unix milliseconds)
+ * @param {number} params.exp - Expiration (Unix milliseconds)
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @returns {Uint8Array}
+ */
+export function buildIntroductionSignBytes({ introducerSignPK, subjectSignPK, subjectBoxPK, name, ts, exp }, naclUtil) {
+  const nameBytes = naclUtil.decodeUTF8(name);
+  return concatU8([
+    naclUtil.decodeUTF8(DOMAIN_INTRO),
+    introducerSignPK,
+    subjectSignPK,
+    subjectBoxPK,
+    u64beFromNumber(ts),
+    u64beFromNumber(exp),
+    u32be(nameBytes.length),
+    nameBytes
+  ]);
+}
+
+/**
+ * Vouch for a contact's keys
+ *
+ * @param {object} params
+ * @param {object} params.subject - Contact being introduced ({name, signPK, boxPK}, base64 keys)
+ * @param {Uint8Array} params.introducerSignPK - Own Ed25519 public key
+ * @param {Uint8Array} params.introducerSignSK - Own Ed25519 secret key
+ * @param {number} [params.ts] - Timestamp (defaults to Date.now())
+ * @param {number} [params.ttlMs] - Validity in ms (defaults to DEFAULT_IDENTITY_TTL_MS)
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {object} - Introduction object (dmesh-intro)
+ */
+export function createIntroduction({ subject, introducerSignPK, introducerSignSK, ts, ttlMs = DEFAULT_IDENTITY_TTL_MS }, nacl, naclUtil, ctx) {
+  const subjectSignPK = naclUtil.decodeBase64(subject.signPK);
+  const subjectBoxPK = naclUtil.decodeBase64(subject.boxPK);
+  if (naclUtil.encodeBase64(introducerSignPK) === subject.signPK) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Cannot introduce yourself");
+  }
+
+  const timestamp = ts ?? ctxNow(ctx);
+  const exp = timestamp + ttlMs;
+  const name = subject.name || "";
+  const signBytes = buildIntroductionSignBytes({ introducerSignPK, subjectSignPK, subjectBoxPK, name, ts: timestamp, exp }, naclUtil);
+
+  return {
+    v: 1,
+    kind: INTRO_KIND,
+    introducerFp: naclUtil.encodeBase64(fingerprintFromSignPK(introducerSignPK, nacl)),
+    introducerSignPK: naclUtil.encodeBase64(introducerSignPK),
+    subject: {
+      fp: naclUtil.encodeBase64(fingerprintFromSignPK(subjectSignPK, nacl)),
+      name,
+      signPK: subject.signPK,
+      boxPK: subject.boxPK
+    },
+    ts: timestamp,
+    exp,
+    signature: naclUtil.encodeBase64(nacl.sign.detached(signBytes, introducerSignSK))
+  };
+}
+
+/**
+ * Verify an introduction's signature and validity period
+ *
+ * Says nothing about whether the introducer is trusted; see computeTrust.
+ *
+ * @param {object} params
+ * @param {object} params.introduction - Introduction object (dmesh-intro)
+ * @param {number} [params.now] - Current time (defaults to Date.now())
+ * @param {object} nacl - TweetNaCl instance
+ * @param {object} naclUtil - TweetNaCl-util instance
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {{introducerFp: string, subject: {fp: string, name: string, signPK: string, boxPK: string}, ts: number, exp: number}}
+ */
+export function verifyIntroduction({ introduction, now }, nacl, naclUtil, ctx) {
+  const intro = introduction;
+  if (!intro || intro.v !== 1 || intro.kind !== INTRO_KIND || !intro.subject || typeof intro.subject.name !== "string") {
+    throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "Invalid introduction format");
+  }
+
+  let introducerSignPK, subjectSignPK, subjectBoxPK, signature;
+  try {
+    introducerSignPK = naclUtil.decodeBase64(intro.introducerSignPK);
+    subjectSignPK = naclUtil.decodeBase64(intro.subject.signPK);
+    subjectBoxPK = naclUtil.decodeBase64(intro.subject.boxPK);
+    signature = naclUtil.decodeBase64(intro.signature);
+  } catch {
+    throw createError(ErrorCode.BASE64_DECODE_FAILED);
+  }
+  if (introducerSignPK.length !== nacl.sign.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "introducerSignPK length invalid");
+  if (subjectSignPK.length !== nacl.sign.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "subject signPK length invalid");
+  if (subjectBoxPK.length !== nacl.box.publicKeyLength) throw createError(ErrorCode.INVALID_KEY_LENGTH, "subject boxPK length invalid");
+  if (signature.length !== nacl.sign.signatureLength) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "signature length invalid");
+
+  const ts = Number(intro.ts);
+  const exp = Number(intro.exp);
+  if (!Number.isSafeInteger(ts) || ts < 0) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "ts invalid");
+  if (!Number.isSafeInteger(exp) || exp < ts) throw createError(ErrorCode.INVALID_MESSAGE_FORMAT, "exp invalid");
+
+  const introducerFp = naclUtil.encodeBase64(fingerprintFromSignPK(introducerSignPK, nacl));
+  const subjectFp = naclUtil.encodeBase64(fingerprintFromSignPK(subjectSignPK, nacl));
+  if (intro.introducerFp !== introducerFp || intro.subject.fp !== subjectFp) {
+    throw createError(ErrorCode.FINGERPRINT_MISMATCH);
+  }
+  if (introducerFp === subjectFp) {
+    throw createError(ErrorCode.INVALID_PARAMETER, "Cannot introduce yourself");
+  }
+
+  const signBytes = buildIntroductionSignBytes({
+    introducerSignPK,
+    subjectSignPK,
+    subjectBoxPK,
+    name: intro.subject.name,
+    ts,
+    exp
+  }, naclUtil);
+  if (!nacl.sign.detached.verify(signBytes, signature, introducerSignPK)) {
+    throw createError(ErrorCode.SIGNATURE_INVALID);
+  }
+
+  const currentTime = now ?? ctxNow(ctx);
+  if (currentTime > exp) {
+    throw createError(ErrorCode.INTRODUCTION_EXPIRED);
+  }
+  if (ts > currentTime + MAX_SKEW_MS) {
+    throw createError(ErrorCode.TIMESTAMP_SKEW, "Introduction issued in the future");
+  }
+
+  return {
+    introducerFp,
+    subject: {
+      fp: subjectFp,
+      name: intro.subject.name,
+      signPK: intro.subject.signPK,
+      boxPK: intro.subject.boxPK
+    },
+    ts,
+    exp
+  };
+}
+
+// ============================================================================
+// Trust Computation
+// ============================================================================
+
+/**
+ * Compute contact trust from verification status and introductions
+ *
+ * Verified contacts are at hop 0. An introduction by a contact at hop n
+ * vouches for its subject at hop n + 1, up to maxHops. Introductions only
+ * count while unexpired and while they match the subject's stored keys;
+ * compromised contacts neither gain trust nor pass it on.
+ *
+ * Introductions are expected to have been verified when stored
+ * (store.saveIntroduction); only their expiry is checked here.
+ *
+ * @param {object} params
+ * @param {object[]} params.contacts - Contact entries ({fp, signPK, boxPK, verified})
+ * @param {object[]} params.introductions - Stored introductions (dmesh-intro)
+ * @param {number} [params.maxHops] - Introduction hops to trust (0 disables vouching)
+ * @param {number} [params.now] - Current time (defaults to Date.now())
+ * @param {Context} [ctx] - Clock (defaults to Date.now())
+ * @returns {Object<string, {level: string, hops: number|null, vouchedBy: string[]}>} - Trust by contact fingerprint
+ */
+export function computeTrust({ contacts, introductions, maxHops = DEFAULT_TRUST_HOPS, now }, ctx) {
+  const currentTime = now ?? ctxNow(ctx);
+  const hops = Math.max(0, Math.min(MAX_TRUST_HOPS, Math.floor(maxHops)));
+  const byFp = new Map(contacts.map(c => [c.fp, c]));
+
+  /** @type {Object<string, {level: string, hops: number|null, vouchedBy: string[]}>} */
+  const trust = {};
+  let frontier = new Set();
+  for (const c of contacts) {
+    if (c.verified === TRUST_LEVEL.COMPROMISED) {
+      trust[c.fp] = { level: TRUST_LEVEL.COMPROMISED, hops: null, vouchedBy: [] };
+    } else if (c.verified === TRUST_LEVEL.VERIFIED) {
+      trust[c.fp] = { level: TRUST_LEVEL.VERIFIED, hops: 0, vouchedBy: [] };
+      frontier.add(c.fp);
+    }
+  }
+
+  const usable = introductions.filter(intro => {
+    const subject = byFp.get(intro.subject?.fp);
+    return currentTime <= intro.exp && subject &&
+      subject.signPK === intro.subject.signPK && subject.boxPK === intro.subject.boxPK;
+  });
+
+  for (let hop = 1; hop <= hops && frontier.size > 0; hop++) {
+    const next = new Set();
+    for (const intro of usable) {
+      const subjectFp = intro.subject.fp;
+      if (!frontier.has(intro.introducerFp)) continue;
+      if (trust[subjectFp] && trust[subjectFp].hops !== hop) continue;
+
+      if (!trust[subjectFp]) {
+        trust[subjectFp] = { level: TRUST_LEVEL.VOUCHED, hops: hop, vouchedBy: [] };
+        next.add(subjectFp);
+      }
+      if (!trust[subjectFp].vouchedBy.includes(intro.introducerFp)) {
+        trust[subjectFp].vouchedBy.push(intro.introducerFp);
+      }
+    }
+    frontier = next;
+  }
+
+  for (const c of contacts) {
+    if (!trust[c.fp]) {
+      trust[c.fp] = { level: TRUST_LEVEL.UNVERIFIED, hops: null, vouchedBy: [] };
+    }
+  }
+  return trust;
+}
+
+/**
+ * Human-readable trust label for a contact list
+ * @param {{level: string, hops: number|null, vouchedBy: string[]}} entry - computeTrust entry
+ * @param {function(string): string} [nameOf] - Maps an introducer fingerprint to a display name
+ * @returns {string} - e.g. "Verified", "Vouched by Coordinator", "Vouched by Ana, Ben (2 hops)"
+ */
+export function describeTrust(entry, nameOf = (fp) => fp.slice(0, 8)) {
+  switch (entry?.level) {
+    case TRUST_LEVEL.VERIFIED:
+      return "Verified";
+    case TRUST_LEVEL.VOUCHED: {
+      const by = `Vouched by ${entry.vouchedBy.map(nameOf).join(", ")}`;
+      return entry.hops > 1 ? `${by} (${entry.hops} hops)` : by;
+    }
+    case TRUST_LEVEL.COMPROMISED:
+      return "Compromised";
+    default:
+      return "Unverified";
+  }
+}
@@ -36,14 +36,17 @@ function _deterministicNonce(seed) {
   return hash.slice(0, nacl.box.nonceLength);
 }
 
-// Override nacl.randomBytes for deterministic ephemeral keys
-let ephemeralCounter = 0;
-const originalRandomBytes = nacl.randomBytes;
-function deterministicRandomBytes(n) {
-  const seed = `ephemeral_${ephemeralCounter++}`;
-  const seedBytes = naclUtil.decodeUTF8(seed);
-  const hash = nacl.hash(seedBytes);
-  return hash.slice(0, n);
+// Runtime context with a fixed clock and seeded randomness, so that
+// ephemeral keys and nonces are reproducible (one context per vector)
+function deterministicContext(timestamp) {
+  let counter = 0;
+  return {
+    now: () => timestamp,
+    randomBytes: (n) => {
+      const seedBytes = naclUtil.decodeUTF8(`ephemeral_${counter++}`);
+      return nacl.hash(seedBytes).slice(0, n);
+    }
+  };
 }
 
 function generateTestVectors() {
@@ -56,9 +59,6 @@ function generateTestVectors() {
 
   // Test Vector 1: Basic message encryption
   (() => {
-    ephemeralCounter = 0;
-    nacl.randomBytes = deterministicRandomBytes;
-
     const aliceSign = deterministicKeyPair("alice_sign_seed", "sign");
     const aliceBox = deterministicKeyPair("alice_box_seed", "box");
     const bobBox = deterministicKeyPair("bob_box_seed", "box");
@@ -74,9 +74,7 @@ function generateTestVectors() {
       senderBoxSK: aliceBox.secretKey,
       recipientBoxPK: bobBox.publicKey,
       ts: timestamp
-    }, nacl, naclUtil);
-
-    nacl.randomBytes = originalRandomBytes;
+    }, nacl, naclUtil, deterministicContext(timestamp));
 
     vectors.vectors.push({
       name: "basic_message",
@@ -95,15 +93,13 @@ function generateTestVectors() {
         content,
         timestamp
       },
-      message
+      message,
+      binary: naclUtil.encodeBase64(DMesh.encodeMessageBinary(message, naclUtil))
     });
   })();
 
   // Test Vector 2: Empty message
   (() => {
-    ephemeralCounter = 0;
-    nacl.randomBytes = deterministicRandomBytes;
-
     const aliceSign = deterministicKeyPair("alice2_sign_seed", "sign");
     const aliceBox = deterministicKeyPair("alice2_box_seed", "box");
     const bobBox = deterministicKeyPair("bob2_box_seed", "box");
@@ -119,9 +115,7 @@ function generateTestVectors() {
       senderBoxSK: aliceBox.secretKey,
       recipientBoxPK: bobBox.publicKey,
       ts: timestamp
-    }, nacl, naclUtil);
-
-    nacl.randomBytes = originalRandomBytes;
+    }, nacl, naclUtil, deterministicContext(timestamp));
 
     vectors.vectors.push({
       name: "empty_message",
@@ -140,15 +134,13 @@ function generateTestVectors() {
         content,
         timestamp
       },
-      message
+      message,
+      binary: naclUtil.encodeBase64(DMesh.encodeMessageBinary(message, naclUtil))
     });
   })();
 
   // Test Vector 3: Unicode content
   (() => {
-    ephemeralCounter = 0;
-    nacl.randomBytes = deterministicRandomBytes;
-
     const aliceSign = deterministicKeyPair("alice3_sign_seed", "sign");
     const aliceBox = deterministicKeyPair("alice3_box_seed", "box");
     const bobBox = deterministicKeyPair("bob3_box_seed", "box");
@@ -164,9 +156,7 @@ function generateTestVectors() {
       senderBoxSK: aliceBox.secretKey,
       recipientBoxPK: bobBox.publicKey,
       ts: timestamp
-    }, nacl, naclUtil);
-
-    nacl.randomBytes = originalRandomBytes;
+    }, nacl, naclUtil, deterministicContext(timestamp));
 
     vectors.vectors.push({
       name: "unicode_message",
@@ -185,15 +175,13 @@ function generateTestVectors() {
         content,
         timestamp
       },
-      message
+      message,
+      binary: naclUtil.encodeBase64(DMesh.encodeMessageBinary(message, naclUtil))
     });
   })();
 
   // Test Vector 4: Large message (near limit)
   (() => {
-    ephemeralCounter = 0;
-    nacl.randomBytes = deterministicRandomBytes;
-
     const aliceSign = deterministicKeyPair("alice4_sign_seed", "sign");
     const aliceBox = deterministicKeyPair("alice4_box_seed", "box");
     const bobBox = deterministicKeyPair("bob4_box_seed", "box");
@@ -210,9 +198,7 @@ function generateTestVectors() {
       senderBoxSK: aliceBox.secretKey,
       recipientBoxPK: bobBox.publicKey,
       ts: timestamp
-    }, nacl, naclUtil);
-
-    nacl.randomBytes = originalRandomBytes;
+    }, nacl, naclUtil, deterministicContext(timestamp));
 
     vectors.vectors.push({
       name: "large_message",
@@ -232,11 +218,76 @@ function generateTestVectors() {
         contentLength: content.length,
         timestamp
       },
-      message
+      message,
+      binary: naclUtil.encodeBase64(DMesh.encodeMessageBinary(message, naclUtil))
+    });
+  })();
+
+  // Test Vector 5: Padded message (v1.2 length hiding)
+  (() => {
+    const aliceSign = deterministicKeyPair("alice5_sign_seed", "sign");
+    const aliceBox = deterministicKeyPair("alice5_box_seed", "box");
+    const bobBox = deterministicKeyPair("bob5_box_seed", "box");
+
+    const timestamp = 1706012345682;
+    const content = "";
+
+    const message = DMesh.encryptMessage({
+      content,
+      senderSignPK: aliceSign.publicKey,
+      senderSignSK: aliceSign.secretKey,
+      senderBoxPK: aliceBox.publicKey,
+      senderBoxSK: aliceBox.secretKey,
+      recipientBoxPK: bobBox.publicKey,
+      ts: timestamp,
+      type: "im_safe",
+      pad: true
+    }, nacl, naclUtil, deterministicContext(timestamp));
+
+    vectors.vectors.push({
+      name: "padded_message",
+      description: "im_safe message padded to the first size bucket",
+      alice: {
+        signPK: naclUtil.encodeBase64(aliceSign.publicKey),
+        signSK: naclUtil.encodeBase64(aliceSign.secretKey),
+        boxPK: naclUtil.encodeBase64(aliceBox.publicKey),
+        boxSK: naclUtil.encodeBase64(aliceBox.secretKey)
+      },
+      bob: {
+        boxPK: naclUtil.encodeBase64(bobBox.publicKey),
+        boxSK: naclUtil.encodeBase64(bobBox.secretKey)
+      },
+      plaintext: {
+        content,
+        timestamp,
+        paddedLength: DMesh.PADDING_BUCKETS[0]
+      },
+      message,
+      binary: naclUtil.encodeBase64(DMesh.encodeMessageBinary(message, naclUtil))
+    });
+  })();
+
+  // Test Vector 6: Payload framing (padding and compression)
+  (() => {
+    const payload = { v: 1, ts: 1706012345683, type: "text", content: "避難所 避難所 避難所 避難所" };
+    const cases = [
+      { options: { pad: true } },
+      { options: { pad: [32, 64] } },
+      { options: { compress: true, pad: true } }
+    ];
+
+    vectors.vectors.push({
+      name: "payload_framing",
+      description: "Framed plaintext (flags byte, optional deflate, 0x80 0x00... padding)",
+      payload,
+      cases: cases.map(c => ({
+        ...c,
+        framed: naclUtil.encodeBase64(DMesh.encodePayloadBytes(payload, c.options, naclUtil))
+      }))
     });
   })();
 
-  // Test Vector 5: Public identity
+  // Test Vector 7: Public identity
   (() => {
     const aliceSign = deterministicKeyPair("alice_id_sign_seed", "sign");
     const aliceBox = deterministicKeyPair("alice_id_box_seed", "box");
@@ -258,7 +309,32 @@ function generateTestVectors() {
     });
   })();
 
-  // Test Vector 6: Fingerprint derivation
+  // Test Vector 7b: Self-signed public identity (v2)
+  (() => {
+    const aliceSign = deterministicKeyPair("alice_id_sign_seed", "sign");
+    const aliceBox = deterministicKeyPair("alice_id_box_seed", "box");
+
+    const identity = DMesh.createPublicIdentity({
+      name: "Alice",
+      signPK: aliceSign.publicKey,
+      signSK: aliceSign.secretKey,
+      boxPK: aliceBox.publicKey,
+      ts: 1706012345683,
+      meta: { role: "shelter" }
+    }, nacl, naclUtil);
+
+    vectors.vectors.push({
+      name: "public_identity_v2",
+      description: "Alice's self-signed public identity (Ed25519 signatures are deterministic)",
+      keys: {
+        signPK: naclUtil.encodeBase64(aliceSign.publicKey),
+        boxPK: naclUtil.encodeBase64(aliceBox.publicKey)
+      },
+      identity
+    });
+  })();
+
+  // Test Vector 8: Fingerprint derivation
   (() => {
     const aliceSign = deterministicKeyPair("alice_fp_sign_seed", "sign");
     const fp = DMesh.fingerprintFromSignPK(aliceSign.publicKey, nacl);
@@ -93,15 +93,8 @@ function decryptMessageSkipTimestamp({ message, recipientBoxPK, recipientBoxSK,
     throw new Error("Decryption failed");
   }
 
-  const text = naclUtil.encodeUTF8(plaintext);
-
-  // Parse payload
-  let payload;
-  try {
-    payload = JSON.parse(text);
-  } catch {
-    throw new Error("Payload JSON parse failed");
-  }
+  // Parse payload (legacy JSON or framed, v1.2)
+  const { payload, text } = DMesh.decodePayloadBytes(plaintext, {}, naclUtil);
 
   return {
     content: payload.content ?? text,
@@ -135,10 +128,15 @@ function validateTestVectors(vectorsPath) {
 
   for (const vector of vectors.vectors) {
     if (vector.name === "basic_message" || vector.name === "empty_message" ||
-        vector.name === "unicode_message" || vector.name === "large_message") {
+        vector.name === "unicode_message" || vector.name === "large_message" ||
+        vector.name === "padded_message") {
       validateMessageVector(vector);
+    } else if (vector.name === "payload_framing") {
+      validatePayloadFramingVector(vector);
     } else if (vector.name === "public_identity") {
       validateIdentityVector(vector);
+    } else if (vector.name === "public_identity_v2") {
+      validateSignedIdentityVector(vector);
     } else if (vector.name === "fingerprint") {
       validateFingerprintVector(vector);
     }
@@ -237,7 +235,39 @@ function validateMessageVector(vector) {
     }
   });
 
-  // Test 5: Reject tampered ciphertext
+  // Test 5: Padding bucket (v1.2)
+  if (vector.plaintext.paddedLength !== undefined) {
+    test(`${name}: padded length`, () => {
+      const ct = naclUtil.decodeBase64(vector.message.ciphertext);
+      const expected = vector.plaintext.paddedLength + nacl.box.overheadLength;
+      if (ct.length !== expected) throw new Error(`Ciphertext length ${ct.length}, expected ${expected}`);
+    });
+  }
+
+  // Test 6: Binary wire format (v1.2)
+  if (vector.binary !== undefined) {
+    test(`${name}: binary encoding`, () => {
+      const encoded = naclUtil.encodeBase64(DMesh.encodeMessageBinary(vector.message, naclUtil));
+      if (encoded !== vector.binary) throw new Error("Binary encoding mismatch");
+    });
+
+    test(`${name}: binary decoding`, () => {
+      const decoded = DMesh.decodeMessageBinary(naclUtil.decodeBase64(vector.binary), nacl, naclUtil);
+      if (JSON.stringify(decoded) !== JSON.stringify(vector.message)) {
+        throw new Error("Decoded binary message does not match JSON message");
+      }
+      const result = decryptMessageSkipTimestamp({
+        message: decoded,
+        recipientBoxPK: bobBoxPK,
+        recipientBoxSK: bobBoxSK,
+        expectedSenderSignPK: aliceSignPK,
+        expectedSenderBoxPK: aliceBoxPK
+      });
+      if (result.ts !== vector.plaintext.timestamp) throw new Error("Timestamp mismatch");
+    });
+  }
+
+  // Test 7: Reject tampered ciphertext
   test(`${name}: reject tampered ciphertext`, () => {
     const tamperedMsg = { ...vector.message };
     const ct = naclUtil.decodeBase64(tamperedMsg.ciphertext);
@@ -261,6 +291,20 @@ function validateMessageVector(vector) {
   });
 }
 
+function validatePayloadFramingVector(vector) {
+  vector.cases.forEach((c, i) => {
+    test(`${vector.name}[${i}]: encode`, () => {
+      const framed = naclUtil.encodeBase64(DMesh.encodePayloadBytes(vector.payload, c.options, naclUtil));
+      if (framed !== c.framed) throw new Error("Framed payload mismatch");
+    });
+
+    test(`${vector.name}[${i}]: decode`, () => {
+      const { payload } = DMesh.decodePayloadBytes(naclUtil.decodeBase64(c.framed), {}, naclUtil);
+      if (JSON.stringify(payload) !== JSON.stringify(vector.payload)) throw new Error("Decoded payload mismatch");
+    });
+  });
+}
+
 function validateIdentityVector(vector) {
   test(`${vector.name}: identity structure`, () => {
     const id = vector.identity;
@@ -284,6 +328,22 @@ function validateIdentityVector(vector) {
   });
 }
 
+function validateSignedIdentityVector(vector) {
+  test(`${vector.name}: identity structure`, () => {
+    const id = vector.identity;
+    if (id.v !== 2) throw new Error("Invalid version");
+    if (id.kind !== "dmesh-id") throw new Error("Invalid kind");
+    if (!Number.isSafeInteger(id.iat) || !Number.isSafeInteger(id.exp)) throw new Error("Missing iat/exp");
+    if (!id.sig) throw new Error("Missing sig");
+  });
+
+  test(`${vector.name}: signature verifies`, () => {
+    const verified = DMesh.verifyPublicIdentity({ identity: vector.identity, now: vector.identity.iat }, nacl, naclUtil);
+    if (!verified.signed) throw new Error("Identity not signed");
+    if (verified.boxPK !== vector.keys.boxPK) throw new Error("boxPK mismatch");
+  });
+}
+
 function validateFingerprintVector(vector) {
   test(`${vector.name}: fingerprint derivation`, () => {
     const signPK = naclUtil.decodeBase64(vector.signPK);
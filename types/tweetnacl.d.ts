@@ -48,9 +48,18 @@ declare interface NaClBox {
   };
 }
 
+declare interface NaClSecretBox {
+  keyLength: number;
+  nonceLength: number;
+  overheadLength: number;
+  (message: Uint8Array, nonce: Uint8Array, key: Uint8Array): Uint8Array;
+  open(box: Uint8Array, nonce: Uint8Array, key: Uint8Array): Uint8Array | null;
+}
+
 declare interface NaCl {
   sign: NaClSign;
   box: NaClBox;
+  secretbox: NaClSecretBox;
   hash(message: Uint8Array): Uint8Array;
   randomBytes(n: number): Uint8Array;
   verify(x: Uint8Array, y: Uint8Array): boolean;